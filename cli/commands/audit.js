@@ -0,0 +1,178 @@
+const fs = require('fs');
+const chalk = require('chalk');
+const { analyzeSBOM } = require('../utils/hash');
+const { auditComponents, SEVERITIES } = require('../utils/osv');
+const { toSARIF } = require('../utils/sarif');
+const { getContractReadOnly, resolveSBOMRecord } = require('../utils/contract');
+const { fetchVEX, findVEXStatus, RESOLVED_STATUSES } = require('../utils/vex');
+const { success, error, warning, info, header, keyValue } = require('../utils/display');
+const { version: VERSION } = require('../../package.json');
+
+const OUTPUT_FORMATS = ['table', 'json', 'sarif'];
+
+const SEVERITY_COLORS = {
+  CRITICAL: chalk.bgRed.white,
+  HIGH: chalk.red,
+  MEDIUM: chalk.yellow,
+  LOW: chalk.cyan,
+  UNKNOWN: chalk.gray
+};
+
+/**
+ * Check whether a VEX statement says a finding needs no action
+ * @param {object} finding - Finding, with vex set when VEX was applied
+ * @returns {boolean} - True for not_affected and fixed
+ */
+function isResolved(finding) {
+  return Boolean(finding.vex) && RESOLVED_STATUSES.includes(finding.vex.status);
+}
+
+/**
+ * Print findings as a table
+ * @param {array} findings - Findings from auditComponents
+ * @param {number} limit - Maximum rows to print
+ * @param {boolean} withVEX - Add a VEX status column
+ */
+function displayFindings(findings, limit, withVEX) {
+  const rows = findings.slice(0, limit).map((finding) => [
+    finding.severity,
+    finding.version ? `${finding.name}@${finding.version}` : finding.name,
+    finding.id,
+    finding.fixed || '-',
+    ...(withVEX ? [finding.vex ? finding.vex.status : '-'] : []),
+    finding.summary
+  ]);
+  const headings = ['Severity', 'Package', 'Advisory', 'Fixed In', ...(withVEX ? ['VEX'] : []), 'Summary'];
+  const columns = headings.length - 1;
+  const widths = headings.slice(0, columns).map((heading, column) =>
+    Math.max(heading.length, ...rows.map((row) => row[column].length)));
+  const pad = (cells) => cells.map((cell, column) => cell.padEnd(widths[column]));
+
+  console.log(chalk.bold(pad(headings.slice(0, columns)).join('  ') + '  ' + headings[columns]));
+  rows.forEach((row) => {
+    const cells = pad(row.slice(0, columns));
+    cells[0] = SEVERITY_COLORS[row[0]](row[0]) + cells[0].slice(row[0].length);
+    console.log(cells.join('  ') + chalk.gray('  ' + row[columns]));
+  });
+  if (findings.length > limit) {
+    console.log(chalk.gray(`... and ${findings.length - limit} more (use --limit to show more)`));
+  }
+}
+
+/**
+ * Check an SBOM's components for known vulnerabilities in a local OSV snapshot
+ * @param {string} sbomFilePath - Path to SBOM file
+ * @param {object} options - Additional options (db, format, output, limit, failOn, vex, hashMode)
+ */
+async function auditCommand(sbomFilePath, options = {}) {
+  const format = String(options.format || 'table').toLowerCase();
+  // Machine-readable output on stdout stays clean
+  const quiet = format !== 'table' && !options.output;
+  try {
+    if (!OUTPUT_FORMATS.includes(format)) {
+      throw new Error(`Unknown output format: ${options.format} (expected one of: ${OUTPUT_FORMATS.join(', ')})`);
+    }
+    const failOn = options.failOn && String(options.failOn).toUpperCase();
+    if (failOn && (!SEVERITIES.includes(failOn) || failOn === 'UNKNOWN')) {
+      throw new Error(`Invalid --fail-on severity: ${options.failOn} (expected low, medium, high or critical)`);
+    }
+
+    if (!quiet) {
+      header('SBOM VULNERABILITY AUDIT');
+      info(`Reading SBOM file: ${sbomFilePath}`);
+    }
+
+    // 1. Read the components
+    const analysis = await analyzeSBOM(sbomFilePath);
+
+    // 2. Match them against the snapshot
+    if (!quiet) {
+      info(`Matching against OSV database: ${options.db}`);
+    }
+    const { findings, stats } = auditComponents(analysis.components, options.db);
+
+    // 3. Apply the VEX statements published for this SBOM
+    let sbomHash;
+    if (options.vex) {
+      if (!quiet) {
+        info('Looking up VEX statements on blockchain...');
+      }
+      const contract = getContractReadOnly();
+      const resolved = await resolveSBOMRecord(contract, sbomFilePath, options.hashMode);
+      if (!resolved.record) {
+        throw new Error('SBOM not found on blockchain (--vex needs a registered SBOM)');
+      }
+      sbomHash = resolved.hash;
+      const documents = await fetchVEX(contract, sbomHash, resolved.record.vendor);
+      findings.forEach((finding) => {
+        finding.vex = findVEXStatus(documents, finding);
+      });
+      stats.vexDocuments = documents.length;
+    }
+
+    // 4. Output
+    if (format !== 'table') {
+      const document = format === 'sarif'
+        ? toSARIF(findings, { sbomFile: sbomFilePath, toolVersion: VERSION })
+        : { sbom: sbomFilePath, ...(sbomHash ? { sbomHash } : {}), database: options.db, stats, findings };
+      const text = JSON.stringify(document, null, 2);
+      if (options.output) {
+        fs.writeFileSync(options.output, text + '\n');
+        success(`${format.toUpperCase()} report written to ${options.output}`);
+      } else {
+        console.log(text);
+      }
+    }
+
+    if (!quiet) {
+      keyValue('Components', `${stats.components} (${stats.matchable} with a purl or CPE)`);
+      keyValue('Advisories', `${stats.advisories} read` + (stats.skipped ? `, ${stats.skipped} file(s) skipped` : ''));
+      if (options.vex) {
+        keyValue('SBOM Hash', sbomHash);
+        keyValue('VEX Documents', stats.vexDocuments);
+      }
+      console.log();
+
+      if (stats.matchable === 0) {
+        warning('No components have a purl or CPE to match on');
+      }
+      if (findings.length === 0) {
+        success('No known vulnerabilities found');
+      } else {
+        const counts = SEVERITIES.slice().reverse()
+          .map((severity) => [severity, findings.filter((finding) => finding.severity === severity).length])
+          .filter(([, count]) => count > 0)
+          .map(([severity, count]) => `${count} ${severity.toLowerCase()}`);
+        warning(`${findings.length} vulnerable match(es): ${counts.join(', ')}`);
+        const resolvedCount = findings.filter(isResolved).length;
+        if (resolvedCount > 0) {
+          info(`${resolvedCount} of them marked not_affected or fixed by VEX`);
+        }
+        if (format === 'table') {
+          console.log();
+          displayFindings(findings, Number(options.limit) || findings.length, Boolean(options.vex));
+        }
+      }
+      console.log();
+    }
+
+    // 5. Fail the run if anything unresolved is at or above the threshold
+    if (failOn) {
+      const failing = findings.filter((finding) => !isResolved(finding) &&
+        SEVERITIES.indexOf(finding.severity) >= SEVERITIES.indexOf(failOn));
+      if (failing.length > 0) {
+        throw new Error(`${failing.length} vulnerable match(es) at or above ${failOn.toLowerCase()} severity`);
+      }
+    }
+
+    return { findings, stats };
+
+  } catch (err) {
+    if (!quiet) {
+      error('Audit failed: ' + err.message);
+    }
+    throw err;
+  }
+}
+
+module.exports = auditCommand;
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { analyzeSBOM, getHash, DEFAULT_HASH_MODE } = require('../utils/hash');
+const { parseSBOMText } = require('../utils/parse');
+const { convertSyft, CONVERSION_TARGETS } = require('../utils/convert');
+const { validateDocument } = require('../utils/validate');
+const { getContract, getContractReadOnly } = require('../utils/contract');
+const { success, error, info, header, keyValue, displayValidation } = require('../utils/display');
+const registerCommand = require('./register');
+
+/**
+ * Default output path for a converted SBOM: next to the source, with the
+ * target format's suffix (sbom.json -> sbom.cdx.json)
+ * @param {string} sbomFilePath - Path to the source SBOM
+ * @param {string} target - Key of CONVERSION_TARGETS
+ * @returns {string} - Output path
+ */
+function defaultOutputPath(sbomFilePath, target) {
+  const { dir, name } = path.parse(sbomFilePath);
+  return path.join(dir, name + CONVERSION_TARGETS[target].suffix);
+}
+
+/**
+ * Convert a Syft SBOM to CycloneDX or SPDX, optionally registering the result
+ * linked to the registered source record
+ * @param {string} sbomFilePath - Path to the Syft SBOM
+ * @param {Wallet|null} wallet - Vendor's wallet (only needed with options.register)
+ * @param {object} options - Additional options (to, output, register, hashMode, minQuality)
+ */
+async function convertCommand(sbomFilePath, wallet, options = {}) {
+  try {
+    header('CONVERTING SBOM');
+
+    const target = String(options.to || '').toLowerCase();
+    if (!CONVERSION_TARGETS[target]) {
+      throw new Error(`Unknown target format: ${options.to} (expected one of: ${Object.keys(CONVERSION_TARGETS).join(', ')})`);
+    }
+
+    // 1. Read and convert the source document
+    info(`Reading SBOM file: ${sbomFilePath}`);
+    if (!fs.existsSync(sbomFilePath)) {
+      throw new Error(`File not found: ${sbomFilePath}`);
+    }
+    const text = fs.readFileSync(sbomFilePath, 'utf8');
+    const sourceDigest = crypto.createHash('sha256').update(text).digest('hex');
+    const converted = convertSyft(parseSBOMText(text).document, target, { sourceDigest });
+    keyValue('Target Format', CONVERSION_TARGETS[target].name);
+    keyValue('Components', (converted.components || converted.packages || []).length);
+
+    // 2. Check the output against the bundled schema before anyone relies on it
+    const validation = validateDocument(converted);
+    displayValidation(validation);
+    if (!validation.valid) {
+      throw new Error('Converted document failed schema validation');
+    }
+
+    // 3. Write the converted document
+    const outputPath = options.output || defaultOutputPath(sbomFilePath, target);
+    fs.writeFileSync(outputPath, JSON.stringify(converted, null, 2) + '\n');
+    success(`Converted SBOM written to ${outputPath}`);
+
+    if (!options.register) {
+      console.log();
+      return { outputPath };
+    }
+
+    // 4. The source must already be on-chain, so the link points at a signed record
+    console.log();
+    const hashMode = options.hashMode || DEFAULT_HASH_MODE;
+    const sourceHash = getHash(await analyzeSBOM(sbomFilePath, { hashModes: [hashMode] }), hashMode);
+    keyValue('Source Hash', sourceHash);
+
+    info('Verifying source SBOM exists...');
+    const [exists] = await getContractReadOnly().verifySBOM(sourceHash);
+    if (!exists) {
+      info('Register it first using: sbom-cli register ' + sbomFilePath);
+      info('If it was registered with another hash mode, pass it with --hash-mode');
+      throw new Error('Source SBOM not registered');
+    }
+    success('Source SBOM found on blockchain');
+
+    // 5. Register the converted document as a record of its own
+    const registered = await registerCommand(outputPath, wallet, {
+      hashMode,
+      minQuality: options.minQuality
+    });
+
+    // 6. Link it to the source record
+    info('Linking converted SBOM to its source...');
+    const contract = getContract(wallet);
+    const linkTx = await contract.linkDerivedSBOM(sourceHash, registered.hash);
+    await linkTx.wait();
+    success('Converted SBOM linked to source');
+    keyValue('Source Hash', sourceHash);
+    keyValue('Converted Hash', registered.hash);
+    console.log();
+
+    return { outputPath, sourceHash, hash: registered.hash };
+
+  } catch (err) {
+    console.log();
+    error('Conversion failed: ' + err.message);
+    throw err;
+  }
+}
+
+module.exports = convertCommand;
@@ -0,0 +1,206 @@
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+const {
+  getContract, getContractReadOnly, fetchDelegation, fetchKeyVendor, fetchSigningKey, ROLES
+} = require('../utils/contract');
+const { parseTime, formatTime } = require('../utils/time');
+const { success, error, info, warning, header, keyValue } = require('../utils/display');
+
+/**
+ * Describe what a delegation scope covers
+ * @param {Contract} contract - Read-only contract instance
+ * @param {string} scope - keccak256 of a product name, or a root hash
+ * @returns {Promise<string>} - Description
+ */
+async function describeScope(contract, scope) {
+  // Product names are only stored hashed
+  return (await contract.getRootHash(scope)) === scope ? `version chain ${scope}` : `product ${scope}`;
+}
+
+/**
+ * List a vendor's delegates
+ * @param {string} vendor - Vendor address (the address it was registered with)
+ */
+async function delegateListCommand(vendor) {
+  try {
+    header('VENDOR DELEGATES');
+
+    if (!ethers.isAddress(vendor)) {
+      throw new Error(`Invalid vendor address: ${vendor}`);
+    }
+    const contract = getContractReadOnly();
+    const vendorInfo = await contract.getVendorInfo(vendor);
+    keyValue('Vendor', vendorInfo.name ? `${vendorInfo.name} (${vendor})` : vendor);
+
+    const now = (await contract.runner.getBlock('latest')).timestamp;
+    const delegations = [];
+    for (const address of await contract.getVendorDelegates(vendor)) {
+      delegations.push(await fetchDelegation(contract, address));
+    }
+    console.log();
+    if (delegations.length === 0) {
+      warning('No delegates');
+    }
+    for (const delegation of delegations) {
+      let status = chalk.green(`active until ${formatTime(delegation.expiresAt)}`);
+      if (delegation.revokedAt) {
+        status = chalk.gray(`revoked ${formatTime(delegation.revokedAt)}`);
+      } else if (delegation.expiresAt <= now) {
+        status = chalk.gray(`expired ${formatTime(delegation.expiresAt)}`);
+      }
+      console.log(`   ${delegation.delegate}: ${status}` + chalk.gray(` (added ${formatTime(delegation.createdAt)})`));
+      for (const scope of delegation.scopes) {
+        console.log(chalk.gray(`      ${await describeScope(contract, scope)}`));
+      }
+    }
+    console.log();
+
+    return delegations;
+
+  } catch (err) {
+    console.log();
+    error('Failed to list delegates: ' + err.message);
+    throw err;
+  }
+}
+
+/**
+ * Delegate signing rights for some products or version chains, until an expiry time
+ * (or renew a delegation of the vendor's that was revoked or has expired)
+ * @param {string} delegate - Address of the delegate (e.g. a CI bot)
+ * @param {Wallet} wallet - Wallet of one of the vendor's active keys
+ * @param {object} options - Additional options (product, root, expires)
+ */
+async function delegateAddCommand(delegate, wallet, options = {}) {
+  try {
+    header('ADDING DELEGATE');
+
+    if (!ethers.isAddress(delegate)) {
+      throw new Error(`Invalid delegate address: ${delegate}`);
+    }
+    const products = options.product || [];
+    const roots = options.root || [];
+    if (products.length === 0 && roots.length === 0) {
+      throw new Error('Limit the delegation with --product and/or --root');
+    }
+    if (!options.expires) {
+      throw new Error('A delegation needs an expiry time (--expires)');
+    }
+    const expiresAt = parseTime(options.expires);
+
+    // Only a verified vendor's active keys delegate; check before spending gas
+    const contractRO = getContractReadOnly();
+    const vendor = await fetchKeyVendor(contractRO, wallet.address);
+    if (!vendor || !(await contractRO.isVerifiedVendor(vendor))) {
+      throw new Error(`${wallet.address} is not an active key of a verified vendor`);
+    }
+    keyValue('Vendor', vendor);
+    keyValue('Delegate', delegate);
+    keyValue('Expires', formatTime(expiresAt));
+    const now = (await contractRO.runner.getBlock('latest')).timestamp;
+    if (expiresAt <= now) {
+      throw new Error('Expiry time must be in the future');
+    }
+    if (await fetchSigningKey(contractRO, delegate)) {
+      throw new Error(`${delegate} is already a signing key`);
+    }
+    const existing = await fetchDelegation(contractRO, delegate);
+    if (existing) {
+      if (existing.vendor !== vendor) {
+        throw new Error(`${delegate} is already a delegate of vendor ${existing.vendor}`);
+      }
+      if (!existing.revokedAt && existing.expiresAt > now) {
+        throw new Error(`${delegate} is already delegated until ${formatTime(existing.expiresAt)} (revoke it first to change what it covers)`);
+      }
+      info(`Renewing its ${existing.revokedAt ? 'revoked' : 'expired'} delegation; what it signed under it stays valid`);
+    }
+
+    // Products are matched by the hash of their name; chains by their root (first version)
+    const scopes = products.map((product) => {
+      keyValue('Product', product);
+      return ethers.id(product);
+    });
+    for (const hash of roots) {
+      const root = await contractRO.getRootHash(hash);
+      if (root === ethers.ZeroHash) {
+        throw new Error(`SBOM not found on blockchain: ${hash}`);
+      }
+      const [, record] = await contractRO.verifySBOM(root);
+      if (record.vendor !== vendor) {
+        throw new Error(`SBOM ${hash} belongs to another vendor (${record.vendor})`);
+      }
+      keyValue('Version Chain', root);
+      scopes.push(root);
+    }
+
+    const contract = getContract(wallet);
+    const tx = await contract.addDelegate(delegate, scopes, expiresAt);
+    info(`Transaction submitted: ${tx.hash}`);
+    await tx.wait();
+
+    console.log();
+    success(`${delegate} can now sign SBOMs for vendor ${vendor} until ${formatTime(expiresAt)}`);
+    info('It registers with: sbom-cli register <sbom-file> -k <delegate key>');
+    console.log();
+
+    return { vendor, delegate, scopes, expiresAt, txHash: tx.hash };
+
+  } catch (err) {
+    console.log();
+    error('Adding delegate failed: ' + err.message);
+    throw err;
+  }
+}
+
+/**
+ * Revoke a delegation; what the delegate signed so far stays valid
+ * @param {string} delegate - Address of the delegate
+ * @param {Wallet} wallet - Wallet of one of the vendor's active keys, or of a registry admin
+ */
+async function delegateRevokeCommand(delegate, wallet) {
+  try {
+    header('REVOKING DELEGATE');
+
+    if (!ethers.isAddress(delegate)) {
+      throw new Error(`Invalid delegate address: ${delegate}`);
+    }
+    const contractRO = getContractReadOnly();
+    const delegation = await fetchDelegation(contractRO, delegate);
+    if (!delegation) {
+      throw new Error(`Delegate not found: ${delegate}`);
+    }
+    keyValue('Vendor', delegation.vendor);
+    keyValue('Delegate', delegate);
+
+    // Check before spending gas
+    if ((await fetchKeyVendor(contractRO, wallet.address)) !== delegation.vendor &&
+      !(await contractRO.hasRole(ROLES.indexOf('admin'), wallet.address))) {
+      throw new Error(`${wallet.address} is neither an active key of vendor ${delegation.vendor} nor a registry admin`);
+    }
+    if (delegation.revokedAt) {
+      throw new Error(`Delegation was already revoked on ${formatTime(delegation.revokedAt)}`);
+    }
+
+    const contract = getContract(wallet);
+    const tx = await contract.revokeDelegate(delegate);
+    info(`Transaction submitted: ${tx.hash}`);
+    await tx.wait();
+
+    console.log();
+    success(`${delegate} can no longer sign; SBOMs it signed so far stay valid`);
+    console.log();
+
+    return { vendor: delegation.vendor, delegate, txHash: tx.hash };
+
+  } catch (err) {
+    console.log();
+    error('Revocation failed: ' + err.message);
+    throw err;
+  }
+}
+
+module.exports = {
+  delegateListCommand,
+  delegateAddCommand,
+  delegateRevokeCommand
+};
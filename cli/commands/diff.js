@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { analyzeSBOM } = require('../utils/hash');
+const { getRecordedHashMode } = require('../utils/metadata');
+const { diffSBOMs, summarizeDiff, formatDiffSummary } = require('../utils/diff');
+const { getContractReadOnly } = require('../utils/contract');
+const { error, info, header, keyValue } = require('../utils/display');
+
+/**
+ * Find the local file of a registered SBOM
+ * The record's hash mode is read from its on-chain metadata, then each file
+ * in the directory is hashed in that mode until one matches
+ * @param {string} hash - Record hash (0x...)
+ * @param {string} dir - Directory to search (not recursive)
+ * @param {boolean} quiet - Do not print progress
+ * @returns {Promise<string>} - Path of the matching file
+ */
+async function locateSBOMFile(hash, dir, quiet) {
+  const [exists, record] = await getContractReadOnly().verifySBOM(hash);
+  if (!exists) {
+    throw new Error(`SBOM ${hash} not found on blockchain`);
+  }
+  const hashMode = getRecordedHashMode(record.metadata);
+
+  if (!quiet) {
+    info(`Looking for ${hash} in ${dir} (hash mode: ${hashMode})...`);
+  }
+  const files = fs.readdirSync(dir)
+    .map((name) => path.join(dir, name))
+    .filter((filePath) => fs.statSync(filePath).isFile());
+
+  for (const filePath of files) {
+    const analysis = await analyzeSBOM(filePath, { hashModes: [hashMode] });
+    if (analysis.hashes[hashMode] === hash) {
+      return filePath;
+    }
+  }
+
+  throw new Error(`No file in ${dir} matches ${hash} (use --dir to search elsewhere)`);
+}
+
+/**
+ * Resolve a diff argument to a local SBOM file
+ * @param {string} fileOrHash - File path, or record hash (0x + 64 hex)
+ * @param {object} options - Command options (dir, json)
+ * @returns {Promise<string>} - File path
+ */
+async function resolveSBOMFile(fileOrHash, options) {
+  if (/^0x[0-9a-fA-F]{64}$/.test(fileOrHash)) {
+    return locateSBOMFile(fileOrHash, options.dir || '.', options.json);
+  }
+  return fileOrHash;
+}
+
+/**
+ * Print one diff section
+ * @param {string} title - Section title
+ * @param {array} entries - Section entries
+ * @param {function} describe - Formats one entry
+ * @param {number} limit - Maximum entries to print
+ */
+function displaySection(title, entries, describe, limit) {
+  if (entries.length === 0) {
+    return;
+  }
+  console.log(chalk.bold(`${title} (${entries.length}):`));
+  entries.slice(0, limit).forEach((entry) => console.log('   ' + describe(entry)));
+  if (entries.length > limit) {
+    console.log(chalk.gray(`   ... and ${entries.length - limit} more (use --limit to show more)`));
+  }
+  console.log();
+}
+
+/**
+ * Show what changed between two SBOM versions, component by component
+ * @param {string} oldFileOrHash - Old SBOM file, or the hash of a registered one
+ * @param {string} newFileOrHash - New SBOM file, or the hash of a registered one
+ * @param {object} options - Additional options (dir, json, limit)
+ */
+async function diffCommand(oldFileOrHash, newFileOrHash, options = {}) {
+  try {
+    if (!options.json) {
+      header('SBOM DIFF');
+    }
+
+    // 1. Find and read both documents
+    const oldFile = await resolveSBOMFile(oldFileOrHash, options);
+    const newFile = await resolveSBOMFile(newFileOrHash, options);
+    const oldAnalysis = await analyzeSBOM(oldFile);
+    const newAnalysis = await analyzeSBOM(newFile);
+
+    // 2. Compare components and relationships
+    const diff = diffSBOMs(oldAnalysis, newAnalysis);
+    const summary = summarizeDiff(diff);
+
+    if (options.json) {
+      console.log(JSON.stringify({ old: oldFile, new: newFile, summary, diff }, null, 2));
+      return { diff, summary };
+    }
+
+    // 3. Display results
+    keyValue('Old', `${oldFile} (${oldAnalysis.components.length} components)`);
+    keyValue('New', `${newFile} (${newAnalysis.components.length} components)`);
+    console.log();
+
+    const limit = Number(options.limit) || Infinity;
+    const versioned = (entry) => (entry.version ? `${entry.name}@${entry.version}` : entry.name);
+    const license = (value) => value || '(none)';
+
+    displaySection(chalk.green('Added'), diff.added, versioned, limit);
+    displaySection(chalk.red('Removed'), diff.removed, versioned, limit);
+    displaySection(chalk.cyan('Upgraded'), diff.upgraded, (entry) => `${entry.name} ${entry.from} → ${entry.to}`, limit);
+    displaySection(chalk.yellow('Downgraded'), diff.downgraded, (entry) => `${entry.name} ${entry.from} → ${entry.to}`, limit);
+    displaySection('License Changes', diff.licenseChanged,
+      (entry) => `${versioned(entry)}: ${license(entry.from)} → ${license(entry.to)}`, limit);
+    displaySection('Relationships Added', diff.relationshipsAdded, (entry) => `${entry.from} → ${entry.to}`, limit);
+    displaySection('Relationships Removed', diff.relationshipsRemoved, (entry) => `${entry.from} → ${entry.to}`, limit);
+
+    keyValue('Summary', formatDiffSummary(summary));
+    keyValue('Diff Digest', summary.digest);
+    console.log();
+
+    return { diff, summary };
+
+  } catch (err) {
+    error('Diff failed: ' + err.message);
+    throw err;
+  }
+}
+
+module.exports = diffCommand;
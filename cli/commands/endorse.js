@@ -0,0 +1,75 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { signEndorsement } = require('../utils/sign');
+const {
+  getContract, getContractReadOnly, resolveSBOMRecord, fetchWithdrawal, fetchEndorsements, ROLES
+} = require('../utils/contract');
+const { success, error, info, header, keyValue, displayReceipt } = require('../utils/display');
+
+/**
+ * Endorse a registered SBOM as a registry auditor, co-signing its hash
+ * @param {string} fileOrHash - SBOM file or record hash
+ * @param {Wallet} wallet - Auditor's wallet
+ * @param {object} options - Additional options (comment, hashMode)
+ */
+async function endorseCommand(fileOrHash, wallet, options = {}) {
+  try {
+    header('ENDORSING SBOM');
+
+    // 1. Hash the auditor's comments, if any (only the hash goes on-chain)
+    let commentHash = ethers.ZeroHash;
+    if (options.comment) {
+      info(`Reading comments: ${options.comment}`);
+      if (!fs.existsSync(options.comment)) {
+        throw new Error(`File not found: ${options.comment}`);
+      }
+      commentHash = ethers.keccak256(fs.readFileSync(options.comment));
+      keyValue('Comment Hash', commentHash);
+    }
+
+    // 2. Find the record, which must not be withdrawn or endorsed by this auditor yet
+    const contractRO = getContractReadOnly();
+    info(`Looking up SBOM: ${fileOrHash}`);
+    const { hash, record } = await resolveSBOMRecord(contractRO, fileOrHash, options.hashMode);
+    if (!record) {
+      throw new Error('SBOM not found on blockchain');
+    }
+    keyValue('SBOM Hash', hash);
+    keyValue('SBOM Vendor', record.vendor);
+    if (!(await contractRO.hasRole(ROLES.indexOf('auditor'), wallet.address))) {
+      throw new Error(`${wallet.address} is not a registry auditor (see: sbom-cli roles list)`);
+    }
+    const withdrawal = await fetchWithdrawal(contractRO, hash);
+    if (withdrawal) {
+      throw new Error(`SBOM was withdrawn by its vendor (${withdrawal.reason})`);
+    }
+    const endorsements = await fetchEndorsements(contractRO, hash);
+    if (endorsements.some((endorsement) => endorsement.auditor === wallet.address)) {
+      throw new Error('SBOM already endorsed by this auditor');
+    }
+
+    // 3. Co-sign the SBOM hash and comments, and submit
+    console.log();
+    info('Signing SBOM hash with auditor wallet...');
+    const signature = await signEndorsement(wallet, contractRO, { hash, commentHash });
+    info('Submitting transaction to blockchain...');
+    const contract = getContract(wallet);
+    const tx = await contract.endorseSBOM(hash, commentHash, signature);
+    info(`Transaction submitted: ${tx.hash}`);
+    const receipt = await tx.wait();
+
+    console.log();
+    success(`SBOM ENDORSED (${endorsements.length + 1} endorsement(s) in total)`);
+    displayReceipt(receipt);
+    console.log();
+
+    return { hash, auditor: wallet.address, commentHash, txHash: receipt.hash };
+
+  } catch (err) {
+    console.log();
+    error('Endorsement failed: ' + err.message);
+    throw err;
+  }
+}
+
+module.exports = endorseCommand;
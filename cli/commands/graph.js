@@ -0,0 +1,202 @@
+const fs = require('fs');
+const chalk = require('chalk');
+const { analyzeSBOM } = require('../utils/hash');
+const { getContractReadOnly, resolveSBOMRecord, fetchWithdrawal } = require('../utils/contract');
+const {
+  buildGraph, nodeLabel, findRoots, findOrphans, nodeDepths, findPackages, whyPaths, findCycles, pathGraph, toDOT, toMermaid
+} = require('../utils/graph');
+const { success, error, warning, info, header, keyValue } = require('../utils/display');
+
+const EXPORT_FORMATS = { dot: toDOT, mermaid: toMermaid };
+
+/**
+ * Print a list of labels, at most limit of them
+ * @param {string[]} labels - Lines to print
+ * @param {number} limit - Maximum lines to print
+ */
+function displayList(labels, limit) {
+  labels.slice(0, limit).forEach((label) => console.log(`   ${label}`));
+  if (labels.length > limit) {
+    console.log(chalk.gray(`   ... and ${labels.length - limit} more (use --limit to show more)`));
+  }
+}
+
+/**
+ * Describe how a node is included
+ * @param {object} graph - Graph from buildGraph
+ * @param {number} depth - Depth from nodeDepths
+ * @param {number} i - Node index
+ * @returns {string} - Relationship text
+ */
+function describeInclusion(graph, depth, i) {
+  const node = graph.nodes[i];
+  if (node.dependents.length === 0) {
+    return node.dependencies.length > 0 ? 'root' : 'orphan (no relationships in the SBOM)';
+  }
+  if (depth === -1) {
+    return 'not reachable from any root (only depended on within a cycle)';
+  }
+  if (depth === 1) {
+    const roots = node.dependents.filter((j) => graph.nodes[j].dependents.length === 0);
+    return `direct dependency of ${roots.map((j) => nodeLabel(graph.nodes[j])).join(', ')}`;
+  }
+  return `transitive dependency (depth ${depth})`;
+}
+
+/**
+ * Build an SBOM's dependency graph and explain why packages are included
+ * @param {string} sbomFilePath - Path to SBOM file
+ * @param {object} options - Additional options (why, format, output, limit, verify, hashMode)
+ */
+async function graphCommand(sbomFilePath, options = {}) {
+  const format = options.format && String(options.format).toLowerCase();
+  // An export on stdout stays clean
+  const quiet = Boolean(format) && !options.output;
+  try {
+    if (format && !EXPORT_FORMATS[format]) {
+      throw new Error(`Unknown export format: ${options.format} (expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
+    const limit = Number(options.limit) || Infinity;
+
+    if (!quiet) {
+      header('SBOM DEPENDENCY GRAPH');
+      info(`Reading SBOM file: ${sbomFilePath}`);
+    }
+
+    // 1. Optionally make sure the SBOM is the one its vendor registered
+    if (options.verify) {
+      const contract = getContractReadOnly();
+      const { hash, record } = await resolveSBOMRecord(contract, sbomFilePath, options.hashMode);
+      if (!record) {
+        throw new Error('SBOM not found on blockchain (--verify needs a registered SBOM)');
+      }
+      const [, signatureValid, vendorVerified, vendorName, withdrawalReason] = await contract.verifyCompleteSBOM(hash);
+      if (!signatureValid) {
+        throw new Error('SBOM signature is invalid');
+      }
+      if (Number(withdrawalReason) !== 0) {
+        const withdrawal = await fetchWithdrawal(contract, hash);
+        throw new Error(`SBOM was withdrawn by its vendor (${withdrawal.reason})` +
+          (withdrawal.replacementHash ? `; use its replacement ${withdrawal.replacementHash}` : ''));
+      }
+      if (!quiet) {
+        keyValue('SBOM Hash', hash);
+        keyValue('Vendor', `${vendorName || record.vendor}` + (vendorVerified ? '' : ' (not verified)'));
+        success('SBOM is registered and its signature is valid');
+        console.log();
+      }
+    }
+
+    // 2. Build the graph
+    const analysis = await analyzeSBOM(sbomFilePath);
+    const graph = buildGraph(analysis.components, analysis.dependencies);
+    const roots = findRoots(graph);
+    const orphans = findOrphans(graph);
+    const cycles = findCycles(graph);
+    const depths = nodeDepths(graph);
+    const label = (i) => nodeLabel(graph.nodes[i]);
+
+    if (graph.edges === 0) {
+      throw new Error('SBOM has no dependency relationships');
+    }
+
+    // 3. Explain why the asked-for package is included
+    let exported = graph;
+    const highlight = new Set();
+    const explanations = [];
+    if (options.why) {
+      const matches = findPackages(graph, options.why);
+      if (matches.length === 0) {
+        throw new Error(`Package not found in SBOM: ${options.why}`);
+      }
+      const allPaths = [];
+      matches.forEach((i) => {
+        const paths = whyPaths(graph, i);
+        explanations.push({
+          package: label(i),
+          purl: graph.nodes[i].component.purl || null,
+          inclusion: describeInclusion(graph, depths[i], i),
+          requiredBy: graph.nodes[i].dependents.map(label),
+          paths: paths.map((path) => path.map(label))
+        });
+        highlight.add(graph.nodes[i].id);
+        allPaths.push(...(paths.length > 0 ? paths.slice(0, limit) : [[i]]));
+      });
+      exported = pathGraph(graph, allPaths);
+    }
+
+    // 4. Export
+    if (format) {
+      const text = EXPORT_FORMATS[format](exported, { highlight });
+      if (options.output) {
+        fs.writeFileSync(options.output, text);
+      } else {
+        process.stdout.write(text);
+        return { graph, explanations };
+      }
+    }
+
+    // 5. Report
+    const direct = depths.filter((depth) => depth === 1).length;
+    const transitive = depths.filter((depth) => depth > 1).length;
+    keyValue('Format', analysis.metadata.format);
+    keyValue('Components', graph.nodes.length);
+    keyValue('Dependencies', graph.edges);
+    keyValue('Roots', roots.length);
+    keyValue('Direct', direct);
+    keyValue('Transitive', transitive);
+    keyValue('Max Depth', Math.max(0, ...depths));
+    keyValue('Cycles', cycles.length);
+    keyValue('Orphans', orphans.length);
+
+    if (explanations.length > 0) {
+      explanations.forEach((explanation) => {
+        header(`WHY ${explanation.package}?`);
+        if (explanation.purl) {
+          keyValue('Package URL', explanation.purl);
+        }
+        keyValue('Included As', explanation.inclusion);
+        if (explanation.requiredBy.length > 0) {
+          console.log();
+          info(`Required by ${explanation.requiredBy.length} component(s):`);
+          displayList(explanation.requiredBy, limit);
+        }
+        if (explanation.paths.length > 0) {
+          console.log();
+          info(`Shortest path from each root (${explanation.paths.length}):`);
+          displayList(explanation.paths.map((path) => path.join(chalk.gray(' → '))), limit);
+        }
+      });
+    } else {
+      console.log();
+      info('Roots:');
+      displayList(roots.map(label), limit);
+      if (cycles.length > 0) {
+        console.log();
+        warning(`${cycles.length} dependency cycle(s):`);
+        displayList(cycles.map((cycle) => [...cycle, cycle[0]].map(label).join(chalk.gray(' → '))), limit);
+      }
+      if (orphans.length > 0) {
+        console.log();
+        warning(`${orphans.length} component(s) have no relationships, so the SBOM does not say why they are included:`);
+        displayList(orphans.map(label), limit);
+      }
+    }
+
+    if (format) {
+      console.log();
+      success(`${format === 'dot' ? 'DOT' : 'Mermaid'} graph written to ${options.output}`);
+    }
+    console.log();
+
+    return { graph, explanations };
+
+  } catch (err) {
+    if (!quiet) {
+      error('Graph failed: ' + err.message);
+    }
+    throw err;
+  }
+}
+
+module.exports = graphCommand;
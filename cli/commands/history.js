@@ -1,5 +1,4 @@
-const { hashSBOM } = require('../utils/hash');
-const { getContractReadOnly } = require('../utils/contract');
+const { getContractReadOnly, resolveSBOMRecord, fetchWithdrawal } = require('../utils/contract');
 const { error, info, header, displayHistory } = require('../utils/display');
 
 /**
@@ -11,18 +10,11 @@ async function historyCommand(hashOrFile, options = {}) {
   try {
     header('SBOM VERSION HISTORY');
     
-    let hash;
-    
     // Check if input is a hash or file path
     if (hashOrFile.startsWith('0x')) {
-      // It's a hash
-      hash = hashOrFile;
-      info(`Using hash: ${hash}`);
+      info(`Using hash: ${hashOrFile}`);
     } else {
-      // It's a file path
       info(`Reading SBOM file: ${hashOrFile}`);
-      hash = hashSBOM(hashOrFile);
-      info(`Computed hash: ${hash}`);
     }
     
     // Get contract
@@ -30,9 +22,13 @@ async function historyCommand(hashOrFile, options = {}) {
     info('Querying blockchain for version history...');
     const contract = getContractReadOnly();
     
-    // Check if SBOM exists
-    const [exists] = await contract.verifySBOM(hash);
-    if (!exists) {
+    // Find the record (a file in the hash mode it was registered under)
+    const { hash, hashMode, record } = await resolveSBOMRecord(contract, hashOrFile, options.hashMode || 'auto');
+    if (hashMode) {
+      info(`Hash mode: ${hashMode}`);
+      info(`Computed hash: ${hash}`);
+    }
+    if (!record) {
       console.log();
       error('SBOM not found on blockchain');
       info('This SBOM has never been registered');
@@ -51,7 +47,8 @@ async function historyCommand(hashOrFile, options = {}) {
         vendor: record.vendor,
         timestamp: record.timestamp,
         metadata: record.metadata,
-        previousHash: record.previousHash
+        previousHash: record.previousHash,
+        withdrawal: await fetchWithdrawal(contract, versionHash)
       };
     }
     
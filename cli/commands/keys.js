@@ -0,0 +1,215 @@
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+const { getContract, getContractReadOnly, fetchSigningKey, ROLES } = require('../utils/contract');
+const { parseTime, formatTime } = require('../utils/time');
+const { success, error, info, warning, header, keyValue } = require('../utils/display');
+
+/**
+ * Check that a wallet may manage a vendor's keys: one of its active keys, or a registry admin
+ * @param {Contract} contract - Read-only contract instance
+ * @param {string} vendor - Vendor address
+ * @param {Wallet} wallet - Caller's wallet
+ */
+async function checkKeyManager(contract, vendor, wallet) {
+  const own = await fetchSigningKey(contract, wallet.address);
+  if (own && own.vendor === vendor && !own.retiredAt) {
+    return;
+  }
+  if (await contract.hasRole(ROLES.indexOf('admin'), wallet.address)) {
+    return;
+  }
+  throw new Error(`${wallet.address} is neither an active key of vendor ${vendor} nor a registry admin`);
+}
+
+/**
+ * Check that a wallet may report a key compromised: the key itself while active,
+ * the vendor's primary (registration) address while active, or a registry admin
+ * @param {Contract} contract - Read-only contract instance
+ * @param {object} signingKey - The reported key (from fetchSigningKey)
+ * @param {Wallet} wallet - Caller's wallet
+ */
+async function checkCompromiseReporter(contract, signingKey, wallet) {
+  const own = await fetchSigningKey(contract, wallet.address);
+  const reported = ethers.getAddress(signingKey.key);
+  if (own && !own.retiredAt && (own.key === reported || own.key === signingKey.vendor)) {
+    return;
+  }
+  if (await contract.hasRole(ROLES.indexOf('admin'), wallet.address)) {
+    return;
+  }
+  throw new Error(
+    `${wallet.address} may not report ${signingKey.key}: only the key itself, ` +
+    `the vendor's primary address (${signingKey.vendor}) or a registry admin can`
+  );
+}
+
+/**
+ * List a vendor's signing keys
+ * @param {string} vendor - Vendor address (the address it was registered with)
+ */
+async function keysListCommand(vendor) {
+  try {
+    header('VENDOR SIGNING KEYS');
+
+    if (!ethers.isAddress(vendor)) {
+      throw new Error(`Invalid vendor address: ${vendor}`);
+    }
+    const contract = getContractReadOnly();
+    const vendorInfo = await contract.getVendorInfo(vendor);
+    keyValue('Vendor', vendorInfo.name ? `${vendorInfo.name} (${vendor})` : vendor);
+    keyValue('Verified', vendorInfo.verified ? '✅ Yes' : '❌ No');
+
+    const keys = [];
+    for (const address of await contract.getVendorKeys(vendor)) {
+      keys.push(await fetchSigningKey(contract, address));
+    }
+    console.log();
+    if (keys.length === 0) {
+      warning('No signing keys (is this the address the vendor was registered with?)');
+    }
+    keys.forEach((key) => {
+      let status = chalk.green('active');
+      if (key.compromisedAt) {
+        status = chalk.red(`compromised as of ${formatTime(key.compromisedAt)}`);
+      } else if (key.retiredAt) {
+        status = chalk.gray(`retired ${formatTime(key.retiredAt)}`);
+      }
+      console.log(`   ${key.key}: ${status}` + chalk.gray(` (added ${formatTime(key.addedAt)})`));
+    });
+    console.log();
+
+    return keys;
+
+  } catch (err) {
+    console.log();
+    error('Failed to list keys: ' + err.message);
+    throw err;
+  }
+}
+
+/**
+ * Authorize another signing key for a vendor
+ * @param {string} key - Address of the new key
+ * @param {Wallet} wallet - Wallet of one of the vendor's active keys, or of a registry admin
+ * @param {object} options - Additional options (vendor; defaults to the wallet's vendor)
+ */
+async function keyAddCommand(key, wallet, options = {}) {
+  try {
+    header('ADDING SIGNING KEY');
+
+    if (!ethers.isAddress(key)) {
+      throw new Error(`Invalid key address: ${key}`);
+    }
+    const contractRO = getContractReadOnly();
+    let vendor = options.vendor;
+    if (!vendor) {
+      const own = await fetchSigningKey(contractRO, wallet.address);
+      if (!own) {
+        throw new Error(`${wallet.address} is not a vendor key (an admin must pass --vendor)`);
+      }
+      vendor = own.vendor;
+    } else if (!ethers.isAddress(vendor)) {
+      throw new Error(`Invalid vendor address: ${vendor}`);
+    }
+    keyValue('Vendor', vendor);
+    keyValue('New Key', key);
+
+    // Check before spending gas
+    await checkKeyManager(contractRO, vendor, wallet);
+    const existing = await fetchSigningKey(contractRO, key);
+    if (existing) {
+      throw new Error(`Key already in use by vendor ${existing.vendor}`);
+    }
+
+    const contract = getContract(wallet);
+    const tx = await contract.addSigningKey(vendor, key);
+    info(`Transaction submitted: ${tx.hash}`);
+    await tx.wait();
+
+    console.log();
+    success(`${key} can now sign SBOMs for vendor ${vendor}`);
+    console.log();
+
+    return { vendor, key, txHash: tx.hash };
+
+  } catch (err) {
+    console.log();
+    error('Adding key failed: ' + err.message);
+    throw err;
+  }
+}
+
+/**
+ * Retire a signing key, or report it compromised as of a point in time
+ * @param {string} key - Address of the key
+ * @param {Wallet} wallet - Wallet of one of the vendor's active keys, or of a registry admin
+ * (to report a compromise: the key itself, the vendor's primary address or a registry admin)
+ * @param {object} options - Additional options (compromised, since)
+ */
+async function keyRetireCommand(key, wallet, options = {}) {
+  try {
+    header(options.compromised ? 'REPORTING KEY COMPROMISE' : 'RETIRING SIGNING KEY');
+
+    if (!ethers.isAddress(key)) {
+      throw new Error(`Invalid key address: ${key}`);
+    }
+    const contractRO = getContractReadOnly();
+    const signingKey = await fetchSigningKey(contractRO, key);
+    if (!signingKey) {
+      throw new Error(`Key not found: ${key}`);
+    }
+    keyValue('Vendor', signingKey.vendor);
+    keyValue('Key', key);
+
+    // Check before spending gas
+    let compromisedAt = null;
+    if (options.compromised) {
+      await checkCompromiseReporter(contractRO, signingKey, wallet);
+      // Without --since, use the chain's clock (the time must not be in its future)
+      compromisedAt = options.since
+        ? parseTime(options.since)
+        : (await contractRO.runner.getBlock('latest')).timestamp;
+      keyValue('Compromised As Of', formatTime(compromisedAt));
+      if (compromisedAt < signingKey.addedAt) {
+        throw new Error(`Compromise time is before the key was added (${formatTime(signingKey.addedAt)})`);
+      }
+      if (signingKey.compromisedAt && compromisedAt >= signingKey.compromisedAt) {
+        throw new Error(`Key was already reported compromised as of ${formatTime(signingKey.compromisedAt)}`);
+      }
+    } else {
+      await checkKeyManager(contractRO, signingKey.vendor, wallet);
+      if (signingKey.retiredAt) {
+        throw new Error(`Key was already retired on ${formatTime(signingKey.retiredAt)}`);
+      }
+    }
+
+    const contract = getContract(wallet);
+    const tx = options.compromised
+      ? await contract.reportKeyCompromise(key, compromisedAt)
+      : await contract.retireSigningKey(key);
+    info(`Transaction submitted: ${tx.hash}`);
+    await tx.wait();
+
+    console.log();
+    if (options.compromised) {
+      success(`${key} is retired; SBOMs it signed from ${formatTime(compromisedAt)} on are distrusted`);
+      info('SBOMs it signed earlier stay valid');
+    } else {
+      success(`${key} is retired; SBOMs it signed so far stay valid`);
+    }
+    console.log();
+
+    return { vendor: signingKey.vendor, key, compromisedAt, txHash: tx.hash };
+
+  } catch (err) {
+    console.log();
+    error((options.compromised ? 'Compromise report' : 'Retirement') + ' failed: ' + err.message);
+    throw err;
+  }
+}
+
+module.exports = {
+  keysListCommand,
+  keyAddCommand,
+  keyRetireCommand
+};
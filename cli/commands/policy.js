@@ -0,0 +1,47 @@
+const { analyzeSBOM } = require('../utils/hash');
+const { loadPolicy, evaluatePolicy } = require('../utils/policy');
+const { success, error, warning, info, header, keyValue, displayPolicyReport } = require('../utils/display');
+
+/**
+ * Check every component's licenses against a license policy
+ * @param {string} sbomFilePath - Path to SBOM file
+ * @param {object} options - Additional options (policy, limit)
+ */
+async function policyCheckCommand(sbomFilePath, options = {}) {
+  try {
+    header('LICENSE POLICY CHECK');
+
+    // 1. Load the policy before reading a possibly large SBOM
+    info(`Reading policy file: ${options.policy}`);
+    const policy = loadPolicy(options.policy);
+
+    // 2. Read the SBOM's components
+    info(`Reading SBOM file: ${sbomFilePath}`);
+    const analysis = await analyzeSBOM(sbomFilePath);
+    keyValue('Format', analysis.metadata.format);
+    console.log();
+
+    if (analysis.components.length === 0) {
+      warning('No components found');
+    }
+
+    // 3. Evaluate and report
+    const report = evaluatePolicy(policy, analysis.components);
+    displayPolicyReport(report, Number(options.limit) || Infinity);
+    console.log();
+
+    if (!report.compliant) {
+      throw new Error(`${report.violations.length} component(s) violate the license policy`);
+    }
+    success('SBOM complies with the license policy');
+    console.log();
+
+    return report;
+
+  } catch (err) {
+    error('Policy check failed: ' + err.message);
+    throw err;
+  }
+}
+
+module.exports = policyCheckCommand;
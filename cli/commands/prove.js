@@ -0,0 +1,85 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { disclosedFields, componentLeaf, buildMerkleTree, getMerkleRoot, getProof } = require('../utils/merkle');
+const { getContractReadOnly, resolveSBOMRecord } = require('../utils/contract');
+const { success, error, warning, info, header, keyValue } = require('../utils/display');
+
+/**
+ * Generate an inclusion proof that a package is part of a registered SBOM
+ * @param {string} sbomFilePath - Path to SBOM file
+ * @param {object} options - Additional options (purl, output, hashMode)
+ */
+async function proveCommand(sbomFilePath, options = {}) {
+  try {
+    header('GENERATING INCLUSION PROOF');
+    
+    // 1. Find the SBOM's record (in the hash mode it was registered under) and the component
+    info(`Reading SBOM file: ${sbomFilePath}`);
+    const contract = getContractReadOnly();
+    const { hash, hashMode, record, analysis } = await resolveSBOMRecord(contract, sbomFilePath, options.hashMode || 'auto');
+    keyValue('SBOM Hash', hash);
+    keyValue('Hash Mode', hashMode);
+    if (!record) {
+      warning('This SBOM is not registered on the blockchain');
+    }
+    
+    const components = analysis.components;
+    const matches = components.filter((component) => component.purl === options.purl);
+    
+    if (matches.length === 0) {
+      throw new Error(`Component not found in SBOM: ${options.purl}`);
+    }
+    
+    const component = disclosedFields(matches[0]);
+    keyValue('Component', `${component.name}@${component.version}`);
+    keyValue('Package URL', component.purl);
+    
+    // 2. Build the Merkle tree and the proof
+    const levels = buildMerkleTree(components);
+    const componentRoot = getMerkleRoot(levels);
+    const leaf = componentLeaf(component);
+    const proof = getProof(levels, leaf);
+    keyValue('Component Root', componentRoot);
+    keyValue('Proof Length', proof.length);
+    
+    // 3. Make sure the root matches what is anchored on-chain
+    console.log();
+    info('Checking anchored component root on blockchain...');
+    const anchoredRoot = await contract.getComponentRoot(hash);
+    
+    if (anchoredRoot === ethers.ZeroHash) {
+      warning('No component root is anchored for this SBOM - the proof cannot be verified yet');
+    } else if (anchoredRoot.toLowerCase() !== componentRoot.toLowerCase()) {
+      throw new Error(`Anchored root ${anchoredRoot} does not match this SBOM's components`);
+    } else {
+      success('Component root matches the anchored root');
+    }
+    
+    // 4. Write the proof file
+    const proofDocument = {
+      sbomHash: hash,
+      componentRoot,
+      component,
+      leaf,
+      proof
+    };
+    
+    const outputPath = options.output || 'inclusion-proof.json';
+    fs.writeFileSync(outputPath, JSON.stringify(proofDocument, null, 2));
+    
+    console.log();
+    success(`Inclusion proof written to ${outputPath}`);
+    info('Anyone can check it without the SBOM using:');
+    console.log(`   sbom-cli verify-proof ${outputPath}`);
+    console.log();
+    
+    return proofDocument;
+    
+  } catch (err) {
+    console.log();
+    error('Proof generation failed: ' + err.message);
+    throw err;
+  }
+}
+
+module.exports = proveCommand;
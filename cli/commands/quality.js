@@ -0,0 +1,66 @@
+const chalk = require('chalk');
+const { analyzeSBOM } = require('../utils/hash');
+const { QUALITY_ELEMENTS, checkMinQuality } = require('../utils/quality');
+const { success, error, warning, info, header, keyValue, displayQuality } = require('../utils/display');
+
+/**
+ * Score an SBOM against the NTIA minimum elements
+ * @param {string} sbomFilePath - Path to SBOM file
+ * @param {object} options - Additional options (limit, minQuality)
+ */
+async function qualityCommand(sbomFilePath, options = {}) {
+  try {
+    header('SBOM QUALITY (NTIA MINIMUM ELEMENTS)');
+
+    // 1. Read the file and score it
+    info(`Reading SBOM file: ${sbomFilePath}`);
+    const analysis = await analyzeSBOM(sbomFilePath);
+    const { quality } = analysis;
+    keyValue('Format', analysis.metadata.format);
+    keyValue('Components', analysis.components.length);
+    console.log();
+
+    // 2. Display the score and each element's coverage
+    displayQuality(quality);
+    console.log();
+
+    // 3. List the components missing elements
+    const labels = {};
+    QUALITY_ELEMENTS.forEach((element) => {
+      labels[element.key] = element.label;
+    });
+
+    if (analysis.components.length === 0) {
+      warning('No components found');
+    } else if (quality.components.length === 0) {
+      success('Every component has all component elements');
+    } else {
+      const limit = Number(options.limit) || quality.components.length;
+      info(`${quality.components.length} component(s) missing elements:`);
+      quality.components.slice(0, limit).forEach((component) => {
+        const name = component.name || component.id || '(unnamed)';
+        const label = component.version ? `${name}@${component.version}` : name;
+        const missing = component.missing.map((key) => labels[key]).join(', ');
+        console.log(`   ${chalk.white(label)} ${chalk.gray('- missing ' + missing)}`);
+      });
+      if (quality.components.length > limit) {
+        console.log(chalk.gray(`   ... and ${quality.components.length - limit} more (use --limit to show more)`));
+      }
+    }
+    console.log();
+
+    // 4. Enforce the threshold, if any
+    if (options.minQuality !== undefined) {
+      checkMinQuality(quality, options.minQuality);
+      success(`Quality meets the required minimum of ${options.minQuality}`);
+    }
+
+    return quality;
+
+  } catch (err) {
+    error('Quality check failed: ' + err.message);
+    throw err;
+  }
+}
+
+module.exports = qualityCommand;
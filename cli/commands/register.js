@@ -1,7 +1,16 @@
-const { hashSBOM, extractMetadata } = require('../utils/hash');
-const { signHash } = require('../utils/sign');
-const { getContract } = require('../utils/contract');
-const { success, error, info, header, keyValue, displayReceipt } = require('../utils/display');
+const fs = require('fs');
+const { analyzeSBOM, getHash, getExtraDigests, DEFAULT_HASH_MODE } = require('../utils/hash');
+const { signSBOM, signDelegatedSBOM, createRelayRequest } = require('../utils/sign');
+const { computeComponentRoot } = require('../utils/merkle');
+const { checkMinQuality } = require('../utils/quality');
+const { getContract, getContractReadOnly, fetchSigningKey, fetchDelegation } = require('../utils/contract');
+const { parseTime, formatTime } = require('../utils/time');
+const {
+  success, error, warning, info, header, keyValue, displayReceipt, displayValidation, displayQuality
+} = require('../utils/display');
+
+// How long a relayer has to submit a registration request by default (seconds)
+const DEFAULT_RELAY_WINDOW = 24 * 60 * 60;
 
 /**
  * Register an SBOM on the blockchain
@@ -13,46 +22,154 @@ async function registerCommand(sbomFilePath, wallet, options = {}) {
   try {
     header('REGISTERING SBOM');
     
-    // 1. Hash the file
+    // 1. Hash the file and extract metadata in a single streaming pass
+    const hashMode = options.hashMode || DEFAULT_HASH_MODE;
     info(`Reading SBOM file: ${sbomFilePath}`);
-    const hash = hashSBOM(sbomFilePath);
+    const analysis = await analyzeSBOM(sbomFilePath, {
+      hashModes: [hashMode],
+      validate: options.validate !== false
+    });
+    const hash = getHash(analysis, hashMode);
+    keyValue('Hash Mode', hashMode);
     keyValue('SBOM Hash', hash);
     
-    // 2. Extract metadata
-    const metadata = extractMetadata(sbomFilePath);
+    // 2. Refuse documents that do not match their format's schema - a
+    //    registration is permanent
+    if (options.validate === false) {
+      warning('Schema validation skipped (--no-validate)');
+    } else {
+      displayValidation(analysis.validation);
+      if (analysis.validation.valid === false) {
+        throw new Error('SBOM failed schema validation (fix the errors above, or pass --no-validate to register it anyway)');
+      }
+    }
+    
+    // 3. Score the NTIA minimum elements, refusing SBOMs below --min-quality
+    console.log();
+    displayQuality(analysis.quality);
+    if (options.minQuality !== undefined) {
+      checkMinQuality(analysis.quality, options.minQuality);
+    }
+    console.log();
+    
+    // 4. Prepare metadata (record the hash mode so verifiers can recompute it,
+    //    and the quality score so consumers can see it)
+    const metadata = analysis.metadata;
+    metadata.hashMode = hashMode;
+    metadata.quality = analysis.quality.score;
     const metadataString = JSON.stringify(metadata);
     keyValue('Metadata', metadataString);
     
-    // 3. Sign the hash
-    info('Signing with vendor wallet...');
-    const signature = await signHash(hash, wallet);
+    // 5. Delegates (e.g. CI bots) register under their vendor, for a product
+    //    their delegation covers: the product the document names, which the
+    //    delegate signs along with the metadata
+    const contractRO = getContractReadOnly();
+    const delegation = (await fetchSigningKey(contractRO, wallet.address))
+      ? null
+      : await fetchDelegation(contractRO, wallet.address);
+    const product = metadata.name;
+    if (delegation) {
+      if (product === 'Unknown') {
+        throw new Error('The SBOM does not name its product, so a delegation cannot cover it');
+      }
+      keyValue('Delegate For', delegation.vendor);
+      keyValue('Product', product);
+    }
+    
+    // 6. Vendors without ETH sign a request for a relayer to submit instead
+    //    (sbom-cli relay); only the registration itself is relayed
+    if (options.relayRequest) {
+      if (delegation) {
+        throw new Error('Delegates submit their registrations themselves (--relay-request is for vendor keys)');
+      }
+      const now = (await contractRO.runner.getBlock('latest')).timestamp;
+      const deadline = options.deadline ? parseTime(options.deadline) : now + DEFAULT_RELAY_WINDOW;
+      if (deadline <= now) {
+        throw new Error('Deadline must be in the future');
+      }
+      info('Signing registration request with vendor wallet...');
+      const request = await createRelayRequest(wallet, contractRO, { hash, metadata: metadataString, deadline });
+      fs.writeFileSync(options.relayRequest, JSON.stringify(request, null, 2));
+      keyValue('Signature', request.signature.slice(0, 20) + '...');
+      keyValue('Vendor Address', wallet.address);
+      keyValue('Submit By', formatTime(deadline));
+      
+      console.log();
+      success(`Registration request written to ${options.relayRequest}`);
+      info(`A relayer submits it with: sbom-cli relay ${options.relayRequest} -k <relayer key>`);
+      warning('Relayed registrations do not anchor a component root or record digests');
+      console.log();
+      
+      return { hash, requestFile: options.relayRequest, deadline };
+    }
+    
+    // 7. Sign the hash and metadata
+    info(delegation ? 'Signing with delegate wallet...' : 'Signing with vendor wallet...');
+    const signature = delegation
+      ? await signDelegatedSBOM(wallet, contractRO, { hash, metadata: metadataString, product })
+      : await signSBOM(wallet, contractRO, { hash, metadata: metadataString });
     keyValue('Signature', signature.slice(0, 20) + '...');
-    keyValue('Vendor Address', wallet.address);
+    keyValue(delegation ? 'Delegate Address' : 'Vendor Address', wallet.address);
     
-    // 4. Register on blockchain
+    // 8. Register on blockchain
     console.log();
     info('Submitting transaction to blockchain...');
     
     const contract = getContract(wallet);
-    const tx = await contract.registerSBOM(hash, metadataString, signature);
+    const tx = delegation
+      ? await contract.registerDelegatedSBOM(hash, product, metadataString, signature)
+      : await contract.registerSBOM(hash, metadataString, signature);
     
     info(`Transaction submitted: ${tx.hash}`);
     info('Waiting for confirmation...');
     
     const receipt = await tx.wait();
     
-    // 5. Display results
+    // 9. Display results
     console.log();
     success('SBOM SUCCESSFULLY REGISTERED!');
     displayReceipt(receipt);
     
+    // 10. Anchor the component Merkle root for selective disclosure proofs
+    let componentRoot = null;
+    const components = options.components === false ? [] : analysis.components;
+    if (components.length > 0) {
+      componentRoot = computeComponentRoot(components);
+      console.log();
+      info(`Anchoring Merkle root over ${components.length} component(s)...`);
+      keyValue('Component Root', componentRoot);
+      
+      const anchorTx = await contract.anchorComponentRoot(hash, componentRoot);
+      await anchorTx.wait();
+      success('Component root anchored');
+    }
+    
+    // 11. Record SHA-256/SHA-512 digests so the SBOM can be found by them
+    if (options.digests !== false) {
+      const { algorithms, digests } = getExtraDigests(analysis);
+      console.log();
+      info(`Recording ${algorithms.join(', ')} digests...`);
+      algorithms.forEach((algorithm, i) => keyValue(algorithm, digests[i]));
+      
+      try {
+        const digestTx = await contract.addDigests(hash, algorithms, digests);
+        await digestTx.wait();
+        success('Digests recorded');
+      } catch (err) {
+        // The record itself is registered; e.g. the same file may already be
+        // indexed under a record created with another hash mode
+        warning('Could not record digests: ' + (err.reason || err.message));
+      }
+    }
+    
     console.log();
     info('You can now verify this SBOM using:');
-    console.log(`   sbom-cli verify ${sbomFilePath}`);
+    console.log(`   sbom-cli verify ${sbomFilePath} --hash-mode ${hashMode}`);
     console.log();
     
     return {
       hash,
+      componentRoot,
       txHash: receipt.hash,
       blockNumber: receipt.blockNumber
     };
@@ -68,6 +185,18 @@ async function registerCommand(sbomFilePath, wallet, options = {}) {
       info('Your address: ' + wallet.address);
     }
     
+    if (err.message.includes('Signing key retired')) {
+      console.log();
+      info('This key was retired or reported compromised (see: sbom-cli keys list <vendor>).');
+      info('Your address: ' + wallet.address);
+    }
+    
+    if (/Delegation (expired|revoked)|Not covered by the delegation/.test(err.message)) {
+      console.log();
+      info('Ask the vendor for a delegation covering this product (see: sbom-cli delegate list <vendor>).');
+      info('Your address: ' + wallet.address);
+    }
+    
     throw err;
   }
 }
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { RELAY_REQUEST_TYPE } = require('../utils/sign');
+const { getContract, getContractReadOnly, fetchKeyVendor } = require('../utils/contract');
+const { formatTime } = require('../utils/time');
+const { success, error, info, header, keyValue, displayReceipt } = require('../utils/display');
+
+/**
+ * Submit a registration request a vendor signed offline, paying its gas
+ * @param {string} requestFile - Path to the request file (from register --relay-request)
+ * @param {Wallet} wallet - Relayer's wallet
+ */
+async function relayCommand(requestFile, wallet) {
+  try {
+    header('RELAYING SBOM REGISTRATION');
+
+    // 1. Read the request
+    info(`Reading request: ${requestFile}`);
+    if (!fs.existsSync(requestFile)) {
+      throw new Error(`File not found: ${requestFile}`);
+    }
+    let request;
+    try {
+      request = JSON.parse(fs.readFileSync(requestFile, 'utf8'));
+    } catch (err) {
+      throw new Error(`Invalid request file: ${err.message}`);
+    }
+    if (request.type !== RELAY_REQUEST_TYPE) {
+      throw new Error(`Not a signed registration request (expected type "${RELAY_REQUEST_TYPE}")`);
+    }
+    if (!ethers.isAddress(request.signer) || !ethers.isHexString(request.hash, 32) ||
+      typeof request.metadata !== 'string' || !Number.isInteger(request.deadline) ||
+      !ethers.isHexString(request.signature, 65)) {
+      throw new Error('Request file is incomplete (signer, hash, metadata, deadline and signature are required)');
+    }
+    keyValue('SBOM Hash', request.hash);
+    keyValue('Signed By', request.signer);
+    keyValue('Submit By', formatTime(request.deadline));
+
+    // 2. Check it against the registry before spending gas
+    const contractRO = getContractReadOnly();
+    const chainId = (await contractRO.runner.provider.getNetwork()).chainId.toString();
+    if (String(request.registry).toLowerCase() !== (await contractRO.getAddress()).toLowerCase() ||
+      request.chainId !== chainId) {
+      throw new Error(`Request was signed for registry ${request.registry} on chain ${request.chainId}, not the configured one`);
+    }
+    const [exists] = await contractRO.verifySBOM(request.hash);
+    if (exists) {
+      throw new Error('SBOM already registered');
+    }
+    if (request.deadline < (await contractRO.runner.getBlock('latest')).timestamp) {
+      throw new Error('Request expired - ask the vendor to sign a new one');
+    }
+    const nonce = await contractRO.getNonce(request.signer);
+    if (BigInt(request.nonce) !== nonce) {
+      throw new Error(`Request is stale: ${request.signer} has submitted since signing it (nonce ${request.nonce}, now ${nonce})`);
+    }
+    const vendor = await fetchKeyVendor(contractRO, request.signer);
+    if (!vendor || !(await contractRO.isVerifiedVendor(vendor))) {
+      throw new Error(`${request.signer} is not an active key of a verified vendor`);
+    }
+    keyValue('Vendor', vendor);
+    keyValue('Relayer', wallet.address);
+
+    // 3. Submit it
+    console.log();
+    info('Submitting transaction to blockchain...');
+    const contract = getContract(wallet);
+    const tx = await contract.registerSBOMFor(
+      request.signer, request.hash, request.metadata, request.deadline, request.signature
+    );
+    info(`Transaction submitted: ${tx.hash}`);
+    const receipt = await tx.wait();
+
+    console.log();
+    success(`SBOM REGISTERED FOR VENDOR ${vendor}`);
+    displayReceipt(receipt);
+    console.log();
+
+    return { hash: request.hash, vendor, relayer: wallet.address, txHash: receipt.hash };
+
+  } catch (err) {
+    console.log();
+    error('Relaying failed: ' + err.message);
+    throw err;
+  }
+}
+
+module.exports = relayCommand;
@@ -0,0 +1,120 @@
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+const { getContract, getContractReadOnly, getContractAddress, ROLES } = require('../utils/contract');
+const { success, error, info, header, keyValue } = require('../utils/display');
+
+// What each role may do
+const ROLE_DESCRIPTIONS = {
+  admin: 'registers and revokes vendors',
+  auditor: 'flags and endorses SBOMs',
+  pauser: 'pauses and resumes new submissions'
+};
+
+/**
+ * Look up a role by name
+ * @param {string} name - Role name
+ * @returns {number} - Role enum value
+ */
+function parseRole(name) {
+  const role = ROLES.indexOf(String(name).toLowerCase());
+  if (role === -1) {
+    throw new Error(`Unknown role: ${name} (expected one of: ${ROLES.join(', ')})`);
+  }
+  return role;
+}
+
+/**
+ * List the registry owner and the holders of each role
+ */
+async function rolesListCommand() {
+  try {
+    header('REGISTRY ROLES');
+
+    const contract = getContractReadOnly();
+    keyValue('Contract', getContractAddress());
+    keyValue('Owner', await contract.registryOwner());
+    const pendingOwner = await contract.pendingOwner();
+    if (pendingOwner !== ethers.ZeroAddress) {
+      keyValue('Pending Owner', `${pendingOwner} (has not accepted yet)`);
+    }
+    keyValue('Paused', (await contract.paused()) ? 'Yes (new submissions are rejected)' : 'No');
+
+    const members = {};
+    for (const [role, name] of ROLES.entries()) {
+      members[name] = await contract.getRoleMembers(role);
+      console.log();
+      console.log(chalk.bold(`${name} (${members[name].length})`) + chalk.gray(` - ${ROLE_DESCRIPTIONS[name]}`));
+      if (members[name].length === 0) {
+        console.log(chalk.gray('   (none)'));
+      }
+      members[name].forEach((account) => console.log(`   ${account}`));
+    }
+    console.log();
+
+    return members;
+
+  } catch (err) {
+    console.log();
+    error('Failed to list roles: ' + err.message);
+    throw err;
+  }
+}
+
+/**
+ * Grant a role to an account, or revoke it
+ * @param {string} roleName - Role name (admin, auditor, pauser)
+ * @param {string} account - Account address
+ * @param {Wallet} wallet - Registry owner's wallet
+ * @param {object} options - Additional options (revoke)
+ */
+async function roleChangeCommand(roleName, account, wallet, options = {}) {
+  try {
+    header(options.revoke ? 'REVOKING ROLE' : 'GRANTING ROLE');
+
+    const role = parseRole(roleName);
+    if (!ethers.isAddress(account)) {
+      throw new Error(`Invalid account address: ${account}`);
+    }
+    keyValue('Role', ROLES[role]);
+    keyValue('Account', account);
+
+    // Only the owner manages roles; check before spending gas
+    const contractRO = getContractReadOnly();
+    const owner = await contractRO.registryOwner();
+    if (owner !== wallet.address) {
+      throw new Error(`Only the registry owner (${owner}) can ${options.revoke ? 'revoke' : 'grant'} roles`);
+    }
+    const holds = await contractRO.hasRole(role, account);
+    if (options.revoke && !holds) {
+      throw new Error(`${account} does not have the ${ROLES[role]} role`);
+    }
+    if (!options.revoke && holds) {
+      throw new Error(`${account} already has the ${ROLES[role]} role`);
+    }
+
+    const contract = getContract(wallet);
+    const tx = options.revoke
+      ? await contract.revokeRole(role, account)
+      : await contract.grantRole(role, account);
+    info(`Transaction submitted: ${tx.hash}`);
+    await tx.wait();
+
+    console.log();
+    success(options.revoke
+      ? `${account} no longer has the ${ROLES[role]} role`
+      : `${account} now has the ${ROLES[role]} role (${ROLE_DESCRIPTIONS[ROLES[role]]})`);
+    console.log();
+
+    return { role: ROLES[role], account, txHash: tx.hash };
+
+  } catch (err) {
+    console.log();
+    error((options.revoke ? 'Revocation' : 'Grant') + ' failed: ' + err.message);
+    throw err;
+  }
+}
+
+module.exports = {
+  rolesListCommand,
+  roleChangeCommand
+};
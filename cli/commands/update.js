@@ -1,7 +1,14 @@
-const { hashSBOM, extractMetadata } = require('../utils/hash');
-const { signHash } = require('../utils/sign');
-const { getContract, getContractReadOnly } = require('../utils/contract');
-const { success, error, info, warning, header, keyValue, displayReceipt } = require('../utils/display');
+const { analyzeSBOM, getHash, getExtraDigests, DEFAULT_HASH_MODE } = require('../utils/hash');
+const { signSBOM } = require('../utils/sign');
+const { computeComponentRoot } = require('../utils/merkle');
+const { checkMinQuality } = require('../utils/quality');
+const { diffSBOMs, summarizeDiff, formatDiffSummary } = require('../utils/diff');
+const {
+  getContract, getContractReadOnly, resolveSBOMRecord, fetchSigningKey, fetchDelegation
+} = require('../utils/contract');
+const {
+  success, error, info, warning, header, keyValue, displayReceipt, displayValidation, displayQuality
+} = require('../utils/display');
 
 /**
  * Update an SBOM to a new version
@@ -14,46 +21,112 @@ async function updateCommand(oldFilePath, newFilePath, wallet, options = {}) {
   try {
     header('UPDATING SBOM VERSION');
     
-    // 1. Hash both files
+    // 1. Find the old version's record, in whichever hash mode it was registered
+    const contractRO = getContractReadOnly();
     info(`Reading old SBOM: ${oldFilePath}`);
-    const oldHash = hashSBOM(oldFilePath);
+    info('Looking up old SBOM on blockchain...');
+    const { hash: oldHash, hashMode: oldHashMode, record: oldRecord, analysis: oldAnalysis } =
+      await resolveSBOMRecord(contractRO, oldFilePath, 'auto');
+    
+    if (!oldRecord) {
+      error('Old SBOM not found on blockchain!');
+      info('Please register it first using: sbom-cli register');
+      throw new Error('Old SBOM not registered');
+    }
+    if (!oldAnalysis) {
+      throw new Error('Old SBOM must be a file (its components are compared with the new version)');
+    }
+    
+    success('Old SBOM found on blockchain');
     keyValue('Old Hash', oldHash);
+    keyValue('Old Hash Mode', oldHashMode);
+    
+    // 2. Hash the new file in the requested mode (metadata comes from the same pass)
+    const hashMode = options.hashMode || DEFAULT_HASH_MODE;
+    keyValue('Hash Mode', hashMode);
     
     info(`Reading new SBOM: ${newFilePath}`);
-    const newHash = hashSBOM(newFilePath);
+    const newAnalysis = await analyzeSBOM(newFilePath, {
+      hashModes: [hashMode],
+      validate: options.validate !== false
+    });
+    const newHash = getHash(newAnalysis, hashMode);
     keyValue('New Hash', newHash);
     
-    // 2. Check if hashes are different
     if (oldHash === newHash) {
       warning('Files are identical (same hash). No update needed.');
       return { updated: false };
     }
     
-    // 3. Verify old SBOM exists
+    // 3. Refuse a new version that does not match its format's schema
     console.log();
-    info('Verifying old SBOM exists...');
-    const contractRO = getContractReadOnly();
-    const [exists] = await contractRO.verifySBOM(oldHash);
+    if (options.validate === false) {
+      warning('Schema validation skipped (--no-validate)');
+    } else {
+      displayValidation(newAnalysis.validation);
+      if (newAnalysis.validation.valid === false) {
+        throw new Error('New SBOM failed schema validation (fix the errors above, or pass --no-validate to update anyway)');
+      }
+    }
     
-    if (!exists) {
-      error('Old SBOM not found on blockchain!');
-      info('Please register it first using: sbom-cli register');
-      throw new Error('Old SBOM not registered');
+    // 4. Score the new version's NTIA minimum elements
+    console.log();
+    displayQuality(newAnalysis.quality);
+    if (options.minQuality !== undefined) {
+      checkMinQuality(newAnalysis.quality, options.minQuality);
     }
     
-    success('Old SBOM found on blockchain');
+    // 5. Summarize what changed (sbom-cli diff shows the full diff)
+    console.log();
+    const diffSummary = summarizeDiff(diffSBOMs(oldAnalysis, newAnalysis));
+    keyValue('Changes', formatDiffSummary(diffSummary));
+    keyValue('Diff Digest', diffSummary.digest);
+    
+    // 6. Updates need an active key of a verified vendor, as registrations do,
+    // or a live delegation from one (the contract checks that it covers the chain)
+    const signingKey = await fetchSigningKey(contractRO, wallet.address);
+    if (signingKey && signingKey.retiredAt) {
+      throw new Error('Signing key retired - sign with another of the vendor\'s keys');
+    }
+    let vendor = signingKey && signingKey.vendor;
+    const delegation = signingKey ? null : await fetchDelegation(contractRO, wallet.address);
+    if (delegation) {
+      if (delegation.revokedAt) {
+        throw new Error('Delegation revoked - ask the vendor for a new one');
+      }
+      if (delegation.expiresAt <= (await contractRO.runner.getBlock('latest')).timestamp) {
+        throw new Error('Delegation expired - ask the vendor for a new one');
+      }
+      vendor = delegation.vendor;
+      keyValue('Delegate For', vendor);
+    }
+    if (!vendor || !(await contractRO.isVerifiedVendor(vendor))) {
+      throw new Error('Vendor not verified - a revoked or unregistered vendor cannot publish new versions');
+    }
     
-    // 4. Extract metadata from new file
-    const metadata = extractMetadata(newFilePath);
+    // Versions form a single chain, so only its latest version can be updated
+    const latestHash = await contractRO.getLatestVersion(oldHash);
+    if (latestHash !== oldHash) {
+      error('Old SBOM has already been superseded!');
+      keyValue('Latest Version', latestHash);
+      info('Update from the latest version instead (see: sbom-cli history ' + oldHash + ')');
+      throw new Error('Only the latest version can be updated');
+    }
+    
+    // 7. Prepare metadata for the new file
+    const metadata = newAnalysis.metadata;
+    metadata.hashMode = hashMode;
+    metadata.quality = newAnalysis.quality.score;
+    metadata.diff = diffSummary;
     const metadataString = JSON.stringify(metadata);
     keyValue('New Metadata', metadataString);
     
-    // 5. Sign the new hash
+    // 8. Sign the new hash, its metadata and the version it supersedes
     info('Signing new version with vendor wallet...');
-    const signature = await signHash(newHash, wallet);
+    const signature = await signSBOM(wallet, contractRO, { hash: newHash, metadata: metadataString, previousHash: oldHash });
     keyValue('Signature', signature.slice(0, 20) + '...');
     
-    // 6. Submit update transaction
+    // 9. Submit update transaction
     console.log();
     info('Submitting update transaction to blockchain...');
     
@@ -65,12 +138,43 @@ async function updateCommand(oldFilePath, newFilePath, wallet, options = {}) {
     
     const receipt = await tx.wait();
     
-    // 7. Display results
+    // 10. Display results
     console.log();
     success('SBOM VERSION UPDATED SUCCESSFULLY!');
     displayReceipt(receipt);
     
-    // 8. Show version history
+    // 11. Anchor the component Merkle root for selective disclosure proofs
+    const components = options.components === false ? [] : newAnalysis.components;
+    if (components.length > 0) {
+      const componentRoot = computeComponentRoot(components);
+      console.log();
+      info(`Anchoring Merkle root over ${components.length} component(s)...`);
+      keyValue('Component Root', componentRoot);
+      
+      const anchorTx = await contract.anchorComponentRoot(newHash, componentRoot);
+      await anchorTx.wait();
+      success('Component root anchored');
+    }
+    
+    // 12. Record SHA-256/SHA-512 digests so the SBOM can be found by them
+    if (options.digests !== false) {
+      const { algorithms, digests } = getExtraDigests(newAnalysis);
+      console.log();
+      info(`Recording ${algorithms.join(', ')} digests...`);
+      algorithms.forEach((algorithm, i) => keyValue(algorithm, digests[i]));
+      
+      try {
+        const digestTx = await contract.addDigests(newHash, algorithms, digests);
+        await digestTx.wait();
+        success('Digests recorded');
+      } catch (err) {
+        // The record itself is registered; e.g. the same file may already be
+        // indexed under a record created with another hash mode
+        warning('Could not record digests: ' + (err.reason || err.message));
+      }
+    }
+    
+    // 13. Show version history
     console.log();
     const history = await contractRO.getVersionHistory(newHash);
     info(`This SBOM now has ${history.length} version(s) in its history`);
@@ -98,6 +202,25 @@ async function updateCommand(oldFilePath, newFilePath, wallet, options = {}) {
       info('Your address: ' + wallet.address);
     }
     
+    if (err.message.includes('Vendor not verified')) {
+      console.log();
+      info('Your wallet address is not (or no longer) a verified vendor.');
+      info('Please contact the registry owner to get verified.');
+      info('Your address: ' + wallet.address);
+    }
+    
+    if (err.message.includes('Signing key retired')) {
+      console.log();
+      info('This key was retired or reported compromised (see: sbom-cli keys list <vendor>).');
+      info('Your address: ' + wallet.address);
+    }
+    
+    if (err.message.includes('Not covered by the delegation')) {
+      console.log();
+      info('Ask the vendor for a delegation covering this product or SBOM (see: sbom-cli delegate list <vendor>).');
+      info('Your address: ' + wallet.address);
+    }
+    
     throw err;
   }
 }
@@ -0,0 +1,41 @@
+const { analyzeSBOM } = require('../utils/hash');
+const { SYNTAX_NAMES } = require('../utils/parse');
+const { error, info, header, keyValue, displayValidation } = require('../utils/display');
+
+/**
+ * Validate an SBOM against the bundled schema for its format (offline)
+ * @param {string} sbomFilePath - Path to SBOM file
+ * @param {object} options - Additional options
+ */
+async function validateCommand(sbomFilePath, options = {}) {
+  try {
+    header('VALIDATING SBOM');
+
+    // 1. Stream the file and check it against its format's schema
+    info(`Reading SBOM file: ${sbomFilePath}`);
+    const { validation: result } = await analyzeSBOM(sbomFilePath, { validate: true });
+
+    // 2. Display results
+    if (result.syntax) {
+      keyValue('Syntax', SYNTAX_NAMES[result.syntax]);
+    }
+    if (result.schema) {
+      keyValue('Schema', result.schema);
+    }
+    console.log();
+    displayValidation(result);
+    console.log();
+
+    if (result.valid === false) {
+      throw new Error(`${sbomFilePath} is not a valid SBOM`);
+    }
+
+    return result;
+
+  } catch (err) {
+    error('Validation failed: ' + err.message);
+    throw err;
+  }
+}
+
+module.exports = validateCommand;
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { componentLeaf } = require('../utils/merkle');
+const { getContractReadOnly, fetchWithdrawal } = require('../utils/contract');
+const { success, error, info, header, keyValue, displayVerification } = require('../utils/display');
+
+/**
+ * Verify a component inclusion proof against the blockchain
+ * The full SBOM is not needed - only the proof file
+ * @param {string} proofFilePath - Path to proof file from `sbom-cli prove`
+ * @param {object} options - Additional options
+ */
+async function verifyProofCommand(proofFilePath, options = {}) {
+  try {
+    header('VERIFYING INCLUSION PROOF');
+    
+    // 1. Read the proof
+    if (!fs.existsSync(proofFilePath)) {
+      throw new Error(`File not found: ${proofFilePath}`);
+    }
+    
+    info(`Reading proof file: ${proofFilePath}`);
+    const proofDocument = JSON.parse(fs.readFileSync(proofFilePath, 'utf8'));
+    const { sbomHash, component, proof } = proofDocument;
+    
+    if (!sbomHash || !component || !Array.isArray(proof)) {
+      throw new Error('Invalid proof file: expected sbomHash, component and proof');
+    }
+    
+    keyValue('SBOM Hash', sbomHash);
+    keyValue('Component', `${component.name}@${component.version}`);
+    keyValue('Package URL', component.purl);
+    
+    // 2. Recompute the leaf from the disclosed fields (never trust a supplied leaf)
+    const leaf = componentLeaf(component);
+    keyValue('Leaf', leaf);
+    
+    // 3. Check the proof against the anchored root
+    console.log();
+    info('Querying blockchain...');
+    const contract = getContractReadOnly();
+    const anchoredRoot = await contract.getComponentRoot(sbomHash);
+    const included = anchoredRoot !== ethers.ZeroHash &&
+      await contract.verifyComponentProof(sbomHash, leaf, proof);
+    
+    // 4. Check who registered the SBOM
+    const [exists, signatureValid, vendorVerified, vendorName, withdrawalReason, , vendorVerifiedAtRegistration] =
+      await contract.verifyCompleteSBOM(sbomHash);
+    const withdrawal = Number(withdrawalReason) !== 0 ? await fetchWithdrawal(contract, sbomHash) : null;
+    
+    console.log();
+    displayVerification({
+      exists,
+      signatureValid,
+      vendorVerified,
+      vendorVerifiedAtRegistration,
+      vendorName,
+      withdrawal
+    });
+    
+    console.log();
+    header('INCLUSION PROOF');
+    keyValue('Anchored Root', anchoredRoot === ethers.ZeroHash ? '(none)' : anchoredRoot);
+    
+    if (included) {
+      success(`INCLUDED: ${component.purl} is part of the registered SBOM`);
+    } else if (anchoredRoot === ethers.ZeroHash) {
+      error('NO ROOT: No component root is anchored for this SBOM');
+    } else {
+      error('NOT PROVEN: The proof does not match the anchored root');
+    }
+    
+    console.log();
+    
+    return {
+      included,
+      exists,
+      signatureValid,
+      vendorVerified,
+      vendorName,
+      withdrawal,
+      sbomHash,
+      anchoredRoot
+    };
+    
+  } catch (err) {
+    console.log();
+    error('Proof verification failed: ' + err.message);
+    throw err;
+  }
+}
+
+module.exports = verifyProofCommand;
@@ -1,32 +1,209 @@
-const { hashSBOM } = require('../utils/hash');
-const { getContractReadOnly } = require('../utils/contract');
+const { ethers } = require('ethers');
+const { analyzeSBOM, HASH_MODES, DIGEST_ALGORITHMS } = require('../utils/hash');
+const { getRecordedHashMode, parseMetadata } = require('../utils/metadata');
+const { loadPolicy, evaluatePolicy } = require('../utils/policy');
+const { fetchVEX } = require('../utils/vex');
+const {
+  getContractReadOnly, fetchWithdrawal, fetchFlags, fetchEndorsements, fetchSigningKey, fetchDelegation, KEY_STATUSES
+} = require('../utils/contract');
+const { formatTime } = require('../utils/time');
 // const { header, info, keyValue, displayVerification } = require('../utils/display');
-const { header, info, error, keyValue, displayVerification } = require('../utils/display');
+const { header, info, error, warning, keyValue, displayMetadata, displayVerification, displayPolicyReport, displayVEX, displayFlags, displayEndorsements } = require('../utils/display');
+
+// How far back vendor verification counts: when the SBOM was registered, or now
+const TRUST_POLICIES = ['historical', 'strict'];
 
 /**
- * Verify an SBOM against the blockchain
+ * Read the endorsement threshold options
+ * @param {object} options - Command options (requireEndorsements, from)
+ * @returns {object|null} - { required, from } (from: checksummed auditor addresses,
+ *   empty for any auditor), or null if no threshold was asked for
+ */
+function parseEndorsementCheck(options) {
+  if (options.requireEndorsements === undefined) {
+    if (options.from) {
+      throw new Error('--from needs --require-endorsements');
+    }
+    return null;
+  }
+  const required = Number(options.requireEndorsements);
+  if (!Number.isInteger(required) || required < 1) {
+    throw new Error(`Invalid endorsement count: ${options.requireEndorsements} (expected a whole number of at least 1)`);
+  }
+  const from = options.from ? String(options.from).split(',').map((address) => address.trim()) : [];
+  from.forEach((address) => {
+    if (!ethers.isAddress(address)) {
+      throw new Error(`Invalid auditor address: ${address}`);
+    }
+  });
+  return { required, from: from.map((address) => ethers.getAddress(address)) };
+}
+
+/**
+ * Find the record hash for an SBOM file, trying each requested hash mode
+ * @param {Contract} contract - Read-only contract instance
  * @param {string} sbomFilePath - Path to SBOM file
- * @param {object} options - Additional options
+ * @param {string} requestedMode - Hash mode, or 'auto' to try every mode
+ * @returns {Promise<object>} - { hash, hashMode, matched, modes, analysis }
+ */
+async function resolveFromFile(contract, sbomFilePath, requestedMode) {
+  const modes = requestedMode === 'auto' ? HASH_MODES : [requestedMode];
+  info(`Reading SBOM file: ${sbomFilePath}`);
+  
+  // All modes are computed from a single read of the file
+  const analysis = await analyzeSBOM(sbomFilePath, { hashModes: modes });
+  
+  const candidates = [];
+  for (const mode of modes) {
+    if (analysis.hashes[mode]) {
+      candidates.push({ mode, hash: analysis.hashes[mode] });
+      keyValue(`SBOM Hash (${mode})`, analysis.hashes[mode]);
+    } else if (requestedMode !== 'auto') {
+      // In auto mode, modes that do not apply to this file are skipped
+      throw new Error(analysis.hashErrors[mode]);
+    }
+  }
+  
+  // Query blockchain, stopping at the first mode that matches a record. A record
+  // only matches in the mode it was registered under: a file whose raw bytes equal
+  // another document's canonical or semantic form must not pass as that document
+  console.log();
+  info('Querying blockchain...');
+  
+  for (const candidate of candidates) {
+    const [found, record] = await contract.verifySBOM(candidate.hash);
+    if (found) {
+      const recordedMode = getRecordedHashMode(record.metadata);
+      if (recordedMode === candidate.mode) {
+        return { hash: candidate.hash, hashMode: candidate.mode, matched: true, modes, analysis };
+      }
+      warning(`The ${candidate.mode} hash matches a record registered with the ${recordedMode} hash mode; ignoring it`);
+    }
+  }
+  
+  return { hash: candidates[0].hash, hashMode: candidates[0].mode, matched: false, modes, analysis };
+}
+
+/**
+ * Find a vendor's record hash for a SHA-256 digest (no file needed)
+ * Digests are the vendor's own claim, so the lookup is scoped to one vendor
+ * @param {Contract} contract - Read-only contract instance
+ * @param {string} sha256 - SHA-256 digest (hex, with or without 0x)
+ * @param {string} vendor - Vendor's primary address
+ * @returns {Promise<object>} - { hash, matched }
+ */
+async function resolveFromSHA256(contract, sha256, vendor) {
+  const digest = sha256.startsWith('0x') ? sha256 : '0x' + sha256;
+  if (!/^0x[0-9a-fA-F]{64}$/.test(digest)) {
+    throw new Error('Invalid SHA-256 digest (expected 64 hex characters)');
+  }
+  if (!ethers.isAddress(vendor)) {
+    throw new Error(`Invalid vendor address: ${vendor}`);
+  }
+  
+  keyValue('SHA-256', digest);
+  keyValue('Vendor', ethers.getAddress(vendor));
+  console.log();
+  info('Looking up SHA-256 digest on blockchain...');
+  
+  const hash = await contract.getHashBySHA256(vendor, digest);
+  const matched = hash !== ethers.ZeroHash;
+  if (matched) {
+    keyValue('SBOM Hash', hash);
+  }
+  
+  return { hash, matched };
+}
+
+/**
+ * Find recorded digests that do not match the file
+ * Digests are recorded as the vendor claims them, so they are checked against
+ * the file whenever it is at hand
+ * @param {Array} digests - Recorded digests ({ algorithm, digest })
+ * @param {object} analysis - Result of analyzeSBOM
+ * @returns {string[]} - Algorithms whose recorded digest differs from the file's
+ */
+function findDigestMismatches(digests, analysis) {
+  return digests
+    .filter(({ algorithm, digest }) => {
+      const key = Object.keys(DIGEST_ALGORITHMS).find((name) => DIGEST_ALGORITHMS[name] === algorithm);
+      return key && analysis.digests[key].toLowerCase() !== digest.toLowerCase();
+    })
+    .map(({ algorithm }) => algorithm);
+}
+
+/**
+ * Verify an SBOM against the blockchain
+ * @param {string} sbomFilePath - Path to SBOM file (optional with options.sha256)
+ * @param {object} options - Additional options (hashMode, sha256, vendor, policy, trust,
+ *   requireEndorsements, from)
  */
 async function verifyCommand(sbomFilePath, options = {}) {
   try {
     header('VERIFYING SBOM');
     
-    // 1. Hash the file
-    info(`Reading SBOM file: ${sbomFilePath}`);
-    const hash = hashSBOM(sbomFilePath);
-    keyValue('SBOM Hash', hash);
+    const trust = String(options.trust || TRUST_POLICIES[0]).toLowerCase();
+    if (!TRUST_POLICIES.includes(trust)) {
+      throw new Error(`Unknown trust policy: ${options.trust} (expected one of: ${TRUST_POLICIES.join(', ')})`);
+    }
+    const endorsementCheck = parseEndorsementCheck(options);
     
-    // 2. Query blockchain
-    console.log();
-    info('Querying blockchain...');
+    if (options.vendor && !options.sha256) {
+      throw new Error('--vendor needs --sha256');
+    }
     
+    // A license policy needs the document itself, not just its digest
+    let policy = null;
+    if (options.policy) {
+      if (options.sha256) {
+        throw new Error('--policy needs the SBOM file (it cannot be used with --sha256)');
+      }
+      policy = loadPolicy(options.policy);
+    }
+    
+    // 1. Work out which record to check
     const contract = getContractReadOnly();
-    const [exists, signatureValid, vendorVerified, vendorName] = 
+    let resolved;
+    
+    if (options.sha256) {
+      if (!options.vendor) {
+        throw new Error('--sha256 needs --vendor <address> (digests are only looked up within the vendor that recorded them)');
+      }
+      resolved = await resolveFromSHA256(contract, options.sha256, options.vendor);
+    } else if (sbomFilePath) {
+      resolved = await resolveFromFile(contract, sbomFilePath, options.hashMode || 'auto');
+      if (resolved.matched) {
+        keyValue('Matched Hash Mode', resolved.hashMode);
+        if (resolved.hashMode === 'semantic') {
+          info('Matched after ignoring volatile fields (timestamps, serial numbers, tool configuration)');
+        }
+      }
+    } else {
+      throw new Error('Provide an SBOM file or --sha256 <digest> --vendor <address>');
+    }
+    
+    // 2. Query the full verification
+    const { hash, hashMode } = resolved;
+    const [exists, signatureValid, vendorVerified, vendorName, withdrawalReason, keyStatus, vendorVerifiedAtRegistration] = 
       await contract.verifyCompleteSBOM(hash);
+    const withdrawal = Number(withdrawalReason) !== 0 ? await fetchWithdrawal(contract, hash) : null;
+    
+    // The key or delegate that signed, with its status when it signed and since
+    let signingKey = null;
+    if (exists) {
+      const [, signer] = await contract.verifySignature(hash);
+      const key = await fetchSigningKey(contract, signer);
+      signingKey = {
+        ...(key || { key: signer }),
+        delegation: key ? null : await fetchDelegation(contract, signer),
+        statusAtSigning: KEY_STATUSES[Number(keyStatus)]
+      };
+    }
     
     // 3. Get detailed record if it exists
     let record = null;
+    let latestHash = null;
+    let flags = [];
     if (exists) {
       const [, recordData] = await contract.verifySBOM(hash);
       record = {
@@ -37,13 +214,53 @@ async function verifyCommand(sbomFilePath, options = {}) {
       };
     }
     
+    // A delegate signed its chain for a product; the document must name that product
+    // (the file's own name, or the name in the signed metadata without a file)
+    if (signingKey && signingKey.delegation) {
+      const productHash = await contract.getChainProduct(hash);
+      if (productHash !== ethers.ZeroHash) {
+        const name = resolved.analysis
+          ? resolved.analysis.metadata.name
+          : (parseMetadata(record.metadata) || {}).name;
+        signingKey.productMatches = name !== undefined && ethers.id(String(name)) === productHash;
+        signingKey.documentProduct = name;
+      }
+    }
+    
+    // When a vendor that is no longer verified was revoked
+    let vendorRevokedAt = null;
+    if (exists && !vendorVerified) {
+      const revocations = (await contract.getVendorStatusHistory(record.vendor)).filter((change) => !change.verified);
+      if (revocations.length > 0) {
+        vendorRevokedAt = Number(revocations[revocations.length - 1].timestamp);
+      }
+    }
+    
+    // Endorsements by current auditors (only the listed ones, with --from) count
+    // towards the required number
+    let endorsements = [];
+    if (exists) {
+      endorsements = await fetchEndorsements(contract, hash);
+    }
+    if (endorsementCheck) {
+      endorsementCheck.count = endorsements.filter((endorsement) => endorsement.active &&
+        (endorsementCheck.from.length === 0 || endorsementCheck.from.includes(endorsement.auditor))).length;
+      endorsementCheck.met = endorsementCheck.count >= endorsementCheck.required;
+    }
+    
     // 4. Display results
     console.log();
-    displayVerification({
+    const verdict = displayVerification({
       exists,
       signatureValid,
       vendorVerified,
-      vendorName
+      vendorVerifiedAtRegistration,
+      vendorRevokedAt,
+      vendorName,
+      withdrawal,
+      signingKey,
+      endorsements: endorsementCheck,
+      trust
     });
     
     // 5. Show additional details
@@ -52,21 +269,119 @@ async function verifyCommand(sbomFilePath, options = {}) {
       header('SBOM DETAILS');
       keyValue('Vendor Address', record.vendor);
       keyValue('Registered At', new Date(Number(record.timestamp) * 1000).toLocaleString());
-      keyValue('Metadata', record.metadata);
+      const relayDeadline = Number(await contract.getRelayDeadline(hash));
+      if (relayDeadline) {
+        keyValue('Submitted By', `a relayer (request signed to be submitted by ${formatTime(relayDeadline)})`);
+      }
+      displayMetadata(record.metadata);
+      // Registered At is the block time; the document's own creation time is
+      // part of the metadata. A semantic match can be a later run of the generator.
+      if (resolved.analysis && resolved.analysis.metadata.created) {
+        const recordedCreated = (parseMetadata(record.metadata) || {}).created;
+        if (resolved.analysis.metadata.created !== recordedCreated) {
+          keyValue('This File Created', resolved.analysis.metadata.created);
+        }
+      }
+      keyValue('Recorded Hash Mode', getRecordedHashMode(record.metadata));
+      
+      const digests = await contract.getDigests(hash);
+      digests.forEach(({ algorithm, digest }) => keyValue(algorithm, digest));
+      if (resolved.analysis) {
+        const mismatched = findDigestMismatches(digests, resolved.analysis);
+        if (mismatched.length > 0) {
+          warning(`Recorded ${mismatched.join(', ')} digest(s) do not match this file`);
+        }
+      } else if (options.sha256) {
+        info('The SHA-256 digest is the vendor\'s own claim; verify the file itself to check it');
+      }
       
       if (record.previousHash !== '0x0000000000000000000000000000000000000000000000000000000000000000') {
         keyValue('Previous Version', record.previousHash);
       }
+      
+      // A newer version replaces this one (sbom-cli update)
+      latestHash = await contract.getLatestVersion(hash);
+      if (latestHash !== hash) {
+        keyValue('Latest Version', latestHash);
+        warning('This SBOM has been superseded by a newer version');
+      }
+      
+      // Format conversions registered by the same vendor (sbom-cli convert --register)
+      const sourceHash = await contract.getSourceSBOM(hash);
+      if (sourceHash !== ethers.ZeroHash) {
+        keyValue('Converted From', sourceHash);
+      }
+      const derivedHashes = await contract.getDerivedSBOMs(hash);
+      derivedHashes.forEach((derivedHash) => keyValue('Converted To', derivedHash));
+      
+      // VEX statements by the vendor or its auditors (sbom-cli vex publish)
+      const vexDocuments = await fetchVEX(contract, hash, record.vendor);
+      if (vexDocuments.length > 0) {
+        console.log();
+        header('VEX STATEMENTS');
+        displayVEX(vexDocuments);
+      }
+      
+      // Endorsements given by registry auditors (sbom-cli endorse)
+      if (endorsements.length > 0) {
+        console.log();
+        header('AUDITOR ENDORSEMENTS');
+        displayEndorsements(endorsements);
+      }
+      
+      // Flags raised by registry auditors
+      flags = await fetchFlags(contract, hash);
+      if (flags.length > 0) {
+        console.log();
+        header('AUDITOR FLAGS');
+        displayFlags(flags);
+        const active = flags.filter((flag) => flag.active).length;
+        if (active > 0) {
+          console.log();
+          warning(`${active} registry auditor(s) flagged this SBOM`);
+        }
+      }
+    }
+    
+    if (!exists && resolved.modes) {
+      info(`No record matched in mode(s): ${resolved.modes.join(', ')}`);
+    }
+    
+    // 6. Check license compliance of the same document
+    let policyReport = null;
+    if (policy) {
+      console.log();
+      header('LICENSE COMPLIANCE');
+      policyReport = evaluatePolicy(policy, resolved.analysis.components);
+      const limit = 20;
+      displayPolicyReport(policyReport, limit);
+      if (policyReport.violations.length > limit || policyReport.warnings.length > limit) {
+        info(`Full report: sbom-cli policy check ${sbomFilePath} --policy ${options.policy}`);
+      }
     }
     
     console.log();
     
     return {
+      verdict,
+      trusted: verdict === 'trusted',
       exists,
       signatureValid,
       vendorVerified,
+      vendorVerifiedAtRegistration,
+      vendorRevokedAt,
+      trust,
       vendorName,
-      hash
+      withdrawal,
+      signingKey,
+      endorsements,
+      endorsementCheck,
+      flags,
+      hash,
+      hashMode,
+      superseded: latestHash !== null && latestHash !== hash,
+      latestHash,
+      policy: policyReport
     };
     
   } catch (err) {
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { signVEX } = require('../utils/sign');
+const { getContract, getContractReadOnly, resolveSBOMRecord, fetchKeyVendor } = require('../utils/contract');
+const { parseVEXDocument, summarizeStatements } = require('../utils/vex');
+const { success, error, info, header, keyValue, displayReceipt } = require('../utils/display');
+
+/**
+ * Publish a signed VEX document for a registered SBOM
+ * @param {string} vexFilePath - Path to the VEX document (OpenVEX or CycloneDX VEX)
+ * @param {Wallet} wallet - Wallet of the SBOM's vendor or one of its VEX publishers
+ * @param {object} options - Additional options (sbom, hashMode)
+ */
+async function vexPublishCommand(vexFilePath, wallet, options = {}) {
+  try {
+    header('PUBLISHING VEX');
+
+    // 1. Read the document and its statements
+    info(`Reading VEX document: ${vexFilePath}`);
+    if (!fs.existsSync(vexFilePath)) {
+      throw new Error(`File not found: ${vexFilePath}`);
+    }
+    const bytes = fs.readFileSync(vexFilePath);
+    const { format, statements } = parseVEXDocument(bytes.toString('utf8'));
+    const documentHash = ethers.keccak256(bytes);
+    keyValue('Format', format);
+    keyValue('Statements', statements.length);
+    keyValue('Document Hash', documentHash);
+    statements.forEach((statement) => {
+      console.log(`   ${statement.vulnerability}: ${statement.status}` +
+        (statement.products.length ? ` - ${statement.products.join(', ')}` : ''));
+    });
+
+    // 2. Find the SBOM record the statements are about
+    console.log();
+    info(`Looking up SBOM: ${options.sbom}`);
+    const contractRO = getContractReadOnly();
+    const { hash: sbomHash, record } = await resolveSBOMRecord(contractRO, options.sbom, options.hashMode);
+    if (!record) {
+      throw new Error('SBOM not found on blockchain (register it first)');
+    }
+    keyValue('SBOM Hash', sbomHash);
+    keyValue('SBOM Vendor', record.vendor);
+
+    // 3. Only the vendor's keys and the VEX publishers it authorized may publish
+    const contract = getContract(wallet);
+    if ((await fetchKeyVendor(contract, wallet.address)) !== record.vendor &&
+        !(await contract.isVEXPublisher(record.vendor, wallet.address))) {
+      throw new Error(`${wallet.address} is neither the SBOM's vendor nor a VEX publisher it authorized`);
+    }
+
+    // 4. Sign the SBOM, document and statements and publish
+    info('Signing VEX document...');
+    const summary = summarizeStatements(statements);
+    const signature = await signVEX(wallet, contractRO, { sbomHash, documentHash, statements: summary });
+    info('Submitting transaction to blockchain...');
+    const tx = await contract.publishVEX(sbomHash, documentHash, summary, signature);
+    info(`Transaction submitted: ${tx.hash}`);
+    const receipt = await tx.wait();
+
+    console.log();
+    success('VEX DOCUMENT PUBLISHED!');
+    displayReceipt(receipt);
+    console.log();
+    info('The statements are shown by:');
+    console.log(`   sbom-cli verify <sbom-file>`);
+    console.log(`   sbom-cli audit <sbom-file> --db <osv-dir> --vex`);
+    console.log();
+
+    return { sbomHash, documentHash, txHash: receipt.hash };
+
+  } catch (err) {
+    console.log();
+    error('VEX publication failed: ' + err.message);
+    throw err;
+  }
+}
+
+/**
+ * Authorize an address to publish VEX for the vendor's SBOMs, or revoke it
+ * (a vendor's own allowlist, separate from the registry's auditor role)
+ * @param {string} publisher - Publisher address
+ * @param {Wallet} wallet - Vendor's wallet
+ * @param {object} options - Additional options (revoke)
+ */
+async function vexPublisherCommand(publisher, wallet, options = {}) {
+  try {
+    header(options.revoke ? 'REVOKING VEX PUBLISHER' : 'AUTHORIZING VEX PUBLISHER');
+
+    if (!ethers.isAddress(publisher)) {
+      throw new Error(`Invalid publisher address: ${publisher}`);
+    }
+    keyValue('Vendor', wallet.address);
+    keyValue('Publisher', publisher);
+
+    const contract = getContract(wallet);
+    const tx = options.revoke
+      ? await contract.revokeVEXPublisher(publisher)
+      : await contract.authorizeVEXPublisher(publisher);
+    info(`Transaction submitted: ${tx.hash}`);
+    await tx.wait();
+
+    console.log();
+    success(options.revoke
+      ? 'Publisher can no longer publish VEX for your SBOMs (published documents stay on record)'
+      : 'Publisher can now publish VEX for your SBOMs');
+    console.log();
+
+    return { publisher, txHash: tx.hash };
+
+  } catch (err) {
+    console.log();
+    error((options.revoke ? 'Revocation' : 'Authorization') + ' failed: ' + err.message);
+    throw err;
+  }
+}
+
+module.exports = {
+  vexPublishCommand,
+  vexPublisherCommand
+};
@@ -0,0 +1,78 @@
+const { ethers } = require('ethers');
+const {
+  getContract, getContractReadOnly, resolveSBOMRecord, fetchWithdrawal, fetchKeyVendor, WITHDRAWAL_REASONS
+} = require('../utils/contract');
+const { success, error, info, warning, header, keyValue, displayReceipt } = require('../utils/display');
+
+/**
+ * Withdraw a registered SBOM
+ * @param {string} fileOrHash - SBOM file or record hash
+ * @param {Wallet} wallet - Vendor's wallet
+ * @param {object} options - Additional options (reason, replacement, hashMode)
+ */
+async function withdrawCommand(fileOrHash, wallet, options = {}) {
+  try {
+    header('WITHDRAWING SBOM');
+
+    // 1. Check the reason code
+    const reason = WITHDRAWAL_REASONS.indexOf(String(options.reason).toLowerCase());
+    if (reason < 1) {
+      throw new Error(`Invalid reason: ${options.reason} (expected one of: ${WITHDRAWAL_REASONS.slice(1).join(', ')})`);
+    }
+    keyValue('Reason', WITHDRAWAL_REASONS[reason]);
+
+    // 2. Find the record, which must be the caller's and not yet withdrawn
+    const contractRO = getContractReadOnly();
+    info(`Looking up SBOM: ${fileOrHash}`);
+    const { hash, record } = await resolveSBOMRecord(contractRO, fileOrHash, options.hashMode);
+    if (!record) {
+      throw new Error('SBOM not found on blockchain');
+    }
+    keyValue('SBOM Hash', hash);
+    if ((await fetchKeyVendor(contractRO, wallet.address)) !== record.vendor) {
+      throw new Error(`Only the vendor that registered the SBOM (${record.vendor}) can withdraw it`);
+    }
+    const existing = await fetchWithdrawal(contractRO, hash);
+    if (existing) {
+      throw new Error(`SBOM was already withdrawn (${existing.reason})`);
+    }
+
+    // 3. Find the replacement, if any
+    let replacementHash = ethers.ZeroHash;
+    if (options.replacement) {
+      info(`Looking up replacement: ${options.replacement}`);
+      const replacement = await resolveSBOMRecord(contractRO, options.replacement, options.hashMode);
+      if (!replacement.record) {
+        throw new Error('Replacement SBOM not found on blockchain (register it first)');
+      }
+      replacementHash = replacement.hash;
+      keyValue('Replacement', replacementHash);
+    } else if (WITHDRAWAL_REASONS[reason] === 'superseded') {
+      throw new Error('A superseded SBOM needs --replacement');
+    }
+
+    // 4. Submit the withdrawal
+    console.log();
+    info('Submitting withdrawal to blockchain...');
+    const contract = getContract(wallet);
+    const tx = await contract.withdrawSBOM(hash, reason, replacementHash);
+    info(`Transaction submitted: ${tx.hash}`);
+    const receipt = await tx.wait();
+
+    console.log();
+    success('SBOM WITHDRAWN');
+    displayReceipt(receipt);
+    console.log();
+    warning('The record stays on-chain; verify now reports it as withdrawn');
+    console.log();
+
+    return { hash, reason: WITHDRAWAL_REASONS[reason], replacementHash, txHash: receipt.hash };
+
+  } catch (err) {
+    console.log();
+    error('Withdrawal failed: ' + err.message);
+    throw err;
+  }
+}
+
+module.exports = withdrawCommand;
@@ -7,6 +7,22 @@ const verifyCommand = require('./commands/verify');
 const updateCommand = require('./commands/update');
 const historyCommand = require('./commands/history');
 const configCommand = require('./commands/config');
+const proveCommand = require('./commands/prove');
+const verifyProofCommand = require('./commands/verify-proof');
+const validateCommand = require('./commands/validate');
+const qualityCommand = require('./commands/quality');
+const convertCommand = require('./commands/convert');
+const diffCommand = require('./commands/diff');
+const policyCheckCommand = require('./commands/policy');
+const auditCommand = require('./commands/audit');
+const graphCommand = require('./commands/graph');
+const withdrawCommand = require('./commands/withdraw');
+const endorseCommand = require('./commands/endorse');
+const { vexPublishCommand, vexPublisherCommand } = require('./commands/vex');
+const { rolesListCommand, roleChangeCommand } = require('./commands/roles');
+const { keysListCommand, keyAddCommand, keyRetireCommand } = require('./commands/keys');
+const { delegateListCommand, delegateAddCommand, delegateRevokeCommand } = require('./commands/delegate');
+const relayCommand = require('./commands/relay');
 
 // CLI version
 const VERSION = '1.0.0';
@@ -42,6 +58,13 @@ program
   .command('register <sbom-file>')
   .description('Register an SBOM on the blockchain')
   .requiredOption('-k, --key <private-key>', 'Vendor private key (without 0x prefix)')
+  .option('--hash-mode <mode>', 'Hash mode: raw, canonical (RFC 8785) or semantic', 'raw')
+  .option('--no-components', 'Do not anchor a component Merkle root')
+  .option('--no-digests', 'Do not record SHA-256/SHA-512 digests')
+  .option('--no-validate', 'Skip schema validation (register documents that fail it)')
+  .option('--min-quality <score>', 'Refuse SBOMs whose NTIA quality score (0-100) is below this')
+  .option('--relay-request <file>', 'Do not submit: write a signed request for a relayer to submit (sbom-cli relay)')
+  .option('--deadline <time>', 'With --relay-request: submit-by time, ISO 8601 or Unix seconds (default: in 24 hours)')
   .action(async (sbomFile, options) => {
     try {
       const wallet = createWallet(options.key);
@@ -56,11 +79,21 @@ program
 // VERIFY COMMAND
 // ==========================================
 program
-  .command('verify <sbom-file>')
+  .command('verify [sbom-file]')
   .description('Verify an SBOM against the blockchain')
+  .option('--hash-mode <mode>', 'Hash mode: raw, canonical, semantic, or auto to try each', 'auto')
+  .option('--sha256 <digest>', 'Look the SBOM up by its SHA-256 digest instead of a file')
+  .option('--vendor <address>', 'With --sha256: the vendor that recorded the digest')
+  .option('-p, --policy <file>', 'Also check component licenses against a license policy file')
+  .option('--trust <policy>', 'Vendor trust: historical (verified when registered) or strict (verified now)', 'historical')
+  .option('--require-endorsements <n>', 'Only trust the SBOM once this many registry auditors endorsed it')
+  .option('--from <auditors>', 'With --require-endorsements: only count these auditors (comma-separated addresses)')
   .action(async (sbomFile, options) => {
     try {
-      await verifyCommand(sbomFile, options);
+      const result = await verifyCommand(sbomFile, options);
+      if (!result.trusted || (result.policy && !result.policy.compliant)) {
+        process.exitCode = 1;
+      }
     } catch (error) {
       console.error('\n❌ Error:', error.message);
       process.exit(1);
@@ -74,6 +107,11 @@ program
   .command('update <old-file> <new-file>')
   .description('Update an SBOM to a new version')
   .requiredOption('-k, --key <private-key>', 'Vendor private key (without 0x prefix)')
+  .option('--hash-mode <mode>', 'Hash mode for the new version: raw, canonical (RFC 8785) or semantic', 'raw')
+  .option('--no-components', 'Do not anchor a component Merkle root')
+  .option('--no-digests', 'Do not record SHA-256/SHA-512 digests')
+  .option('--no-validate', 'Skip schema validation (register documents that fail it)')
+  .option('--min-quality <score>', 'Refuse a new version whose NTIA quality score (0-100) is below this')
   .action(async (oldFile, newFile, options) => {
     try {
       const wallet = createWallet(options.key);
@@ -90,6 +128,7 @@ program
 program
   .command('history <hash-or-file>')
   .description('View version history of an SBOM')
+  .option('--hash-mode <mode>', 'Hash mode used to find the SBOM record, or auto to try each', 'auto')
   .action(async (hashOrFile, options) => {
     try {
       await historyCommand(hashOrFile, options);
@@ -99,6 +138,448 @@ program
     }
   });
 
+// ==========================================
+// WITHDRAW COMMAND
+// ==========================================
+program
+  .command('withdraw <hash-or-file>')
+  .description('Withdraw an SBOM registered by mistake or found to be wrong')
+  .requiredOption('-r, --reason <reason>', 'Reason: superseded, inaccurate, key-compromise or withdrawn')
+  .requiredOption('-k, --key <private-key>', 'Vendor private key (without 0x prefix)')
+  .option('--replacement <hash-or-file>', 'SBOM to use instead (required for superseded)')
+  .option('--hash-mode <mode>', 'Hash mode used to find the SBOM records, or auto to try each', 'auto')
+  .action(async (hashOrFile, options) => {
+    try {
+      const wallet = createWallet(options.key);
+      await withdrawCommand(hashOrFile, wallet, options);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// ==========================================
+// ENDORSE COMMAND
+// ==========================================
+program
+  .command('endorse <hash-or-file>')
+  .description('Endorse a registered SBOM as a registry auditor, co-signing its hash')
+  .requiredOption('-k, --key <private-key>', 'Auditor private key (without 0x prefix)')
+  .option('--comment <file>', 'File with your review comments (only its hash is recorded)')
+  .option('--hash-mode <mode>', 'Hash mode used to find the SBOM record, or auto to try each', 'auto')
+  .action(async (hashOrFile, options) => {
+    try {
+      const wallet = createWallet(options.key);
+      await endorseCommand(hashOrFile, wallet, options);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// ==========================================
+// RELAY COMMAND
+// ==========================================
+program
+  .command('relay <request-file>')
+  .description('Submit a registration request a vendor signed offline, paying its gas')
+  .requiredOption('-k, --key <private-key>', 'Relayer private key (without 0x prefix)')
+  .action(async (requestFile, options) => {
+    try {
+      const wallet = createWallet(options.key);
+      await relayCommand(requestFile, wallet);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// ==========================================
+// DIFF COMMAND
+// ==========================================
+program
+  .command('diff <old> <new>')
+  .description('Show component-level changes between two SBOM versions (files or registered hashes)')
+  .option('-d, --dir <path>', 'Directory to look in for the files of registered hashes', '.')
+  .option('-l, --limit <count>', 'Entries to list per section (0 for all)', '50')
+  .option('--json', 'Print the full diff as JSON')
+  .action(async (oldSbom, newSbom, options) => {
+    try {
+      await diffCommand(oldSbom, newSbom, options);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// ==========================================
+// PROVE COMMAND
+// ==========================================
+program
+  .command('prove <sbom-file>')
+  .description('Create an inclusion proof that a package is in a registered SBOM')
+  .requiredOption('-p, --purl <purl>', 'Package URL of the component to prove')
+  .option('-o, --output <file>', 'Proof output file', 'inclusion-proof.json')
+  .option('--hash-mode <mode>', 'Hash mode used to find the SBOM record, or auto to try each', 'auto')
+  .action(async (sbomFile, options) => {
+    try {
+      await proveCommand(sbomFile, options);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// ==========================================
+// VERIFY-PROOF COMMAND
+// ==========================================
+program
+  .command('verify-proof <proof-file>')
+  .description('Verify a component inclusion proof without the full SBOM')
+  .action(async (proofFile, options) => {
+    try {
+      const result = await verifyProofCommand(proofFile, options);
+      if (!result.included) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// ==========================================
+// VALIDATE COMMAND
+// ==========================================
+program
+  .command('validate <sbom-file>')
+  .description('Validate an SBOM against the bundled CycloneDX, SPDX or Syft schema')
+  .action(async (sbomFile, options) => {
+    try {
+      await validateCommand(sbomFile, options);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// ==========================================
+// QUALITY COMMAND
+// ==========================================
+program
+  .command('quality <sbom-file>')
+  .description('Score an SBOM against the NTIA minimum elements')
+  .option('-l, --limit <count>', 'Components with missing elements to list (0 for all)', '50')
+  .option('--min-quality <score>', 'Fail if the score (0-100) is below this')
+  .action(async (sbomFile, options) => {
+    try {
+      await qualityCommand(sbomFile, options);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// ==========================================
+// POLICY COMMAND
+// ==========================================
+const policy = program
+  .command('policy')
+  .description('Check SBOMs against a license policy');
+
+policy
+  .command('check <sbom-file>')
+  .description('Check every component\'s declared and concluded licenses against a policy file')
+  .requiredOption('-p, --policy <file>', 'License policy file (JSON)')
+  .option('-l, --limit <count>', 'Components to list per verdict (0 for all)', '50')
+  .action(async (sbomFile, options) => {
+    try {
+      await policyCheckCommand(sbomFile, options);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// ==========================================
+// AUDIT COMMAND
+// ==========================================
+program
+  .command('audit <sbom-file>')
+  .description('Check components for known vulnerabilities in a local OSV snapshot (offline)')
+  .requiredOption('--db <dir>', 'Directory of OSV JSON advisories')
+  .option('-f, --format <format>', 'Output format: table, json or sarif', 'table')
+  .option('-o, --output <file>', 'Write the JSON or SARIF report to a file')
+  .option('-l, --limit <count>', 'Table rows to show (0 for all)', '50')
+  .option('--fail-on <severity>', 'Exit with status 1 on matches at or above this severity (low, medium, high, critical)')
+  .option('--vex', 'Apply VEX statements published on-chain for this SBOM')
+  .option('--hash-mode <mode>', 'Hash mode used to find the SBOM record with --vex, or auto to try each', 'auto')
+  .action(async (sbomFile, options) => {
+    try {
+      await auditCommand(sbomFile, options);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// ==========================================
+// GRAPH COMMAND
+// ==========================================
+program
+  .command('graph <sbom-file>')
+  .description('Analyze the dependency graph: why a package is included, cycles and orphans')
+  .option('-w, --why <package>', 'Explain how a package is included (name, name@version or purl)')
+  .option('-f, --format <format>', 'Export the graph (or the --why paths) as dot or mermaid')
+  .option('-o, --output <file>', 'Write the export to a file')
+  .option('-l, --limit <count>', 'List entries and paths to show (0 for all)', '20')
+  .option('--verify', 'Check that the SBOM is registered on-chain with a valid signature first')
+  .option('--hash-mode <mode>', 'Hash mode used to find the SBOM record with --verify, or auto to try each', 'auto')
+  .action(async (sbomFile, options) => {
+    try {
+      await graphCommand(sbomFile, options);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// ==========================================
+// VEX COMMAND
+// ==========================================
+const vex = program
+  .command('vex')
+  .description('Publish VEX (Vulnerability Exploitability eXchange) statements for registered SBOMs');
+
+vex
+  .command('publish <vex-file>')
+  .description('Publish a signed OpenVEX or CycloneDX VEX document for a registered SBOM')
+  .requiredOption('-s, --sbom <file-or-hash>', 'SBOM file or record hash the statements are about')
+  .requiredOption('-k, --key <private-key>', 'Private key of the SBOM vendor or one of its VEX publishers (without 0x prefix)')
+  .option('--hash-mode <mode>', 'Hash mode used to find the SBOM record, or auto to try each', 'auto')
+  .action(async (vexFile, options) => {
+    try {
+      const wallet = createWallet(options.key);
+      await vexPublishCommand(vexFile, wallet, options);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+vex
+  .command('authorize <publisher-address>')
+  .description('Allow an address to publish VEX for your SBOMs')
+  .requiredOption('-k, --key <private-key>', 'Vendor private key (without 0x prefix)')
+  .action(async (publisher, options) => {
+    try {
+      const wallet = createWallet(options.key);
+      await vexPublisherCommand(publisher, wallet, {});
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+vex
+  .command('revoke <publisher-address>')
+  .description('Stop an address from publishing VEX for your SBOMs')
+  .requiredOption('-k, --key <private-key>', 'Vendor private key (without 0x prefix)')
+  .action(async (publisher, options) => {
+    try {
+      const wallet = createWallet(options.key);
+      await vexPublisherCommand(publisher, wallet, { revoke: true });
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// ==========================================
+// ROLES COMMAND
+// ==========================================
+const roles = program
+  .command('roles')
+  .description('Manage registry roles: admins (vendors), auditors (flags, endorsements) and pausers');
+
+roles
+  .command('list')
+  .description('Show the registry owner and the holders of each role')
+  .action(async () => {
+    try {
+      await rolesListCommand();
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+roles
+  .command('grant <role> <address>')
+  .description('Grant admin, auditor or pauser to an account')
+  .requiredOption('-k, --key <private-key>', 'Registry owner private key (without 0x prefix)')
+  .action(async (role, address, options) => {
+    try {
+      const wallet = createWallet(options.key);
+      await roleChangeCommand(role, address, wallet, {});
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+roles
+  .command('revoke <role> <address>')
+  .description('Revoke admin, auditor or pauser from an account')
+  .requiredOption('-k, --key <private-key>', 'Registry owner private key (without 0x prefix)')
+  .action(async (role, address, options) => {
+    try {
+      const wallet = createWallet(options.key);
+      await roleChangeCommand(role, address, wallet, { revoke: true });
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// ==========================================
+// KEYS COMMAND
+// ==========================================
+const keys = program
+  .command('keys')
+  .description('Manage vendor signing keys: add, retire, or report a key compromised');
+
+keys
+  .command('list <vendor>')
+  .description('Show a vendor\'s signing keys and their status')
+  .action(async (vendor) => {
+    try {
+      await keysListCommand(vendor);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+keys
+  .command('add <address>')
+  .description('Authorize another key to sign for the vendor')
+  .requiredOption('-k, --key <private-key>', 'Private key of an active vendor key or a registry admin (without 0x prefix)')
+  .option('--vendor <address>', 'Vendor to add the key to (default: the vendor of --key; required for admins)')
+  .action(async (address, options) => {
+    try {
+      const wallet = createWallet(options.key);
+      await keyAddCommand(address, wallet, { vendor: options.vendor });
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+keys
+  .command('retire <address>')
+  .description('Stop a key from signing; SBOMs it signed stay valid')
+  .requiredOption('-k, --key <private-key>', 'Private key of an active vendor key or a registry admin (without 0x prefix)')
+  .action(async (address, options) => {
+    try {
+      const wallet = createWallet(options.key);
+      await keyRetireCommand(address, wallet, {});
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+keys
+  .command('compromise <address>')
+  .description('Report a key compromised: SBOMs it signed from then on are distrusted')
+  .requiredOption('-k, --key <private-key>', 'Private key of the key itself, the vendor\'s primary address or a registry admin (without 0x prefix)')
+  .option('--since <time>', 'When the key was compromised: ISO 8601 date or Unix seconds (default: now)')
+  .action(async (address, options) => {
+    try {
+      const wallet = createWallet(options.key);
+      await keyRetireCommand(address, wallet, { compromised: true, since: options.since });
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// ==========================================
+// DELEGATE COMMAND
+// ==========================================
+const delegate = program
+  .command('delegate')
+  .description('Delegate signing rights (e.g. to a CI bot) for some products, until an expiry time');
+
+delegate
+  .command('list <vendor>')
+  .description('Show a vendor\'s delegates, their expiry and what they cover')
+  .action(async (vendor) => {
+    try {
+      await delegateListCommand(vendor);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+delegate
+  .command('add <address>')
+  .description('Let an address sign for the vendor, limited to products or version chains')
+  .requiredOption('-k, --key <private-key>', 'Private key of an active vendor key (without 0x prefix)')
+  .requiredOption('--expires <time>', 'When the delegation lapses: ISO 8601 date or Unix seconds')
+  .option('--product <names...>', 'Product names it may register and update')
+  .option('--root <hashes...>', 'SBOMs whose version chains it may update')
+  .action(async (address, options) => {
+    try {
+      const wallet = createWallet(options.key);
+      await delegateAddCommand(address, wallet, options);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+delegate
+  .command('revoke <address>')
+  .description('Stop a delegate from signing; SBOMs it signed stay valid')
+  .requiredOption('-k, --key <private-key>', 'Private key of an active vendor key or a registry admin (without 0x prefix)')
+  .action(async (address, options) => {
+    try {
+      const wallet = createWallet(options.key);
+      await delegateRevokeCommand(address, wallet);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// ==========================================
+// CONVERT COMMAND
+// ==========================================
+program
+  .command('convert <sbom-file>')
+  .description('Convert a Syft SBOM to CycloneDX or SPDX JSON (offline)')
+  .requiredOption('-t, --to <format>', 'Target format: cyclonedx or spdx')
+  .option('-o, --output <file>', 'Output file (default: <file>.cdx.json / <file>.spdx.json)')
+  .option('--register', 'Register the converted SBOM, linked to the registered source')
+  .option('-k, --key <private-key>', 'Vendor private key (without 0x prefix), for --register')
+  .option('--hash-mode <mode>', 'Hash mode: raw, canonical (RFC 8785) or semantic', 'raw')
+  .option('--min-quality <score>', 'With --register: refuse if the NTIA quality score is below this')
+  .action(async (sbomFile, options) => {
+    try {
+      if (options.register && !options.key) {
+        throw new Error('--register needs the vendor key (--key)');
+      }
+      const wallet = options.register ? createWallet(options.key) : null;
+      await convertCommand(sbomFile, wallet, options);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
 // ==========================================
 // INFO COMMAND
 // ==========================================
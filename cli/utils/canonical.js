@@ -0,0 +1,84 @@
+/**
+ * JSON Canonicalization Scheme (RFC 8785)
+ *
+ * Produces a single, deterministic serialization of a JSON value so that
+ * two documents with the same data always hash to the same value, no matter
+ * how they were formatted or in which order their keys were written.
+ * As the RFC requires, strings are kept as-is (no Unicode NFC/NFD folding);
+ * only their escaping is normalized.
+ */
+
+// Matches a UTF-16 surrogate that is not part of a valid pair
+const LONE_SURROGATE = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+
+/**
+ * Serialize a string as required by RFC 8785 section 3.2.2.2
+ * @param {string} value - String to serialize
+ * @returns {string} - Quoted and escaped string
+ */
+function serializeString(value) {
+  // I-JSON (RFC 7493) forbids lone surrogates, so they cannot be canonicalized
+  if (LONE_SURROGATE.test(value)) {
+    throw new Error('Cannot canonicalize string containing a lone surrogate');
+  }
+
+  // JSON.stringify applies exactly the escaping rules JCS mandates:
+  // \b \f \n \r \t \" \\ and \u00XX (lowercase) for other control characters
+  return JSON.stringify(value);
+}
+
+/**
+ * Serialize a number as required by RFC 8785 section 3.2.2.3
+ * @param {number} value - Number to serialize
+ * @returns {string} - ECMAScript number serialization
+ */
+function serializeNumber(value) {
+  if (!Number.isFinite(value)) {
+    throw new Error(`Cannot canonicalize non-finite number: ${value}`);
+  }
+
+  // Number.prototype.toString implements the ECMAScript algorithm JCS
+  // references (shortest round-trip form, exponent for |x| >= 1e21, -0 as 0)
+  return Object.is(value, -0) ? '0' : String(value);
+}
+
+/**
+ * Canonicalize a parsed JSON value (RFC 8785)
+ * @param {*} value - Value produced by JSON.parse
+ * @returns {string} - Canonical JSON text
+ */
+function canonicalize(value) {
+  if (value === null) {
+    return 'null';
+  }
+
+  switch (typeof value) {
+    case 'boolean':
+      return value ? 'true' : 'false';
+    case 'number':
+      return serializeNumber(value);
+    case 'string':
+      return serializeString(value);
+    case 'object':
+      break;
+    default:
+      throw new Error(`Cannot canonicalize value of type ${typeof value}`);
+  }
+
+  if (Array.isArray(value)) {
+    return '[' + value.map(canonicalize).join(',') + ']';
+  }
+
+  // Object members are sorted by their UTF-16 code units, which is exactly
+  // what the default Array.prototype.sort comparison does
+  const members = Object.keys(value)
+    .filter((key) => value[key] !== undefined)
+    .sort()
+    .map((key) => serializeString(key) + ':' + canonicalize(value[key]));
+
+  return '{' + members.join(',') + '}';
+}
+
+module.exports = {
+  canonicalize
+};
@@ -0,0 +1,338 @@
+const { detectFormat } = require('./format');
+
+/**
+ * Normalized component model shared by every SBOM format
+ *
+ * Each format names the same facts differently (Syft artifacts, CycloneDX
+ * components, SPDX packages). The helpers here map them onto one shape:
+ *   { id, name, version, purl, cpe, swid, supplier,
+ *     license, declaredLicense, concludedLicense }
+ * where license is the declared license, or the concluded one if none is declared
+ * and the dependency relationships between them onto { from, to } edges.
+ */
+
+// Top-level arrays that hold components in the supported formats
+const COMPONENT_ARRAYS = ['artifacts', 'components', 'packages'];
+
+// Top-level arrays that hold relationships (CycloneDX, SPDX, Syft)
+const RELATIONSHIP_ARRAYS = ['dependencies', 'relationships', 'artifactRelationships'];
+
+// Fields of a component element read by extractComponents and by metadata
+// extraction (the supplier of the package an SPDX document describes)
+const COMPONENT_FIELDS = [
+  'id', 'bom-ref', 'SPDXID', 'name', 'version', 'versionInfo', 'purl',
+  'cpe', 'swid', 'supplier', 'originator', 'manufacturer', 'publisher',
+  'licenseDeclared', 'licenseConcluded', 'license'
+];
+
+// SPDX external reference types that identify a package
+const SPDX_IDENTIFIER_REFS = ['purl', 'cpe23Type', 'cpe22Type', 'swid'];
+
+// SPDX relationship types that express a dependency, and their direction:
+// 'forward' means spdxElementId depends on relatedSpdxElement
+const SPDX_DEPENDENCY_TYPES = {
+  DEPENDS_ON: 'forward',
+  DEPENDENCY_OF: 'reverse',
+  BUILD_DEPENDENCY_OF: 'reverse',
+  DEV_DEPENDENCY_OF: 'reverse',
+  OPTIONAL_DEPENDENCY_OF: 'reverse',
+  PROVIDED_DEPENDENCY_OF: 'reverse',
+  TEST_DEPENDENCY_OF: 'reverse',
+  RUNTIME_DEPENDENCY_OF: 'reverse'
+};
+
+// SPDX marks unknown values with these instead of leaving them out
+const SPDX_NO_VALUE = ['NOASSERTION', 'NONE'];
+
+/**
+ * Strip the "Organization: " / "Person: " / "Tool: " prefix of an SPDX actor
+ * @param {string} actor - SPDX actor string
+ * @returns {string} - Actor name, or '' if none
+ */
+function spdxActorName(actor) {
+  const value = typeof actor === 'string' ? actor.trim() : '';
+  if (!value || SPDX_NO_VALUE.includes(value)) {
+    return '';
+  }
+  return value.replace(/^(Organization|Person|Tool):\s*/, '').trim();
+}
+
+/**
+ * Find an external reference of an SPDX package
+ * @param {object} pkg - SPDX package
+ * @param {string[]} types - Accepted referenceType values
+ * @returns {string} - Reference locator, or '' if none
+ */
+function spdxRef(pkg, types) {
+  const ref = (pkg.externalRefs || []).find((r) => types.includes(r.referenceType));
+  return ref ? ref.referenceLocator : '';
+}
+
+/**
+ * Get the first CPE of a Syft artifact
+ * Syft writes either plain strings or { cpe, source } objects
+ * @param {array} cpes - Syft cpes array
+ * @returns {string} - CPE, or '' if none
+ */
+function firstCPE(cpes) {
+  const first = Array.isArray(cpes) ? cpes[0] : null;
+  if (!first) {
+    return '';
+  }
+  return typeof first === 'string' ? first : first.cpe || '';
+}
+
+/**
+ * Get the name of a CycloneDX organizational entity
+ * @param {object|string} entity - Organizational entity (or publisher string)
+ * @returns {string} - Name, or '' if none
+ */
+function entityName(entity) {
+  if (!entity) {
+    return '';
+  }
+  return typeof entity === 'string' ? entity : entity.name || '';
+}
+
+/**
+ * Join license names into a single expression
+ * @param {string[]} licenses - License ids, names or expressions
+ * @returns {string} - Distinct licenses joined with AND, or '' if none
+ */
+function joinLicenses(licenses) {
+  return [...new Set(licenses.filter(Boolean))].join(' AND ');
+}
+
+/**
+ * Build the license fields of a normalized component
+ * @param {string} declared - Declared license expression ('' if none)
+ * @param {string} concluded - Concluded license expression ('' if none)
+ * @returns {object} - { license, declaredLicense, concludedLicense }
+ */
+function licenseFields(declared, concluded) {
+  return { license: declared || concluded, declaredLicense: declared, concludedLicense: concluded };
+}
+
+/**
+ * Get the license fields of a Syft artifact
+ * @param {array} licenses - Syft licenses (objects, or strings in old schemas)
+ * @returns {object} - See licenseFields
+ */
+function syftLicenses(licenses = []) {
+  const pick = (concluded) => joinLicenses(licenses
+    .filter((license) => license && (license.type === 'concluded') === concluded)
+    .map((license) => (typeof license === 'string' ? license : license.spdxExpression || license.value)));
+  return licenseFields(pick(false), pick(true));
+}
+
+/**
+ * Get the license fields of a CycloneDX component
+ * CycloneDX 1.6 marks each license as declared or concluded ("acknowledgement");
+ * earlier versions only declare
+ * @param {array} licenses - CycloneDX licenses (license entries or an expression)
+ * @returns {object} - See licenseFields
+ */
+function cyclonedxLicenses(licenses = []) {
+  const pick = (concluded) => joinLicenses(licenses
+    .filter((entry) => entry && ((entry.license || entry).acknowledgement === 'concluded') === concluded)
+    .map((entry) => entry.expression || (entry.license && (entry.license.id || entry.license.name))));
+  return licenseFields(pick(false), pick(true));
+}
+
+/**
+ * Get the license fields of an SPDX package
+ * @param {object} pkg - SPDX package
+ * @returns {object} - See licenseFields
+ */
+function spdxLicenses(pkg) {
+  const value = (license) => (license && !SPDX_NO_VALUE.includes(license) ? license : '');
+  return licenseFields(value(pkg.licenseDeclared), value(pkg.licenseConcluded));
+}
+
+/**
+ * Flatten CycloneDX components, including nested sub-components
+ * @param {array} components - CycloneDX components array
+ * @returns {array} - Flat list of components
+ */
+function flattenCycloneDX(components = []) {
+  return components.reduce((all, component) => {
+    all.push(component);
+    return all.concat(flattenCycloneDX(component.components));
+  }, []);
+}
+
+/**
+ * Extract the normalized component list from a parsed SBOM
+ * @param {object} sbom - Parsed SBOM
+ * @returns {array} - Normalized components
+ */
+function extractComponents(sbom) {
+  switch (detectFormat(sbom)) {
+    case 'syft':
+      return sbom.artifacts.map((artifact) => ({
+        id: artifact.id || '',
+        name: artifact.name || '',
+        version: artifact.version || '',
+        purl: artifact.purl || '',
+        cpe: firstCPE(artifact.cpes),
+        swid: '',
+        supplier: entityName(artifact.supplier),
+        ...syftLicenses(artifact.licenses)
+      }));
+    case 'cyclonedx':
+      return flattenCycloneDX(sbom.components).map((component) => ({
+        id: component['bom-ref'] || '',
+        name: component.name || '',
+        version: component.version || '',
+        purl: component.purl || '',
+        cpe: component.cpe || '',
+        swid: (component.swid && component.swid.tagId) || '',
+        supplier: entityName(component.supplier) || entityName(component.manufacturer) || entityName(component.publisher),
+        ...cyclonedxLicenses(component.licenses)
+      }));
+    case 'spdx':
+      return (sbom.packages || []).map((pkg) => ({
+        id: pkg.SPDXID || '',
+        name: pkg.name || '',
+        version: SPDX_NO_VALUE.includes(pkg.versionInfo) ? '' : pkg.versionInfo || '',
+        purl: spdxRef(pkg, ['purl']),
+        cpe: spdxRef(pkg, ['cpe23Type', 'cpe22Type']),
+        swid: spdxRef(pkg, ['swid']),
+        supplier: spdxActorName(pkg.supplier),
+        ...spdxLicenses(pkg)
+      }));
+    default: {
+      // Custom formats: take the first list that looks like components
+      const list = [sbom.components, sbom.packages, sbom.artifacts].find(Array.isArray) || [];
+      return list
+        .filter((item) => item && typeof item === 'object')
+        .map((item) => ({
+          id: item.id || '',
+          name: item.name || '',
+          version: item.version || '',
+          purl: item.purl || '',
+          cpe: item.cpe || '',
+          swid: '',
+          supplier: entityName(item.supplier),
+          ...licenseFields(typeof item.license === 'string' ? item.license : '', '')
+        }));
+    }
+  }
+}
+
+/**
+ * Extract the dependency relationships of a parsed SBOM as directed edges
+ * @param {object} sbom - Parsed SBOM
+ * @returns {array} - Edges { from, to }: "from" depends on "to" (component ids)
+ */
+function extractDependencies(sbom) {
+  switch (detectFormat(sbom)) {
+    case 'syft':
+      // { parent, child, type: 'dependency-of' }: parent is a dependency of child
+      return (sbom.artifactRelationships || [])
+        .filter((rel) => rel.type === 'dependency-of')
+        .map((rel) => ({ from: rel.child, to: rel.parent }));
+    case 'cyclonedx':
+      return (sbom.dependencies || []).reduce((edges, dependency) => {
+        (dependency.dependsOn || []).forEach((to) => edges.push({ from: dependency.ref, to }));
+        return edges;
+      }, []);
+    case 'spdx':
+      return (sbom.relationships || [])
+        .filter((rel) => SPDX_DEPENDENCY_TYPES[rel.relationshipType])
+        .map((rel) => (SPDX_DEPENDENCY_TYPES[rel.relationshipType] === 'forward'
+          ? { from: rel.spdxElementId, to: rel.relatedSpdxElement }
+          : { from: rel.relatedSpdxElement, to: rel.spdxElementId }));
+    default:
+      return [];
+  }
+}
+
+/**
+ * Keep only the fields of a raw component element that extraction reads
+ * Used while streaming so large per-component metadata is not retained
+ * @param {object} element - Raw component element
+ * @returns {object} - Trimmed element
+ */
+function trimComponent(element) {
+  if (!element || typeof element !== 'object') {
+    return element;
+  }
+
+  const trimmed = {};
+  COMPONENT_FIELDS.forEach((field) => {
+    if (element[field] !== undefined) {
+      trimmed[field] = element[field];
+    }
+  });
+
+  if (Array.isArray(element.cpes)) {
+    // Only the first CPE is used
+    trimmed.cpes = element.cpes.slice(0, 1);
+  }
+  if (Array.isArray(element.externalRefs)) {
+    trimmed.externalRefs = element.externalRefs.filter((ref) => ref && SPDX_IDENTIFIER_REFS.includes(ref.referenceType));
+  }
+  if (Array.isArray(element.licenses)) {
+    // Only the identifiers; CycloneDX may embed full license texts
+    trimmed.licenses = element.licenses.map((license) => {
+      if (!license || typeof license !== 'object') {
+        return license;
+      }
+      if (license.license) {
+        const { id, name, acknowledgement } = license.license;
+        return { license: { id, name, acknowledgement } };
+      }
+      const { expression, acknowledgement, spdxExpression, value, type } = license;
+      return { expression, acknowledgement, spdxExpression, value, type };
+    });
+  }
+  if (Array.isArray(element.components)) {
+    trimmed.components = element.components.map(trimComponent);
+  }
+
+  return trimmed;
+}
+
+/**
+ * Trim a raw relationship element while streaming
+ * Keeps dependency relationships (and SPDX DESCRIBES, used for metadata);
+ * drops everything else, such as Syft file relationships
+ * @param {string} arrayName - One of RELATIONSHIP_ARRAYS
+ * @param {object} element - Raw relationship element
+ * @returns {object|null} - Trimmed element, or null to drop it
+ */
+function trimRelationship(arrayName, element) {
+  if (!element || typeof element !== 'object') {
+    return null;
+  }
+
+  switch (arrayName) {
+    case 'dependencies':
+      return { ref: element.ref, dependsOn: element.dependsOn };
+    case 'relationships':
+      return element.relationshipType === 'DESCRIBES' || SPDX_DEPENDENCY_TYPES[element.relationshipType]
+        ? {
+          spdxElementId: element.spdxElementId,
+          relationshipType: element.relationshipType,
+          relatedSpdxElement: element.relatedSpdxElement
+        }
+        : null;
+    case 'artifactRelationships':
+      return element.type === 'dependency-of'
+        ? { parent: element.parent, child: element.child, type: element.type }
+        : null;
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  COMPONENT_ARRAYS,
+  RELATIONSHIP_ARRAYS,
+  spdxActorName,
+  extractComponents,
+  extractDependencies,
+  trimComponent,
+  trimRelationship
+};
@@ -1,21 +1,80 @@
 const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
+const { analyzeSBOM, HASH_MODES } = require('./hash');
+const { getRecordedHashMode } = require('./metadata');
 
 // Contract ABI - Essential functions only
 const CONTRACT_ABI = [
   "function registerSBOM(bytes32 hash, string metadata, bytes signature) public",
   "function updateSBOM(bytes32 oldHash, bytes32 newHash, string metadata, bytes signature) public",
-  "function verifySBOM(bytes32 hash) public view returns (bool exists, tuple(bytes32 hash, address vendor, uint256 timestamp, string metadata, bytes32 previousHash, bytes signature) record)",
-  "function verifyCompleteSBOM(bytes32 hash) public view returns (bool exists, bool signatureValid, bool vendorVerified, string vendorName)",
+  "function verifySBOM(bytes32 hash) public view returns (bool exists, tuple(address vendor, uint64 nonce, uint256 timestamp, string metadata, bytes32 previousHash, bytes signature) record)",
+  "function getNonce(address signer) public view returns (uint256)",
+  "function getDomainSeparator() public view returns (bytes32)",
+  "function verifyCompleteSBOM(bytes32 hash) public view returns (bool exists, bool signatureValid, bool vendorVerified, string vendorName, uint8 withdrawalReason, uint8 keyStatus, bool vendorVerifiedAtRegistration)",
+  "function verifySignature(bytes32 hash) public view returns (bool isValid, address signer)",
   "function getVersionHistory(bytes32 hash) public view returns (bytes32[] memory)",
   "function getVersionCount(bytes32 hash) public view returns (uint256)",
   "function getRootHash(bytes32 hash) public view returns (bytes32)",
+  "function getLatestVersion(bytes32 hash) public view returns (bytes32)",
+  "function anchorComponentRoot(bytes32 hash, bytes32 componentRoot) public",
+  "function getComponentRoot(bytes32 hash) public view returns (bytes32)",
+  "function verifyComponentProof(bytes32 hash, bytes32 leaf, bytes32[] proof) public view returns (bool)",
+  "function addDigests(bytes32 hash, string[] algorithms, bytes[] digests) public",
+  "function getDigests(bytes32 hash) public view returns (tuple(string algorithm, bytes digest)[])",
+  "function getHashByDigest(address vendor, string algorithm, bytes digest) public view returns (bytes32)",
+  "function getHashBySHA256(address vendor, bytes32 sha256) public view returns (bytes32)",
+  "function linkDerivedSBOM(bytes32 sourceHash, bytes32 derivedHash) public",
+  "function getSourceSBOM(bytes32 hash) public view returns (bytes32)",
+  "function getDerivedSBOMs(bytes32 hash) public view returns (bytes32[])",
+  "function authorizeVEXPublisher(address publisher) public",
+  "function revokeVEXPublisher(address publisher) public",
+  "function isVEXPublisher(address vendor, address publisher) public view returns (bool)",
+  "function publishVEX(bytes32 sbomHash, bytes32 documentHash, string statements, bytes signature) public",
+  "function getVEX(bytes32 documentHash) public view returns (tuple(bytes32 sbomHash, bytes32 documentHash, address author, uint256 timestamp, string statements, bytes signature))",
+  "function getVEXDocuments(bytes32 sbomHash) public view returns (bytes32[])",
+  "function withdrawSBOM(bytes32 hash, uint8 reason, bytes32 replacementHash) public",
+  "function getWithdrawal(bytes32 hash) public view returns (tuple(uint8 reason, bytes32 replacementHash, uint256 timestamp))",
   "function isVerifiedVendor(address vendor) public view returns (bool)",
+  "function wasVerifiedVendorAt(address vendor, uint256 timestamp) public view returns (bool)",
+  "function getVendorStatusHistory(address vendor) public view returns (tuple(bool verified, uint256 timestamp)[])",
   "function getVendorInfo(address vendor) public view returns (tuple(string name, string website, string contactEmail, bool verified, uint256 registeredAt))",
-  "function registryOwner() public view returns (address)"
+  "function addSigningKey(address vendor, address key) public",
+  "function retireSigningKey(address key) public",
+  "function reportKeyCompromise(address key, uint256 compromisedAt) public",
+  "function getSigningKey(address key) public view returns (tuple(address vendor, uint48 addedAt, uint48 retiredAt, uint256 compromisedAt))",
+  "function getVendorKeys(address vendor) public view returns (address[])",
+  "function getKeyStatusAt(address key, uint256 timestamp) public view returns (uint8)",
+  "function addDelegate(address delegate, bytes32[] scopes, uint256 expiresAt) public",
+  "function revokeDelegate(address delegate) public",
+  "function getDelegation(address delegate) public view returns (tuple(address vendor, uint48 createdAt, uint48 expiresAt, uint256 revokedAt, bytes32[] scopes))",
+  "function getVendorDelegates(address vendor) public view returns (address[])",
+  "function getDelegateSigner(bytes32 hash) public view returns (address)",
+  "function getChainProduct(bytes32 hash) public view returns (bytes32)",
+  "function registerDelegatedSBOM(bytes32 hash, string product, string metadata, bytes signature) public",
+  "function registerSBOMFor(address signer, bytes32 hash, string metadata, uint256 deadline, bytes signature) public",
+  "function getRelayDeadline(bytes32 hash) public view returns (uint256)",
+  "function registryOwner() public view returns (address)",
+  "function pendingOwner() public view returns (address)",
+  "function paused() public view returns (bool)",
+  "function grantRole(uint8 role, address account) public",
+  "function revokeRole(uint8 role, address account) public",
+  "function hasRole(uint8 role, address account) public view returns (bool)",
+  "function getRoleMembers(uint8 role) public view returns (address[])",
+  "function getFlags(bytes32 hash) public view returns (tuple(address auditor, bytes32 reasonHash, uint256 timestamp)[])",
+  "function endorseSBOM(bytes32 hash, bytes32 commentHash, bytes signature) public",
+  "function getEndorsements(bytes32 hash) public view returns (tuple(address auditor, bytes32 commentHash, uint256 timestamp, bytes signature)[])"
 ];
 
+// Role enum values, by index
+const ROLES = ['admin', 'auditor', 'pauser'];
+
+// KeyStatus enum values, by index
+const KEY_STATUSES = ['unknown', 'active', 'retired', 'compromised'];
+
+// WithdrawalReason enum values, by index
+const WITHDRAWAL_REASONS = ['none', 'superseded', 'inaccurate', 'key-compromise', 'withdrawn'];
+
 /**
  * Load configuration from file
  * @returns {object} - Configuration object
@@ -80,8 +139,9 @@ function getContract(wallet) {
   // Connect to blockchain
   const provider = new ethers.JsonRpcProvider(config.rpcUrl);
   
-  // Connect wallet to provider
-  const signer = wallet.connect(provider);
+  // Connect wallet to provider. The nonce manager tracks nonces locally so
+  // commands can send several transactions back to back.
+  const signer = new ethers.NonceManager(wallet.connect(provider));
   
   // Create contract instance with signer
   const contract = new ethers.Contract(
@@ -120,6 +180,150 @@ function getNetworkName() {
   return config.network || 'unknown';
 }
 
+/**
+ * Fetch an SBOM's withdrawal
+ * @param {Contract} contract - Contract instance
+ * @param {string} hash - SBOM record hash
+ * @returns {Promise<object|null>} - { reason, replacementHash, timestamp }, or null if not withdrawn
+ */
+async function fetchWithdrawal(contract, hash) {
+  const withdrawal = await contract.getWithdrawal(hash);
+  if (Number(withdrawal.reason) === 0) {
+    return null;
+  }
+  return {
+    reason: WITHDRAWAL_REASONS[Number(withdrawal.reason)],
+    replacementHash: withdrawal.replacementHash === ethers.ZeroHash ? null : withdrawal.replacementHash,
+    timestamp: Number(withdrawal.timestamp)
+  };
+}
+
+/**
+ * Fetch a vendor signing key
+ * @param {Contract} contract - Contract instance
+ * @param {string} key - Key address
+ * @returns {Promise<object|null>} - { key, vendor, addedAt, retiredAt, compromisedAt }
+ *   (zero times when not retired or compromised), or null if the key is unknown
+ */
+async function fetchSigningKey(contract, key) {
+  const signingKey = await contract.getSigningKey(key);
+  if (signingKey.vendor === ethers.ZeroAddress) {
+    return null;
+  }
+  return {
+    key,
+    vendor: signingKey.vendor,
+    addedAt: Number(signingKey.addedAt),
+    retiredAt: Number(signingKey.retiredAt),
+    compromisedAt: Number(signingKey.compromisedAt)
+  };
+}
+
+/**
+ * Find the vendor an address signs for
+ * @param {Contract} contract - Contract instance
+ * @param {string} key - Key address
+ * @returns {Promise<string|null>} - Vendor address, or null if the key is unknown or retired
+ */
+async function fetchKeyVendor(contract, key) {
+  const signingKey = await fetchSigningKey(contract, key);
+  return signingKey && !signingKey.retiredAt ? signingKey.vendor : null;
+}
+
+/**
+ * Fetch a delegation of signing rights
+ * @param {Contract} contract - Contract instance
+ * @param {string} delegate - Delegate address
+ * @returns {Promise<object|null>} - { delegate, vendor, createdAt, expiresAt, revokedAt, scopes }
+ *   (zero revokedAt when not revoked), or null if the address is not a delegate
+ */
+async function fetchDelegation(contract, delegate) {
+  const delegation = await contract.getDelegation(delegate);
+  if (delegation.vendor === ethers.ZeroAddress) {
+    return null;
+  }
+  return {
+    delegate,
+    vendor: delegation.vendor,
+    createdAt: Number(delegation.createdAt),
+    expiresAt: Number(delegation.expiresAt),
+    revokedAt: Number(delegation.revokedAt),
+    scopes: [...delegation.scopes]
+  };
+}
+
+/**
+ * Fetch the flags registry auditors raised on an SBOM
+ * @param {Contract} contract - Contract instance
+ * @param {string} hash - SBOM record hash
+ * @returns {Promise<array>} - [{ auditor, reasonHash, timestamp, active }], where active
+ *   is false once the auditor has lost the auditor role
+ */
+async function fetchFlags(contract, hash) {
+  const flags = [];
+  for (const flag of await contract.getFlags(hash)) {
+    flags.push({
+      auditor: flag.auditor,
+      reasonHash: flag.reasonHash === ethers.ZeroHash ? null : flag.reasonHash,
+      timestamp: Number(flag.timestamp),
+      active: await contract.hasRole(ROLES.indexOf('auditor'), flag.auditor)
+    });
+  }
+  return flags;
+}
+
+/**
+ * Fetch the endorsements registry auditors gave an SBOM
+ * @param {Contract} contract - Contract instance
+ * @param {string} hash - SBOM record hash
+ * @returns {Promise<array>} - [{ auditor, commentHash, timestamp, active }], where active
+ *   is false once the auditor has lost the auditor role
+ */
+async function fetchEndorsements(contract, hash) {
+  const endorsements = [];
+  for (const endorsement of await contract.getEndorsements(hash)) {
+    endorsements.push({
+      auditor: endorsement.auditor,
+      commentHash: endorsement.commentHash === ethers.ZeroHash ? null : endorsement.commentHash,
+      timestamp: Number(endorsement.timestamp),
+      active: await contract.hasRole(ROLES.indexOf('auditor'), endorsement.auditor)
+    });
+  }
+  return endorsements;
+}
+
+/**
+ * Find the on-chain record of an SBOM file, or take a record hash as given
+ * @param {Contract} contract - Read-only contract instance
+ * @param {string} fileOrHash - SBOM file, or record hash (0x + 64 hex)
+ * @param {string} hashMode - Hash mode, or 'auto' to try every mode
+ * @returns {Promise<object>} - { hash, hashMode, record, analysis } (record is null if
+ *   not registered; hashMode and analysis are null for a hash given as is)
+ */
+async function resolveSBOMRecord(contract, fileOrHash, hashMode = 'auto') {
+  let candidates;
+  let analysis = null;
+  if (/^0x[0-9a-fA-F]{64}$/.test(fileOrHash)) {
+    candidates = [{ mode: null, hash: fileOrHash }];
+  } else {
+    const modes = hashMode === 'auto' ? HASH_MODES : [hashMode];
+    analysis = await analyzeSBOM(fileOrHash, { hashModes: modes });
+    candidates = modes
+      .filter((mode) => analysis.hashes[mode])
+      .map((mode) => ({ mode, hash: analysis.hashes[mode] }));
+  }
+
+  // A file only matches a record in the hash mode the record was registered under
+  for (const { mode, hash } of candidates) {
+    const [exists, record] = await contract.verifySBOM(hash);
+    if (exists && (mode === null || getRecordedHashMode(record.metadata) === mode)) {
+      return { hash, hashMode: mode, record, analysis };
+    }
+  }
+  const [first] = candidates;
+  return { hash: first ? first.hash : ethers.ZeroHash, hashMode: first ? first.mode : null, record: null, analysis };
+}
+
 module.exports = {
   getContract,
   getContractReadOnly,
@@ -128,5 +332,15 @@ module.exports = {
   getNetworkName,
   loadConfig,
   saveConfig,
-  CONTRACT_ABI
+  resolveSBOMRecord,
+  fetchWithdrawal,
+  fetchFlags,
+  fetchEndorsements,
+  fetchSigningKey,
+  fetchKeyVendor,
+  fetchDelegation,
+  CONTRACT_ABI,
+  ROLES,
+  KEY_STATUSES,
+  WITHDRAWAL_REASONS
 };
\ No newline at end of file
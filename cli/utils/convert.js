@@ -0,0 +1,401 @@
+const fs = require('fs');
+const path = require('path');
+const { detectFormat, FORMAT_NAMES } = require('./format');
+const { version: CLI_VERSION } = require('../../package.json');
+
+/**
+ * Syft JSON -> CycloneDX / SPDX conversion
+ *
+ * Runs offline and is deterministic: identifiers that have to be unique
+ * (CycloneDX serialNumber, SPDX documentNamespace) are derived from the
+ * digest of the source document, so converting the same Syft file twice
+ * produces the same bytes, and therefore the same registry hash.
+ */
+
+// Target formats, with the file suffix used for the converted document
+const CONVERSION_TARGETS = {
+  cyclonedx: { name: 'CycloneDX 1.5', suffix: '.cdx.json' },
+  spdx: { name: 'SPDX 2.3', suffix: '.spdx.json' }
+};
+
+const TOOL_NAME = 'sbom-cli';
+
+// CycloneDX component type for each Syft source type
+const SOURCE_TYPES = {
+  image: 'container',
+  directory: 'application',
+  file: 'file'
+};
+
+// SPDX license identifiers (the list bundled for the CycloneDX schemas)
+let spdxLicenseIds = null;
+
+/**
+ * Check whether a string is a single identifier on the SPDX license list
+ * @param {string} expression - License expression
+ * @returns {boolean} - True for a listed identifier such as "MIT"
+ */
+function isListedLicense(expression) {
+  if (!spdxLicenseIds) {
+    const schema = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'schemas', 'spdx.schema.json'), 'utf8'));
+    spdxLicenseIds = new Set(schema.enum);
+  }
+  return spdxLicenseIds.has(expression);
+}
+
+/**
+ * Build an RFC 4122 UUID (version 5 layout) from a hex digest
+ * @param {string} digest - Hex digest (0x prefix optional), at least 32 hex digits
+ * @returns {string} - UUID
+ */
+function uuidFromDigest(digest) {
+  const hex = digest.replace(/^0x/, '').slice(0, 32).split('');
+  hex[12] = '5';
+  hex[16] = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  const text = hex.join('');
+  return [text.slice(0, 8), text.slice(8, 12), text.slice(12, 16), text.slice(16, 20), text.slice(20)].join('-');
+}
+
+/**
+ * Format a timestamp as the UTC "YYYY-MM-DDThh:mm:ssZ" form SPDX requires
+ * @param {string|number|Date} value - Timestamp
+ * @returns {string} - Formatted timestamp
+ */
+function formatTimestamp(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid timestamp: ${value}`);
+  }
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Turn a string into characters allowed in an SPDX identifier
+ * @param {string} value - Any string
+ * @returns {string} - Letters, digits, "." and "-" only
+ */
+function spdxIdPart(value) {
+  return String(value).replace(/[^A-Za-z0-9.-]/g, '-');
+}
+
+/**
+ * Check whether an SPDX license expression combines several licenses
+ * @param {string} expression - License expression
+ * @returns {boolean} - True for expressions with AND / OR / WITH or parentheses
+ */
+function isCompoundExpression(expression) {
+  return /\s(AND|OR|WITH)\s/i.test(expression) || expression.includes('(');
+}
+
+/**
+ * Get all CPE strings of a Syft artifact
+ * @param {object} artifact - Syft artifact
+ * @returns {string[]} - CPEs, in Syft's order
+ */
+function artifactCPEs(artifact) {
+  return (artifact.cpes || [])
+    .map((cpe) => (typeof cpe === 'string' ? cpe : cpe && cpe.cpe))
+    .filter(Boolean);
+}
+
+/**
+ * Get the distinct licenses of a Syft artifact
+ * @param {object} artifact - Syft artifact
+ * @returns {array} - { expression, name, type } (expression is '' when not an SPDX expression)
+ */
+function artifactLicenses(artifact) {
+  const seen = new Set();
+  return (artifact.licenses || [])
+    .map((license) => (typeof license === 'string'
+      ? { expression: '', name: license, type: 'declared' }
+      : { expression: license.spdxExpression || '', name: license.value || '', type: license.type || 'declared' }))
+    .filter((license) => {
+      const key = license.expression || license.name;
+      if (!key || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Get the dependencies of each artifact from Syft "dependency-of" relationships
+ * @param {object} sbom - Syft SBOM
+ * @returns {Map} - Artifact id -> ids of the artifacts it depends on
+ */
+function dependencyMap(sbom) {
+  const dependencies = new Map();
+  (sbom.artifactRelationships || [])
+    .filter((rel) => rel.type === 'dependency-of')
+    .forEach((rel) => {
+      // { parent, child }: parent is a dependency of child
+      if (!dependencies.has(rel.child)) {
+        dependencies.set(rel.child, []);
+      }
+      if (!dependencies.get(rel.child).includes(rel.parent)) {
+        dependencies.get(rel.child).push(rel.parent);
+      }
+    });
+  return dependencies;
+}
+
+/**
+ * Map Syft licenses onto a CycloneDX licenses array
+ * CycloneDX allows either license entries or a single expression, so a
+ * compound expression turns the whole list into one combined expression
+ * @param {array} licenses - Result of artifactLicenses
+ * @returns {array|undefined} - CycloneDX licenses
+ */
+function cyclonedxLicenses(licenses) {
+  if (licenses.length === 0) {
+    return undefined;
+  }
+
+  const compound = licenses.some((license) => license.expression && isCompoundExpression(license.expression));
+  if (compound && licenses.every((license) => license.expression)) {
+    const expression = licenses
+      .map((license) => (licenses.length > 1 && isCompoundExpression(license.expression)
+        ? `(${license.expression})`
+        : license.expression))
+      .join(' AND ');
+    return [{ expression }];
+  }
+
+  return licenses.map((license) => (license.expression && isListedLicense(license.expression)
+    ? { license: { id: license.expression } }
+    : { license: { name: license.name || license.expression } }));
+}
+
+/**
+ * Convert a Syft SBOM to CycloneDX 1.5 JSON
+ * @param {object} sbom - Syft SBOM
+ * @param {object} options - { sourceDigest, created }
+ * @returns {object} - CycloneDX document
+ */
+function toCycloneDX(sbom, { sourceDigest, created }) {
+  const source = sbom.source || {};
+  const descriptor = sbom.descriptor || {};
+  const dependencies = dependencyMap(sbom);
+  const rootRef = `source:${source.id || uuidFromDigest(sourceDigest)}`;
+
+  const metadataComponent = {
+    'bom-ref': rootRef,
+    type: SOURCE_TYPES[source.type] || 'application',
+    name: source.name || 'Unknown'
+  };
+  if (source.version) {
+    metadataComponent.version = source.version;
+  }
+
+  const tools = [];
+  if (descriptor.name) {
+    tools.push({ type: 'application', name: descriptor.name, version: descriptor.version || undefined });
+  }
+  tools.push({ type: 'application', name: TOOL_NAME, version: CLI_VERSION });
+
+  const components = (sbom.artifacts || []).map((artifact) => {
+    const cpes = artifactCPEs(artifact);
+    const component = {
+      'bom-ref': artifact.id,
+      type: 'library',
+      name: artifact.name,
+      version: artifact.version || undefined,
+      cpe: cpes[0],
+      purl: artifact.purl || undefined,
+      licenses: cyclonedxLicenses(artifactLicenses(artifact))
+    };
+
+    // Keep what CycloneDX has no field for as properties, named as Syft does
+    const properties = [
+      ['syft:package:type', artifact.type],
+      ['syft:package:language', artifact.language],
+      ['syft:package:foundBy', artifact.foundBy]
+    ]
+      .concat(cpes.slice(1).map((cpe) => ['syft:cpe23', cpe]))
+      .filter(([, value]) => value)
+      .map(([name, value]) => ({ name, value }));
+    if (properties.length > 0) {
+      component.properties = properties;
+    }
+
+    return component;
+  });
+
+  const document = {
+    bomFormat: 'CycloneDX',
+    specVersion: '1.5',
+    serialNumber: `urn:uuid:${uuidFromDigest(sourceDigest)}`,
+    version: 1,
+    metadata: {
+      timestamp: created,
+      tools: { components: tools },
+      component: metadataComponent,
+      properties: [{ name: 'sbom-cli:converted-from', value: `syft-json ${sourceDigest}` }]
+    },
+    components,
+    // Every component is listed, so "no dependencies" is explicit
+    dependencies: components.map((component) => ({
+      ref: component['bom-ref'],
+      dependsOn: dependencies.get(component['bom-ref']) || []
+    }))
+  };
+
+  // Drop undefined fields so the output matches what JSON.stringify writes
+  return JSON.parse(JSON.stringify(document));
+}
+
+/**
+ * Convert a Syft SBOM to SPDX 2.3 JSON
+ * @param {object} sbom - Syft SBOM
+ * @param {object} options - { sourceDigest, created }
+ * @returns {object} - SPDX document
+ */
+function toSPDX(sbom, { sourceDigest, created }) {
+  const source = sbom.source || {};
+  const descriptor = sbom.descriptor || {};
+  const dependencies = dependencyMap(sbom);
+  const name = source.name || 'Unknown';
+  const rootId = `SPDXRef-DocumentRoot-${spdxIdPart(source.type || 'source')}-${spdxIdPart(name)}`;
+
+  // Licenses that are not SPDX expressions become LicenseRef-... entries
+  const extractedLicenses = new Map();
+  const spdxExpression = (license) => {
+    if (license.expression) {
+      return license.expression;
+    }
+    const licenseId = `LicenseRef-${spdxIdPart(license.name)}`;
+    extractedLicenses.set(licenseId, license.name);
+    return licenseId;
+  };
+  const combine = (licenses) => {
+    if (licenses.length === 0) {
+      return 'NOASSERTION';
+    }
+    const expressions = licenses.map(spdxExpression);
+    return expressions.length === 1
+      ? expressions[0]
+      : expressions.map((expression) => (isCompoundExpression(expression) ? `(${expression})` : expression)).join(' AND ');
+  };
+
+  const packageIds = new Map();
+  const packages = (sbom.artifacts || []).map((artifact) => {
+    const spdxId = `SPDXRef-Package-${spdxIdPart(artifact.type || 'unknown')}-${spdxIdPart(artifact.name)}-${spdxIdPart(artifact.id)}`;
+    packageIds.set(artifact.id, spdxId);
+
+    const licenses = artifactLicenses(artifact);
+    const externalRefs = artifactCPEs(artifact)
+      .map((cpe) => ({
+        referenceCategory: 'SECURITY',
+        referenceType: cpe.startsWith('cpe:2.3:') ? 'cpe23Type' : 'cpe22Type',
+        referenceLocator: cpe
+      }));
+    if (artifact.purl) {
+      externalRefs.push({ referenceCategory: 'PACKAGE-MANAGER', referenceType: 'purl', referenceLocator: artifact.purl });
+    }
+
+    return {
+      name: artifact.name,
+      SPDXID: spdxId,
+      versionInfo: artifact.version || undefined,
+      supplier: 'NOASSERTION',
+      downloadLocation: 'NOASSERTION',
+      filesAnalyzed: false,
+      licenseConcluded: combine(licenses.filter((license) => license.type === 'concluded')),
+      licenseDeclared: combine(licenses.filter((license) => license.type !== 'concluded')),
+      copyrightText: 'NOASSERTION',
+      externalRefs: externalRefs.length > 0 ? externalRefs : undefined
+    };
+  });
+
+  const rootPackage = {
+    name,
+    SPDXID: rootId,
+    versionInfo: source.version || undefined,
+    supplier: 'NOASSERTION',
+    downloadLocation: 'NOASSERTION',
+    filesAnalyzed: false,
+    licenseConcluded: 'NOASSERTION',
+    licenseDeclared: 'NOASSERTION',
+    copyrightText: 'NOASSERTION',
+    primaryPackagePurpose: SOURCE_TYPES[source.type] === 'container' ? 'CONTAINER' : 'APPLICATION'
+  };
+
+  const relationships = [
+    { spdxElementId: 'SPDXRef-DOCUMENT', relationshipType: 'DESCRIBES', relatedSpdxElement: rootId }
+  ];
+  packages.forEach((pkg) => {
+    relationships.push({ spdxElementId: rootId, relationshipType: 'CONTAINS', relatedSpdxElement: pkg.SPDXID });
+  });
+  dependencies.forEach((dependsOn, id) => {
+    dependsOn
+      .filter((dependency) => packageIds.has(id) && packageIds.has(dependency))
+      .forEach((dependency) => {
+        relationships.push({
+          spdxElementId: packageIds.get(id),
+          relationshipType: 'DEPENDS_ON',
+          relatedSpdxElement: packageIds.get(dependency)
+        });
+      });
+  });
+
+  const creators = [];
+  if (descriptor.name) {
+    creators.push(`Tool: ${[descriptor.name, descriptor.version].filter(Boolean).join('-')}`);
+  }
+  creators.push(`Tool: ${TOOL_NAME}-${CLI_VERSION}`);
+
+  const document = {
+    spdxVersion: 'SPDX-2.3',
+    dataLicense: 'CC0-1.0',
+    SPDXID: 'SPDXRef-DOCUMENT',
+    name,
+    documentNamespace: `https://spdx.org/spdxdocs/${spdxIdPart(name)}-${uuidFromDigest(sourceDigest)}`,
+    creationInfo: {
+      created,
+      creators,
+      comment: `Converted from Syft JSON ${sourceDigest}`
+    },
+    packages: [rootPackage, ...packages],
+    relationships
+  };
+  if (extractedLicenses.size > 0) {
+    document.hasExtractedLicensingInfos = [...extractedLicenses].map(([licenseId, licenseName]) => ({
+      licenseId,
+      name: licenseName,
+      extractedText: licenseName
+    }));
+  }
+
+  return JSON.parse(JSON.stringify(document));
+}
+
+/**
+ * Convert a Syft SBOM to another format
+ * @param {object} sbom - Parsed Syft SBOM
+ * @param {string} target - Key of CONVERSION_TARGETS
+ * @param {object} options - Options
+ * @param {string} options.sourceDigest - SHA-256 of the source file (hex), used for unique identifiers
+ * @param {string|number|Date} options.created - Creation time, if the source has no descriptor.timestamp
+ * @returns {object} - Converted document
+ */
+function convertSyft(sbom, target, { sourceDigest, created = Date.now() } = {}) {
+  if (!CONVERSION_TARGETS[target]) {
+    throw new Error(`Unknown target format: ${target} (expected one of: ${Object.keys(CONVERSION_TARGETS).join(', ')})`);
+  }
+  const format = detectFormat(sbom);
+  if (format !== 'syft') {
+    throw new Error(`Only Syft JSON SBOMs can be converted (detected: ${FORMAT_NAMES[format]})`);
+  }
+
+  const options = {
+    sourceDigest,
+    created: formatTimestamp((sbom.descriptor && sbom.descriptor.timestamp) || created)
+  };
+  return target === 'cyclonedx' ? toCycloneDX(sbom, options) : toSPDX(sbom, options);
+}
+
+module.exports = {
+  CONVERSION_TARGETS,
+  convertSyft
+};
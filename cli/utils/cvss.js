@@ -0,0 +1,79 @@
+/**
+ * CVSS v3 base scores
+ *
+ * OSV advisories carry CVSS vectors rather than scores. The base score is
+ * computed from a CVSS 3.0 / 3.1 vector with the formulas in section 7 of the
+ * CVSS v3.1 specification; other versions are not scored.
+ */
+
+const WEIGHTS = {
+  AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+  AC: { L: 0.77, H: 0.44 },
+  // Privileges Required weighs more when the scope changes: [unchanged, changed]
+  PR: { N: [0.85, 0.85], L: [0.62, 0.68], H: [0.27, 0.5] },
+  UI: { N: 0.85, R: 0.62 },
+  S: { U: 0, C: 1 },
+  C: { H: 0.56, L: 0.22, N: 0 },
+  I: { H: 0.56, L: 0.22, N: 0 },
+  A: { H: 0.56, L: 0.22, N: 0 }
+};
+
+// Qualitative ratings, lowest first: [label, minimum score]
+const SEVERITY_RATINGS = [['NONE', 0], ['LOW', 0.1], ['MEDIUM', 4], ['HIGH', 7], ['CRITICAL', 9]];
+
+/**
+ * Round up to one decimal, as the specification's Roundup function does
+ * @param {number} value - Score
+ * @returns {number} - Rounded score
+ */
+function roundUp(value) {
+  const scaled = Math.round(value * 100000);
+  return scaled % 10000 === 0 ? scaled / 100000 : (Math.floor(scaled / 10000) + 1) / 10;
+}
+
+/**
+ * Compute the base score of a CVSS v3 vector
+ * @param {string} vector - e.g. "CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H"
+ * @returns {number|null} - Score from 0 to 10, or null if not a valid v3 vector
+ */
+function cvssBaseScore(vector) {
+  const match = /^CVSS:3\.[01]\/(.+)$/.exec(String(vector).trim());
+  if (!match) {
+    return null;
+  }
+  const metrics = {};
+  match[1].split('/').forEach((part) => {
+    const [key, value] = part.split(':');
+    metrics[key] = value;
+  });
+  if (Object.keys(WEIGHTS).some((key) => !(metrics[key] in WEIGHTS[key]))) {
+    return null;
+  }
+
+  const changed = metrics.S === 'C';
+  const impactSubScore = 1 - (1 - WEIGHTS.C[metrics.C]) * (1 - WEIGHTS.I[metrics.I]) * (1 - WEIGHTS.A[metrics.A]);
+  const impact = changed
+    ? 7.52 * (impactSubScore - 0.029) - 3.25 * Math.pow(impactSubScore - 0.02, 15)
+    : 6.42 * impactSubScore;
+  const exploitability = 8.22 * WEIGHTS.AV[metrics.AV] * WEIGHTS.AC[metrics.AC] *
+    WEIGHTS.PR[metrics.PR][changed ? 1 : 0] * WEIGHTS.UI[metrics.UI];
+
+  if (impact <= 0) {
+    return 0;
+  }
+  return roundUp(Math.min((changed ? 1.08 : 1) * (impact + exploitability), 10));
+}
+
+/**
+ * Get the qualitative rating of a score
+ * @param {number} score - CVSS score
+ * @returns {string} - NONE, LOW, MEDIUM, HIGH or CRITICAL
+ */
+function severityRating(score) {
+  return SEVERITY_RATINGS.filter(([, minimum]) => score >= minimum).pop()[0];
+}
+
+module.exports = {
+  cvssBaseScore,
+  severityRating
+};
@@ -0,0 +1,184 @@
+const { parseXML } = require('./xml');
+
+/**
+ * CycloneDX XML support
+ *
+ * Maps a CycloneDX XML BOM onto the document model of the CycloneDX JSON
+ * format (bomFormat, specVersion, metadata, components, dependencies, ...),
+ * so hashing, metadata and component extraction treat both encodings alike.
+ */
+
+// Namespace of CycloneDX BOMs; the spec version is the last path segment
+const CYCLONEDX_NAMESPACE = /^http:\/\/cyclonedx\.org\/schema\/bom\/(\d+\.\d+)$/;
+
+// Wrapper elements that hold a list, with the element name of their items
+const LIST_ELEMENTS = {
+  components: 'component',
+  services: 'service',
+  hashes: 'hash',
+  externalReferences: 'reference',
+  properties: 'property',
+  authors: 'author',
+  dependencies: 'dependency',
+  cpes: 'cpe',
+  data: 'classification',
+  endpoints: 'endpoint',
+  compositions: 'composition',
+  vulnerabilities: 'vulnerability'
+};
+
+// Attributes whose value is a number in the JSON encoding
+const NUMERIC_ATTRIBUTES = new Set(['version']);
+
+/**
+ * Get the child elements with a given name
+ * @param {object} element - XML element
+ * @param {string} name - Child element name
+ * @returns {array} - Matching children
+ */
+function childrenNamed(element, name) {
+  return element.children.filter((child) => child.name === name);
+}
+
+/**
+ * Convert a <licenses> element
+ * JSON uses [{ license: {...} }] or [{ expression: "..." }]
+ * @param {object} element - <licenses> element
+ * @returns {array} - License choices
+ */
+function convertLicenses(element) {
+  return element.children.map((child) => (
+    child.name === 'expression'
+      ? { expression: child.text.trim() }
+      : { license: convertElement(child) }
+  ));
+}
+
+/**
+ * Convert a <tools> element
+ * 1.4 lists <tool> elements; 1.5+ has <components> and <services>
+ * @param {object} element - <tools> element
+ * @returns {array|object} - Tools in the JSON shape of the same spec version
+ */
+function convertTools(element) {
+  if (element.children.every((child) => child.name === 'tool')) {
+    return element.children.map(convertElement);
+  }
+  return convertChildren(element);
+}
+
+/**
+ * Convert a <dependency> element
+ * @param {object} element - <dependency ref="..."> element
+ * @returns {object} - { ref, dependsOn }
+ */
+function convertDependency(element) {
+  const dependency = { ref: element.attributes.ref };
+  const dependsOn = childrenNamed(element, 'dependency').map((child) => child.attributes.ref);
+  if (dependsOn.length > 0) {
+    dependency.dependsOn = dependsOn;
+  }
+  return dependency;
+}
+
+/**
+ * Convert the child elements of an element into object members
+ * Repeated child names become arrays
+ * @param {object} element - XML element
+ * @returns {object} - Attributes plus converted children
+ */
+function convertChildren(element) {
+  const result = {};
+
+  Object.entries(element.attributes).forEach(([name, value]) => {
+    if (name === 'xmlns' || name === 'schemaLocation') {
+      return;
+    }
+    result[name] = NUMERIC_ATTRIBUTES.has(name) && /^\d+$/.test(value) ? Number(value) : value;
+  });
+
+  element.children.forEach((child) => {
+    const value = convertNamed(child);
+    if (result[child.name] === undefined) {
+      result[child.name] = value;
+    } else {
+      result[child.name] = [].concat(result[child.name], value);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Convert a generic element
+ * Text-only elements become strings; everything else becomes an object
+ * @param {object} element - XML element
+ * @returns {string|object} - Converted value
+ */
+function convertElement(element) {
+  const hasAttributes = Object.keys(element.attributes).length > 0;
+  if (element.children.length === 0 && !hasAttributes) {
+    return element.text.trim();
+  }
+
+  const result = convertChildren(element);
+  if (element.children.length === 0 && element.text.trim() !== '') {
+    // Text content next to attributes, e.g. <hash alg="SHA-256">...</hash>
+    result.content = element.text.trim();
+  }
+  return result;
+}
+
+/**
+ * Convert an element, applying the rules for elements whose JSON form differs
+ * @param {object} element - XML element
+ * @returns {*} - Converted value
+ */
+function convertNamed(element) {
+  switch (element.name) {
+    case 'licenses':
+      return convertLicenses(element);
+    case 'tools':
+      return convertTools(element);
+    case 'dependency':
+      return convertDependency(element);
+    case 'property':
+      return { name: element.attributes.name, value: element.text.trim() };
+    default:
+      break;
+  }
+
+  const itemName = LIST_ELEMENTS[element.name];
+  if (itemName && element.children.every((child) => child.name === itemName)) {
+    return element.children.map(convertNamed);
+  }
+
+  return convertElement(element);
+}
+
+/**
+ * Parse a CycloneDX XML BOM into the CycloneDX JSON document model
+ * @param {string} text - XML text
+ * @returns {object} - CycloneDX document
+ */
+function parseCycloneDXXML(text) {
+  const root = parseXML(text);
+  if (root.name !== 'bom') {
+    throw new Error(`Not a CycloneDX XML BOM: root element is <${root.name}>`);
+  }
+
+  const namespace = CYCLONEDX_NAMESPACE.exec(root.attributes.xmlns || '');
+  if (!namespace) {
+    throw new Error(`Not a CycloneDX XML BOM: unknown namespace "${root.attributes.xmlns || ''}"`);
+  }
+
+  return {
+    bomFormat: 'CycloneDX',
+    specVersion: namespace[1],
+    ...convertChildren(root)
+  };
+}
+
+module.exports = {
+  parseCycloneDXXML
+};
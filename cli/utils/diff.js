@@ -0,0 +1,238 @@
+const { ethers } = require('ethers');
+const { canonicalize } = require('./canonical');
+
+/**
+ * Component-level SBOM diff
+ *
+ * Components are matched across versions by package identity: the purl
+ * without its version, qualifiers and subpath, or the name when there is no
+ * purl. Component ids (Syft artifact ids, bom-refs, SPDXIDs) usually change
+ * between versions, so relationships are compared by the identities of
+ * both ends rather than by id.
+ */
+
+// Diff sections, in display order
+const DIFF_SECTIONS = [
+  'added', 'removed', 'upgraded', 'downgraded', 'licenseChanged',
+  'relationshipsAdded', 'relationshipsRemoved'
+];
+
+/**
+ * Get the identity a component is matched by across versions
+ * @param {object} component - Normalized component
+ * @returns {string} - purl without version, or the name
+ */
+function componentKey(component) {
+  if (!component.purl) {
+    return component.name;
+  }
+  let base = component.purl.split('#')[0].split('?')[0];
+  // The version follows the last "@" after the last "/" (a scope "@" is %40)
+  const at = base.lastIndexOf('@');
+  if (at > base.lastIndexOf('/')) {
+    base = base.slice(0, at);
+  }
+  return base;
+}
+
+/**
+ * Compare two version strings
+ * Numeric parts compare as numbers and alphabetic parts as text; a trailing
+ * alphabetic part marks a pre-release (1.0.0-beta < 1.0.0)
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} - Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareVersions(a, b) {
+  const tokensA = String(a).match(/\d+|[A-Za-z]+/g) || [];
+  const tokensB = String(b).match(/\d+|[A-Za-z]+/g) || [];
+
+  for (let i = 0; i < Math.max(tokensA.length, tokensB.length); i++) {
+    const x = tokensA[i];
+    const y = tokensB[i];
+    if (x === undefined) {
+      return /^\d/.test(y) ? -1 : 1;
+    }
+    if (y === undefined) {
+      return /^\d/.test(x) ? 1 : -1;
+    }
+
+    const xNumeric = /^\d/.test(x);
+    const yNumeric = /^\d/.test(y);
+    if (xNumeric && yNumeric) {
+      const difference = Number(x) - Number(y);
+      if (difference !== 0) {
+        return difference;
+      }
+    } else if (xNumeric !== yNumeric) {
+      return xNumeric ? 1 : -1;
+    } else if (x !== y) {
+      return x < y ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Group components by identity, then by version
+ * @param {array} components - Normalized components
+ * @returns {Map} - Identity -> Map(version -> component)
+ */
+function groupComponents(components) {
+  const groups = new Map();
+  components.forEach((component) => {
+    const key = componentKey(component);
+    if (!key) {
+      return;
+    }
+    if (!groups.has(key)) {
+      groups.set(key, new Map());
+    }
+    const versions = groups.get(key);
+    if (!versions.has(component.version)) {
+      versions.set(component.version, component);
+    }
+  });
+  return groups;
+}
+
+/**
+ * Turn dependency edges into identity pairs
+ * @param {object} side - { components, dependencies }
+ * @returns {Map} - "from\nto" -> { from, to }, by component identity
+ */
+function relationshipSet(side) {
+  const keysById = new Map();
+  side.components.forEach((component) => {
+    if (component.id) {
+      keysById.set(component.id, componentKey(component));
+    }
+  });
+
+  const relationships = new Map();
+  side.dependencies.forEach((edge) => {
+    // Ends that are not components (e.g. the CycloneDX root) keep their id
+    const from = keysById.get(edge.from) || edge.from;
+    const to = keysById.get(edge.to) || edge.to;
+    relationships.set(`${from}\n${to}`, { from, to });
+  });
+  return relationships;
+}
+
+/**
+ * Sort diff entries by name, then version
+ * @param {array} entries - Diff entries
+ * @returns {array} - Sorted entries
+ */
+function sortEntries(entries) {
+  const text = (entry) => [entry.name || entry.from, entry.version || entry.to || ''].join('\n');
+  return entries.sort((a, b) => (text(a) < text(b) ? -1 : text(a) > text(b) ? 1 : 0));
+}
+
+/**
+ * Compare the components and relationships of two SBOM versions
+ * @param {object} oldSide - { components, dependencies } of the old version (e.g. from analyzeSBOM)
+ * @param {object} newSide - { components, dependencies } of the new version
+ * @returns {object} - Entries for each of DIFF_SECTIONS
+ */
+function diffSBOMs(oldSide, newSide) {
+  const diff = {};
+  DIFF_SECTIONS.forEach((section) => {
+    diff[section] = [];
+  });
+
+  const entry = (component) => ({ name: component.name, version: component.version, purl: component.purl });
+
+  const oldGroups = groupComponents(oldSide.components);
+  const newGroups = groupComponents(newSide.components);
+  const keys = new Set([...oldGroups.keys(), ...newGroups.keys()]);
+
+  keys.forEach((key) => {
+    const oldVersions = oldGroups.get(key) || new Map();
+    const newVersions = newGroups.get(key) || new Map();
+
+    const checkLicense = (before, after) => {
+      if ((before.license || '') !== (after.license || '')) {
+        diff.licenseChanged.push({ name: after.name, version: after.version, from: before.license, to: after.license });
+      }
+    };
+
+    oldVersions.forEach((component, version) => {
+      if (newVersions.has(version)) {
+        checkLicense(component, newVersions.get(version));
+      }
+    });
+
+    const gone = [...oldVersions.keys()].filter((version) => !newVersions.has(version));
+    const came = [...newVersions.keys()].filter((version) => !oldVersions.has(version));
+
+    if (gone.length === 1 && came.length === 1) {
+      // One version replaced by another: an upgrade or downgrade
+      const before = oldVersions.get(gone[0]);
+      const after = newVersions.get(came[0]);
+      const section = compareVersions(gone[0], came[0]) <= 0 ? 'upgraded' : 'downgraded';
+      diff[section].push({ name: after.name, purl: key, from: gone[0], to: came[0] });
+      checkLicense(before, after);
+    } else {
+      gone.forEach((version) => diff.removed.push(entry(oldVersions.get(version))));
+      came.forEach((version) => diff.added.push(entry(newVersions.get(version))));
+    }
+  });
+
+  const oldRelationships = relationshipSet(oldSide);
+  const newRelationships = relationshipSet(newSide);
+  newRelationships.forEach((relationship, key) => {
+    if (!oldRelationships.has(key)) {
+      diff.relationshipsAdded.push(relationship);
+    }
+  });
+  oldRelationships.forEach((relationship, key) => {
+    if (!newRelationships.has(key)) {
+      diff.relationshipsRemoved.push(relationship);
+    }
+  });
+
+  DIFF_SECTIONS.forEach((section) => sortEntries(diff[section]));
+  return diff;
+}
+
+/**
+ * Summarize a diff for the on-chain metadata
+ * The digest commits to the full diff, so anyone with both documents can
+ * recompute it and check the summary
+ * @param {object} diff - Result of diffSBOMs
+ * @returns {object} - Count per section plus digest (keccak256 of the RFC 8785 JSON)
+ */
+function summarizeDiff(diff) {
+  const summary = {};
+  DIFF_SECTIONS.forEach((section) => {
+    summary[section] = diff[section].length;
+  });
+  summary.digest = ethers.keccak256(ethers.toUtf8Bytes(canonicalize(diff)));
+  return summary;
+}
+
+/**
+ * Format a diff summary on one line
+ * @param {object} summary - Result of summarizeDiff
+ * @returns {string} - e.g. "+3 added, -1 removed, 2 upgraded, ..."
+ */
+function formatDiffSummary(summary) {
+  return [
+    `+${summary.added} added`,
+    `-${summary.removed} removed`,
+    `${summary.upgraded} upgraded`,
+    `${summary.downgraded} downgraded`,
+    `${summary.licenseChanged} license change(s)`,
+    `relationships +${summary.relationshipsAdded}/-${summary.relationshipsRemoved}`
+  ].join(', ');
+}
+
+module.exports = {
+  DIFF_SECTIONS,
+  componentKey,
+  compareVersions,
+  diffSBOMs,
+  summarizeDiff,
+  formatDiffSummary
+};
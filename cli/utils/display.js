@@ -1,4 +1,6 @@
 const chalk = require('chalk');
+const { parseMetadata, METADATA_LABELS } = require('./metadata');
+const { formatDiffSummary } = require('./diff');
 
 /**
  * Display success message
@@ -51,9 +53,190 @@ function keyValue(key, value) {
   console.log(chalk.gray(key + ':'), chalk.white(value));
 }
 
+/**
+ * Display the metadata stored in an on-chain record
+ * Known fields are shown with readable labels; metadata that is not JSON
+ * (records written by other tools) is shown as-is
+ * @param {string} metadataString - Metadata as stored on-chain
+ * @param {string} indent - Prefix for each key
+ */
+function displayMetadata(metadataString, indent = '') {
+  const metadata = parseMetadata(metadataString);
+  if (!metadata) {
+    keyValue(indent + 'Metadata', metadataString);
+    return;
+  }
+
+  Object.keys(METADATA_LABELS).forEach((field) => {
+    if (metadata[field] === undefined || metadata[field] === null) {
+      return;
+    }
+    if (field === 'quality') {
+      keyValue(indent + METADATA_LABELS[field], `${metadata[field]}/100`);
+    } else if (field === 'diff') {
+      // Summary of the changes from the previous version (written by update)
+      keyValue(indent + METADATA_LABELS[field], formatDiffSummary(metadata.diff));
+      keyValue(indent + 'Diff Digest', metadata.diff.digest);
+    } else {
+      keyValue(indent + METADATA_LABELS[field], String(metadata[field]));
+    }
+  });
+}
+
+/**
+ * Display schema validation results
+ * Errors are listed with their location as a JSON pointer fragment (#/a/0/b)
+ * @param {object} result - Result of validateSBOM / analyzeSBOM validation
+ */
+function displayValidation(result) {
+  if (result.valid === null) {
+    info(`Schema validation skipped: ${result.reason}`);
+    return;
+  }
+
+  if (result.valid) {
+    if (result.partial) {
+      success(`Valid ${result.schema} document (partial check)`);
+      info(`The bundled ${result.schema} schema only covers the required fields, types and enumerations of the official one`);
+    } else {
+      success(`Valid ${result.schema} document`);
+    }
+    return;
+  }
+
+  error(result.schema ? `Not a valid ${result.schema} document:` : 'Schema validation failed:');
+  result.errors.forEach(({ pointer, message }) => {
+    console.log(chalk.gray('   #' + pointer), chalk.white(message));
+  });
+  const more = (result.totalErrors || result.errors.length) - result.errors.length;
+  if (more > 0) {
+    console.log(chalk.gray(`   ... and ${more} more`));
+  }
+}
+
+/**
+ * Display an NTIA minimum-elements quality assessment
+ * @param {object} quality - Result of assessQuality
+ */
+function displayQuality(quality) {
+  keyValue('NTIA Quality', `${quality.score}/100`);
+  quality.elements.forEach((element) => {
+    let detail = element.coverage ? 'present' : 'missing';
+    if (element.scope === 'component') {
+      // Truncate to one decimal place so only full coverage reads 100%
+      const permille = Math.floor(element.covered * 1000 / element.total);
+      detail = element.total === 0
+        ? 'no components to score'
+        : `${permille % 10 ? (permille / 10).toFixed(1) : permille / 10}% of components`;
+    }
+    const mark = element.coverage === 1 ? chalk.green('✔') : chalk.yellow('✘');
+    console.log(`   ${mark} ${chalk.gray(element.label + ':')} ${chalk.white(detail)}`);
+  });
+}
+
+/**
+ * Print the components with one verdict in a policy report
+ * @param {array} results - Components from evaluatePolicy
+ * @param {function} mark - Colors the marker
+ * @param {number} limit - Maximum components to print
+ */
+function displayPolicyResults(results, mark, limit) {
+  results.slice(0, limit).forEach((result) => {
+    const label = result.version ? `${result.name}@${result.version}` : result.name;
+    console.log(`   ${mark('✘')} ${chalk.white(label)}`);
+    if (result.findings.length === 0) {
+      console.log(chalk.gray('      no license'));
+    }
+    result.findings.forEach((finding) => {
+      const flagged = finding.licenses
+        .filter((license) => license.verdict !== 'allow')
+        .map((license) => `${license.license} (${license.verdict === 'deny' ? 'denied' : 'warning'})`);
+      console.log(chalk.gray(`      ${finding.field}: `) + chalk.white(finding.expression) +
+        (flagged.length ? chalk.gray(' - ' + flagged.join(', ')) : ''));
+    });
+  });
+  if (results.length > limit) {
+    console.log(chalk.gray(`   ... and ${results.length - limit} more`));
+  }
+}
+
+/**
+ * Display a license policy report
+ * @param {object} report - Result of evaluatePolicy
+ * @param {number} limit - Maximum components to list per verdict
+ */
+function displayPolicyReport(report, limit = Infinity) {
+  if (report.policy) {
+    keyValue('License Policy', report.policy);
+  }
+  keyValue('Compliant', report.compliant ? '✅ Yes' : '❌ No');
+  keyValue('Components', `${report.total} (${report.allowed} allowed, ` +
+    `${report.warnings.length} warning(s), ${report.violations.length} violation(s))`);
+
+  if (report.violations.length > 0) {
+    console.log();
+    error(`${report.violations.length} component(s) violate the policy:`);
+    displayPolicyResults(report.violations, chalk.red, limit);
+  }
+  if (report.warnings.length > 0) {
+    console.log();
+    warning(`${report.warnings.length} component(s) need review:`);
+    displayPolicyResults(report.warnings, chalk.yellow, limit);
+  }
+}
+
+/**
+ * Display the VEX documents published for an SBOM
+ * @param {array} documents - Documents from fetchVEX
+ */
+function displayVEX(documents) {
+  documents.forEach((document) => {
+    keyValue('VEX Document', document.documentHash);
+    console.log(chalk.gray(`   Published by ${document.author} (${document.role}) on ` +
+      new Date(document.timestamp * 1000).toLocaleString()));
+    document.statements.forEach((statement) => {
+      const products = (statement.products || []).join(', ') || 'all products';
+      const justification = statement.justification ? ` (${statement.justification})` : '';
+      console.log(`   ${chalk.white(statement.vulnerability)}: ${chalk.cyan(statement.status)}${justification}` +
+        chalk.gray(' - ' + products));
+    });
+  });
+}
+
+/**
+ * Display the flags registry auditors raised on an SBOM
+ * @param {array} flags - Flags from fetchFlags
+ */
+function displayFlags(flags) {
+  flags.forEach((flag) => {
+    const status = flag.active ? chalk.red('flagged') : chalk.gray('flagged (auditor role since revoked)');
+    console.log(`   ${flag.auditor}: ${status}` + chalk.gray(' on ' + new Date(flag.timestamp * 1000).toLocaleString()));
+    if (flag.reasonHash) {
+      console.log(chalk.gray(`   Findings: ${flag.reasonHash}`));
+    }
+  });
+}
+
+/**
+ * Display the endorsements registry auditors gave an SBOM
+ * @param {array} endorsements - Endorsements from fetchEndorsements
+ */
+function displayEndorsements(endorsements) {
+  endorsements.forEach((endorsement) => {
+    const status = endorsement.active ? chalk.green('endorsed') : chalk.gray('endorsed (auditor role since revoked)');
+    console.log(`   ${endorsement.auditor}: ${status}` + chalk.gray(' on ' + new Date(endorsement.timestamp * 1000).toLocaleString()));
+    if (endorsement.commentHash) {
+      console.log(chalk.gray(`   Comments: ${endorsement.commentHash}`));
+    }
+  });
+}
+
 /**
  * Display verification results
- * @param {object} results - Verification results
+ * @param {object} results - Verification results; with trust 'strict' the vendor must
+ *   be verified now, otherwise (historical) when the SBOM was registered. With an
+ *   endorsements check ({ required, count, met }) it is only trusted once met
+ * @returns {string} - Verdict shown: 'not-found', 'withdrawn', 'do-not-trust', 'caution' or 'trusted'
  */
 function displayVerification(results) {
   header('VERIFICATION RESULTS');
@@ -61,23 +244,82 @@ function displayVerification(results) {
   if (!results.exists) {
     error('SBOM NOT FOUND on blockchain');
     info('This SBOM has never been registered');
-    return;
+    return 'not-found';
   }
   
   keyValue('SBOM Exists', '✅ Yes');
   keyValue('Signature Valid', results.signatureValid ? '✅ Yes' : '❌ No');
-  keyValue('Vendor Verified', results.vendorVerified ? '✅ Yes' : '❌ No');
+  keyValue('Vendor Verified', results.vendorVerified ? '✅ Yes' : '❌ No' +
+    (results.vendorRevokedAt ? ` (revoked ${new Date(results.vendorRevokedAt * 1000).toLocaleString()})` : ''));
+  keyValue('Verified When Registered', results.vendorVerifiedAtRegistration ? '✅ Yes' : '❌ No');
   keyValue('Vendor Name', results.vendorName);
+  const key = results.signingKey;
+  if (key && key.delegation) {
+    keyValue('Signed By Delegate', `${key.key} (${key.statusAtSigning} when signed)`);
+    if (key.productMatches === false) {
+      keyValue('Delegated Product', `❌ Signed for another product than "${key.documentProduct}"`);
+    }
+    if (key.delegation.revokedAt) {
+      keyValue('Delegation Revoked', new Date(key.delegation.revokedAt * 1000).toLocaleString());
+    } else {
+      keyValue('Delegation Expires', new Date(key.delegation.expiresAt * 1000).toLocaleString());
+    }
+  } else if (key) {
+    keyValue('Signing Key', `${key.key} (${key.statusAtSigning} when signed)`);
+    if (key.compromisedAt) {
+      keyValue('Key Compromised', `❌ As of ${new Date(key.compromisedAt * 1000).toLocaleString()}` +
+        (key.statusAtSigning === 'compromised' ? '' : ' (after this SBOM was signed)'));
+    } else if (key.retiredAt) {
+      keyValue('Key Retired', new Date(key.retiredAt * 1000).toLocaleString());
+    }
+  }
+  if (results.endorsements) {
+    keyValue('Endorsements', `${results.endorsements.met ? '✅' : '❌'} ${results.endorsements.count} of ${results.endorsements.required} required` +
+      (results.endorsements.from.length ? ' (from the listed auditors)' : ''));
+  }
+  if (results.withdrawal) {
+    keyValue('Withdrawn', `❌ Yes (${results.withdrawal.reason}, ${new Date(results.withdrawal.timestamp * 1000).toLocaleString()})`);
+    if (results.withdrawal.replacementHash) {
+      keyValue('Replaced By', results.withdrawal.replacementHash);
+    }
+  }
   
   console.log();
   
+  if (results.withdrawal) {
+    error(`WITHDRAWN: Vendor "${results.vendorName}" withdrew this SBOM (${results.withdrawal.reason})` +
+      (results.withdrawal.replacementHash ? ' - verify the replacement instead' : ''));
+    return 'withdrawn';
+  }
+  if (key && key.productMatches === false) {
+    error('DO NOT TRUST: The delegate signed it for another product than the document names');
+    return 'do-not-trust';
+  }
+  if (results.signatureValid && results.endorsements && !results.endorsements.met &&
+    (results.vendorVerified || (results.vendorVerifiedAtRegistration && results.trust !== 'strict'))) {
+    warning(`CAUTION: Signature and vendor are valid, but only ${results.endorsements.count} of ` +
+      `${results.endorsements.required} required auditor endorsement(s) were given`);
+    return 'caution';
+  }
   if (results.signatureValid && results.vendorVerified) {
     success(`TRUSTED: This SBOM is verified and from trusted vendor "${results.vendorName}"`);
-  } else if (results.signatureValid && !results.vendorVerified) {
+    return 'trusted';
+  }
+  if (results.signatureValid && results.vendorVerifiedAtRegistration && results.trust !== 'strict') {
+    success(`TRUSTED: This SBOM was registered while vendor "${results.vendorName}" was verified`);
+    warning('The vendor has since been revoked (use --trust strict to require current verification)');
+    return 'trusted';
+  }
+  if (results.signatureValid && !results.vendorVerified) {
     warning(`CAUTION: Signature is valid but vendor "${results.vendorName}" is no longer verified`);
+    return 'caution';
+  }
+  if (key && key.statusAtSigning === 'compromised') {
+    error('DO NOT TRUST: Signed after its key was reported compromised');
   } else {
     error('DO NOT TRUST: Invalid signature or unverified vendor');
   }
+  return 'do-not-trust';
 }
 
 /**
@@ -107,9 +349,13 @@ function displayHistory(history, records) {
     console.log(chalk.bold(`Version ${index + 1}:`));
     keyValue('  Hash', hash);
     if (record) {
-      keyValue('  Metadata', record.metadata);
-      keyValue('  Timestamp', new Date(Number(record.timestamp) * 1000).toLocaleString());
+      displayMetadata(record.metadata, '  ');
+      keyValue('  Registered At', new Date(Number(record.timestamp) * 1000).toLocaleString());
       keyValue('  Vendor', record.vendor);
+      if (record.withdrawal) {
+        keyValue('  Withdrawn', chalk.red(record.withdrawal.reason) +
+          (record.withdrawal.replacementHash ? ` (replaced by ${record.withdrawal.replacementHash})` : ''));
+      }
     }
     console.log();
   });
@@ -133,6 +379,13 @@ module.exports = {
   info,
   header,
   keyValue,
+  displayMetadata,
+  displayValidation,
+  displayQuality,
+  displayPolicyReport,
+  displayVEX,
+  displayFlags,
+  displayEndorsements,
   displayVerification,
   displayReceipt,
   displayHistory,
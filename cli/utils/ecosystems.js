@@ -0,0 +1,254 @@
+const { compareVersions } = require('./diff');
+const { parsePurl } = require('./purl');
+
+/**
+ * Package ecosystems for vulnerability matching
+ *
+ * Maps purl types to OSV ecosystem names, normalizes package names the way
+ * each registry does (so "Django" and "django" are the same PyPI package) and
+ * orders versions by each ecosystem's own rules: Semantic Versioning for npm
+ * and Go, PEP 440 for PyPI and Maven's ComparableVersion for Maven. Versions
+ * a comparator cannot parse fall back to the generic ordering in diff.js.
+ */
+
+/**
+ * Parse a semantic version (a leading "v", as Go uses, is accepted)
+ * @param {string} version - Version
+ * @returns {object|null} - { release: [major, minor, patch], prerelease: [...] }
+ */
+function parseSemver(version) {
+  const match = /^[v=]?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/
+    .exec(String(version).trim());
+  if (!match) {
+    return null;
+  }
+  return {
+    release: [match[1], match[2], match[3]].map((part) => Number(part || 0)),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+/**
+ * Compare two semantic versions (build metadata is ignored)
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} - Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareSemver(a, b) {
+  const x = parseSemver(a);
+  const y = parseSemver(b);
+  if (!x || !y) {
+    return compareVersions(a, b);
+  }
+
+  for (let i = 0; i < 3; i++) {
+    if (x.release[i] !== y.release[i]) {
+      return x.release[i] - y.release[i];
+    }
+  }
+
+  // A pre-release sorts before its release
+  if (x.prerelease.length === 0 || y.prerelease.length === 0) {
+    return y.prerelease.length - x.prerelease.length;
+  }
+  for (let i = 0; i < Math.max(x.prerelease.length, y.prerelease.length); i++) {
+    const p = x.prerelease[i];
+    const q = y.prerelease[i];
+    if (p === undefined || q === undefined) {
+      return p === undefined ? -1 : 1;
+    }
+    const pNumeric = /^\d+$/.test(p);
+    const qNumeric = /^\d+$/.test(q);
+    if (pNumeric && qNumeric) {
+      if (Number(p) !== Number(q)) {
+        return Number(p) - Number(q);
+      }
+    } else if (pNumeric !== qNumeric) {
+      return pNumeric ? -1 : 1;
+    } else if (p !== q) {
+      return p < q ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+const PEP440_PATTERN = new RegExp([
+  '^v?(?:(\\d+)!)?(\\d+(?:\\.\\d+)*)',                          // epoch, release
+  '(?:[-_.]?(a|alpha|b|beta|c|rc|pre|preview)[-_.]?(\\d*))?',   // pre-release
+  '(?:-(\\d+)|[-_.]?(post|rev|r)[-_.]?(\\d*))?',                // post-release
+  '(?:[-_.]?(dev)[-_.]?(\\d*))?',                               // development release
+  '(?:\\+[a-z0-9._-]+)?$'                                       // local version (ignored)
+].join(''), 'i');
+
+const PEP440_PRE_RANKS = { a: 0, alpha: 0, b: 1, beta: 1, c: 2, rc: 2, pre: 2, preview: 2 };
+
+/**
+ * Turn a PEP 440 version into a sort key
+ * Within one release: X.devN < XaN.devM < XaN < XbN < XrcN < X < X.postN.devM < X.postN
+ * @param {string} version - Version
+ * @returns {array|null} - [epoch, release, pre, post, dev]
+ */
+function pep440Key(version) {
+  const match = PEP440_PATTERN.exec(String(version).trim());
+  if (!match) {
+    return null;
+  }
+  const [, epoch, release, preLabel, preNumber, postImplicit, postLabel, postNumber, devLabel, devNumber] = match;
+  const hasPost = postImplicit !== undefined || postLabel !== undefined;
+  const hasDev = devLabel !== undefined;
+
+  let pre = [3, 0];
+  if (preLabel) {
+    pre = [PEP440_PRE_RANKS[preLabel.toLowerCase()], Number(preNumber || 0)];
+  } else if (hasDev && !hasPost) {
+    pre = [-1, 0];
+  }
+
+  return [
+    [Number(epoch || 0)],
+    release.split('.').map(Number),
+    pre,
+    hasPost ? [1, Number(postImplicit || postNumber || 0)] : [0, 0],
+    hasDev ? [0, Number(devNumber || 0)] : [1, 0]
+  ];
+}
+
+/**
+ * Compare two PEP 440 (PyPI) versions
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} - Negative if a < b, positive if a > b, 0 if equal
+ */
+function comparePep440(a, b) {
+  const x = pep440Key(a);
+  const y = pep440Key(b);
+  if (!x || !y) {
+    return compareVersions(a, b);
+  }
+  for (let part = 0; part < x.length; part++) {
+    // Missing release segments count as 0 (1.0 == 1.0.0)
+    for (let i = 0; i < Math.max(x[part].length, y[part].length); i++) {
+      const difference = (x[part][i] || 0) - (y[part][i] || 0);
+      if (difference !== 0) {
+        return difference;
+      }
+    }
+  }
+  return 0;
+}
+
+// Maven qualifiers in order; "" is the release itself
+const MAVEN_QUALIFIERS = ['alpha', 'beta', 'milestone', 'rc', 'snapshot', '', 'sp'];
+const MAVEN_ALIASES = { a: 'alpha', b: 'beta', m: 'milestone', cr: 'rc', ga: '', final: '', release: '' };
+
+/**
+ * Split a Maven version into comparable items
+ * Numbers and words are separate items; zeros before a qualifier and trailing
+ * items equal to the release (0, "", "ga", "final") are dropped, so
+ * 1.0 == 1 == 1.0-final and 1.0-alpha1 == 1-alpha-1
+ * @param {string} version - Version
+ * @returns {array} - Numbers and { rank, text } qualifiers
+ */
+function mavenItems(version) {
+  const items = [];
+  (String(version).toLowerCase().match(/\d+|[a-z]+/g) || []).forEach((token) => {
+    if (/^\d/.test(token)) {
+      items.push(Number(token));
+      return;
+    }
+    while (items.length > 1 && items[items.length - 1] === 0) {
+      items.pop();
+    }
+    const text = token in MAVEN_ALIASES ? MAVEN_ALIASES[token] : token;
+    const rank = MAVEN_QUALIFIERS.indexOf(text);
+    items.push({ rank: rank === -1 ? MAVEN_QUALIFIERS.length : rank, text });
+  });
+  while (items.length > 0 && (items[items.length - 1] === 0 || items[items.length - 1].text === '')) {
+    items.pop();
+  }
+  return items;
+}
+
+/**
+ * Compare two Maven versions
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} - Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareMaven(a, b) {
+  const x = mavenItems(a);
+  const y = mavenItems(b);
+  const release = { rank: MAVEN_QUALIFIERS.indexOf(''), text: '' };
+
+  for (let i = 0; i < Math.max(x.length, y.length); i++) {
+    // A missing item is the release: 0 next to a number, "" next to a qualifier
+    const p = x[i] !== undefined ? x[i] : (typeof y[i] === 'number' ? 0 : release);
+    const q = y[i] !== undefined ? y[i] : (typeof x[i] === 'number' ? 0 : release);
+
+    if (typeof p === 'number' && typeof q === 'number') {
+      if (p !== q) {
+        return p - q;
+      }
+    } else if (typeof p === 'number' || typeof q === 'number') {
+      return typeof p === 'number' ? 1 : -1;
+    } else if (p.rank !== q.rank) {
+      return p.rank - q.rank;
+    } else if (p.text !== q.text) {
+      return p.text < q.text ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+// OSV ecosystem name -> purl type, name normalization and version ordering
+const ECOSYSTEMS = {
+  npm: {
+    purlType: 'npm',
+    normalizeName: (name) => name.toLowerCase(),
+    compare: compareSemver
+  },
+  PyPI: {
+    purlType: 'pypi',
+    normalizeName: (name) => name.toLowerCase().replace(/[-_.]+/g, '-'),
+    compare: comparePep440
+  },
+  Go: {
+    purlType: 'golang',
+    normalizeName: (name) => name,
+    compare: compareSemver
+  },
+  Maven: {
+    purlType: 'maven',
+    normalizeName: (name) => name.toLowerCase(),
+    compare: compareMaven
+  }
+};
+
+/**
+ * Identify the ecosystem package a purl refers to
+ * @param {string} purl - Package URL
+ * @returns {object|null} - { ecosystem, name, version } with the normalized
+ *   OSV package name, or null if the purl is not from a supported ecosystem
+ */
+function identifyPackage(purl) {
+  const parsed = parsePurl(purl);
+  if (!parsed) {
+    return null;
+  }
+  const ecosystem = Object.keys(ECOSYSTEMS).find((key) => ECOSYSTEMS[key].purlType === parsed.type);
+  if (!ecosystem) {
+    return null;
+  }
+  // OSV names Maven packages "group:artifact" and the others by their full path
+  const separator = ecosystem === 'Maven' ? ':' : '/';
+  const name = parsed.namespace ? parsed.namespace + separator + parsed.name : parsed.name;
+  return { ecosystem, name: ECOSYSTEMS[ecosystem].normalizeName(name), version: parsed.version };
+}
+
+module.exports = {
+  ECOSYSTEMS,
+  compareSemver,
+  comparePep440,
+  compareMaven,
+  identifyPackage
+};
@@ -0,0 +1,42 @@
+/**
+ * SBOM format detection
+ */
+
+// Display names for each detected format
+const FORMAT_NAMES = {
+  syft: 'Syft',
+  cyclonedx: 'CycloneDX',
+  spdx: 'SPDX',
+  unknown: 'Unknown'
+};
+
+/**
+ * Detect the format of a parsed SBOM document
+ * @param {object} sbom - Parsed SBOM
+ * @returns {string} - Format id: 'syft', 'cyclonedx', 'spdx' or 'unknown'
+ */
+function detectFormat(sbom) {
+  if (!sbom || typeof sbom !== 'object' || Array.isArray(sbom)) {
+    return 'unknown';
+  }
+
+  if (sbom.bomFormat === 'CycloneDX') {
+    return 'cyclonedx';
+  }
+
+  if (typeof sbom.spdxVersion === 'string') {
+    return 'spdx';
+  }
+
+  // Syft JSON: artifacts plus a descriptor naming the generating tool
+  if (Array.isArray(sbom.artifacts) && sbom.descriptor && sbom.descriptor.name === 'syft') {
+    return 'syft';
+  }
+
+  return 'unknown';
+}
+
+module.exports = {
+  FORMAT_NAMES,
+  detectFormat
+};
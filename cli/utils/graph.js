@@ -0,0 +1,324 @@
+const { componentKey } = require('./diff');
+
+/**
+ * Dependency graph of an SBOM
+ *
+ * Nodes are the normalized components and edges the { from, to } dependency
+ * relationships, where "from" depends on "to". Roots are the components
+ * nothing depends on that depend on something (the product, or each
+ * top-level package of a scan); a component is a direct dependency when a
+ * root depends on it and transitive when it is reached through others.
+ * Orphans have no relationships at all, so the SBOM does not say why they
+ * are included.
+ */
+
+/**
+ * Build the graph of an SBOM's components
+ * Edge ends that name no component become nodes of their own
+ * @param {array} components - Normalized components
+ * @param {array} dependencies - Edges { from, to }
+ * @returns {object} - { nodes: [{ id, component, dependencies, dependents }], index: Map, edges }
+ *   where dependencies and dependents are node indexes and index maps ids to indexes
+ */
+function buildGraph(components, dependencies) {
+  const nodes = [];
+  const index = new Map();
+
+  const addNode = (id, component) => {
+    if (!index.has(id)) {
+      index.set(id, nodes.length);
+      nodes.push({ id, component, dependencies: [], dependents: [] });
+    }
+    return index.get(id);
+  };
+
+  components.forEach((component, i) => {
+    addNode(component.id || `#${i}`, component);
+  });
+
+  const seen = new Set();
+  let edges = 0;
+  dependencies.forEach(({ from, to }) => {
+    const key = `${from}\n${to}`;
+    if (seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+    const a = addNode(from, { id: from, name: from, version: '', purl: '' });
+    const b = addNode(to, { id: to, name: to, version: '', purl: '' });
+    nodes[a].dependencies.push(b);
+    nodes[b].dependents.push(a);
+    edges++;
+  });
+
+  return { nodes, index, edges };
+}
+
+/**
+ * Get the display label of a node
+ * @param {object} node - Graph node
+ * @returns {string} - name@version, or the name
+ */
+function nodeLabel(node) {
+  const { name, version } = node.component;
+  return version ? `${name}@${version}` : name;
+}
+
+/**
+ * Find the root nodes: depended on by nothing, depending on something
+ * @param {object} graph - Graph from buildGraph
+ * @returns {number[]} - Node indexes
+ */
+function findRoots(graph) {
+  return graph.nodes
+    .map((node, i) => (node.dependents.length === 0 && node.dependencies.length > 0 ? i : -1))
+    .filter((i) => i >= 0);
+}
+
+/**
+ * Find the orphan nodes: no relationships at all
+ * @param {object} graph - Graph from buildGraph
+ * @returns {number[]} - Node indexes
+ */
+function findOrphans(graph) {
+  return graph.nodes
+    .map((node, i) => (node.dependents.length === 0 && node.dependencies.length === 0 ? i : -1))
+    .filter((i) => i >= 0);
+}
+
+/**
+ * Measure how far each node is from the nearest root
+ * @param {object} graph - Graph from buildGraph
+ * @returns {number[]} - Depth per node: 0 for roots, 1 for direct dependencies,
+ *   -1 if no root reaches the node
+ */
+function nodeDepths(graph) {
+  const depths = graph.nodes.map(() => -1);
+  const queue = findRoots(graph);
+  queue.forEach((i) => {
+    depths[i] = 0;
+  });
+  for (let head = 0; head < queue.length; head++) {
+    const current = queue[head];
+    graph.nodes[current].dependencies.forEach((next) => {
+      if (depths[next] === -1) {
+        depths[next] = depths[current] + 1;
+        queue.push(next);
+      }
+    });
+  }
+  return depths;
+}
+
+/**
+ * Find the nodes a package reference names
+ * @param {object} graph - Graph from buildGraph
+ * @param {string} query - purl (with or without version), name@version, or name
+ * @returns {number[]} - Node indexes
+ */
+function findPackages(graph, query) {
+  let matches;
+  if (query.startsWith('pkg:')) {
+    // Qualifiers and subpath are ignored; a purl without a version matches every version
+    const base = (purl) => purl.split('#')[0].split('?')[0];
+    const key = componentKey({ purl: query });
+    const versioned = key !== base(query);
+    matches = (node) => Boolean(node.component.purl) &&
+      (versioned ? base(node.component.purl) === base(query) : componentKey(node.component) === key);
+  } else {
+    // A leading "@" belongs to an npm scope
+    const at = query.lastIndexOf('@');
+    const name = at > 0 ? query.slice(0, at) : query;
+    const version = at > 0 ? query.slice(at + 1) : null;
+    matches = (node) => node.component.name === name && (version === null || node.component.version === version);
+  }
+  return graph.nodes
+    .map((node, i) => (matches(node) ? i : -1))
+    .filter((i) => i >= 0);
+}
+
+/**
+ * Explain why a node is in the graph: the shortest path from each root to it
+ * @param {object} graph - Graph from buildGraph
+ * @param {number} target - Node index
+ * @returns {array} - Paths as node index lists, root first and target last,
+ *   shortest first ([[target]] if the target is a root, [] if no root reaches it)
+ */
+function whyPaths(graph, target) {
+  // Walk up the dependents, remembering the next step towards the target
+  const next = new Map([[target, -1]]);
+  const queue = [target];
+  for (let head = 0; head < queue.length; head++) {
+    graph.nodes[queue[head]].dependents.forEach((dependent) => {
+      if (!next.has(dependent)) {
+        next.set(dependent, queue[head]);
+        queue.push(dependent);
+      }
+    });
+  }
+
+  // queue is in order of distance, so the paths come out shortest first
+  return queue
+    .filter((i) => graph.nodes[i].dependents.length === 0 && graph.nodes[i].dependencies.length > 0)
+    .map((root) => {
+      const path = [root];
+      while (next.get(path[path.length - 1]) !== -1) {
+        path.push(next.get(path[path.length - 1]));
+      }
+      return path;
+    });
+}
+
+/**
+ * Find dependency cycles (Tarjan's strongly connected components, iterative
+ * so deep graphs do not overflow the stack)
+ * @param {object} graph - Graph from buildGraph
+ * @returns {array} - Cycles as node index lists (components of two or more
+ *   nodes, or a node that depends on itself)
+ */
+function findCycles(graph) {
+  const count = graph.nodes.length;
+  const order = new Array(count).fill(-1);
+  const low = new Array(count).fill(0);
+  const onStack = new Array(count).fill(false);
+  const stack = [];
+  const cycles = [];
+  let counter = 0;
+
+  for (let start = 0; start < count; start++) {
+    if (order[start] !== -1) {
+      continue;
+    }
+    // Each frame is [node, index of the next dependency to visit]
+    const frames = [[start, 0]];
+    order[start] = low[start] = counter++;
+    stack.push(start);
+    onStack[start] = true;
+
+    while (frames.length > 0) {
+      const frame = frames[frames.length - 1];
+      const [node, edge] = frame;
+      const dependencies = graph.nodes[node].dependencies;
+      if (edge < dependencies.length) {
+        frame[1]++;
+        const next = dependencies[edge];
+        if (order[next] === -1) {
+          order[next] = low[next] = counter++;
+          stack.push(next);
+          onStack[next] = true;
+          frames.push([next, 0]);
+        } else if (onStack[next]) {
+          low[node] = Math.min(low[node], order[next]);
+        }
+        continue;
+      }
+
+      frames.pop();
+      if (frames.length > 0) {
+        const parent = frames[frames.length - 1][0];
+        low[parent] = Math.min(low[parent], low[node]);
+      }
+      if (low[node] === order[node]) {
+        const members = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack[member] = false;
+          members.push(member);
+        } while (member !== node);
+        if (members.length > 1 || dependencies.includes(node)) {
+          cycles.push(members.reverse());
+        }
+      }
+    }
+  }
+  return cycles;
+}
+
+/**
+ * Build the graph made of the given paths only
+ * @param {object} graph - Graph from buildGraph
+ * @param {array} paths - Node index lists
+ * @returns {object} - Graph with the nodes and edges along the paths
+ */
+function pathGraph(graph, paths) {
+  const members = [...new Set(paths.flat())];
+  const edges = [];
+  paths.forEach((path) => {
+    for (let i = 1; i < path.length; i++) {
+      edges.push({ from: graph.nodes[path[i - 1]].id, to: graph.nodes[path[i]].id });
+    }
+  });
+  return buildGraph(members.map((i) => graph.nodes[i].component), edges);
+}
+
+/**
+ * Quote a string for Graphviz
+ * @param {string} value - Text
+ * @returns {string} - Double-quoted, escaped
+ */
+function dotString(value) {
+  return '"' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+}
+
+/**
+ * Export a graph as Graphviz DOT
+ * @param {object} graph - Graph from buildGraph
+ * @param {object} options - { highlight: Set of node ids to fill }
+ * @returns {string} - DOT source
+ */
+function toDOT(graph, options = {}) {
+  const highlight = options.highlight || new Set();
+  const lines = ['digraph sbom {', '  rankdir=LR;', '  node [shape=box];'];
+  graph.nodes.forEach((node) => {
+    const style = highlight.has(node.id) ? ' style=filled fillcolor="#ffcc99"' : '';
+    lines.push(`  ${dotString(node.id)} [label=${dotString(nodeLabel(node))}${style}];`);
+  });
+  graph.nodes.forEach((node) => {
+    node.dependencies.forEach((i) => {
+      lines.push(`  ${dotString(node.id)} -> ${dotString(graph.nodes[i].id)};`);
+    });
+  });
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Export a graph as a Mermaid flowchart
+ * Component ids are not valid Mermaid ids, so nodes are numbered
+ * @param {object} graph - Graph from buildGraph
+ * @param {object} options - { highlight: Set of node ids to fill }
+ * @returns {string} - Mermaid source
+ */
+function toMermaid(graph, options = {}) {
+  const highlight = options.highlight || new Set();
+  const lines = ['graph LR'];
+  graph.nodes.forEach((node, i) => {
+    lines.push(`  n${i}["${nodeLabel(node).replace(/"/g, '#quot;')}"]`);
+  });
+  graph.nodes.forEach((node, i) => {
+    node.dependencies.forEach((j) => {
+      lines.push(`  n${i} --> n${j}`);
+    });
+  });
+  graph.nodes.forEach((node, i) => {
+    if (highlight.has(node.id)) {
+      lines.push(`  style n${i} fill:#ffcc99`);
+    }
+  });
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  buildGraph,
+  nodeLabel,
+  findRoots,
+  findOrphans,
+  nodeDepths,
+  findPackages,
+  whyPaths,
+  findCycles,
+  pathGraph,
+  toDOT,
+  toMermaid
+};
@@ -1,9 +1,48 @@
 const fs = require('fs');
+const crypto = require('crypto');
+const { StringDecoder } = require('string_decoder');
 const { ethers } = require('ethers');
+const createKeccakHash = require('keccak');
+const { canonicalize } = require('./canonical');
+const { stripVolatileFields } = require('./semantic');
+const {
+  extractComponents, extractDependencies, trimComponent, trimRelationship, COMPONENT_ARRAYS, RELATIONSHIP_ARRAYS
+} = require('./components');
+const { buildMetadata, defaultMetadata } = require('./metadata');
+const { assessQuality } = require('./quality');
+const { createJSONScanner } = require('./stream');
+const { detectSyntax, parseSBOMText } = require('./parse');
+const { validateParsed, parseFailure, createStreamValidation } = require('./validate');
+
+// Supported hash modes. The mode used at registration is recorded in the
+// on-chain metadata so verifiers know how to recompute the hash.
+const HASH_MODES = ['raw', 'canonical', 'semantic'];
+const DEFAULT_HASH_MODE = 'raw';
+
+// Extra digests recorded on-chain next to the keccak256 record hash, keyed by
+// the algorithm names CycloneDX uses in hashes/externalReferences
+const DIGEST_ALGORITHMS = {
+  sha256: 'SHA-256',
+  sha512: 'SHA-512'
+};
+
+// Size of each chunk read from disk while hashing
+const CHUNK_SIZE = 1024 * 1024;
+
+// Top-level fields kept while streaming; everything metadata extraction and
+// format detection look at. Component and relationship arrays are handled
+// element by element.
+const SKELETON_FIELDS = new Set([
+  'name', 'version', 'bomFormat', 'specVersion', 'serialNumber',
+  'spdxVersion', 'SPDXID', 'documentNamespace', 'dataLicense', 'creationInfo',
+  'metadata', 'descriptor', 'source', 'distro', 'schema', 'documentDescribes',
+  'supplier', 'author', 'timestamp', 'created', 'createdAt'
+]);
+
 
 /**
  * Hash an SBOM file (Simple approach - Phase 1)
- * Hashes the file content as-is
+ * Hashes the file content as-is, one chunk at a time
  * @param {string} filePath - Path to SBOM file
  * @returns {string} - Keccak256 hash (0x...)
  */
@@ -12,46 +51,108 @@ function hashSBOMSimple(filePath) {
     throw new Error(`File not found: ${filePath}`);
   }
 
-  // Read file content
-  const fileContent = fs.readFileSync(filePath, 'utf8');
+  // Feed the file to an incremental hasher so memory use does not grow with file size
+  const hasher = createKeccakHash('keccak256');
+  const buffer = Buffer.alloc(CHUNK_SIZE);
+  const fd = fs.openSync(filePath, 'r');
   
-  // Hash it directly
-  const hash = ethers.keccak256(ethers.toUtf8Bytes(fileContent));
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, CHUNK_SIZE, null)) > 0) {
+      hasher.update(buffer.subarray(0, bytesRead));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
   
-  return hash;
+  return '0x' + hasher.digest('hex');
 }
 
 /**
- * Hash an SBOM file (Advanced - Phase 2)
- * Parses JSON and normalizes before hashing
+ * Hash a parsed SBOM document in a document-level mode
+ * @param {object} sbom - Parsed SBOM
+ * @param {string} mode - 'canonical' or 'semantic'
+ * @returns {string} - Keccak256 hash (0x...)
+ */
+function hashDocument(sbom, mode) {
+  const document = mode === 'semantic' ? stripVolatileFields(sbom).document : sbom;
+  return ethers.keccak256(ethers.toUtf8Bytes(canonicalize(document)));
+}
+
+/**
+ * Hash an SBOM file (Canonical - Phase 2)
+ * Parses the document (JSON, CycloneDX XML or SPDX tag-value) and
+ * canonicalizes its JSON document model (RFC 8785) before hashing, so
+ * formatting and key order no longer affect the hash
  * @param {string} filePath - Path to SBOM file
  * @returns {string} - Keccak256 hash (0x...)
  */
-function hashSBOMNormalized(filePath) {
+function hashSBOMCanonical(filePath) {
   if (!fs.existsSync(filePath)) {
     throw new Error(`File not found: ${filePath}`);
   }
 
-  try {
-    // Read and parse
-    const fileContent = fs.readFileSync(filePath, 'utf8');
-    const sbom = JSON.parse(fileContent);
-    
-    // Normalize: sorted keys, no whitespace
-    const normalized = JSON.stringify(sbom, Object.keys(sbom).sort());
-    
-    // Hash normalized version
-    const hash = ethers.keccak256(ethers.toUtf8Bytes(normalized));
-    
-    return hash;
-  } catch (error) {
-    if (error instanceof SyntaxError) {
-      throw new Error('Invalid JSON file');
-    }
-    throw error;
+  // Read and parse
+  const fileContent = fs.readFileSync(filePath, 'utf8');
+  const { document } = parseSBOMText(fileContent);
+
+  // Canonicalize: sorted keys at every level, no whitespace, ES number format
+  return hashDocument(document, 'canonical');
+}
+
+/**
+ * Hash an SBOM file (Semantic - Phase 3)
+ * Drops the fields the generator rewrites on every run (timestamps, serial
+ * numbers, tool configuration) using the profile for the detected format,
+ * then hashes the canonical form of what is left. A re-generated SBOM of the
+ * same build therefore gets the same hash.
+ * @param {string} filePath - Path to SBOM file
+ * @returns {string} - Keccak256 hash (0x...)
+ */
+function hashSBOMSemantic(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+
+  const fileContent = fs.readFileSync(filePath, 'utf8');
+  const { document } = parseSBOMText(fileContent);
+
+  // Strip volatile fields for this format, then canonicalize
+  return hashDocument(document, 'semantic');
+}
+
+/**
+ * Hash an SBOM file using the given hash mode
+ * @param {string} filePath - Path to SBOM file
+ * @param {string} mode - One of HASH_MODES (defaults to 'raw')
+ * @returns {string} - Keccak256 hash (0x...)
+ */
+function hashSBOM(filePath, mode = DEFAULT_HASH_MODE) {
+  switch (mode) {
+    case 'raw':
+      return hashSBOMSimple(filePath);
+    case 'canonical':
+      return hashSBOMCanonical(filePath);
+    case 'semantic':
+      return hashSBOMSemantic(filePath);
+    default:
+      throw new Error(`Unknown hash mode: ${mode} (expected one of: ${HASH_MODES.join(', ')})`);
   }
 }
 
+/**
+ * Get the extra digests of an analyzed file in the form the contract takes
+ * @param {object} analysis - Result of analyzeSBOM
+ * @returns {{ algorithms: string[], digests: string[] }} - Parallel arrays for addDigests
+ */
+function getExtraDigests(analysis) {
+  const keys = Object.keys(DIGEST_ALGORITHMS);
+  return {
+    algorithms: keys.map((key) => DIGEST_ALGORITHMS[key]),
+    digests: keys.map((key) => analysis.digests[key])
+  };
+}
+
 /**
  * Extract metadata from SBOM file
  * @param {string} filePath - Path to SBOM file
@@ -60,28 +161,384 @@ function hashSBOMNormalized(filePath) {
 function extractMetadata(filePath) {
   try {
     const fileContent = fs.readFileSync(filePath, 'utf8');
-    const sbom = JSON.parse(fileContent);
-    
-    return {
-      name: sbom.name || 'Unknown',
-      version: sbom.version || '1.0.0',
-      timestamp: Date.now(),
-      format: sbom.spdxVersion ? 'SPDX' : sbom.bomFormat ? 'CycloneDX' : 'Unknown'
-    };
+    return buildMetadata(parseSBOMText(fileContent).document);
   } catch (error) {
-    return {
-      name: 'Unknown',
-      version: '1.0.0',
-      timestamp: Date.now(),
-      format: 'Unknown'
-    };
+    return defaultMetadata();
+  }
+}
+
+/**
+ * Check whether a syntax has to be parsed as a whole document
+ * Only JSON can be scanned as a stream
+ * @param {string|null} syntax - Syntax detected by detectSyntax
+ * @returns {boolean} - True for CycloneDX XML and SPDX tag-value
+ */
+function parsedWhole(syntax) {
+  return syntax === 'xml' || syntax === 'tagvalue';
+}
+
+/**
+ * Stream the elements of one top-level array of a JSON file
+ * @param {string} filePath - Path to SBOM file
+ * @param {string} key - Top-level key of the array
+ * @param {number} occurrence - Which occurrence of the key holds it (1 = first)
+ * @param {function} onElement - (value, index) called for each element, in order
+ * @returns {Promise<void>}
+ */
+async function scanTopLevelArray(filePath, key, occurrence, onElement) {
+  const decoder = new StringDecoder('utf8');
+  let seen = 0;
+  let index = 0;
+  const scanner = createJSONScanner({
+    select: (path) => {
+      if (path.length === 1 && path[0] === key) {
+        seen++;
+      }
+      return path.length === 2 && path[0] === key && seen === occurrence;
+    },
+    onValue: (path, value) => onElement(value, index++)
+  });
+
+  let first = true;
+  for await (const chunk of fs.createReadStream(filePath, { highWaterMark: CHUNK_SIZE })) {
+    const text = decoder.write(chunk);
+    scanner.write(first ? text.replace(/^\uFEFF/, '') : text);
+    first = false;
+  }
+  scanner.write(decoder.end());
+  scanner.end();
+}
+
+/**
+ * Compute the document-level hashes and the validation of a JSON object SBOM
+ * from its top-level members, without holding the parsed document
+ *
+ * The canonical form of an object is its members in sorted key order, so the
+ * members kept by the first pass are canonicalized as a whole, while each
+ * top-level array is scanned again when its turn comes and fed to the hashers
+ * (and the schema validator) one element at a time. The semantic hash leaves
+ * out the members and fields its format profile strips, exactly as
+ * hashDocument does for a parsed document.
+ *
+ * @param {string} filePath - Path to SBOM file
+ * @param {Map} members - Top-level key => { value } or { array: true, occurrence }
+ * @param {object} options - Options
+ * @param {string[]} options.hashModes - 'canonical' and/or 'semantic'
+ * @param {boolean} options.validate - Also validate against the bundled schemas
+ * @returns {Promise<object>} - { hashes, hashErrors, validation }
+ */
+async function analyzeStreamedMembers(filePath, members, { hashModes, validate }) {
+  // The top-level object with every array standing in empty: enough to detect
+  // the format, pick a schema and strip volatile fields
+  const shell = Object.fromEntries([...members].map(([key, member]) => [key, member.array ? [] : member.value]));
+  const stripped = hashModes.includes('semantic') ? stripVolatileFields(shell).document : null;
+  const validation = validate ? createStreamValidation(shell) : null;
+
+  const writers = hashModes.map((mode) => ({
+    mode,
+    source: mode === 'semantic' ? stripped : shell,
+    hasher: createKeccakHash('keccak256').update('{'),
+    members: 0,
+    error: null
+  }));
+  const emit = (writer, produce) => {
+    if (writer.error) {
+      return;
+    }
+    try {
+      writer.hasher.update(produce());
+    } catch (error) {
+      writer.error = error.message;
+    }
+  };
+
+  for (const key of [...members.keys()].sort()) {
+    const member = members.get(key);
+    const targets = writers.filter((writer) => Object.prototype.hasOwnProperty.call(writer.source, key));
+    targets.forEach((writer) => emit(writer, () => (writer.members++ ? ',' : '') + canonicalize(key) + ':'));
+
+    if (!member.array) {
+      targets.forEach((writer) => emit(writer, () => canonicalize(writer.source[key])));
+      continue;
+    }
+
+    const checked = validation && validation.covers(key);
+    targets.forEach((writer) => emit(writer, () => '['));
+    if (targets.length > 0 || checked) {
+      try {
+        await scanTopLevelArray(filePath, key, member.occurrence, (value, index) => {
+          let text;
+          if (targets.length > 0) {
+            try {
+              text = canonicalize(value);
+            } catch (error) {
+              targets.forEach((writer) => { writer.error = writer.error || error.message; });
+            }
+          }
+          if (text !== undefined) {
+            targets.forEach((writer) => emit(writer, () => (index > 0 ? ',' : '') + text));
+          }
+          if (checked) {
+            validation.checkElement(key, index, value, text);
+          }
+        });
+      } catch (error) {
+        // An element that is not valid JSON: the document does not parse
+        return {
+          hashes: {},
+          hashErrors: Object.fromEntries(hashModes.map((mode) => [mode, 'Invalid JSON file'])),
+          validation: validate ? parseFailure('Invalid JSON file') : null
+        };
+      }
+    }
+    targets.forEach((writer) => emit(writer, () => ']'));
+  }
+
+  const hashes = {};
+  const hashErrors = {};
+  writers.forEach((writer) => {
+    if (writer.error) {
+      hashErrors[writer.mode] = writer.error;
+    } else {
+      hashes[writer.mode] = '0x' + writer.hasher.update('}').digest('hex');
+    }
+  });
+
+  return { hashes, hashErrors, validation: validation ? { syntax: 'json', ...validation.finish() } : null };
+}
+
+/**
+ * Analyze an SBOM file in a single streaming pass
+ *
+ * Every chunk of the file updates the incremental keccak256, SHA-256 and
+ * SHA-512 digests and is fed to a streaming JSON scanner that keeps only the
+ * metadata fields and trimmed copies of each component and dependency
+ * relationship. When the 'canonical' or 'semantic' modes or validation are
+ * requested, the scanner also keeps the other top-level members, except
+ * arrays, and each top-level array is then scanned again on its own (see
+ * analyzeStreamedMembers). Memory therefore stays bounded by the largest
+ * top-level object or array element, not by the file. CycloneDX XML and SPDX
+ * tag-value documents (detected from the first chunk) are parsed in memory.
+ *
+ * @param {string} filePath - Path to SBOM file
+ * @param {object} options - Options
+ * @param {string[]} options.hashModes - Hash modes to compute (defaults to ['raw'])
+ * @param {boolean} options.validate - Also validate against the bundled schemas
+ * @returns {Promise<object>} - { hashes, hashErrors, digests, metadata, components, dependencies, quality, syntax, validation, size }
+ */
+async function analyzeSBOM(filePath, { hashModes = [DEFAULT_HASH_MODE], validate = false } = {}) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+
+  hashModes.forEach((mode) => {
+    if (!HASH_MODES.includes(mode)) {
+      throw new Error(`Unknown hash mode: ${mode} (expected one of: ${HASH_MODES.join(', ')})`);
+    }
+  });
+
+  const keccak = createKeccakHash('keccak256');
+  const sha256 = crypto.createHash('sha256');
+  const sha512 = crypto.createHash('sha512');
+  const decoder = new StringDecoder('utf8');
+  const needsDocument = hashModes.some((mode) => mode !== 'raw') || validate;
+  const textParts = [];
+  let head = '';
+  let size = 0;
+
+  // Skeleton of the document: metadata fields plus trimmed component and
+  // dependency lists
+  const skeleton = {};
+  const isStreamedArray = (name) => COMPONENT_ARRAYS.includes(name) || RELATIONSHIP_ARRAYS.includes(name);
+  let scanError = null;
+
+  // Top-level members for the document-level modes and validation: parsed
+  // values, except for arrays, which are only noted (with which occurrence of
+  // the key holds them, as the last one wins)
+  const members = needsDocument ? new Map() : null;
+  const occurrences = new Map();
+  let rootIsObject = false;
+
+  const scanner = createJSONScanner({
+    select: (path, first) => {
+      if (path.length === 0) {
+        rootIsObject = first === '{';
+        return false;
+      }
+      if (path.length === 1 && members) {
+        const occurrence = (occurrences.get(path[0]) || 0) + 1;
+        occurrences.set(path[0], occurrence);
+        members.set(path[0], first === '[' ? { array: true, occurrence } : { value: undefined });
+      }
+      if (path.length === 1 && isStreamedArray(path[0])) {
+        // Note the list exists (even when empty), stream its elements
+        skeleton[path[0]] = [];
+        return Boolean(members) && first !== '[';
+      }
+      if (path.length === 1) {
+        return SKELETON_FIELDS.has(path[0]) || (Boolean(members) && first !== '[');
+      }
+      return path.length === 2 && isStreamedArray(path[0]) && Array.isArray(skeleton[path[0]]);
+    },
+    onValue: (path, value) => {
+      if (path.length === 1) {
+        if (members) {
+          members.get(path[0]).value = value;
+        }
+        if (SKELETON_FIELDS.has(path[0])) {
+          skeleton[path[0]] = value;
+        }
+      } else if (COMPONENT_ARRAYS.includes(path[0])) {
+        skeleton[path[0]].push(trimComponent(value));
+      } else {
+        const relationship = trimRelationship(path[0], value);
+        if (relationship) {
+          skeleton[path[0]].push(relationship);
+        }
+      }
+    }
+  });
+
+  // Syntax of the document, detected once from the first non-blank text
+  // (null if it is not a recognized SBOM syntax)
+  let syntax;
+
+  const feed = (text) => {
+    if (syntax === undefined && text.trim() !== '') {
+      syntax = detectSyntax(text);
+      text = text.replace(/^\uFEFF/, '');
+      head = text;
+    }
+    if (parsedWhole(syntax)) {
+      textParts.push(text);
+    }
+    if (syntax === 'json' && !scanError) {
+      try {
+        scanner.write(text);
+      } catch (error) {
+        scanError = error;
+      }
+    }
+  };
+
+  for await (const chunk of fs.createReadStream(filePath, { highWaterMark: CHUNK_SIZE })) {
+    keccak.update(chunk);
+    sha256.update(chunk);
+    sha512.update(chunk);
+    size += chunk.length;
+    feed(decoder.write(chunk));
+  }
+  feed(decoder.end());
+
+  if (syntax === 'json' && !scanError) {
+    try {
+      scanner.end();
+    } catch (error) {
+      scanError = error;
+    }
+  }
+
+  const rawHash = '0x' + keccak.digest('hex');
+  const hashes = {};
+  const hashErrors = {};
+
+  if (hashModes.includes('raw')) {
+    hashes.raw = rawHash;
+  }
+
+  // Non-JSON documents are parsed whole; their model replaces the skeleton
+  let document = null;
+  let parseError = null;
+  if (parsedWhole(syntax) || (needsDocument && syntax !== 'json')) {
+    try {
+      document = parseSBOMText(parsedWhole(syntax) ? textParts.join('') : head).document;
+    } catch (error) {
+      parseError = error.message;
+    }
+  }
+  const model = syntax === 'json' ? (scanError ? null : skeleton) : document;
+  const documentModes = hashModes.filter((mode) => mode !== 'raw');
+  let validation = null;
+
+  if (needsDocument && syntax === 'json' && !scanError && rootIsObject) {
+    // An SBOM is a JSON object: stream it member by member
+    const streamed = await analyzeStreamedMembers(filePath, members, { hashModes: documentModes, validate });
+    Object.assign(hashes, streamed.hashes);
+    Object.assign(hashErrors, streamed.hashErrors);
+    validation = streamed.validation;
+  } else if (needsDocument) {
+    if (syntax === 'json') {
+      // A root that is not an object is no SBOM; it is parsed whole
+      parseError = 'Invalid JSON file';
+      if (!scanError) {
+        try {
+          document = parseSBOMText(fs.readFileSync(filePath, 'utf8')).document;
+        } catch (error) {
+          document = null;
+        }
+      }
+    }
+
+    documentModes.forEach((mode) => {
+      if (document === null) {
+        hashErrors[mode] = parseError;
+        return;
+      }
+      try {
+        hashes[mode] = hashDocument(document, mode);
+      } catch (error) {
+        hashErrors[mode] = error.message;
+      }
+    });
+
+    if (validate) {
+      validation = document === null ? parseFailure(parseError) : validateParsed({ syntax, document });
+    }
+  }
+
+  const components = model ? extractComponents(model) : [];
+
+  return {
+    hashes,
+    hashErrors,
+    digests: {
+      keccak256: rawHash,
+      sha256: '0x' + sha256.digest('hex'),
+      sha512: '0x' + sha512.digest('hex')
+    },
+    metadata: model ? buildMetadata(model, components) : defaultMetadata(),
+    components,
+    dependencies: model ? extractDependencies(model) : [],
+    quality: assessQuality(model || {}, components),
+    syntax: syntax || null,
+    validation,
+    size
+  };
+}
+
+/**
+ * Get the hash computed for a mode by analyzeSBOM
+ * @param {object} analysis - Result of analyzeSBOM
+ * @param {string} mode - Hash mode
+ * @returns {string} - Keccak256 hash (0x...)
+ */
+function getHash(analysis, mode) {
+  if (!analysis.hashes[mode]) {
+    throw new Error(analysis.hashErrors[mode] || `Hash mode ${mode} was not computed`);
   }
+  return analysis.hashes[mode];
 }
 
 module.exports = {
+  HASH_MODES,
+  DEFAULT_HASH_MODE,
   hashSBOMSimple,
-  hashSBOMNormalized,
-  extractMetadata,
-  // Export the one to use by default
-  hashSBOM: hashSBOMSimple  // Start with simple, switch to normalized later
+  hashSBOMCanonical,
+  hashSBOMSemantic,
+  hashSBOM,
+  analyzeSBOM,
+  getHash,
+  getExtraDigests,
+  DIGEST_ALGORITHMS,
+  extractMetadata
 };
\ No newline at end of file
@@ -0,0 +1,134 @@
+const { ethers } = require('ethers');
+const { canonicalize } = require('./canonical');
+
+/**
+ * Component Merkle tree for selective disclosure
+ *
+ * Leaves are double keccak256 hashes of the canonical JSON of a component's
+ * disclosed fields ({ name, version, purl }). Pairs are hashed in sorted
+ * order, so a proof is just the list of sibling hashes - the same scheme the
+ * contract's verifyComponentProof (and OpenZeppelin's MerkleProof) uses.
+ */
+
+/**
+ * Fields of a component revealed by an inclusion proof
+ * @param {object} component - Normalized component
+ * @returns {object} - Disclosed fields
+ */
+function disclosedFields(component) {
+  return {
+    name: component.name || '',
+    version: component.version || '',
+    purl: component.purl || ''
+  };
+}
+
+/**
+ * Compute the Merkle leaf for a component
+ * @param {object} component - Normalized component
+ * @returns {string} - Leaf hash (0x...)
+ */
+function componentLeaf(component) {
+  const encoded = ethers.toUtf8Bytes(canonicalize(disclosedFields(component)));
+  return ethers.keccak256(ethers.keccak256(encoded));
+}
+
+/**
+ * Hash two nodes in sorted order
+ * @param {string} a - Node hash
+ * @param {string} b - Node hash
+ * @returns {string} - Parent hash
+ */
+function hashPair(a, b) {
+  return a.toLowerCase() < b.toLowerCase()
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Build a Merkle tree over components
+ * Duplicate components (same disclosed fields) share a single leaf
+ * @param {array} components - Normalized components
+ * @returns {array} - Tree levels, leaves first and root level last
+ */
+function buildMerkleTree(components) {
+  const leaves = [...new Set(components.map(componentLeaf))].sort();
+  const levels = [leaves];
+
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      // An unpaired node is carried up to the next level unchanged
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+
+  return levels;
+}
+
+/**
+ * Get the root of a Merkle tree
+ * @param {array} levels - Tree from buildMerkleTree
+ * @returns {string} - Root hash, or the zero hash for an empty tree
+ */
+function getMerkleRoot(levels) {
+  const top = levels[levels.length - 1];
+  return top.length ? top[0] : ethers.ZeroHash;
+}
+
+/**
+ * Compute the component Merkle root for a list of components
+ * @param {array} components - Normalized components
+ * @returns {string} - Root hash, or the zero hash if there are no components
+ */
+function computeComponentRoot(components) {
+  return getMerkleRoot(buildMerkleTree(components));
+}
+
+/**
+ * Get the inclusion proof for a leaf
+ * @param {array} levels - Tree from buildMerkleTree
+ * @param {string} leaf - Leaf hash
+ * @returns {string[]} - Sibling hashes from the leaf up to the root
+ */
+function getProof(levels, leaf) {
+  let index = levels[0].indexOf(leaf);
+  if (index === -1) {
+    throw new Error('Leaf is not part of this tree');
+  }
+
+  const proof = [];
+  for (const level of levels.slice(0, -1)) {
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < level.length) {
+      proof.push(level[sibling]);
+    }
+    index = Math.floor(index / 2);
+  }
+
+  return proof;
+}
+
+/**
+ * Verify an inclusion proof against a root
+ * @param {string} leaf - Leaf hash
+ * @param {string[]} proof - Sibling hashes
+ * @param {string} root - Expected root
+ * @returns {boolean} - True if the proof is valid
+ */
+function verifyProof(leaf, proof, root) {
+  const computed = proof.reduce((node, sibling) => hashPair(node, sibling), leaf);
+  return computed.toLowerCase() === root.toLowerCase();
+}
+
+module.exports = {
+  disclosedFields,
+  componentLeaf,
+  buildMerkleTree,
+  getMerkleRoot,
+  computeComponentRoot,
+  getProof,
+  verifyProof
+};
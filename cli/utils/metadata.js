@@ -0,0 +1,256 @@
+const { detectFormat, FORMAT_NAMES } = require('./format');
+const { extractComponents } = require('./components');
+
+/**
+ * Format-aware SBOM metadata
+ *
+ * Each format keeps the facts about the document in different places
+ * (CycloneDX metadata.component, SPDX creationInfo and the described package,
+ * Syft source and descriptor). The extractors here map them onto one shape:
+ *   { name, version, supplier, author, specVersion, tool, created }
+ * Fields the document does not provide are left undefined, so they are
+ * omitted from the JSON stored on-chain.
+ */
+
+// SPDX marks unknown values with these instead of leaving them out
+const SPDX_NO_VALUE = ['NOASSERTION', 'NONE'];
+
+// Labels used when displaying stored metadata, in display order
+const METADATA_LABELS = {
+  name: 'Product',
+  version: 'Version',
+  supplier: 'Supplier',
+  author: 'Author',
+  format: 'Format',
+  specVersion: 'Spec Version',
+  tool: 'Generator',
+  created: 'Document Created',
+  componentCount: 'Components',
+  quality: 'NTIA Quality',
+  diff: 'Changes'
+};
+
+/**
+ * Turn an empty value into undefined
+ * @param {*} value - Value read from the document
+ * @returns {string|undefined} - Trimmed string, or undefined if empty
+ */
+function present(value) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  const text = String(value).trim();
+  return text === '' ? undefined : text;
+}
+
+/**
+ * Format a CycloneDX tool entry as "name version"
+ * @param {object} tool - CycloneDX tool (1.4) or tool component (1.5+)
+ * @returns {string|undefined} - Tool description
+ */
+function describeTool(tool) {
+  if (!tool || typeof tool !== 'object') {
+    return undefined;
+  }
+  return present([tool.name, tool.version].filter(Boolean).join(' '));
+}
+
+/**
+ * Extract metadata from a CycloneDX document
+ * @param {object} sbom - Parsed CycloneDX SBOM
+ * @returns {object} - Format-specific metadata
+ */
+function extractCycloneDX(sbom) {
+  const metadata = sbom.metadata || {};
+  const component = metadata.component || {};
+
+  // 1.4 lists tools in an array; 1.5+ splits them into components and services
+  const tools = Array.isArray(metadata.tools)
+    ? metadata.tools
+    : [].concat((metadata.tools && metadata.tools.components) || [], (metadata.tools && metadata.tools.services) || []);
+
+  // 1.6 renamed "manufacture" to "manufacturer"
+  const supplier = metadata.supplier || metadata.manufacturer || metadata.manufacture || component.supplier || {};
+
+  return {
+    name: present(component.group ? `${component.group}/${component.name}` : component.name),
+    version: present(component.version),
+    supplier: present(supplier.name),
+    author: present((metadata.authors || []).map((author) => author && author.name).filter(Boolean).join(', ')),
+    specVersion: present(sbom.specVersion),
+    tool: present(tools.map(describeTool).filter(Boolean).join(', ')),
+    created: present(metadata.timestamp)
+  };
+}
+
+/**
+ * Strip the "Organization: " / "Person: " / "Tool: " prefix of an SPDX actor
+ * @param {string} actor - SPDX actor string
+ * @returns {string|undefined} - Actor name
+ */
+function spdxActorName(actor) {
+  const value = present(actor);
+  if (!value || SPDX_NO_VALUE.includes(value)) {
+    return undefined;
+  }
+  return present(value.replace(/^(Organization|Person|Tool):\s*/, ''));
+}
+
+/**
+ * Find the package an SPDX document describes
+ * @param {object} sbom - Parsed SPDX SBOM
+ * @returns {object} - Described package, or an empty object
+ */
+function spdxDescribedPackage(sbom) {
+  // SPDX 2.2 uses documentDescribes; 2.3 prefers a DESCRIBES relationship
+  const ids = [].concat(
+    sbom.documentDescribes || [],
+    (sbom.relationships || [])
+      .filter((rel) => rel.relationshipType === 'DESCRIBES' && rel.spdxElementId === sbom.SPDXID)
+      .map((rel) => rel.relatedSpdxElement)
+  );
+  const packages = sbom.packages || [];
+  return packages.find((pkg) => ids.includes(pkg.SPDXID)) || {};
+}
+
+/**
+ * Extract metadata from an SPDX document
+ * @param {object} sbom - Parsed SPDX SBOM
+ * @returns {object} - Format-specific metadata
+ */
+function extractSPDX(sbom) {
+  const creationInfo = sbom.creationInfo || {};
+  const creators = creationInfo.creators || [];
+  const described = spdxDescribedPackage(sbom);
+
+  return {
+    name: present(described.name) || present(sbom.name),
+    version: SPDX_NO_VALUE.includes(described.versionInfo) ? undefined : present(described.versionInfo),
+    supplier: spdxActorName(described.supplier) || spdxActorName(described.originator),
+    // Tools are listed as creators too, but only people and organizations author
+    author: present(creators.filter((c) => /^(Person|Organization):/.test(c)).map(spdxActorName).filter(Boolean).join(', ')),
+    specVersion: present(sbom.spdxVersion),
+    tool: present(creators.filter((c) => /^Tool:/.test(c)).map(spdxActorName).filter(Boolean).join(', ')),
+    created: present(creationInfo.created)
+  };
+}
+
+/**
+ * Extract metadata from a Syft JSON document
+ * @param {object} sbom - Parsed Syft SBOM
+ * @returns {object} - Format-specific metadata
+ */
+function extractSyft(sbom) {
+  const source = sbom.source || {};
+  const descriptor = sbom.descriptor || {};
+
+  return {
+    name: present(source.name),
+    version: present(source.version),
+    supplier: present(source.supplier),
+    author: undefined,
+    specVersion: present(sbom.schema && sbom.schema.version),
+    tool: present([descriptor.name, descriptor.version].filter(Boolean).join(' ')),
+    created: present(descriptor.timestamp)
+  };
+}
+
+/**
+ * Extract metadata from a document in an unrecognized format
+ * @param {object} sbom - Parsed SBOM
+ * @returns {object} - Metadata read from common top-level fields
+ */
+function extractGeneric(sbom) {
+  return {
+    name: present(sbom.name),
+    version: present(sbom.version),
+    supplier: present(sbom.supplier),
+    author: present(sbom.author),
+    specVersion: undefined,
+    tool: undefined,
+    created: present(sbom.timestamp || sbom.created || sbom.createdAt)
+  };
+}
+
+const EXTRACTORS = {
+  cyclonedx: extractCycloneDX,
+  spdx: extractSPDX,
+  syft: extractSyft,
+  unknown: extractGeneric
+};
+
+/**
+ * Extract the document-level facts of a parsed SBOM, whatever its format
+ * @param {object} sbom - Parsed SBOM (or the skeleton kept while streaming)
+ * @returns {object} - { name, version, supplier, author, specVersion, tool, created }
+ */
+function extractDocumentInfo(sbom) {
+  return EXTRACTORS[detectFormat(sbom)](sbom);
+}
+
+/**
+ * Build registry metadata from a parsed SBOM
+ * @param {object} sbom - Parsed SBOM (or the skeleton kept while streaming)
+ * @param {array} components - Normalized components (extracted from sbom if omitted)
+ * @returns {object} - Metadata object
+ */
+function buildMetadata(sbom, components = extractComponents(sbom)) {
+  const format = detectFormat(sbom);
+  const extracted = extractDocumentInfo(sbom);
+
+  return {
+    ...extracted,
+    name: extracted.name || 'Unknown',
+    version: extracted.version || 'Unknown',
+    format: FORMAT_NAMES[format],
+    componentCount: components.length,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Metadata used when the SBOM cannot be parsed
+ * @returns {object} - Metadata object
+ */
+function defaultMetadata() {
+  return {
+    name: 'Unknown',
+    version: 'Unknown',
+    format: 'Unknown',
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Parse the metadata string stored in an on-chain record
+ * @param {string} metadataString - Metadata as stored on-chain
+ * @returns {object|null} - Parsed metadata, or null if it is not JSON
+ */
+function parseMetadata(metadataString) {
+  try {
+    const metadata = JSON.parse(metadataString);
+    return metadata && typeof metadata === 'object' ? metadata : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the hash mode recorded in on-chain metadata
+ * Records created before hash modes existed were always hashed raw
+ * @param {string} metadataString - Metadata as stored on-chain
+ * @returns {string} - Recorded hash mode
+ */
+function getRecordedHashMode(metadataString) {
+  const metadata = parseMetadata(metadataString);
+  return (metadata && metadata.hashMode) || 'raw';
+}
+
+module.exports = {
+  METADATA_LABELS,
+  extractDocumentInfo,
+  buildMetadata,
+  defaultMetadata,
+  parseMetadata,
+  getRecordedHashMode
+};
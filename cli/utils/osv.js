@@ -0,0 +1,326 @@
+const fs = require('fs');
+const path = require('path');
+const { compareVersions } = require('./diff');
+const { ECOSYSTEMS, identifyPackage } = require('./ecosystems');
+const { cvssBaseScore, severityRating } = require('./cvss');
+
+/**
+ * Offline vulnerability matching against an OSV snapshot
+ *
+ * The database is a directory of OSV JSON advisories, as published per
+ * ecosystem at https://osv-vulnerabilities.storage.googleapis.com/<ecosystem>/all.zip
+ * (unzipped; subdirectories are searched too). Nothing is sent anywhere.
+ *
+ * Components are matched two ways:
+ *   - by purl, against advisories for npm, PyPI, Go and Maven packages, with
+ *     each ecosystem's version ordering (see ecosystems.js)
+ *   - by CPE vendor and product, against advisories that list CPEs in
+ *     affected[].database_specific (as NVD-derived records do), with generic
+ *     version ordering
+ *
+ * The SBOM is indexed first and advisories are read one file at a time, so
+ * memory use does not grow with the size of the snapshot.
+ */
+
+// Severities, lowest first
+const SEVERITIES = ['UNKNOWN', 'LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+// GitHub advisories say MODERATE where CVSS says MEDIUM
+const SEVERITY_ALIASES = { MODERATE: 'MEDIUM', NONE: 'LOW' };
+
+/**
+ * List the JSON files under a directory
+ * @param {string} dir - Directory
+ * @returns {string[]} - File paths, sorted
+ */
+function listAdvisoryFiles(dir) {
+  const files = [];
+  const walk = (current) => {
+    fs.readdirSync(current, { withFileTypes: true })
+      .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+      .forEach((entry) => {
+        const entryPath = path.join(current, entry.name);
+        if (entry.isDirectory()) {
+          walk(entryPath);
+        } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.json')) {
+          files.push(entryPath);
+        }
+      });
+  };
+  walk(dir);
+  return files;
+}
+
+/**
+ * Split a CPE 2.3 formatted string into its parts
+ * @param {string} cpe - e.g. "cpe:2.3:a:vendor:product:1.0:*:*:*:*:*:*:*"
+ * @returns {object|null} - { key: "vendor:product" (lower case), version }
+ */
+function parseCPE(cpe) {
+  if (typeof cpe !== 'string' || !cpe.startsWith('cpe:2.3:')) {
+    return null;
+  }
+  // Colons escaped with a backslash belong to the value
+  const parts = cpe.split(/(?<!\\):/);
+  if (parts.length < 6 || !parts[3] || !parts[4]) {
+    return null;
+  }
+  return { key: `${parts[3]}:${parts[4]}`.toLowerCase(), version: parts[5] };
+}
+
+/**
+ * Get the CPEs an affected entry lists
+ * @param {object} affected - OSV affected entry
+ * @returns {string[]} - CPE strings
+ */
+function affectedCPEs(affected) {
+  const specific = affected.database_specific;
+  if (!specific || typeof specific !== 'object') {
+    return [];
+  }
+  return Object.keys(specific)
+    .filter((key) => /^cpes?$/i.test(key))
+    .flatMap((key) => [].concat(specific[key]))
+    .filter((cpe) => typeof cpe === 'string');
+}
+
+/**
+ * Check a version against one OSV range
+ * Events are applied in version order: "introduced" starts an affected span,
+ * "fixed" ends it before its version and "last_affected" after it
+ * @param {object} range - OSV range (SEMVER or ECOSYSTEM; GIT ranges never match)
+ * @param {string} version - Component version
+ * @param {function} compare - Version comparator
+ * @returns {object} - { affected, fixed } with the fixing version, if known
+ */
+function checkRange(range, version, compare) {
+  if (!range || !['SEMVER', 'ECOSYSTEM'].includes(range.type) || !Array.isArray(range.events)) {
+    return { affected: false, fixed: null };
+  }
+
+  const events = range.events
+    .map((event) => {
+      const kind = ['introduced', 'fixed', 'last_affected'].find((key) => typeof event[key] === 'string');
+      return kind ? { kind, value: event[kind] } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => {
+      // "0" is the start of all versions
+      if (a.value === '0' || b.value === '0') {
+        return (a.value === '0' ? -1 : 0) + (b.value === '0' ? 1 : 0);
+      }
+      return compare(a.value, b.value);
+    });
+
+  let affected = false;
+  for (const event of events) {
+    if (event.kind === 'introduced') {
+      if (event.value !== '0' && compare(version, event.value) < 0) {
+        break;
+      }
+      affected = true;
+    } else if (event.kind === 'fixed') {
+      if (compare(version, event.value) < 0) {
+        return { affected, fixed: affected ? event.value : null };
+      }
+      affected = false;
+    } else {
+      if (compare(version, event.value) <= 0) {
+        break;
+      }
+      affected = false;
+    }
+  }
+  return { affected, fixed: null };
+}
+
+/**
+ * Check a version against an affected entry's versions and ranges
+ * @param {object} affected - OSV affected entry
+ * @param {string} version - Component version
+ * @param {function} compare - Version comparator
+ * @returns {object} - { affected, fixed }
+ */
+function checkAffected(affected, version, compare) {
+  const ranges = (affected.ranges || []).map((range) => checkRange(range, version, compare));
+  const inRange = ranges.find((result) => result.affected);
+  if (inRange) {
+    return inRange;
+  }
+  const listed = (affected.versions || []).some((listedVersion) => compare(listedVersion, version) === 0);
+  return { affected: listed, fixed: null };
+}
+
+/**
+ * Work out the severity of an advisory for one affected package
+ * The highest CVSS v3 score wins; otherwise the advisory's own rating is used
+ * @param {object} advisory - OSV advisory
+ * @param {object} affected - The matching affected entry
+ * @returns {object} - { severity, score } (score is null if there is no CVSS v3 vector)
+ */
+function advisorySeverity(advisory, affected) {
+  const scores = [].concat(affected.severity || [], advisory.severity || [])
+    .map((entry) => entry && cvssBaseScore(entry.score))
+    .filter((score) => score !== null && score !== undefined);
+  if (scores.length > 0) {
+    const score = Math.max(...scores);
+    const rating = severityRating(score);
+    return { severity: SEVERITY_ALIASES[rating] || rating, score };
+  }
+
+  const rated = [affected.database_specific, affected.ecosystem_specific, advisory.database_specific]
+    .map((specific) => specific && typeof specific.severity === 'string' && specific.severity.toUpperCase())
+    .find(Boolean);
+  const severity = SEVERITY_ALIASES[rated] || rated;
+  return { severity: SEVERITIES.includes(severity) ? severity : 'UNKNOWN', score: null };
+}
+
+/**
+ * Index components by the keys advisories are matched on
+ * @param {array} components - Normalized components
+ * @returns {object} - { packages: Map, cpes: Map, matchable } where the maps
+ *   go from "ecosystem\nname" / "vendor:product" to [{ component, version }]
+ */
+function indexComponents(components) {
+  const packages = new Map();
+  const cpes = new Map();
+  let matchable = 0;
+
+  const add = (map, key, entry) => {
+    if (!map.has(key)) {
+      map.set(key, []);
+    }
+    map.get(key).push(entry);
+  };
+
+  components.forEach((component) => {
+    const identified = identifyPackage(component.purl);
+    const cpe = parseCPE(component.cpe);
+    if (identified) {
+      add(packages, `${identified.ecosystem}\n${identified.name}`,
+        { component, version: component.version || identified.version });
+    }
+    if (cpe) {
+      add(cpes, cpe.key, { component, version: component.version || cpe.version });
+    }
+    if (identified || cpe) {
+      matchable++;
+    }
+  });
+
+  return { packages, cpes, matchable };
+}
+
+/**
+ * Match components against an OSV snapshot
+ * @param {array} components - Normalized components
+ * @param {string} dir - Directory of OSV JSON advisories
+ * @returns {object} - { findings, stats } where findings are sorted most
+ *   severe first and stats is { files, advisories, skipped, components, matchable }
+ */
+function auditComponents(components, dir) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new Error(`OSV database not found: ${dir}`);
+  }
+  const files = listAdvisoryFiles(dir);
+  if (files.length === 0) {
+    throw new Error(`No OSV advisories (*.json) found in ${dir}`);
+  }
+
+  const index = indexComponents(components);
+  const stats = { files: files.length, advisories: 0, skipped: 0, components: components.length, matchable: index.matchable };
+  const findings = [];
+  const seen = new Set();
+
+  const record = (advisory, affected, entry, result, matchedBy) => {
+    const { component } = entry;
+    const key = `${component.id}\n${component.name}\n${entry.version}\n${advisory.id}`;
+    if (seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+    findings.push({
+      name: component.name,
+      version: entry.version,
+      purl: component.purl,
+      id: advisory.id,
+      aliases: Array.isArray(advisory.aliases) ? advisory.aliases : [],
+      summary: advisory.summary || '',
+      ...advisorySeverity(advisory, affected),
+      fixed: result.fixed,
+      matchedBy
+    });
+  };
+
+  for (const file of files) {
+    let advisory;
+    try {
+      advisory = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      stats.skipped++;
+      continue;
+    }
+    if (!advisory || typeof advisory.id !== 'string' || !Array.isArray(advisory.affected)) {
+      stats.skipped++;
+      continue;
+    }
+    stats.advisories++;
+    if (advisory.withdrawn) {
+      continue;
+    }
+
+    advisory.affected.forEach((affected) => {
+      if (!affected || typeof affected !== 'object') {
+        return;
+      }
+
+      // By purl: OSV ecosystems may carry a suffix ("Debian:12"), not for these four
+      const pkg = affected.package || {};
+      const ecosystem = Object.prototype.hasOwnProperty.call(ECOSYSTEMS, pkg.ecosystem) ? ECOSYSTEMS[pkg.ecosystem] : null;
+      if (ecosystem && typeof pkg.name === 'string') {
+        const candidates = index.packages.get(`${pkg.ecosystem}\n${ecosystem.normalizeName(pkg.name)}`) || [];
+        candidates.forEach((entry) => {
+          const result = entry.version ? checkAffected(affected, entry.version, ecosystem.compare) : { affected: false };
+          if (result.affected) {
+            record(advisory, affected, entry, result, 'purl');
+          }
+        });
+      }
+
+      // By CPE
+      affectedCPEs(affected).forEach((cpeString) => {
+        const cpe = parseCPE(cpeString);
+        const candidates = (cpe && index.cpes.get(cpe.key)) || [];
+        candidates.forEach((entry) => {
+          if (!entry.version) {
+            return;
+          }
+          const compare = ecosystem ? ecosystem.compare : compareVersions;
+          // A CPE that names a version matches that version only
+          const pinned = cpe.version && !['*', '-'].includes(cpe.version);
+          const result = pinned && !affected.ranges && !affected.versions
+            ? { affected: compare(cpe.version, entry.version) === 0, fixed: null }
+            : checkAffected(affected, entry.version, compare);
+          if (result.affected) {
+            record(advisory, affected, entry, result, 'cpe');
+          }
+        });
+      });
+    });
+  }
+
+  findings.sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity) ||
+    (b.score || 0) - (a.score || 0) ||
+    (a.name < b.name ? -1 : a.name > b.name ? 1 : 0) ||
+    (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+
+  return { findings, stats };
+}
+
+module.exports = {
+  SEVERITIES,
+  parseCPE,
+  checkRange,
+  checkAffected,
+  auditComponents
+};
@@ -0,0 +1,70 @@
+const { parseCycloneDXXML } = require('./cyclonedx-xml');
+const { parseSPDXTagValue } = require('./spdx-tagvalue');
+
+/**
+ * SBOM document parsing
+ *
+ * SBOMs arrive as JSON, CycloneDX XML or SPDX tag-value. The syntax is
+ * detected from the content (never the file extension) and every syntax is
+ * parsed into the JSON document model of its format.
+ */
+
+// Display names for each supported syntax
+const SYNTAX_NAMES = {
+  json: 'JSON',
+  xml: 'XML',
+  tagvalue: 'tag-value'
+};
+
+/**
+ * Detect the syntax of an SBOM from its content
+ * @param {string} text - Beginning of the document (at least the first line)
+ * @returns {string|null} - 'json', 'xml', 'tagvalue', or null if not recognized
+ */
+function detectSyntax(text) {
+  // The first line that is not blank or a tag-value comment decides
+  const lines = text.replace(/^\uFEFF/, '').split('\n');
+  const content = (lines.find((line) => line.trim() !== '' && !line.trimStart().startsWith('#')) || '').trimStart();
+
+  if (content.startsWith('{') || content.startsWith('[')) {
+    return 'json';
+  }
+  if (content.startsWith('<')) {
+    return 'xml';
+  }
+  if (/^[A-Za-z][A-Za-z0-9]*:/.test(content)) {
+    return 'tagvalue';
+  }
+  return null;
+}
+
+/**
+ * Parse SBOM text in any supported syntax
+ * @param {string} text - Document text
+ * @returns {{ syntax: string, document: object }} - Detected syntax and JSON document model
+ */
+function parseSBOMText(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const syntax = detectSyntax(content);
+
+  switch (syntax) {
+    case 'json':
+      try {
+        return { syntax, document: JSON.parse(content) };
+      } catch (error) {
+        throw new Error('Invalid JSON file');
+      }
+    case 'xml':
+      return { syntax, document: parseCycloneDXXML(content) };
+    case 'tagvalue':
+      return { syntax, document: parseSPDXTagValue(content) };
+    default:
+      throw new Error('Unrecognized SBOM syntax (expected JSON, CycloneDX XML or SPDX tag-value)');
+  }
+}
+
+module.exports = {
+  SYNTAX_NAMES,
+  detectSyntax,
+  parseSBOMText
+};
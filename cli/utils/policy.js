@@ -0,0 +1,208 @@
+const fs = require('fs');
+const { parseLicenseExpression, formatLicense } = require('./spdx-expression');
+
+/**
+ * License policy
+ *
+ * A policy file lists SPDX license identifiers (or "*" patterns such as
+ * "GPL-*") that are allowed or denied:
+ *
+ *   {
+ *     "name": "Distribution policy",
+ *     "allow": ["MIT", "Apache-2.0", "BSD-*"],
+ *     "deny": ["GPL-*", "AGPL-*"],
+ *     "unlisted": "deny",
+ *     "missing": "warn"
+ *   }
+ *
+ * Each license in an expression gets a verdict: "deny" if it matches the
+ * deny list, else "allow" if it matches the allow list, else the "unlisted"
+ * verdict (default "deny" when there is an allow list, "allow" otherwise).
+ * An entry with an exception ("GPL-2.0-only WITH Classpath-exception-2.0")
+ * is matched as written first, then by its license alone. Verdicts combine
+ * the way the licenses do: an OR choice takes the best of its options, an
+ * AND takes the worst of its parts. A component is judged by the worst of
+ * its declared and concluded licenses; one with neither gets the "missing"
+ * verdict (default "warn").
+ */
+
+// Verdicts, worst first
+const VERDICTS = ['deny', 'warn', 'allow'];
+
+const POLICY_FIELDS = ['name', 'allow', 'deny', 'unlisted', 'missing'];
+
+// License fields of a normalized component, as reported
+const LICENSE_FIELDS = [
+  { key: 'declaredLicense', label: 'declared' },
+  { key: 'concludedLicense', label: 'concluded' }
+];
+
+/**
+ * Check a policy object and fill in defaults
+ * @param {object} policy - Parsed policy file
+ * @returns {object} - { name, allow, deny, unlisted, missing }
+ */
+function normalizePolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error('Invalid policy: expected a JSON object');
+  }
+  const unknown = Object.keys(policy).filter((key) => !POLICY_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid policy: unknown field(s) ${unknown.join(', ')} (expected: ${POLICY_FIELDS.join(', ')})`);
+  }
+
+  const list = (field) => {
+    const value = policy[field] === undefined ? [] : policy[field];
+    if (!Array.isArray(value) || value.some((entry) => typeof entry !== 'string' || !entry.trim())) {
+      throw new Error(`Invalid policy: "${field}" must be a list of license identifiers`);
+    }
+    return value.map((entry) => entry.trim());
+  };
+  const verdict = (field, fallback) => {
+    const value = policy[field] === undefined ? fallback : policy[field];
+    if (!VERDICTS.includes(value)) {
+      throw new Error(`Invalid policy: "${field}" must be one of ${VERDICTS.join(', ')}`);
+    }
+    return value;
+  };
+
+  const allow = list('allow');
+  const deny = list('deny');
+  if (allow.length === 0 && deny.length === 0) {
+    throw new Error('Invalid policy: "allow" and "deny" are both empty');
+  }
+
+  return {
+    name: typeof policy.name === 'string' ? policy.name : '',
+    allow,
+    deny,
+    unlisted: verdict('unlisted', allow.length > 0 ? 'deny' : 'allow'),
+    missing: verdict('missing', 'warn')
+  };
+}
+
+/**
+ * Load a policy file
+ * @param {string} filePath - Path to policy JSON
+ * @returns {object} - Normalized policy
+ */
+function loadPolicy(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Policy file not found: ${filePath}`);
+  }
+  let policy;
+  try {
+    policy = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid policy file ${filePath}: ${err.message}`);
+  }
+  return normalizePolicy(policy);
+}
+
+/**
+ * Check a license against a list of identifiers and "*" patterns
+ * @param {string[]} patterns - Policy list
+ * @param {string} license - License (with or without exception)
+ * @returns {boolean} - True if any entry matches (case-insensitive)
+ */
+function matchesList(patterns, license) {
+  return patterns.some((pattern) => {
+    // "*" stays within one word, so "GPL-*" does not match "GPL-2.0-only WITH ..."
+    const source = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^ ]*');
+    return new RegExp(`^${source}$`, 'i').test(license.replace(/\s+/g, ' '));
+  });
+}
+
+/**
+ * Judge one license
+ * @param {object} policy - Normalized policy
+ * @param {object} node - License node ({ id, exception })
+ * @returns {string} - Verdict
+ */
+function judgeLicense(policy, node) {
+  const candidates = node.exception ? [formatLicense(node), node.id] : [node.id];
+  for (const candidate of candidates) {
+    if (matchesList(policy.deny, candidate)) {
+      return 'deny';
+    }
+    if (matchesList(policy.allow, candidate)) {
+      return 'allow';
+    }
+  }
+  return policy.unlisted;
+}
+
+/**
+ * Judge an expression tree
+ * @param {object} policy - Normalized policy
+ * @param {object} node - Expression tree
+ * @param {array} licenses - Collects { license, verdict } for each license
+ * @returns {string} - Verdict
+ */
+function judgeExpression(policy, node, licenses) {
+  if (node.type === 'license') {
+    const verdict = judgeLicense(policy, node);
+    licenses.push({ license: formatLicense(node), verdict });
+    return verdict;
+  }
+  const ranks = node.args.map((arg) => VERDICTS.indexOf(judgeExpression(policy, arg, licenses)));
+  return VERDICTS[node.type === 'or' ? Math.max(...ranks) : Math.min(...ranks)];
+}
+
+/**
+ * Evaluate one license expression against a policy
+ * Text that is not a valid expression (e.g. "BSD License") is judged as a
+ * single license name
+ * @param {object} policy - Normalized policy
+ * @param {string} expression - License expression
+ * @returns {object} - { verdict, licenses: [{ license, verdict }] }
+ */
+function evaluateExpression(policy, expression) {
+  let tree;
+  try {
+    tree = parseLicenseExpression(expression);
+  } catch (err) {
+    tree = { type: 'license', id: expression.trim(), exception: '' };
+  }
+  const licenses = [];
+  const verdict = judgeExpression(policy, tree, licenses);
+  return { verdict, licenses };
+}
+
+/**
+ * Evaluate every component of an SBOM against a policy
+ * @param {object} policy - Normalized policy
+ * @param {array} components - Normalized components
+ * @returns {object} - { policy, total, allowed, warnings, violations, compliant }
+ *   where warnings and violations list { name, version, verdict, findings }
+ */
+function evaluatePolicy(policy, components) {
+  const results = components.map((component) => {
+    const findings = LICENSE_FIELDS
+      .filter(({ key }) => component[key])
+      .map(({ key, label }) => ({ field: label, expression: component[key], ...evaluateExpression(policy, component[key]) }));
+
+    const verdict = findings.length === 0
+      ? policy.missing
+      : VERDICTS[Math.min(...findings.map((finding) => VERDICTS.indexOf(finding.verdict)))];
+    return { name: component.name || component.id, version: component.version, verdict, findings };
+  });
+
+  const violations = results.filter((result) => result.verdict === 'deny');
+  return {
+    policy: policy.name,
+    total: results.length,
+    allowed: results.filter((result) => result.verdict === 'allow').length,
+    warnings: results.filter((result) => result.verdict === 'warn'),
+    violations,
+    compliant: violations.length === 0
+  };
+}
+
+module.exports = {
+  VERDICTS,
+  normalizePolicy,
+  loadPolicy,
+  evaluateExpression,
+  evaluatePolicy
+};
@@ -0,0 +1,63 @@
+/**
+ * Package URL (purl) parsing
+ *
+ * pkg:type/namespace/name@version?qualifiers#subpath, as specified at
+ * https://github.com/package-url/purl-spec. Components are percent-decoded;
+ * the type is lower-cased, everything else is returned as written.
+ */
+
+/**
+ * Parse a purl
+ * @param {string} purl - Package URL
+ * @returns {object|null} - { type, namespace, name, version, qualifiers, subpath }, or null if not a purl
+ */
+function parsePurl(purl) {
+  if (typeof purl !== 'string' || !purl.startsWith('pkg:')) {
+    return null;
+  }
+
+  let rest = purl.slice(4).replace(/^\/+/, '');
+  let subpath = '';
+  let qualifiers = {};
+
+  const hash = rest.indexOf('#');
+  if (hash !== -1) {
+    subpath = decodeURIComponent(rest.slice(hash + 1).replace(/^\/+|\/+$/g, ''));
+    rest = rest.slice(0, hash);
+  }
+  const question = rest.indexOf('?');
+  if (question !== -1) {
+    qualifiers = Object.fromEntries(rest.slice(question + 1).split('&')
+      .filter(Boolean)
+      .map((pair) => {
+        const [key, ...value] = pair.split('=');
+        return [key.toLowerCase(), decodeURIComponent(value.join('='))];
+      }));
+    rest = rest.slice(0, question);
+  }
+
+  // The version follows the last "@" after the last "/" (a scope "@" is %40)
+  let version = '';
+  const at = rest.lastIndexOf('@');
+  if (at > rest.lastIndexOf('/')) {
+    version = decodeURIComponent(rest.slice(at + 1));
+    rest = rest.slice(0, at);
+  }
+
+  const segments = rest.split('/').filter(Boolean).map(decodeURIComponent);
+  if (segments.length < 2) {
+    return null;
+  }
+  return {
+    type: segments[0].toLowerCase(),
+    namespace: segments.slice(1, -1).join('/'),
+    name: segments[segments.length - 1],
+    version,
+    qualifiers,
+    subpath
+  };
+}
+
+module.exports = {
+  parsePurl
+};
@@ -0,0 +1,121 @@
+const { extractComponents, extractDependencies } = require('./components');
+const { extractDocumentInfo } = require('./metadata');
+
+/**
+ * SBOM quality against the NTIA minimum elements
+ *
+ * NTIA's "Minimum Elements for a Software Bill of Materials" asks for seven
+ * data fields. Five describe each component (supplier, name, version, a
+ * unique identifier and its dependency relationships) and are scored by the
+ * share of components that have them; two describe the document (author and
+ * timestamp) and are either present or not. The score is the mean of the
+ * seven, from 0 to 100.
+ */
+
+// Minimum elements, in the order NTIA lists them
+const QUALITY_ELEMENTS = [
+  { key: 'supplier', label: 'Supplier', scope: 'component' },
+  { key: 'name', label: 'Component Name', scope: 'component' },
+  { key: 'version', label: 'Version', scope: 'component' },
+  { key: 'identifier', label: 'Unique Identifier', scope: 'component' },
+  { key: 'dependencies', label: 'Dependency Relationships', scope: 'component' },
+  { key: 'author', label: 'Author', scope: 'document' },
+  { key: 'timestamp', label: 'Timestamp', scope: 'document' }
+];
+
+/**
+ * List the component elements a normalized component lacks
+ * @param {object} component - Normalized component
+ * @param {Set} related - Ids of components that take part in a dependency relationship
+ * @returns {string[]} - Keys of the missing elements
+ */
+function missingComponentElements(component, related) {
+  const present = {
+    supplier: Boolean(component.supplier),
+    name: Boolean(component.name),
+    version: Boolean(component.version),
+    identifier: Boolean(component.purl || component.cpe || component.swid),
+    dependencies: Boolean(component.id) && related.has(component.id)
+  };
+  return QUALITY_ELEMENTS
+    .filter((element) => element.scope === 'component' && !present[element.key])
+    .map((element) => element.key);
+}
+
+/**
+ * Score a parsed SBOM against the NTIA minimum elements
+ * @param {object} sbom - Parsed SBOM (or the skeleton kept while streaming)
+ * @param {array} components - Normalized components (extracted from sbom if omitted)
+ * @returns {object} - { score, elements, components }: the 0-100 score, each
+ *   element's coverage, and the components missing at least one element
+ */
+function assessQuality(sbom, components = extractComponents(sbom)) {
+  const info = extractDocumentInfo(sbom);
+
+  // A component is related if it depends on, or is depended on by, another
+  const related = new Set();
+  extractDependencies(sbom).forEach((edge) => {
+    related.add(edge.from);
+    related.add(edge.to);
+  });
+
+  const missingCounts = {};
+  const incomplete = [];
+  components.forEach((component) => {
+    const missing = missingComponentElements(component, related);
+    missing.forEach((key) => {
+      missingCounts[key] = (missingCounts[key] || 0) + 1;
+    });
+    if (missing.length > 0) {
+      incomplete.push({ id: component.id, name: component.name, version: component.version, missing });
+    }
+  });
+
+  const documentPresent = {
+    author: Boolean(info.author),
+    timestamp: Boolean(info.created)
+  };
+
+  const elements = QUALITY_ELEMENTS.map((element) => {
+    if (element.scope === 'document') {
+      return { ...element, coverage: documentPresent[element.key] ? 1 : 0 };
+    }
+    // An SBOM without components provides none of the component elements
+    const covered = components.length - (missingCounts[element.key] || 0);
+    return {
+      ...element,
+      coverage: components.length > 0 ? covered / components.length : 0,
+      covered,
+      total: components.length
+    };
+  });
+
+  const mean = elements.reduce((sum, element) => sum + element.coverage, 0) / elements.length;
+
+  return {
+    score: Math.round(mean * 100),
+    elements,
+    components: incomplete
+  };
+}
+
+/**
+ * Enforce a minimum quality score
+ * @param {object} quality - Result of assessQuality
+ * @param {string|number} minQuality - Minimum score (0-100), e.g. from --min-quality
+ */
+function checkMinQuality(quality, minQuality) {
+  const minimum = Number(minQuality);
+  if (!Number.isFinite(minimum) || minimum < 0 || minimum > 100) {
+    throw new Error(`Invalid minimum quality: ${minQuality} (expected a score from 0 to 100)`);
+  }
+  if (quality.score < minimum) {
+    throw new Error(`SBOM quality ${quality.score}/100 is below the required minimum of ${minimum}`);
+  }
+}
+
+module.exports = {
+  QUALITY_ELEMENTS,
+  assessQuality,
+  checkMinQuality
+};
@@ -0,0 +1,89 @@
+/**
+ * SARIF output for vulnerability findings
+ *
+ * SARIF 2.1.0 is the format code-scanning dashboards import. Each advisory
+ * becomes a rule and each affected component a result located at the SBOM
+ * file. The rule's "security-severity" property carries the CVSS score (or a
+ * representative score for the advisory's rating), which is what dashboards
+ * use to rank findings. Findings a VEX statement marks not_affected or fixed
+ * are reported as externally suppressed.
+ */
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// Representative scores for advisories rated without a CVSS vector
+const SEVERITY_SCORES = { CRITICAL: 9.5, HIGH: 8.0, MEDIUM: 5.5, LOW: 2.0 };
+
+const SARIF_LEVELS = { CRITICAL: 'error', HIGH: 'error', MEDIUM: 'warning', LOW: 'note', UNKNOWN: 'warning' };
+
+/**
+ * Build a SARIF log from audit findings
+ * @param {array} findings - Findings from auditComponents
+ * @param {object} options - { sbomFile, toolVersion }
+ * @returns {object} - SARIF 2.1.0 log
+ */
+function toSARIF(findings, options = {}) {
+  const rules = [];
+  const ruleIndexes = new Map();
+
+  findings.forEach((finding) => {
+    if (ruleIndexes.has(finding.id)) {
+      return;
+    }
+    ruleIndexes.set(finding.id, rules.length);
+    const score = finding.score !== null ? finding.score : SEVERITY_SCORES[finding.severity];
+    rules.push({
+      id: finding.id,
+      shortDescription: { text: finding.summary || finding.id },
+      helpUri: `https://osv.dev/vulnerability/${encodeURIComponent(finding.id)}`,
+      properties: {
+        tags: ['security', 'vulnerability'],
+        ...(score !== undefined ? { 'security-severity': score.toFixed(1) } : {})
+      }
+    });
+  });
+
+  const uri = String(options.sbomFile || '').split('\\').join('/');
+  const results = findings.map((finding) => {
+    const label = finding.version ? `${finding.name}@${finding.version}` : finding.name;
+    const fix = finding.fixed ? ` Fixed in ${finding.fixed}.` : '';
+    return {
+      ruleId: finding.id,
+      ruleIndex: ruleIndexes.get(finding.id),
+      level: SARIF_LEVELS[finding.severity],
+      message: { text: `${label} is affected by ${finding.id}${finding.summary ? ': ' + finding.summary : ''}.${fix}` },
+      locations: [{
+        physicalLocation: { artifactLocation: { uri }, region: { startLine: 1 } },
+        logicalLocations: [{ name: finding.purl || label, kind: 'package' }]
+      }],
+      ...(finding.vex && ['not_affected', 'fixed'].includes(finding.vex.status) ? {
+        suppressions: [{
+          kind: 'external',
+          justification: `VEX ${finding.vex.status}` + (finding.vex.justification ? `: ${finding.vex.justification}` : '')
+        }]
+      } : {}),
+      properties: {
+        package: finding.name,
+        version: finding.version,
+        purl: finding.purl,
+        aliases: finding.aliases,
+        fixedVersion: finding.fixed,
+        matchedBy: finding.matchedBy,
+        ...(finding.vex ? { vexStatus: finding.vex.status } : {})
+      }
+    };
+  });
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: 'sbom-cli', version: options.toolVersion, rules } },
+      results
+    }]
+  };
+}
+
+module.exports = {
+  toSARIF
+};
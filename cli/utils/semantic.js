@@ -0,0 +1,71 @@
+const { detectFormat } = require('./format');
+
+/**
+ * Volatile-field exclusion profiles for semantic hashing
+ *
+ * Each profile lists the fields a generator rewrites on every run even when
+ * the build it describes did not change. Paths are dot-separated.
+ */
+const SEMANTIC_PROFILES = {
+  syft: [
+    'descriptor.version',         // Generator tool version
+    'descriptor.configuration',   // Cataloger/tool configuration of this run
+    'descriptor.timestamp',       // Generation time
+    'source.id'                   // Digest of the scan source, changes per scan
+  ],
+  cyclonedx: [
+    'serialNumber',               // Random urn:uuid per generated BOM
+    'metadata.timestamp',         // Generation time
+    'metadata.tools'              // Generator tool versions
+  ],
+  spdx: [
+    'documentNamespace',          // Unique URI (usually a UUID) per document
+    'creationInfo.created',       // Generation time
+    'creationInfo.creators'       // Generator tool versions
+  ],
+  unknown: []
+};
+
+/**
+ * Delete a field from an object in place
+ * @param {object} node - Object to modify
+ * @param {string[]} segments - Remaining path segments
+ */
+function removePath(node, segments) {
+  if (!node || typeof node !== 'object') {
+    return;
+  }
+
+  const [segment, ...rest] = segments;
+
+  if (!Object.prototype.hasOwnProperty.call(node, segment)) {
+    return;
+  }
+
+  if (rest.length === 0) {
+    delete node[segment];
+  } else {
+    removePath(node[segment], rest);
+  }
+}
+
+/**
+ * Remove volatile fields from a parsed SBOM according to its format profile
+ * @param {object} sbom - Parsed SBOM (not modified)
+ * @returns {{ profile: string, document: object }} - Profile used and stripped copy
+ */
+function stripVolatileFields(sbom) {
+  const profile = detectFormat(sbom);
+  const document = JSON.parse(JSON.stringify(sbom));
+
+  SEMANTIC_PROFILES[profile].forEach((path) => {
+    removePath(document, path.split('.'));
+  });
+
+  return { profile, document };
+}
+
+module.exports = {
+  SEMANTIC_PROFILES,
+  stripVolatileFields
+};
@@ -1,7 +1,8 @@
 const { ethers } = require('ethers');
 
 /**
- * Sign a hash with a wallet's private key
+ * Sign a hash with a wallet's private key (personal_sign); everything submitted
+ * to the registry is signed as EIP-712 typed data instead (signSBOM and the like)
  * @param {string} hash - The hash to sign (0x...)
  * @param {Wallet} wallet - Ethers wallet with private key
  * @returns {Promise<string>} - Signature (0x...)
@@ -17,6 +18,197 @@ async function signHash(hash, wallet) {
   return signature;
 }
 
+// EIP-712 type of a signed SBOM submission (see SBOMRegistryBase.sol)
+const SBOM_TYPES = {
+  SBOM: [
+    { name: 'hash', type: 'bytes32' },
+    { name: 'metadataHash', type: 'bytes32' },
+    { name: 'previousHash', type: 'bytes32' },
+    { name: 'nonce', type: 'uint256' }
+  ]
+};
+
+// EIP-712 type of a new SBOM a delegate registers for a product
+const DELEGATED_SBOM_TYPES = {
+  DelegatedSBOM: [
+    { name: 'hash', type: 'bytes32' },
+    { name: 'metadataHash', type: 'bytes32' },
+    { name: 'productHash', type: 'bytes32' },
+    { name: 'nonce', type: 'uint256' }
+  ]
+};
+
+// EIP-712 type of an auditor's endorsement of an SBOM
+const ENDORSEMENT_TYPES = {
+  Endorsement: [
+    { name: 'hash', type: 'bytes32' },
+    { name: 'commentHash', type: 'bytes32' }
+  ]
+};
+
+// EIP-712 type of a VEX document published for an SBOM
+const VEX_TYPES = {
+  VEX: [
+    { name: 'sbomHash', type: 'bytes32' },
+    { name: 'documentHash', type: 'bytes32' },
+    { name: 'statementsHash', type: 'bytes32' }
+  ]
+};
+
+// EIP-712 type of a registration request for a relayer to submit
+const RELAYED_SBOM_TYPES = {
+  RelayedSBOM: [
+    { name: 'hash', type: 'bytes32' },
+    { name: 'metadataHash', type: 'bytes32' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+/**
+ * Get the EIP-712 domain of a registry: its address and chain
+ * @param {Contract} contract - Registry contract instance
+ * @returns {Promise<object>} - Domain
+ */
+async function getSigningDomain(contract) {
+  const domain = {
+    name: 'SBOMRegistry',
+    version: '1',
+    chainId: (await contract.runner.provider.getNetwork()).chainId,
+    verifyingContract: await contract.getAddress()
+  };
+  // A signature for another chain or registry would be rejected; fail before spending gas
+  if (ethers.TypedDataEncoder.hashDomain(domain) !== await contract.getDomainSeparator()) {
+    throw new Error('Registry signing domain does not match (is the RPC URL for the chain the registry is on?)');
+  }
+  return domain;
+}
+
+/**
+ * Sign an SBOM submission as EIP-712 typed data: the hash, metadata, previous
+ * version and the signer's nonce, bound to the registry's address and chain
+ * @param {Wallet} wallet - Ethers wallet with private key
+ * @param {Contract} contract - Registry contract instance (read-only is enough)
+ * @param {object} submission - hash, metadata (JSON string) and previousHash (zero for a first version)
+ * @returns {Promise<string>} - Signature (0x...)
+ */
+async function signSBOM(wallet, contract, { hash, metadata, previousHash = ethers.ZeroHash }) {
+  if (!hash.startsWith('0x') || hash.length !== 66) {
+    throw new Error('Invalid hash format');
+  }
+
+  const domain = await getSigningDomain(contract);
+  const nonce = await contract.getNonce(wallet.address);
+  return await wallet.signTypedData(domain, SBOM_TYPES, {
+    hash,
+    metadataHash: ethers.id(metadata),
+    previousHash,
+    nonce
+  });
+}
+
+/**
+ * Sign a delegate's registration of a new SBOM (registerDelegatedSBOM), naming
+ * the product its delegation must cover
+ * @param {Wallet} wallet - Delegate's wallet
+ * @param {Contract} contract - Registry contract instance (read-only is enough)
+ * @param {object} submission - hash, metadata (JSON string) and product name
+ * @returns {Promise<string>} - Signature (0x...)
+ */
+async function signDelegatedSBOM(wallet, contract, { hash, metadata, product }) {
+  if (!hash.startsWith('0x') || hash.length !== 66) {
+    throw new Error('Invalid hash format');
+  }
+
+  const domain = await getSigningDomain(contract);
+  const nonce = await contract.getNonce(wallet.address);
+  return await wallet.signTypedData(domain, DELEGATED_SBOM_TYPES, {
+    hash,
+    metadataHash: ethers.id(metadata),
+    productHash: ethers.id(product),
+    nonce
+  });
+}
+
+/**
+ * Sign a registration request for a relayer to submit (registerSBOMFor), valid
+ * once and until its deadline
+ * @param {Wallet} wallet - Ethers wallet with private key
+ * @param {Contract} contract - Registry contract instance (read-only is enough)
+ * @param {object} request - hash, metadata (JSON string) and deadline (Unix seconds)
+ * @returns {Promise<object>} - Nonce the request uses and signature (0x...)
+ */
+async function signRelayRequest(wallet, contract, { hash, metadata, deadline }) {
+  if (!hash.startsWith('0x') || hash.length !== 66) {
+    throw new Error('Invalid hash format');
+  }
+
+  const domain = await getSigningDomain(contract);
+  const nonce = await contract.getNonce(wallet.address);
+  const signature = await wallet.signTypedData(domain, RELAYED_SBOM_TYPES, {
+    hash,
+    metadataHash: ethers.id(metadata),
+    nonce,
+    deadline
+  });
+  return { nonce, signature };
+}
+
+// Marks a file as a signed registration request
+const RELAY_REQUEST_TYPE = 'sbom-relay-request';
+
+/**
+ * Sign a registration request for a relayer to submit, so the vendor needs no ETH
+ * @param {Wallet} wallet - Wallet of one of the vendor's active keys
+ * @param {Contract} contract - Read-only contract instance
+ * @param {object} request - hash, metadata (JSON string) and deadline (Unix seconds)
+ * @returns {Promise<object>} - Request file contents (read back by the relay command)
+ */
+async function createRelayRequest(wallet, contract, { hash, metadata, deadline }) {
+  const { nonce, signature } = await signRelayRequest(wallet, contract, { hash, metadata, deadline });
+  return {
+    type: RELAY_REQUEST_TYPE,
+    registry: await contract.getAddress(),
+    chainId: (await contract.runner.provider.getNetwork()).chainId.toString(),
+    signer: wallet.address,
+    hash,
+    metadata,
+    nonce: nonce.toString(),
+    deadline,
+    signature
+  };
+}
+
+/**
+ * Sign an auditor's endorsement of an SBOM: its hash and the hash of the
+ * auditor's comments, bound to the registry's address and chain
+ * @param {Wallet} wallet - Auditor's wallet
+ * @param {Contract} contract - Registry contract instance (read-only is enough)
+ * @param {object} endorsement - hash and commentHash (zero if no comments)
+ * @returns {Promise<string>} - Signature (0x...)
+ */
+async function signEndorsement(wallet, contract, { hash, commentHash = ethers.ZeroHash }) {
+  const domain = await getSigningDomain(contract);
+  return await wallet.signTypedData(domain, ENDORSEMENT_TYPES, { hash, commentHash });
+}
+
+/**
+ * Sign a VEX document for publication: the SBOM it is about, the document's hash
+ * and the summary of its statements stored on-chain
+ * @param {Wallet} wallet - Wallet of the SBOM's vendor or one of its VEX publishers
+ * @param {Contract} contract - Registry contract instance (read-only is enough)
+ * @param {object} vex - sbomHash, documentHash and statements (JSON summary)
+ * @returns {Promise<string>} - Signature (0x...)
+ */
+async function signVEX(wallet, contract, { sbomHash, documentHash, statements }) {
+  const domain = await getSigningDomain(contract);
+  return await wallet.signTypedData(domain, VEX_TYPES, {
+    sbomHash,
+    documentHash,
+    statementsHash: ethers.id(statements)
+  });
+}
+
 /**
  * Create a wallet from private key
  * @param {string} privateKey - Private key (with or without 0x prefix)
@@ -60,6 +252,13 @@ function verifySignature(hash, signature, expectedAddress) {
 
 module.exports = {
   signHash,
+  signSBOM,
+  signDelegatedSBOM,
+  signRelayRequest,
+  createRelayRequest,
+  RELAY_REQUEST_TYPE,
+  signEndorsement,
+  signVEX,
   createWallet,
   verifySignature
 };
\ No newline at end of file
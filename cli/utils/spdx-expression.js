@@ -0,0 +1,116 @@
+/**
+ * SPDX license expression parser
+ *
+ * Parses expressions like "MIT OR (Apache-2.0 AND BSD-3-Clause)" or
+ * "GPL-2.0-or-later WITH Classpath-exception-2.0" into a small tree, following
+ * the grammar in Annex D of the SPDX specification: WITH binds tightest, then
+ * AND, then OR. Operators are matched case-insensitively, as SBOM generators
+ * do not all write them in upper case. License identifiers are not checked
+ * against the SPDX list, so LicenseRef- and DocumentRef- identifiers pass.
+ *
+ * Nodes:
+ *   { type: 'license', id, exception }   exception is '' without WITH
+ *   { type: 'and' | 'or', args: [node, ...] }
+ */
+
+const OPERATORS = ['AND', 'OR', 'WITH'];
+
+/**
+ * Split an expression into tokens
+ * @param {string} text - License expression
+ * @returns {string[]} - Parentheses and words
+ */
+function tokenize(text) {
+  return String(text).match(/\(|\)|[^\s()]+/g) || [];
+}
+
+/**
+ * Parse an SPDX license expression
+ * @param {string} text - License expression
+ * @returns {object} - Expression tree (see above)
+ */
+function parseLicenseExpression(text) {
+  const tokens = tokenize(text);
+  let position = 0;
+
+  const fail = (reason) => {
+    throw new Error(`Invalid license expression "${text}": ${reason}`);
+  };
+  const peek = () => (tokens[position] || '').toUpperCase();
+  const isIdentifier = (token) => token && token !== '(' && token !== ')' &&
+    !OPERATORS.includes(token.toUpperCase());
+
+  const parseCompound = (type, parseOperand) => {
+    const args = [parseOperand()];
+    while (peek() === type.toUpperCase()) {
+      position++;
+      args.push(parseOperand());
+    }
+    return args.length === 1 ? args[0] : { type, args };
+  };
+
+  let parseOr;
+
+  const parseAtom = () => {
+    const token = tokens[position];
+    if (token === '(') {
+      position++;
+      const node = parseOr();
+      if (tokens[position] !== ')') {
+        fail('missing ")"');
+      }
+      position++;
+      return node;
+    }
+    if (!isIdentifier(token)) {
+      fail(token ? `unexpected "${token}"` : 'unexpected end');
+    }
+    position++;
+
+    let exception = '';
+    if (peek() === 'WITH') {
+      position++;
+      if (!isIdentifier(tokens[position])) {
+        fail('WITH must be followed by an exception identifier');
+      }
+      exception = tokens[position++];
+    }
+    return { type: 'license', id: token, exception };
+  };
+
+  const parseAnd = () => parseCompound('and', parseAtom);
+  parseOr = () => parseCompound('or', parseAnd);
+
+  if (tokens.length === 0) {
+    fail('empty expression');
+  }
+  const tree = parseOr();
+  if (position < tokens.length) {
+    fail(`unexpected "${tokens[position]}"`);
+  }
+  return tree;
+}
+
+/**
+ * List the licenses an expression mentions
+ * @param {object} node - Expression tree
+ * @returns {object[]} - License nodes, left to right
+ */
+function expressionLicenses(node) {
+  return node.type === 'license' ? [node] : node.args.flatMap(expressionLicenses);
+}
+
+/**
+ * Format a license node as text
+ * @param {object} node - License node
+ * @returns {string} - e.g. "GPL-2.0-only WITH Classpath-exception-2.0"
+ */
+function formatLicense(node) {
+  return node.exception ? `${node.id} WITH ${node.exception}` : node.id;
+}
+
+module.exports = {
+  parseLicenseExpression,
+  expressionLicenses,
+  formatLicense
+};
@@ -0,0 +1,257 @@
+/**
+ * SPDX tag-value support
+ *
+ * Parses an SPDX 2.x tag-value document ("Tag: value" lines, multi-line
+ * values wrapped in <text>...</text>) into the document model of the SPDX
+ * JSON format, so hashing, metadata and component extraction treat both
+ * encodings alike.
+ */
+
+// Tags that start a new section, with the JSON array the section goes into
+const SECTION_TAGS = {
+  PackageName: 'packages',
+  FileName: 'files',
+  SnippetSPDXID: 'snippets',
+  LicenseID: 'hasExtractedLicensingInfos'
+};
+
+// Tag -> JSON property, per section ('document' is the creation info section)
+const PROPERTY_NAMES = {
+  document: {
+    SPDXVersion: 'spdxVersion',
+    DataLicense: 'dataLicense',
+    SPDXID: 'SPDXID',
+    DocumentName: 'name',
+    DocumentNamespace: 'documentNamespace',
+    DocumentComment: 'comment'
+  },
+  packages: {
+    PackageName: 'name',
+    SPDXID: 'SPDXID',
+    PackageVersion: 'versionInfo',
+    PackageFileName: 'packageFileName',
+    PackageSupplier: 'supplier',
+    PackageOriginator: 'originator',
+    PackageDownloadLocation: 'downloadLocation',
+    FilesAnalyzed: 'filesAnalyzed',
+    PackageHomePage: 'homepage',
+    PackageSourceInfo: 'sourceInfo',
+    PackageLicenseConcluded: 'licenseConcluded',
+    PackageLicenseInfoFromFiles: 'licenseInfoFromFiles',
+    PackageLicenseDeclared: 'licenseDeclared',
+    PackageLicenseComments: 'licenseComments',
+    PackageCopyrightText: 'copyrightText',
+    PackageSummary: 'summary',
+    PackageDescription: 'description',
+    PackageComment: 'comment',
+    PackageAttributionText: 'attributionTexts',
+    PrimaryPackagePurpose: 'primaryPackagePurpose',
+    ReleaseDate: 'releaseDate',
+    BuiltDate: 'builtDate',
+    ValidUntilDate: 'validUntilDate'
+  },
+  files: {
+    FileName: 'fileName',
+    SPDXID: 'SPDXID',
+    FileType: 'fileTypes',
+    LicenseConcluded: 'licenseConcluded',
+    LicenseInfoInFile: 'licenseInfoInFiles',
+    LicenseComments: 'licenseComments',
+    FileCopyrightText: 'copyrightText',
+    FileComment: 'comment',
+    FileNotice: 'noticeText',
+    FileContributor: 'fileContributors',
+    FileAttributionText: 'attributionTexts'
+  },
+  snippets: {
+    SnippetSPDXID: 'SPDXID',
+    SnippetFromFileSPDXID: 'snippetFromFile',
+    SnippetLicenseConcluded: 'licenseConcluded',
+    LicenseInfoInSnippet: 'licenseInfoInSnippets',
+    SnippetCopyrightText: 'copyrightText',
+    SnippetComment: 'comment',
+    SnippetName: 'name'
+  },
+  hasExtractedLicensingInfos: {
+    LicenseID: 'licenseId',
+    ExtractedText: 'extractedText',
+    LicenseName: 'name',
+    LicenseCrossReference: 'seeAlsos',
+    LicenseComment: 'comment'
+  }
+};
+
+// JSON properties that are arrays (the tag may appear more than once)
+const LIST_PROPERTIES = new Set([
+  'licenseInfoFromFiles', 'attributionTexts', 'fileTypes', 'licenseInfoInFiles',
+  'fileContributors', 'licenseInfoInSnippets', 'seeAlsos'
+]);
+
+/**
+ * Split an SPDX tag-value document into (tag, value, line) entries
+ * @param {string} text - Tag-value text
+ * @returns {array} - Entries in document order
+ */
+function tokenize(text) {
+  const lines = text.split(/\r?\n/);
+  const entries = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.trim() === '' || line.trimStart().startsWith('#')) {
+      continue;
+    }
+
+    const colon = line.indexOf(':');
+    if (colon <= 0) {
+      throw new Error(`Invalid SPDX tag-value line ${i + 1}: expected "Tag: value"`);
+    }
+
+    const tag = line.slice(0, colon).trim();
+    let value = line.slice(colon + 1).trim();
+    const lineNumber = i + 1;
+
+    // Multi-line value: everything from <text> up to the matching </text>
+    if (value.startsWith('<text>')) {
+      let body = value.slice('<text>'.length);
+      while (!body.includes('</text>')) {
+        i++;
+        if (i >= lines.length) {
+          throw new Error(`Invalid SPDX tag-value line ${lineNumber}: unterminated <text> value`);
+        }
+        body += '\n' + lines[i];
+      }
+      value = body.slice(0, body.indexOf('</text>'));
+    }
+
+    entries.push({ tag, value, line: lineNumber });
+  }
+
+  return entries;
+}
+
+/**
+ * Parse "ALGORITHM: value" checksums
+ * @param {string} value - Tag value
+ * @returns {object} - { algorithm, checksumValue }
+ */
+function parseChecksum(value) {
+  const [algorithm, checksumValue] = value.split(':').map((part) => part.trim());
+  return { algorithm, checksumValue };
+}
+
+/**
+ * Parse an SPDX tag-value document into the SPDX JSON document model
+ * @param {string} text - Tag-value text
+ * @returns {object} - SPDX document
+ */
+function parseSPDXTagValue(text) {
+  const document = { creationInfo: {} };
+  let sectionName = 'document';
+  let section = document;
+
+  tokenize(text).forEach(({ tag, value, line }) => {
+    // A section tag closes the current package/file/... and opens a new one
+    if (SECTION_TAGS[tag]) {
+      sectionName = SECTION_TAGS[tag];
+      section = {};
+      (document[sectionName] = document[sectionName] || []).push(section);
+    }
+
+    switch (tag) {
+      case 'Creator':
+        (document.creationInfo.creators = document.creationInfo.creators || []).push(value);
+        return;
+      case 'Created':
+        document.creationInfo.created = value;
+        return;
+      case 'CreatorComment':
+        document.creationInfo.comment = value;
+        return;
+      case 'LicenseListVersion':
+        document.creationInfo.licenseListVersion = value;
+        return;
+      case 'ExternalDocumentRef': {
+        const [externalDocumentId, spdxDocument, checksum] = value.split(/\s+/);
+        (document.externalDocumentRefs = document.externalDocumentRefs || []).push({
+          externalDocumentId,
+          spdxDocument,
+          checksum: parseChecksum(checksum || '')
+        });
+        return;
+      }
+      case 'Relationship': {
+        const [spdxElementId, relationshipType, relatedSpdxElement] = value.split(/\s+/);
+        if (!relatedSpdxElement) {
+          throw new Error(`Invalid SPDX tag-value line ${line}: Relationship needs "A TYPE B"`);
+        }
+        (document.relationships = document.relationships || []).push({
+          spdxElementId,
+          relationshipType,
+          relatedSpdxElement
+        });
+        return;
+      }
+      case 'RelationshipComment': {
+        const relationships = document.relationships || [];
+        if (relationships.length > 0) {
+          relationships[relationships.length - 1].comment = value;
+        }
+        return;
+      }
+      case 'PackageChecksum':
+      case 'FileChecksum':
+        (section.checksums = section.checksums || []).push(parseChecksum(value));
+        return;
+      case 'PackageVerificationCode': {
+        const match = /^(\S+)(?:\s*\(excludes:\s*(.*)\))?$/.exec(value);
+        section.packageVerificationCode = { packageVerificationCodeValue: match ? match[1] : value };
+        if (match && match[2]) {
+          section.packageVerificationCode.packageVerificationCodeExcludedFiles = [match[2].trim()];
+        }
+        return;
+      }
+      case 'ExternalRef': {
+        const [referenceCategory, referenceType, ...locator] = value.split(/\s+/);
+        (section.externalRefs = section.externalRefs || []).push({
+          referenceCategory,
+          referenceType,
+          referenceLocator: locator.join(' ')
+        });
+        return;
+      }
+      case 'ExternalRefComment': {
+        const refs = section.externalRefs || [];
+        if (refs.length > 0) {
+          refs[refs.length - 1].comment = value;
+        }
+        return;
+      }
+      default:
+        break;
+    }
+
+    // Plain properties; tags this parser does not know keep a camelCase name
+    const names = PROPERTY_NAMES[sectionName];
+    const property = names[tag] || PROPERTY_NAMES.document[tag] || tag[0].toLowerCase() + tag.slice(1);
+    const target = names[tag] || !PROPERTY_NAMES.document[tag] ? section : document;
+
+    if (property === 'filesAnalyzed') {
+      target[property] = value.toLowerCase() === 'true';
+    } else if (LIST_PROPERTIES.has(property)) {
+      (target[property] = target[property] || []).push(value);
+    } else {
+      target[property] = value;
+    }
+  });
+
+  if (!document.spdxVersion) {
+    throw new Error('Invalid SPDX tag-value document: missing SPDXVersion');
+  }
+
+  return document;
+}
+
+module.exports = {
+  parseSPDXTagValue
+};
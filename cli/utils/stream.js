@@ -0,0 +1,243 @@
+/**
+ * Streaming JSON scanner
+ *
+ * Walks a JSON document chunk by chunk without building it in memory. Only
+ * the values the caller selects (by path) are materialized, one at a time,
+ * so memory stays bounded by the largest selected value rather than by the
+ * size of the file.
+ */
+
+// Tokenizer modes
+const MODE_VALUE = 0;        // Expecting a value
+const MODE_ARRAY_START = 1;  // Just after '[' - value or ']'
+const MODE_KEY = 2;          // Expecting an object key or '}'
+const MODE_COLON = 3;        // Expecting ':' after a key
+const MODE_COMMA = 4;        // Expecting ',' or a closing bracket
+const MODE_STRING = 5;       // Inside a string
+const MODE_SCALAR = 6;       // Inside a number or true/false/null
+const MODE_DONE = 7;         // Top-level value finished
+
+/**
+ * Check for JSON insignificant whitespace
+ * @param {number} code - Character code
+ * @returns {boolean} - True for space, tab, CR or LF
+ */
+function isWhitespace(code) {
+  return code === 0x20 || code === 0x09 || code === 0x0a || code === 0x0d;
+}
+
+/**
+ * Create a streaming JSON scanner
+ * @param {object} handlers - Callbacks
+ * @param {function} handlers.select - (path, first) => boolean, materialize the value at path?
+ *   first is the value's first character ('{', '[', '"', a digit, ...)
+ * @param {function} handlers.onValue - (path, value) called for each selected value
+ * @returns {{ write: function, end: function }} - Feed text with write(), finish with end()
+ */
+function createJSONScanner({ select, onValue }) {
+  const stack = [];          // Open containers: { type: 'object'|'array', key }
+  let mode = MODE_VALUE;
+  let isKey = false;         // Current string is an object key
+  let escaped = false;       // Previous string character was a backslash
+  let keyBuffer = '';        // Raw text of the current key
+
+  // Materialization of a selected value
+  let recording = false;
+  let recordDepth = 0;
+  let recordPath = null;
+  let recordParts = [];
+  let recordStart = -1;
+
+  function currentPath() {
+    return stack.map((frame) => frame.key);
+  }
+
+  function startValue(chunk, index) {
+    if (recording) {
+      return;
+    }
+    const path = currentPath();
+    if (select(path, chunk[index])) {
+      recording = true;
+      recordDepth = stack.length;
+      recordPath = path;
+      recordParts = [];
+      recordStart = index;
+    }
+  }
+
+  function endValue(chunk, endIndex) {
+    if (recording && stack.length === recordDepth) {
+      recordParts.push(chunk.slice(recordStart, endIndex));
+      const text = recordParts.join('');
+      recording = false;
+      recordParts = [];
+      recordStart = -1;
+      onValue(recordPath, JSON.parse(text));
+    }
+    mode = stack.length === 0 ? MODE_DONE : MODE_COMMA;
+  }
+
+  function unexpected(char) {
+    throw new SyntaxError(`Unexpected character '${char}' in JSON at path ${currentPath().join('.') || '(root)'}`);
+  }
+
+  function write(chunk) {
+    const length = chunk.length;
+    let i = 0;
+
+    if (recording) {
+      recordStart = 0;
+    }
+
+    while (i < length) {
+      if (mode === MODE_STRING) {
+        // Fast-forward to the closing quote
+        let j = i;
+        while (j < length) {
+          const code = chunk.charCodeAt(j);
+          if (escaped) {
+            escaped = false;
+          } else if (code === 0x5c) {
+            escaped = true;
+          } else if (code === 0x22) {
+            break;
+          }
+          j++;
+        }
+
+        if (isKey) {
+          keyBuffer += chunk.slice(i, j);
+        }
+        if (j === length) {
+          break;
+        }
+
+        i = j + 1;
+        if (isKey) {
+          stack[stack.length - 1].key = JSON.parse('"' + keyBuffer + '"');
+          keyBuffer = '';
+          isKey = false;
+          mode = MODE_COLON;
+        } else {
+          endValue(chunk, i);
+        }
+        continue;
+      }
+
+      const char = chunk[i];
+      const code = chunk.charCodeAt(i);
+
+      if (mode === MODE_SCALAR) {
+        // Numbers and literals end at the first structural or whitespace character
+        if (code === 0x2c || code === 0x5d || code === 0x7d || isWhitespace(code)) {
+          endValue(chunk, i);
+          continue;
+        }
+        i++;
+        continue;
+      }
+
+      if (isWhitespace(code)) {
+        i++;
+        continue;
+      }
+
+      switch (mode) {
+        case MODE_ARRAY_START:
+          if (char === ']') {
+            stack.pop();
+            endValue(chunk, i + 1);
+            i++;
+            continue;
+          }
+          mode = MODE_VALUE;
+          continue;
+
+        case MODE_VALUE:
+          startValue(chunk, i);
+          if (char === '{') {
+            stack.push({ type: 'object', key: null });
+            mode = MODE_KEY;
+          } else if (char === '[') {
+            stack.push({ type: 'array', key: 0 });
+            mode = MODE_ARRAY_START;
+          } else if (char === '"') {
+            isKey = false;
+            mode = MODE_STRING;
+          } else if (char === '-' || (code >= 0x30 && code <= 0x39) || char === 't' || char === 'f' || char === 'n') {
+            mode = MODE_SCALAR;
+          } else {
+            unexpected(char);
+          }
+          i++;
+          continue;
+
+        case MODE_KEY:
+          if (char === '"') {
+            isKey = true;
+            keyBuffer = '';
+            mode = MODE_STRING;
+          } else if (char === '}' && stack[stack.length - 1].key === null) {
+            stack.pop();
+            endValue(chunk, i + 1);
+          } else {
+            unexpected(char);
+          }
+          i++;
+          continue;
+
+        case MODE_COLON:
+          if (char !== ':') {
+            unexpected(char);
+          }
+          mode = MODE_VALUE;
+          i++;
+          continue;
+
+        case MODE_COMMA: {
+          const frame = stack[stack.length - 1];
+          if (char === ',') {
+            if (frame.type === 'array') {
+              frame.key++;
+              mode = MODE_VALUE;
+            } else {
+              mode = MODE_KEY;
+            }
+          } else if ((char === '}' && frame.type === 'object') || (char === ']' && frame.type === 'array')) {
+            stack.pop();
+            endValue(chunk, i + 1);
+          } else {
+            unexpected(char);
+          }
+          i++;
+          continue;
+        }
+
+        default:
+          // MODE_DONE: only whitespace may follow the top-level value
+          unexpected(char);
+      }
+    }
+
+    if (recording) {
+      recordParts.push(chunk.slice(recordStart));
+    }
+  }
+
+  function end() {
+    if (mode === MODE_SCALAR) {
+      // A top-level scalar (or one cut off by EOF) ends with the input
+      endValue('', 0);
+    }
+    if (mode !== MODE_DONE || stack.length > 0) {
+      throw new SyntaxError('Unexpected end of JSON input');
+    }
+  }
+
+  return { write, end };
+}
+
+module.exports = {
+  createJSONScanner
+};
@@ -0,0 +1,26 @@
+/**
+ * Parse a point in time given as a date or as Unix seconds
+ * @param {string} value - ISO 8601 date/time, or Unix timestamp in seconds
+ * @returns {number} - Unix timestamp in seconds
+ */
+function parseTime(value) {
+  const seconds = /^\d+$/.test(value) ? Number(value) : Math.floor(Date.parse(value) / 1000);
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    throw new Error(`Invalid time: ${value} (expected an ISO 8601 date or Unix seconds)`);
+  }
+  return seconds;
+}
+
+/**
+ * Format a Unix timestamp for display
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @returns {string} - Local date and time
+ */
+function formatTime(timestamp) {
+  return new Date(timestamp * 1000).toLocaleString();
+}
+
+module.exports = {
+  parseTime,
+  formatTime
+};
@@ -0,0 +1,341 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { detectFormat, FORMAT_NAMES } = require('./format');
+const { parseSBOMText } = require('./parse');
+const { canonicalize } = require('./canonical');
+
+/**
+ * Offline SBOM schema validation
+ *
+ * Every schema ships with the CLI (cli/schemas), so validation never needs
+ * network access. The CycloneDX schemas are the official ones; the SPDX and
+ * Syft schemas are trimmed to the required structure of the official ones
+ * (neither is published in a form the CLI can bundle), so for those formats a
+ * passing document is only known to have that structure. Results say so with
+ * partial: true.
+ */
+
+const SCHEMA_DIR = path.join(__dirname, '..', 'schemas');
+
+// Schema file for each supported format version
+const SCHEMAS = {
+  'CycloneDX 1.4': 'bom-1.4.schema.json',
+  'CycloneDX 1.5': 'bom-1.5.schema.json',
+  'CycloneDX 1.6': 'bom-1.6.schema.json',
+  'SPDX 2.2': 'spdx-2.2.schema.json',
+  'SPDX 2.3': 'spdx-2.3.schema.json',
+  'Syft': 'syft.schema.json'
+};
+
+// Schemas that are subsets of the official schema for their format
+const PARTIAL_SCHEMAS = ['SPDX 2.2', 'SPDX 2.3', 'Syft'];
+
+// Schemas the CycloneDX schemas reference by relative $ref
+const SHARED_SCHEMAS = ['spdx.schema.json', 'jsf-0.82.schema.json'];
+
+// Formats used by the CycloneDX schemas that ajv-formats has no validator for
+const UNCHECKED_FORMATS = ['iri-reference', 'idn-email'];
+
+// Errors reported per document; a broken document can produce thousands
+const MAX_ERRORS = 100;
+
+// Compiled validators, keyed by schema name (and '#property' for the item
+// schema of a top-level array)
+const validators = {};
+let ajv = null;
+
+/**
+ * Read a bundled schema file
+ * @param {string} fileName - File name in cli/schemas
+ * @returns {object} - Parsed schema
+ */
+function loadSchema(fileName) {
+  return JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, fileName), 'utf8'));
+}
+
+/**
+ * Get the compiled validator for a schema (compiled on first use)
+ * @param {string} schemaName - Key of SCHEMAS
+ * @returns {function} - Ajv validate function
+ */
+function getValidator(schemaName) {
+  if (!validators[schemaName]) {
+    if (!ajv) {
+      // strict: false - the CycloneDX schemas use annotation keywords Ajv does not know
+      ajv = new Ajv({ allErrors: true, strict: false });
+      addFormats(ajv);
+      UNCHECKED_FORMATS.forEach((format) => ajv.addFormat(format, true));
+      SHARED_SCHEMAS.forEach((fileName) => ajv.addSchema(loadSchema(fileName)));
+    }
+    validators[schemaName] = ajv.compile(loadSchema(SCHEMAS[schemaName]));
+  }
+  return validators[schemaName];
+}
+
+/**
+ * Pick the schema for a parsed SBOM
+ * @param {object} sbom - Parsed SBOM
+ * @returns {{ schema: string|null, reason: string|null }} - Schema name, or why none applies
+ */
+function selectSchema(sbom) {
+  const format = detectFormat(sbom);
+  let schema;
+
+  switch (format) {
+    case 'cyclonedx':
+      schema = `CycloneDX ${sbom.specVersion}`;
+      break;
+    case 'spdx':
+      schema = `SPDX ${sbom.spdxVersion.replace(/^SPDX-/, '')}`;
+      break;
+    case 'syft':
+      schema = 'Syft';
+      break;
+    default:
+      return { schema: null, reason: 'Not a CycloneDX, SPDX or Syft SBOM' };
+  }
+
+  if (!SCHEMAS[schema]) {
+    const supported = Object.keys(SCHEMAS).filter((name) => name.startsWith(FORMAT_NAMES[format]));
+    return { schema: null, reason: `Unsupported version: ${schema} (supported: ${supported.join(', ')})` };
+  }
+  return { schema, reason: null };
+}
+
+/**
+ * Turn an Ajv error into a { pointer, message } pair
+ * The pointer is a JSON pointer (RFC 6901) to the offending value; for a
+ * missing property it points at the property that should be there
+ * @param {object} ajvError - Ajv error object
+ * @returns {{ pointer: string, message: string }} - Located error
+ */
+function formatError(ajvError) {
+  let pointer = ajvError.instancePath;
+  let message = ajvError.message;
+
+  if (ajvError.keyword === 'required') {
+    pointer += '/' + ajvError.params.missingProperty.replace(/~/g, '~0').replace(/\//g, '~1');
+    message = 'is required';
+  } else if (ajvError.keyword === 'enum') {
+    message += ': ' + ajvError.params.allowedValues.map((value) => JSON.stringify(value)).join(', ');
+  } else if (ajvError.keyword === 'additionalProperties') {
+    pointer += '/' + ajvError.params.additionalProperty;
+    message = 'is not allowed';
+  }
+
+  return { pointer, message };
+}
+
+/**
+ * Collects schema errors, keeping the first error at each location
+ * @returns {{ add: function, result: function }} - add(ajvErrors, prefix), result(schema)
+ */
+function createErrorCollector() {
+  const seen = new Set();
+  const errors = [];
+  let total = 0;
+
+  return {
+    add(ajvErrors, prefix = '') {
+      ajvErrors.map(formatError).forEach(({ pointer, message }) => {
+        const key = prefix + pointer + '\n' + message;
+        if (seen.has(key)) {
+          return;
+        }
+        seen.add(key);
+        total++;
+        if (errors.length < MAX_ERRORS) {
+          errors.push({ pointer: prefix + pointer, message });
+        }
+      });
+    },
+    result(schema) {
+      const partial = PARTIAL_SCHEMAS.includes(schema);
+      if (total === 0) {
+        return { valid: true, schema, partial, errors: [], reason: null };
+      }
+      return { valid: false, schema, partial, errors, totalErrors: total, reason: `${total} schema error(s)` };
+    }
+  };
+}
+
+/**
+ * Result for a document no bundled schema applies to
+ * @param {string} reason - Why no schema applies
+ * @returns {object} - Failed validation result
+ */
+function noSchema(reason) {
+  return {
+    valid: false,
+    schema: null,
+    errors: [{ pointer: '', message: reason }],
+    reason
+  };
+}
+
+/**
+ * Validate a parsed SBOM against the bundled schema for its format
+ * @param {object} sbom - Parsed SBOM (JSON document)
+ * @returns {object} - { valid, schema, errors, reason }
+ */
+function validateDocument(sbom) {
+  const { schema, reason } = selectSchema(sbom);
+  if (!schema) {
+    return noSchema(reason);
+  }
+
+  const validate = getValidator(schema);
+  const collector = createErrorCollector();
+  if (!validate(sbom)) {
+    collector.add(validate.errors);
+  }
+  return collector.result(schema);
+}
+
+/**
+ * Validate a JSON SBOM whose top-level arrays are streamed
+ *
+ * The top-level arrays of an SBOM (components, packages, artifacts,
+ * relationships, ...) hold nearly all of it, so they are checked one element
+ * at a time against the item schema of their property, and their uniqueItems
+ * constraint is checked on element digests. Everything else is checked as a
+ * whole, with each streamed array standing in empty. The outcome is the same
+ * as validating the whole document with the bundled schemas, none of which
+ * constrain the top-level arrays in any other way.
+ *
+ * @param {object} shell - Top-level members of the document, streamed arrays empty
+ * @returns {object} - { covers(key), checkElement(key, index, value, text), finish() }
+ *   (text: the element's canonical JSON, if already computed)
+ */
+function createStreamValidation(shell) {
+  const { schema, reason } = selectSchema(shell);
+  if (!schema) {
+    return { covers: () => false, checkElement: () => {}, finish: () => noSchema(reason) };
+  }
+
+  const validate = getValidator(schema);
+  const collector = createErrorCollector();
+  if (!validate(shell)) {
+    collector.add(validate.errors);
+  }
+
+  const properties = validate.schema.properties || {};
+  const digests = {};
+  const duplicates = new Set();
+
+  return {
+    covers(key) {
+      return Boolean(properties[key] && properties[key].items);
+    },
+    checkElement(key, index, value, text) {
+      const itemKey = `${schema}#${key}`;
+      if (!validators[itemKey]) {
+        validators[itemKey] = ajv.compile({ $ref: `${validate.schema.$id}#/properties/${key}/items` });
+      }
+      const validateItem = validators[itemKey];
+      if (!validateItem(value)) {
+        collector.add(validateItem.errors, `/${key}/${index}`);
+      }
+
+      // Like Ajv, report one duplicate per array
+      if (properties[key].uniqueItems && !duplicates.has(key)) {
+        digests[key] = digests[key] || new Map();
+        let canonical = text;
+        if (canonical === undefined) {
+          try {
+            canonical = canonicalize(value);
+          } catch (error) {
+            canonical = JSON.stringify(value);
+          }
+        }
+        const digest = crypto.createHash('sha256').update(canonical).digest('base64');
+        const first = digests[key].get(digest);
+        if (first === undefined) {
+          digests[key].set(digest, index);
+        } else {
+          duplicates.add(key);
+          delete digests[key];
+          collector.add([{
+            instancePath: `/${key}`,
+            keyword: 'uniqueItems',
+            message: `must NOT have duplicate items (items ## ${first} and ${index} are identical)`
+          }]);
+        }
+      }
+    },
+    finish() {
+      return collector.result(schema);
+    }
+  };
+}
+
+/**
+ * Result for a document that could not be parsed
+ * @param {string} message - Parse error
+ * @returns {object} - Failed validation result
+ */
+function parseFailure(message) {
+  return { valid: false, syntax: null, schema: null, errors: [{ pointer: '', message }], reason: message };
+}
+
+/**
+ * Validate a document parsed by parseSBOMText
+ * Only JSON documents are checked; the bundled schemas describe the JSON
+ * encodings, so CycloneDX XML and SPDX tag-value are reported as skipped
+ * @param {object} parsed - { syntax, document } from parseSBOMText
+ * @returns {object} - { valid (null when skipped), syntax, schema, errors, reason }
+ */
+function validateParsed({ syntax, document }) {
+  if (syntax !== 'json') {
+    return {
+      valid: null,
+      syntax,
+      schema: null,
+      errors: [],
+      reason: 'Schema validation covers JSON SBOMs only'
+    };
+  }
+
+  return { syntax, ...validateDocument(document) };
+}
+
+/**
+ * Validate the text of an SBOM
+ * @param {string} text - Document text
+ * @returns {object} - See validateParsed
+ */
+function validateSBOMText(text) {
+  let parsed;
+  try {
+    parsed = parseSBOMText(text);
+  } catch (error) {
+    return parseFailure(error.message);
+  }
+  return validateParsed(parsed);
+}
+
+/**
+ * Validate an SBOM file
+ * @param {string} filePath - Path to SBOM file
+ * @returns {object} - See validateSBOMText
+ */
+function validateSBOM(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+  return validateSBOMText(fs.readFileSync(filePath, 'utf8'));
+}
+
+module.exports = {
+  SCHEMAS,
+  PARTIAL_SCHEMAS,
+  parseFailure,
+  validateDocument,
+  createStreamValidation,
+  validateParsed,
+  validateSBOMText,
+  validateSBOM
+};
@@ -0,0 +1,258 @@
+const { parsePurl } = require('./purl');
+
+/**
+ * VEX (Vulnerability Exploitability eXchange) statements
+ *
+ * A VEX document says whether known vulnerabilities actually affect a
+ * product: "CVE-X is not_affected in pkg Y because the vulnerable code is
+ * not present". OpenVEX JSON and CycloneDX VEX (a BOM with vulnerabilities[]
+ * and analysis) are read. On-chain, a document is recorded by its keccak256
+ * hash, signed by its author, with a compact JSON summary of its statements
+ * so verify and audit can show them without the document:
+ *
+ *   [{ vulnerability, aliases?, products, status, justification? }]
+ *
+ * Statuses follow OpenVEX: not_affected, affected, fixed, under_investigation.
+ */
+
+const VEX_STATUSES = ['not_affected', 'affected', 'fixed', 'under_investigation'];
+
+// Statuses that mean a finding does not need action
+const RESOLVED_STATUSES = ['not_affected', 'fixed'];
+
+// CycloneDX analysis states -> VEX statuses
+const CYCLONEDX_STATES = {
+  not_affected: 'not_affected',
+  false_positive: 'not_affected',
+  exploitable: 'affected',
+  resolved: 'fixed',
+  resolved_with_pedigree: 'fixed',
+  in_triage: 'under_investigation'
+};
+
+/**
+ * Get the identifier of an OpenVEX product or vulnerability (string or object)
+ * @param {string|object} value - Entry
+ * @param {string} field - Identifier field of the object form
+ * @returns {string} - Identifier, or '' if none
+ */
+function identifier(value, field) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  return value && typeof value[field] === 'string' ? value[field] : '';
+}
+
+/**
+ * Read the statements of an OpenVEX document
+ * @param {object} document - OpenVEX JSON
+ * @returns {array} - Statements
+ */
+function openVEXStatements(document) {
+  return document.statements.map((statement) => {
+    const vulnerability = statement.vulnerability || {};
+    return {
+      vulnerability: identifier(vulnerability, 'name') || identifier(vulnerability, '@id'),
+      aliases: Array.isArray(vulnerability.aliases) ? vulnerability.aliases : [],
+      products: (statement.products || []).map((product) => identifier(product, '@id')).filter(Boolean),
+      status: statement.status,
+      justification: statement.justification || statement.impact_statement || ''
+    };
+  });
+}
+
+/**
+ * Read the statements of a CycloneDX VEX document
+ * bom-refs are resolved to purls through the document's own components
+ * @param {object} document - CycloneDX JSON with vulnerabilities[]
+ * @returns {array} - Statements
+ */
+function cyclonedxStatements(document) {
+  const purls = new Map();
+  const collect = (components) => (components || []).forEach((component) => {
+    if (component['bom-ref'] && component.purl) {
+      purls.set(component['bom-ref'], component.purl);
+    }
+    collect(component.components);
+  });
+  collect(document.components);
+  if (document.metadata && document.metadata.component) {
+    collect([document.metadata.component]);
+  }
+
+  return document.vulnerabilities.map((vulnerability) => {
+    const analysis = vulnerability.analysis || {};
+    const products = (vulnerability.affects || []).map((affect) => {
+      // References to another BOM look like urn:cdx:<serial>/<version>#<bom-ref>
+      const ref = String(affect.ref || '').replace(/^urn:cdx:[^#]*#/, '');
+      return purls.get(ref) || ref;
+    }).filter(Boolean);
+    return {
+      vulnerability: vulnerability.id || '',
+      aliases: (vulnerability.references || []).map((reference) => reference.id).filter(Boolean),
+      products,
+      status: CYCLONEDX_STATES[analysis.state] || analysis.state,
+      justification: analysis.justification || analysis.detail || ''
+    };
+  });
+}
+
+/**
+ * Parse a VEX document
+ * @param {string} text - Document text (JSON)
+ * @returns {object} - { format, statements }
+ */
+function parseVEXDocument(text) {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid VEX document: ${err.message}`);
+  }
+
+  let format;
+  let statements;
+  if (document && Array.isArray(document.statements)) {
+    format = 'OpenVEX';
+    statements = openVEXStatements(document);
+  } else if (document && document.bomFormat === 'CycloneDX' && Array.isArray(document.vulnerabilities)) {
+    format = 'CycloneDX VEX';
+    statements = cyclonedxStatements(document);
+  } else {
+    throw new Error('Unrecognized VEX document (expected OpenVEX or CycloneDX with vulnerabilities)');
+  }
+
+  if (statements.length === 0) {
+    throw new Error('VEX document has no statements');
+  }
+  statements.forEach((statement, index) => {
+    if (!statement.vulnerability) {
+      throw new Error(`VEX statement ${index + 1} names no vulnerability`);
+    }
+    if (!VEX_STATUSES.includes(statement.status)) {
+      throw new Error(`VEX statement ${index + 1} (${statement.vulnerability}) has an unknown status: ${statement.status}`);
+    }
+  });
+  return { format, statements };
+}
+
+/**
+ * Build the on-chain summary of a document's statements
+ * @param {array} statements - Statements from parseVEXDocument
+ * @returns {string} - Compact JSON (empty fields left out)
+ */
+function summarizeStatements(statements) {
+  return JSON.stringify(statements.map((statement) => {
+    const summary = { vulnerability: statement.vulnerability };
+    if (statement.aliases.length > 0) {
+      summary.aliases = statement.aliases;
+    }
+    summary.products = statement.products;
+    summary.status = statement.status;
+    if (statement.justification) {
+      summary.justification = statement.justification;
+    }
+    return summary;
+  }));
+}
+
+/**
+ * Parse an on-chain statement summary
+ * @param {string} json - Summary from the contract
+ * @returns {array} - Statements ([] if unreadable)
+ */
+function parseStatements(json) {
+  try {
+    const statements = JSON.parse(json);
+    return Array.isArray(statements) ? statements : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Fetch the VEX documents published for an SBOM
+ * @param {Contract} contract - Read-only contract instance
+ * @param {string} sbomHash - SBOM record hash
+ * @param {string} vendor - Address of the SBOM's vendor
+ * @returns {Promise<array>} - [{ documentHash, author, role, timestamp, statements }], oldest first;
+ *   role is "vendor" (one of its signing keys), "publisher" (a VEX publisher it authorized) or "former publisher"
+ */
+async function fetchVEX(contract, sbomHash, vendor) {
+  const documentHashes = await contract.getVEXDocuments(sbomHash);
+  const documents = [];
+  for (const documentHash of documentHashes) {
+    const record = await contract.getVEX(documentHash);
+    let role = 'vendor';
+    const signingKey = await contract.getSigningKey(record.author);
+    if (signingKey.vendor.toLowerCase() !== vendor.toLowerCase()) {
+      role = (await contract.isVEXPublisher(vendor, record.author)) ? 'publisher' : 'former publisher';
+    }
+    documents.push({
+      documentHash,
+      author: record.author,
+      role,
+      timestamp: Number(record.timestamp),
+      statements: parseStatements(record.statements)
+    });
+  }
+  return documents;
+}
+
+/**
+ * Check whether a VEX product reference names a package
+ * A product purl without a version covers every version
+ * @param {string} product - Product reference (usually a purl)
+ * @param {string} purl - Package purl
+ * @returns {boolean} - True if the product covers the package
+ */
+function productMatches(product, purl) {
+  const a = parsePurl(product);
+  const b = parsePurl(purl);
+  if (!a || !b) {
+    return product === purl;
+  }
+  return a.type === b.type &&
+    a.namespace.toLowerCase() === b.namespace.toLowerCase() &&
+    a.name.toLowerCase() === b.name.toLowerCase() &&
+    (!a.version || a.version === b.version);
+}
+
+/**
+ * Find the VEX statement that applies to a vulnerability finding
+ * The most recently published matching statement wins
+ * @param {array} documents - Documents from fetchVEX
+ * @param {object} finding - { id, aliases, purl }
+ * @returns {object|null} - { status, justification, documentHash, author, role }
+ */
+function findVEXStatus(documents, finding) {
+  const ids = new Set([finding.id, ...(finding.aliases || [])].map((id) => id.toUpperCase()));
+  let match = null;
+  documents.forEach((document) => {
+    document.statements.forEach((statement) => {
+      const names = [statement.vulnerability, ...(statement.aliases || [])].filter(Boolean);
+      const products = statement.products || [];
+      if (names.some((name) => ids.has(String(name).toUpperCase())) &&
+          (products.length === 0 || (finding.purl && products.some((product) => productMatches(product, finding.purl))))) {
+        match = {
+          status: statement.status,
+          justification: statement.justification || '',
+          documentHash: document.documentHash,
+          author: document.author,
+          role: document.role
+        };
+      }
+    });
+  });
+  return match;
+}
+
+module.exports = {
+  VEX_STATUSES,
+  RESOLVED_STATUSES,
+  parseVEXDocument,
+  summarizeStatements,
+  parseStatements,
+  fetchVEX,
+  findVEXStatus
+};
@@ -0,0 +1,195 @@
+/**
+ * Minimal XML reader
+ *
+ * Parses the subset of XML 1.0 that SBOM documents use into a plain element
+ * tree: { name, attributes, children, text }. Namespace prefixes are dropped
+ * from element and attribute names. DTDs are skipped and never expanded, so
+ * external entities cannot be used to read files or make requests.
+ */
+
+// The predefined XML entities
+const ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: "'"
+};
+
+/**
+ * Replace entity and character references in text
+ * @param {string} text - Raw text or attribute value
+ * @returns {string} - Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    if (ENTITIES[ref] === undefined) {
+      throw new Error(`Unknown XML entity: ${match}`);
+    }
+    return ENTITIES[ref];
+  });
+}
+
+/**
+ * Drop the namespace prefix of a qualified name
+ * @param {string} name - Qualified name (e.g. "bom:component")
+ * @returns {string} - Local name
+ */
+function localName(name) {
+  const colon = name.indexOf(':');
+  return colon === -1 ? name : name.slice(colon + 1);
+}
+
+/**
+ * Parse the attributes inside a start tag
+ * @param {string} source - Text between the element name and '>' or '/>'
+ * @returns {object} - Attribute map (the default namespace is kept as "xmlns")
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    // Prefixed namespace declarations (xmlns:xsi, ...) are not needed
+    if (match[1].startsWith('xmlns:')) {
+      continue;
+    }
+    const name = match[1] === 'xmlns' ? 'xmlns' : localName(match[1]);
+    attributes[name] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+  }
+  return attributes;
+}
+
+/**
+ * Find the '>' that ends a start tag, skipping quoted attribute values
+ * @param {string} text - XML text
+ * @param {number} start - Index of the '<'
+ * @returns {number} - Index of the closing '>', or -1
+ */
+function findTagEnd(text, start) {
+  let quote = null;
+  for (let j = start + 1; j < text.length; j++) {
+    const char = text[j];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '>') {
+      return j;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parse an XML document into an element tree
+ * @param {string} text - XML text
+ * @returns {object} - Root element { name, attributes, children, text }
+ */
+function parseXML(text) {
+  const root = { name: null, attributes: {}, children: [], text: '' };
+  const stack = [root];
+  let i = 0;
+
+  const fail = (message) => {
+    const line = text.slice(0, i).split('\n').length;
+    throw new Error(`Invalid XML (line ${line}): ${message}`);
+  };
+
+  while (i < text.length) {
+    const current = stack[stack.length - 1];
+    const lt = text.indexOf('<', i);
+
+    // Character data up to the next markup
+    const end = lt === -1 ? text.length : lt;
+    if (end > i) {
+      const data = text.slice(i, end);
+      if (current === root) {
+        if (data.trim() !== '') {
+          fail('text outside the root element');
+        }
+      } else {
+        current.text += decodeEntities(data);
+      }
+      i = end;
+      continue;
+    }
+
+    if (text.startsWith('<!--', i)) {
+      const close = text.indexOf('-->', i + 4);
+      if (close === -1) fail('unterminated comment');
+      i = close + 3;
+    } else if (text.startsWith('<![CDATA[', i)) {
+      const close = text.indexOf(']]>', i + 9);
+      if (close === -1) fail('unterminated CDATA section');
+      current.text += text.slice(i + 9, close);
+      i = close + 3;
+    } else if (text.startsWith('<?', i)) {
+      const close = text.indexOf('?>', i + 2);
+      if (close === -1) fail('unterminated processing instruction');
+      i = close + 2;
+    } else if (text.startsWith('<!', i)) {
+      // DOCTYPE (possibly with an internal subset in brackets) - skipped, not expanded
+      let depth = 0;
+      let j = i + 2;
+      for (; j < text.length; j++) {
+        if (text[j] === '[') depth++;
+        else if (text[j] === ']') depth--;
+        else if (text[j] === '>' && depth === 0) break;
+      }
+      if (j === text.length) fail('unterminated declaration');
+      i = j + 1;
+    } else if (text[i + 1] === '/') {
+      const close = text.indexOf('>', i);
+      if (close === -1) fail('unterminated end tag');
+      const name = localName(text.slice(i + 2, close).trim());
+      if (stack.length === 1 || current.name !== name) {
+        fail(`unexpected </${name}>`);
+      }
+      stack.pop();
+      i = close + 1;
+    } else {
+      const close = findTagEnd(text, i);
+      if (close === -1) fail('unterminated start tag');
+      let body = text.slice(i + 1, close);
+      const selfClosing = body.endsWith('/');
+      if (selfClosing) {
+        body = body.slice(0, -1);
+      }
+      const nameMatch = /^[^\s/>]+/.exec(body);
+      if (!nameMatch) fail('missing element name');
+      if (current === root && root.children.length > 0) {
+        fail('more than one root element');
+      }
+
+      const element = {
+        name: localName(nameMatch[0]),
+        attributes: parseAttributes(body.slice(nameMatch[0].length)),
+        children: [],
+        text: ''
+      };
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+      i = close + 1;
+    }
+  }
+
+  if (stack.length > 1) {
+    fail(`unclosed element <${stack[stack.length - 1].name}>`);
+  }
+  if (root.children.length === 0) {
+    fail('no root element');
+  }
+
+  return root.children[0];
+}
+
+module.exports = {
+  parseXML
+};
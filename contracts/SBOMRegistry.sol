@@ -1,104 +1,170 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "./SBOMRegistryBase.sol";
+import "./SBOMRegistryExtension.sol";
+
 /**
  * @title SBOMRegistry
  * @dev Smart contract for registering and verifying Software Bill of Materials (SBOM) 
  * with digital signatures and vendor registry
  * @author SBOM Blockchain Verification Project
  */
-contract SBOMRegistry {
+contract SBOMRegistry is SBOMRegistryBase {
+    
+    // Deployed with the registry; runs the functions it forwards (see fallback)
+    address private immutable extension;
     
     // ═══════════════════════════════════════════════════════════
-    // STRUCTS
+    // CONSTRUCTOR
     // ═══════════════════════════════════════════════════════════
     
-    /**
-     * @dev Structure to store SBOM record information
-     */
-    struct SBOMRecord {
-        bytes32 hash;           // Hash of the SBOM file
-        address vendor;         // Address of the vendor who registered it
-        uint256 timestamp;      // When it was registered
-        string metadata;        // JSON metadata (version, project name, etc.)
-        bytes32 previousHash;   // Hash of previous version (for version tracking)
-        bytes signature;        // Digital signature of the vendor
+    constructor() {
+        registryOwner = msg.sender;
+        _grantRole(Role.Admin, msg.sender);
+        _grantRole(Role.Pauser, msg.sender);
+        extension = address(new SBOMRegistryExtension());
     }
     
     /**
-     * @dev Structure to store vendor information
+     * @dev Run functions this contract does not have (see SBOMRegistryExtension)
+     * in the extension, against this contract's storage
      */
-    struct VendorInfo {
-        string name;            // Company/Vendor name
-        string website;         // Official website
-        string contactEmail;    // Contact email
-        bool verified;          // Whether the vendor is verified
-        uint256 registeredAt;   // When the vendor was registered
+    fallback() external {
+        address target = extension;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let ok := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            if iszero(ok) {
+                revert(0, returndatasize())
+            }
+            return(0, returndatasize())
+        }
     }
     
     // ═══════════════════════════════════════════════════════════
-    // STATE VARIABLES
+    // ROLE AND OWNERSHIP FUNCTIONS
     // ═══════════════════════════════════════════════════════════
     
-    // Mapping from SBOM hash to its record
-    mapping(bytes32 => SBOMRecord) public sbomRecords;
-    
-    // Mapping from root hash to array of all version hashes
-    mapping(bytes32 => bytes32[]) public versionHistory;
+    /**
+     * @dev Grant a role to an account
+     * @param _role The role to grant
+     * @param _account Address of the account
+     */
+    function grantRole(Role _role, address _account) public onlyRegistryOwner {
+        require(_account != address(0), "Invalid account address");
+        require(!roles[_role][_account], "Account already has role");
+        _grantRole(_role, _account);
+    }
     
-    // Mapping from any hash to its root hash (first version)
-    mapping(bytes32 => bytes32) public rootHash;
+    /**
+     * @dev Revoke a role from an account
+     * @param _role The role to revoke
+     * @param _account Address of the account
+     */
+    function revokeRole(Role _role, address _account) public onlyRegistryOwner {
+        require(roles[_role][_account], "Account does not have role");
+        _revokeRole(_role, _account);
+    }
     
-    // Mapping from vendor address to vendor information
-    mapping(address => VendorInfo) public vendors;
+    /**
+     * @dev Check if an account has a role
+     * @param _role The role
+     * @param _account Address of the account
+     * @return Whether the account has the role
+     */
+    function hasRole(Role _role, address _account) public view returns (bool) {
+        return roles[_role][_account];
+    }
     
-    // Registry owner (can add/remove vendors)
-    address public registryOwner;
+    /**
+     * @dev Get the accounts holding a role
+     * @param _role The role
+     * @return Array of account addresses
+     */
+    function getRoleMembers(Role _role) public view returns (address[] memory) {
+        return roleMembers[_role];
+    }
     
-    // ═══════════════════════════════════════════════════════════
-    // EVENTS
-    // ═══════════════════════════════════════════════════════════
+    /**
+     * @dev Propose a new registry owner (takes effect once it accepts)
+     * @param _newOwner Address of the proposed owner
+     */
+    function proposeOwnership(address _newOwner) public onlyRegistryOwner {
+        require(_newOwner != address(0), "Invalid new owner address");
+        pendingOwner = _newOwner;
+        emit OwnershipProposed(registryOwner, _newOwner, block.timestamp);
+    }
     
-    event SBOMRegistered(
-        bytes32 indexed hash,
-        address indexed vendor,
-        uint256 timestamp,
-        string metadata
-    );
-    
-    event SBOMUpdated(
-        bytes32 indexed oldHash,
-        bytes32 indexed newHash,
-        address indexed vendor,
-        uint256 timestamp
-    );
-    
-    event VendorRegistered(
-        address indexed vendor,
-        string name,
-        uint256 timestamp
-    );
-    
-    event VendorRevoked(
-        address indexed vendor,
-        uint256 timestamp
-    );
+    /**
+     * @dev Accept a proposed registry ownership; the roles the previous owner held
+     * move to the new owner with it
+     */
+    function acceptOwnership() public {
+        require(msg.sender == pendingOwner, "Only the proposed owner can accept ownership");
+        address previousOwner = registryOwner;
+        emit OwnershipTransferred(previousOwner, msg.sender, block.timestamp);
+        registryOwner = msg.sender;
+        pendingOwner = address(0);
+        
+        for (uint256 i = 0; i <= uint256(type(Role).max); i++) {
+            Role role = Role(i);
+            if (roles[role][previousOwner]) {
+                _revokeRole(role, previousOwner);
+                if (!roles[role][msg.sender]) {
+                    _grantRole(role, msg.sender);
+                }
+            }
+        }
+    }
     
-    // ═══════════════════════════════════════════════════════════
-    // MODIFIERS
-    // ═══════════════════════════════════════════════════════════
+    /**
+     * @dev Stop new SBOM submissions (registration, updates, anchors, digests, links, VEX, endorsements)
+     */
+    function pause() public onlyRole(Role.Pauser) {
+        require(!paused, "Registry is paused");
+        paused = true;
+        emit Paused(msg.sender, block.timestamp);
+    }
     
-    modifier onlyRegistryOwner() {
-        require(msg.sender == registryOwner, "Only registry owner can perform this action");
-        _;
+    /**
+     * @dev Resume new SBOM submissions
+     */
+    function unpause() public onlyRole(Role.Pauser) {
+        require(paused, "Registry is not paused");
+        paused = false;
+        emit Unpaused(msg.sender, block.timestamp);
     }
     
-    // ═══════════════════════════════════════════════════════════
-    // CONSTRUCTOR
-    // ═══════════════════════════════════════════════════════════
+    /**
+     * @dev Record a role grant
+     * @param _role The role to grant
+     * @param _account Address of the account
+     */
+    function _grantRole(Role _role, address _account) private {
+        roles[_role][_account] = true;
+        roleMembers[_role].push(_account);
+        emit RoleGranted(_role, _account, msg.sender, block.timestamp);
+    }
     
-    constructor() {
-        registryOwner = msg.sender;
+    /**
+     * @dev Record a role revocation
+     * @param _role The role to revoke
+     * @param _account Address of the account
+     */
+    function _revokeRole(Role _role, address _account) private {
+        roles[_role][_account] = false;
+        address[] storage members = roleMembers[_role];
+        for (uint256 i = 0; i < members.length; i++) {
+            if (members[i] == _account) {
+                members[i] = members[members.length - 1];
+                members.pop();
+                break;
+            }
+        }
+        
+        emit RoleRevoked(_role, _account, msg.sender, block.timestamp);
     }
     
     // ═══════════════════════════════════════════════════════════
@@ -117,10 +183,12 @@ contract SBOMRegistry {
         string memory _name,
         string memory _website,
         string memory _contactEmail
-    ) public onlyRegistryOwner {
+    ) public onlyRole(Role.Admin) {
         require(_vendor != address(0), "Invalid vendor address");
         require(!vendors[_vendor].verified, "Vendor already registered");
         require(bytes(_name).length > 0, "Name cannot be empty");
+        address keyVendor = signingKeys[_vendor].vendor;
+        require(keyVendor == address(0) || keyVendor == _vendor, "Address is another vendor's signing key");
         
         vendors[_vendor] = VendorInfo({
             name: _name,
@@ -130,6 +198,13 @@ contract SBOMRegistry {
             registeredAt: block.timestamp
         });
         
+        // The registration address is the vendor's first signing key
+        if (keyVendor == address(0)) {
+            _addSigningKey(_vendor, _vendor);
+        }
+        
+        vendorStatusHistory[_vendor].push(VendorStatusChange({verified: true, timestamp: block.timestamp}));
+        
         emit VendorRegistered(_vendor, _name, block.timestamp);
     }
     
@@ -137,9 +212,10 @@ contract SBOMRegistry {
      * @dev Revoke a vendor's verification status
      * @param _vendor Address of the vendor to revoke
      */
-    function revokeVendor(address _vendor) public onlyRegistryOwner {
+    function revokeVendor(address _vendor) public onlyRole(Role.Admin) {
         require(vendors[_vendor].verified, "Vendor not verified");
         vendors[_vendor].verified = false;
+        vendorStatusHistory[_vendor].push(VendorStatusChange({verified: false, timestamp: block.timestamp}));
         emit VendorRevoked(_vendor, block.timestamp);
     }
     
@@ -152,6 +228,31 @@ contract SBOMRegistry {
         return vendors[_vendor].verified;
     }
     
+    /**
+     * @dev Check if a vendor was verified at a point in time
+     * @param _vendor Address of the vendor
+     * @param _timestamp The point in time (e.g. when an SBOM was registered)
+     * @return Whether the vendor was verified then (a change applies from its own time on)
+     */
+    function wasVerifiedVendorAt(address _vendor, uint256 _timestamp) public view returns (bool) {
+        VendorStatusChange[] storage history = vendorStatusHistory[_vendor];
+        for (uint256 i = history.length; i > 0; i--) {
+            if (history[i - 1].timestamp <= _timestamp) {
+                return history[i - 1].verified;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * @dev Get every change of a vendor's verification status
+     * @param _vendor Address of the vendor
+     * @return Array of status changes, oldest first
+     */
+    function getVendorStatusHistory(address _vendor) public view returns (VendorStatusChange[] memory) {
+        return vendorStatusHistory[_vendor];
+    }
+    
     /**
      * @dev Get vendor information
      * @param _vendor Address of the vendor
@@ -161,13 +262,155 @@ contract SBOMRegistry {
         return vendors[_vendor];
     }
     
+    // ═══════════════════════════════════════════════════════════
+    // SIGNING KEY FUNCTIONS
+    // ═══════════════════════════════════════════════════════════
+    
     /**
-     * @dev Transfer registry ownership
-     * @param _newOwner Address of the new owner
+     * @dev Authorize another signing key for a vendor
+     * (callable by any of the vendor's active keys, or by an admin to recover a vendor)
+     * @param _vendor Address the vendor was registered with
+     * @param _key Address of the new key
      */
-    function transferOwnership(address _newOwner) public onlyRegistryOwner {
-        require(_newOwner != address(0), "Invalid new owner address");
-        registryOwner = _newOwner;
+    function addSigningKey(address _vendor, address _key) public {
+        _requireKeyManager(_vendor);
+        require(vendors[_vendor].verified, "Vendor not verified");
+        require(_key != address(0), "Invalid key address");
+        require(
+            signingKeys[_key].vendor == address(0) && delegations[_key].vendor == address(0),
+            "Key already in use"
+        );
+        
+        _addSigningKey(_vendor, _key);
+    }
+    
+    /**
+     * @dev Stop a key from signing; what it signed so far stays valid
+     * @param _key Address of the key
+     */
+    function retireSigningKey(address _key) public {
+        SigningKey storage key = signingKeys[_key];
+        require(key.vendor != address(0), "Key not found");
+        _requireKeyManager(key.vendor);
+        require(key.retiredAt == 0, "Key already retired");
+        
+        key.retiredAt = uint48(block.timestamp);
+        
+        emit SigningKeyRetired(key.vendor, _key, block.timestamp);
+    }
+    
+    /**
+     * @dev Get a signing key's vendor and status
+     * @param _key Address of the key
+     * @return The signing key (zero vendor if unknown)
+     */
+    function getSigningKey(address _key) public view returns (SigningKey memory) {
+        return signingKeys[_key];
+    }
+    
+    /**
+     * @dev Get every key a vendor has had, including retired ones
+     * @param _vendor Address the vendor was registered with
+     * @return Array of key addresses, oldest first
+     */
+    function getVendorKeys(address _vendor) public view returns (address[] memory) {
+        return vendorKeys[_vendor];
+    }
+    
+    /**
+     * @dev Get the status a signing key or delegate had at a point in time
+     * @param _key Address of the key or delegate
+     * @param _timestamp The point in time (e.g. when an SBOM was signed)
+     * @return Unknown before the key was added, Compromised from its compromise time on,
+     * Retired from its retirement (or a delegation's revocation or expiry) on, Active otherwise
+     */
+    function getKeyStatusAt(address _key, uint256 _timestamp) public view returns (KeyStatus) {
+        SigningKey storage key = signingKeys[_key];
+        if (key.vendor == address(0)) {
+            // Before a renewed delegation was granted, the lapsed one it renewed applies
+            Delegation storage delegation = delegations[_key];
+            Delegation[] storage past = pastDelegations[_key];
+            for (uint256 i = past.length; i > 0 && _timestamp < delegation.createdAt; i--) {
+                delegation = past[i - 1];
+            }
+            if (delegation.vendor == address(0) || _timestamp < delegation.createdAt) {
+                return KeyStatus.Unknown;
+            }
+            if (_timestamp >= delegation.expiresAt || (delegation.revokedAt != 0 && _timestamp >= delegation.revokedAt)) {
+                return KeyStatus.Retired;
+            }
+            return KeyStatus.Active;
+        }
+        if (_timestamp < key.addedAt) {
+            return KeyStatus.Unknown;
+        }
+        if (key.compromisedAt != 0 && _timestamp >= key.compromisedAt) {
+            return KeyStatus.Compromised;
+        }
+        if (key.retiredAt != 0 && _timestamp >= key.retiredAt) {
+            return KeyStatus.Retired;
+        }
+        return KeyStatus.Active;
+    }
+    
+    /**
+     * @dev Record a new signing key for a vendor
+     * @param _vendor Address the vendor was registered with
+     * @param _key Address of the key
+     */
+    function _addSigningKey(address _vendor, address _key) private {
+        signingKeys[_key] = SigningKey({
+            vendor: _vendor,
+            addedAt: uint48(block.timestamp),
+            retiredAt: 0,
+            compromisedAt: 0
+        });
+        vendorKeys[_vendor].push(_key);
+        emit SigningKeyAdded(_vendor, _key, block.timestamp);
+    }
+    
+    /**
+     * @dev Get the verified vendor an active signing key submits for, or revert
+     * @param _key Address of the key
+     * @return vendor The vendor address
+     */
+    function _requireVerifiedVendor(address _key) private view returns (address vendor) {
+        SigningKey storage key = signingKeys[_key];
+        require(key.retiredAt == 0, "Signing key retired");
+        vendor = key.vendor;
+        if (vendor == address(0)) {
+            require(delegations[_key].vendor == address(0), "Delegates must register with registerDelegatedSBOM");
+        }
+        require(vendors[vendor].verified, "Vendor not verified - please register as vendor first");
+    }
+    
+    /**
+     * @dev Get the vendor a key or delegate signed for
+     * @param _signer Address of the key or delegate
+     * @return The vendor address (zero if unknown)
+     */
+    function _signerVendor(address _signer) private view returns (address) {
+        address vendor = signingKeys[_signer].vendor;
+        return vendor != address(0) ? vendor : delegations[_signer].vendor;
+    }
+    
+    // ═══════════════════════════════════════════════════════════
+    // DELEGATION FUNCTIONS
+    // ═══════════════════════════════════════════════════════════
+    
+    /**
+     * @dev Get the vendor a signer may extend a version chain for
+     * @param _signer Address of the key or delegate
+     * @param _root Root hash of the version chain
+     * @return vendor The vendor address (zero if the signer is not an active key)
+     * @return delegated Whether the signer is a delegate (reverts if its delegation does not cover the chain)
+     */
+    function _chainSigner(address _signer, bytes32 _root) private view returns (address vendor, bool delegated) {
+        SigningKey storage key = signingKeys[_signer];
+        if (key.vendor == address(0) && delegations[_signer].vendor != address(0)) {
+            return (_requireDelegation(_signer, chainProducts[_root], _root), true);
+        }
+        return (key.retiredAt == 0 ? key.vendor : address(0), false);
     }
     
     // ═══════════════════════════════════════════════════════════
@@ -178,40 +421,23 @@ contract SBOMRegistry {
      * @dev Register a new SBOM with digital signature
      * @param _hash The hash of the SBOM file (keccak256)
      * @param _metadata JSON string containing additional info (version, project, etc.)
-     * @param _signature Digital signature created by signing the hash
+     * @param _signature Sender's EIP-712 signature of the hash, metadata and its nonce (see getNonce)
      */
     function registerSBOM(
         bytes32 _hash,
         string memory _metadata,
         bytes memory _signature
-    ) public {
+    ) public whenNotPaused {
         require(sbomRecords[_hash].timestamp == 0, "SBOM already registered");
         require(_signature.length == 65, "Invalid signature length");
         
         // Verify the signature was created by the sender
-        address signer = recoverSigner(_hash, _signature);
-        require(signer == msg.sender, "Invalid signature - signer does not match sender");
-        
-        // Require vendor to be verified
-        require(vendors[msg.sender].verified, "Vendor not verified - please register as vendor first");
-        
-        // Store the SBOM record
-        sbomRecords[_hash] = SBOMRecord({
-            hash: _hash,
-            vendor: msg.sender,
-            timestamp: block.timestamp,
-            metadata: _metadata,
-            previousHash: bytes32(0),
-            signature: _signature
-        });
-        
-        // Set this hash as its own root (first version)
-        rootHash[_hash] = _hash;
+        uint64 nonce = _useSignature(_hash, _metadata, bytes32(0), _signature);
         
-        // Initialize version history
-        versionHistory[_hash].push(_hash);
+        // The sender must be an active key of a verified vendor
+        address vendor = _requireVerifiedVendor(msg.sender);
         
-        emit SBOMRegistered(_hash, msg.sender, block.timestamp, _metadata);
+        _registerRecord(_hash, vendor, nonce, _metadata, _signature);
     }
     
     /**
@@ -219,30 +445,39 @@ contract SBOMRegistry {
      * @param _oldHash The hash of the previous SBOM version
      * @param _newHash The hash of the new SBOM version
      * @param _metadata JSON string containing additional info
-     * @param _signature Digital signature for the new hash
+     * @param _signature Sender's EIP-712 signature of the new hash, metadata, old hash and its nonce
      */
     function updateSBOM(
         bytes32 _oldHash,
         bytes32 _newHash,
         string memory _metadata,
         bytes memory _signature
-    ) public {
+    ) public whenNotPaused {
         require(sbomRecords[_oldHash].timestamp != 0, "Original SBOM not found");
-        require(sbomRecords[_oldHash].vendor == msg.sender, "Only original vendor can update");
+        
+        // Get the root hash from the old version
+        bytes32 root = rootHash[_oldHash];
+        
+        // One of the vendor's active keys, or a delegate covering this chain
+        (address vendor, bool delegated) = _chainSigner(msg.sender, root);
+        require(sbomRecords[_oldHash].vendor == vendor, "Only original vendor can update");
         require(sbomRecords[_newHash].timestamp == 0, "New hash already registered");
         require(_signature.length == 65, "Invalid signature length");
         
+        // Versions form a single chain: only its head can be superseded
+        bytes32[] storage history = versionHistory[root];
+        require(history[history.length - 1] == _oldHash, "Only the latest version can be updated");
+        
         // Verify the signature was created by the sender
-        address signer = recoverSigner(_newHash, _signature);
-        require(signer == msg.sender, "Invalid signature - signer does not match sender");
+        uint64 nonce = _useSignature(_newHash, _metadata, _oldHash, _signature);
         
-        // Get the root hash from the old version
-        bytes32 root = rootHash[_oldHash];
+        // Require vendor to still be verified, as for registration
+        require(vendors[vendor].verified, "Vendor not verified - please register as vendor first");
         
         // Store the new SBOM record
         sbomRecords[_newHash] = SBOMRecord({
-            hash: _newHash,
-            vendor: msg.sender,
+            vendor: vendor,
+            nonce: nonce,
             timestamp: block.timestamp,
             metadata: _metadata,
             previousHash: _oldHash,
@@ -253,78 +488,424 @@ contract SBOMRegistry {
         rootHash[_newHash] = root;
         
         // Add new version to the root's history
-        versionHistory[root].push(_newHash);
+        history.push(_newHash);
+        
+        emit SBOMUpdated(_oldHash, _newHash, vendor, block.timestamp);
         
-        emit SBOMUpdated(_oldHash, _newHash, msg.sender, block.timestamp);
+        if (delegated) {
+            delegateSigners[_newHash] = msg.sender;
+            emit SBOMSignedByDelegate(_newHash, vendor, msg.sender, block.timestamp);
+        }
     }
     
     // ═══════════════════════════════════════════════════════════
-    // SIGNATURE VERIFICATION FUNCTIONS
+    // COMPONENT MERKLE ROOT FUNCTIONS
     // ═══════════════════════════════════════════════════════════
     
     /**
-     * @dev Recover the signer's address from a hash and signature
-     * @param _hash The hash that was signed
-     * @param _signature The signature bytes (65 bytes: r, s, v)
-     * @return The address that created the signature
+     * @dev Anchor the Merkle root of an SBOM's components next to its hash
+     * @param _hash The hash of a registered SBOM
+     * @param _componentRoot Merkle root over the SBOM's normalized components
      */
-    function recoverSigner(bytes32 _hash, bytes memory _signature) 
-        public 
-        pure 
-        returns (address) 
-    {
-        require(_signature.length == 65, "Invalid signature length");
+    function anchorComponentRoot(bytes32 _hash, bytes32 _componentRoot) public whenNotPaused {
+        require(sbomRecords[_hash].timestamp != 0, "SBOM not found");
+        require(
+            sbomRecords[_hash].vendor == _vendorOf(msg.sender) || delegateSigners[_hash] == msg.sender,
+            "Only original vendor can anchor components"
+        );
+        require(_componentRoot != bytes32(0), "Invalid component root");
+        require(componentRoots[_hash] == bytes32(0), "Component root already anchored");
         
-        bytes32 r;
-        bytes32 s;
-        uint8 v;
+        componentRoots[_hash] = _componentRoot;
         
-        // Extract r, s, v from signature
-        assembly {
-            r := mload(add(_signature, 32))
-            s := mload(add(_signature, 64))
-            v := byte(0, mload(add(_signature, 96)))
+        emit ComponentRootAnchored(_hash, _componentRoot, block.timestamp);
+    }
+    
+    /**
+     * @dev Get the component Merkle root anchored for an SBOM
+     * @param _hash The hash of the SBOM
+     * @return The component root (zero if none was anchored)
+     */
+    function getComponentRoot(bytes32 _hash) public view returns (bytes32) {
+        return componentRoots[_hash];
+    }
+    
+    /**
+     * @dev Check a component inclusion proof against an SBOM's anchored root
+     * @param _hash The hash of the SBOM
+     * @param _leaf Leaf hash of the disclosed component
+     * @param _proof Sibling hashes from the leaf up to the root
+     * @return Whether the component is part of the registered SBOM
+     */
+    function verifyComponentProof(
+        bytes32 _hash,
+        bytes32 _leaf,
+        bytes32[] memory _proof
+    ) public view returns (bool) {
+        bytes32 root = componentRoots[_hash];
+        if (root == bytes32(0)) {
+            return false;
+        }
+        
+        bytes32 computed = _leaf;
+        for (uint256 i = 0; i < _proof.length; i++) {
+            // Pairs are hashed in sorted order, so no position bits are needed
+            computed = computed < _proof[i]
+                ? keccak256(abi.encodePacked(computed, _proof[i]))
+                : keccak256(abi.encodePacked(_proof[i], computed));
         }
         
-        // Version of signature should be 27 or 28
-        if (v < 27) {
-            v += 27;
+        return computed == root;
+    }
+    
+    // ═══════════════════════════════════════════════════════════
+    // MULTI-DIGEST FUNCTIONS
+    // ═══════════════════════════════════════════════════════════
+    
+    /**
+     * @dev Attach additional algorithm-tagged digests to a registered SBOM
+     * @param _hash The hash of a registered SBOM
+     * @param _algorithms Algorithm names (e.g. "SHA-256", "SHA-512")
+     * @param _digests Digest bytes, one per algorithm
+     */
+    function addDigests(
+        bytes32 _hash,
+        string[] memory _algorithms,
+        bytes[] memory _digests
+    ) public whenNotPaused {
+        require(sbomRecords[_hash].timestamp != 0, "SBOM not found");
+        require(
+            sbomRecords[_hash].vendor == _vendorOf(msg.sender) || delegateSigners[_hash] == msg.sender,
+            "Only original vendor can add digests"
+        );
+        require(_algorithms.length == _digests.length, "Algorithm and digest count mismatch");
+        address vendor = sbomRecords[_hash].vendor;
+        
+        for (uint256 i = 0; i < _algorithms.length; i++) {
+            require(bytes(_algorithms[i]).length > 0, "Algorithm cannot be empty");
+            require(_digests[i].length > 0, "Digest cannot be empty");
+            
+            bytes32 algorithmKey = keccak256(bytes(_algorithms[i]));
+            bytes32 digestKey = keccak256(_digests[i]);
+            require(digestToHash[vendor][algorithmKey][digestKey] == bytes32(0), "Digest already registered");
+            
+            // One digest per algorithm per record
+            Digest[] storage existing = sbomDigests[_hash];
+            for (uint256 j = 0; j < existing.length; j++) {
+                require(keccak256(bytes(existing[j].algorithm)) != algorithmKey, "Algorithm already recorded for this SBOM");
+            }
+            
+            existing.push(Digest({ algorithm: _algorithms[i], digest: _digests[i] }));
+            digestToHash[vendor][algorithmKey][digestKey] = _hash;
+            
+            emit DigestAdded(_hash, _algorithms[i], _digests[i]);
         }
+    }
+    
+    /**
+     * @dev Get all additional digests recorded for an SBOM
+     * @param _hash The hash of the SBOM
+     * @return Array of algorithm-tagged digests
+     */
+    function getDigests(bytes32 _hash) public view returns (Digest[] memory) {
+        return sbomDigests[_hash];
+    }
+    
+    /**
+     * @dev Find a vendor's SBOM record hash for an additional digest
+     * Digests are not checked against the document, so lookups are scoped to the vendor that claimed them
+     * @param _vendor The vendor's primary address
+     * @param _algorithm Algorithm name (e.g. "SHA-256")
+     * @param _digest Digest bytes
+     * @return The SBOM hash (zero if the vendor recorded no such digest)
+     */
+    function getHashByDigest(address _vendor, string memory _algorithm, bytes memory _digest) public view returns (bytes32) {
+        return digestToHash[_vendor][keccak256(bytes(_algorithm))][keccak256(_digest)];
+    }
+    
+    /**
+     * @dev Find a vendor's SBOM record hash for a SHA-256 digest
+     * @param _vendor The vendor's primary address
+     * @param _sha256 SHA-256 digest of the SBOM file
+     * @return The SBOM hash (zero if the vendor recorded no such digest)
+     */
+    function getHashBySHA256(address _vendor, bytes32 _sha256) public view returns (bytes32) {
+        return getHashByDigest(_vendor, "SHA-256", abi.encodePacked(_sha256));
+    }
+    
+    // ═══════════════════════════════════════════════════════════
+    // FORMAT CONVERSION FUNCTIONS
+    // ═══════════════════════════════════════════════════════════
+    
+    /**
+     * @dev Link a registered SBOM to the registered SBOM it was converted from
+     * (e.g. a CycloneDX document generated from a Syft document)
+     * @param _sourceHash The hash of the original SBOM
+     * @param _derivedHash The hash of the converted SBOM
+     */
+    function linkDerivedSBOM(bytes32 _sourceHash, bytes32 _derivedHash) public whenNotPaused {
+        require(sbomRecords[_sourceHash].timestamp != 0, "Source SBOM not found");
+        require(sbomRecords[_derivedHash].timestamp != 0, "Derived SBOM not found");
+        require(_sourceHash != _derivedHash, "Cannot link an SBOM to itself");
+        address vendor = _vendorOf(msg.sender);
+        require(sbomRecords[_sourceHash].vendor == vendor, "Only original vendor can link conversions");
+        require(sbomRecords[_derivedHash].vendor == vendor, "Derived SBOM must be registered by the same vendor");
+        require(sourceHashes[_sourceHash] == bytes32(0), "Source SBOM is itself a conversion");
+        require(sourceHashes[_derivedHash] == bytes32(0), "Derived SBOM already linked");
+        
+        sourceHashes[_derivedHash] = _sourceHash;
+        derivedHashes[_sourceHash].push(_derivedHash);
+        
+        emit SBOMDerived(_sourceHash, _derivedHash, vendor, block.timestamp);
+    }
+    
+    /**
+     * @dev Get the SBOM a converted SBOM was generated from
+     * @param _hash The hash of the converted SBOM
+     * @return The source SBOM hash (zero if the SBOM is not a conversion)
+     */
+    function getSourceSBOM(bytes32 _hash) public view returns (bytes32) {
+        return sourceHashes[_hash];
+    }
+    
+    /**
+     * @dev Get the SBOMs converted from an SBOM
+     * @param _hash The hash of the source SBOM
+     * @return Array of converted SBOM hashes
+     */
+    function getDerivedSBOMs(bytes32 _hash) public view returns (bytes32[] memory) {
+        return derivedHashes[_hash];
+    }
+    
+    // ═══════════════════════════════════════════════════════════
+    // VEX FUNCTIONS
+    // ═══════════════════════════════════════════════════════════
+    
+    /**
+     * @dev Allow an address to publish VEX documents for the caller's SBOMs
+     * (a per-vendor allowlist, unrelated to the registry's Auditor role)
+     * @param _publisher Address of the publisher
+     */
+    function authorizeVEXPublisher(address _publisher) public {
+        address vendor = _requireVerifiedVendor(msg.sender);
+        require(_publisher != address(0), "Invalid publisher address");
+        require(signingKeys[_publisher].vendor != vendor, "Vendor is its own VEX publisher");
+        require(!vexPublishers[vendor][_publisher], "Publisher already authorized");
         
-        require(v == 27 || v == 28, "Invalid signature version");
+        vexPublishers[vendor][_publisher] = true;
         
-        // Ethereum signed message prefix
-        bytes32 ethSignedHash = keccak256(
-            abi.encodePacked("\x19Ethereum Signed Message:\n32", _hash)
+        emit VEXPublisherAuthorized(vendor, _publisher, block.timestamp);
+    }
+    
+    /**
+     * @dev Withdraw a publisher's permission to publish VEX for the caller's SBOMs
+     * (documents already published stay on record)
+     * @param _publisher Address of the publisher
+     */
+    function revokeVEXPublisher(address _publisher) public {
+        address vendor = _vendorOf(msg.sender);
+        require(vexPublishers[vendor][_publisher], "Publisher not authorized");
+        
+        vexPublishers[vendor][_publisher] = false;
+        
+        emit VEXPublisherRevoked(vendor, _publisher, block.timestamp);
+    }
+    
+    /**
+     * @dev Check if an address may publish VEX for a vendor's SBOMs
+     * @param _vendor Address of the vendor
+     * @param _publisher Address of the publisher
+     * @return Whether the vendor authorized the publisher
+     */
+    function isVEXPublisher(address _vendor, address _publisher) public view returns (bool) {
+        return vexPublishers[_vendor][_publisher];
+    }
+    
+    /**
+     * @dev Publish a signed VEX document for a registered SBOM
+     * @param _sbomHash The hash of the SBOM the statements are about
+     * @param _documentHash The hash of the VEX document (keccak256)
+     * @param _statements JSON summary of the document's statements
+     * @param _signature Sender's EIP-712 signature of the SBOM, document and statements hashes
+     */
+    function publishVEX(
+        bytes32 _sbomHash,
+        bytes32 _documentHash,
+        string memory _statements,
+        bytes memory _signature
+    ) public whenNotPaused {
+        require(sbomRecords[_sbomHash].timestamp != 0, "SBOM not found");
+        address vendor = sbomRecords[_sbomHash].vendor;
+        require(
+            _vendorOf(msg.sender) == vendor || vexPublishers[vendor][msg.sender],
+            "Only the SBOM vendor or its VEX publishers can publish VEX"
         );
+        require(_documentHash != bytes32(0), "Invalid document hash");
+        require(vexRecords[_documentHash].timestamp == 0, "VEX document already published");
+        require(_signature.length == 65, "Invalid signature length");
+        
+        // Verify the signature was created by the sender, for this registry, SBOM and summary
+        bytes32 structHash = keccak256(abi.encode(VEX_TYPEHASH, _sbomHash, _documentHash, keccak256(bytes(_statements))));
+        require(_recoverTyped(_typedDigest(structHash), _signature) == msg.sender, "Invalid signature - signer does not match sender");
+        
+        vexRecords[_documentHash] = VEXRecord({
+            sbomHash: _sbomHash,
+            documentHash: _documentHash,
+            author: msg.sender,
+            timestamp: block.timestamp,
+            statements: _statements,
+            signature: _signature
+        });
+        sbomVEX[_sbomHash].push(_documentHash);
+        
+        emit VEXPublished(_sbomHash, _documentHash, msg.sender, block.timestamp);
+    }
+    
+    /**
+     * @dev Get a published VEX document record
+     * @param _documentHash The hash of the VEX document
+     * @return The VEX record (zero timestamp if not published)
+     */
+    function getVEX(bytes32 _documentHash) public view returns (VEXRecord memory) {
+        return vexRecords[_documentHash];
+    }
+    
+    /**
+     * @dev Get the VEX documents published for an SBOM
+     * @param _sbomHash The hash of the SBOM
+     * @return Array of VEX document hashes, oldest first
+     */
+    function getVEXDocuments(bytes32 _sbomHash) public view returns (bytes32[] memory) {
+        return sbomVEX[_sbomHash];
+    }
+    
+    // ═══════════════════════════════════════════════════════════
+    // WITHDRAWAL FUNCTIONS
+    // ═══════════════════════════════════════════════════════════
+    
+    /**
+     * @dev Withdraw an SBOM registered by mistake or found to be wrong
+     * (the record stays on-chain; verification reports it as withdrawn)
+     * @param _hash The hash of the SBOM to withdraw
+     * @param _reason Why it is withdrawn
+     * @param _replacementHash SBOM to use instead (zero if none; required for Superseded)
+     */
+    function withdrawSBOM(bytes32 _hash, WithdrawalReason _reason, bytes32 _replacementHash) public {
+        require(sbomRecords[_hash].timestamp != 0, "SBOM not found");
+        require(sbomRecords[_hash].vendor == _vendorOf(msg.sender), "Only original vendor can withdraw");
+        require(withdrawals[_hash].timestamp == 0, "SBOM already withdrawn");
+        require(_reason != WithdrawalReason.None, "Invalid withdrawal reason");
+        
+        if (_replacementHash != bytes32(0)) {
+            require(_replacementHash != _hash, "SBOM cannot replace itself");
+            require(sbomRecords[_replacementHash].timestamp != 0, "Replacement SBOM not found");
+            require(sbomRecords[_replacementHash].vendor == sbomRecords[_hash].vendor, "Replacement must be registered by the same vendor");
+        } else {
+            require(_reason != WithdrawalReason.Superseded, "Superseded SBOM needs a replacement");
+        }
+        
+        withdrawals[_hash] = Withdrawal({
+            reason: _reason,
+            replacementHash: _replacementHash,
+            timestamp: block.timestamp
+        });
         
-        // Recover the signer address using ecrecover
-        return ecrecover(ethSignedHash, v, r, s);
+        emit SBOMWithdrawn(_hash, sbomRecords[_hash].vendor, _reason, _replacementHash, block.timestamp);
     }
     
     /**
-     * @dev Verify that a stored SBOM's signature is valid
+     * @dev Get the withdrawal of an SBOM
+     * @param _hash The hash of the SBOM
+     * @return The withdrawal (reason None and zero timestamp if not withdrawn)
+     */
+    function getWithdrawal(bytes32 _hash) public view returns (Withdrawal memory) {
+        return withdrawals[_hash];
+    }
+    
+    // ═══════════════════════════════════════════════════════════
+    // AUDITOR FLAG FUNCTIONS
+    // ═══════════════════════════════════════════════════════════
+    
+    /**
+     * @dev Flag an SBOM as questionable
+     * @param _hash The hash of the SBOM
+     * @param _reasonHash Hash of the auditor's findings (zero if none)
+     */
+    function flagSBOM(bytes32 _hash, bytes32 _reasonHash) public onlyRole(Role.Auditor) {
+        require(sbomRecords[_hash].timestamp != 0, "SBOM not found");
+        Flag[] storage flags = sbomFlags[_hash];
+        for (uint256 i = 0; i < flags.length; i++) {
+            require(flags[i].auditor != msg.sender, "SBOM already flagged by this auditor");
+        }
+        
+        flags.push(Flag({
+            auditor: msg.sender,
+            reasonHash: _reasonHash,
+            timestamp: block.timestamp
+        }));
+        
+        emit SBOMFlagged(_hash, msg.sender, _reasonHash, block.timestamp);
+    }
+    
+    /**
+     * @dev Clear the caller's flag on an SBOM
+     * @param _hash The hash of the SBOM
+     */
+    function clearFlag(bytes32 _hash) public {
+        Flag[] storage flags = sbomFlags[_hash];
+        for (uint256 i = 0; i < flags.length; i++) {
+            if (flags[i].auditor == msg.sender) {
+                flags[i] = flags[flags.length - 1];
+                flags.pop();
+                emit SBOMFlagCleared(_hash, msg.sender, block.timestamp);
+                return;
+            }
+        }
+        revert("SBOM not flagged by this auditor");
+    }
+    
+    /**
+     * @dev Get the flags raised on an SBOM
+     * @param _hash The hash of the SBOM
+     * @return Array of flags (auditors may since have lost their role)
+     */
+    function getFlags(bytes32 _hash) public view returns (Flag[] memory) {
+        return sbomFlags[_hash];
+    }
+    
+    // ═══════════════════════════════════════════════════════════
+    // SIGNATURE VERIFICATION FUNCTIONS
+    // ═══════════════════════════════════════════════════════════
+    
+    /**
+     * @dev Verify that a stored SBOM's signature is valid: made by one of the
+     * vendor's keys while the key was active (not after it was compromised)
      * @param _hash The hash of the SBOM to verify
      * @return isValid Whether the signature is valid
-     * @return signer The address that signed it
+     * @return signer The key that signed it
      */
     function verifySignature(bytes32 _hash) 
         public 
         view 
         returns (bool isValid, address signer) 
     {
-        SBOMRecord memory record = sbomRecords[_hash];
+        SBOMRecord storage record = sbomRecords[_hash];
         
         // Check if record exists
         if (record.timestamp == 0) {
             return (false, address(0));
         }
         
-        // Recover the signer from the stored signature
-        signer = recoverSigner(_hash, record.signature);
+        // Recover the signer from the stored EIP-712 signature; records signed before
+        // EIP-712 submissions carry a plain signature of the hash instead
+        signer = _recoverTyped(_recordDigest(_hash, record), record.signature);
+        if (_signerVendor(signer) != record.vendor) {
+            signer = recoverSigner(_hash, record.signature);
+        }
         
-        // Check if the recovered signer matches the stored vendor
-        isValid = (signer == record.vendor);
+        // Check that the signer is the vendor's key or delegate and was trusted when it signed
+        isValid = _signerVendor(signer) == record.vendor &&
+            getKeyStatusAt(signer, record.timestamp) == KeyStatus.Active;
         
         return (isValid, signer);
     }
@@ -354,8 +935,11 @@ contract SBOMRegistry {
      * @param _hash The hash to verify
      * @return exists Whether the SBOM is registered
      * @return signatureValid Whether the signature is valid
-     * @return vendorVerified Whether the vendor is verified
+     * @return vendorVerified Whether the vendor is verified now
      * @return vendorName Name of the vendor
+     * @return withdrawalReason Why the vendor withdrew the SBOM (None if it has not)
+     * @return keyStatus Status of the signing key when the SBOM was registered
+     * @return vendorVerifiedAtRegistration Whether the vendor was verified when the SBOM was registered
      */
     function verifyCompleteSBOM(bytes32 _hash) 
         public 
@@ -364,24 +948,35 @@ contract SBOMRegistry {
             bool exists,
             bool signatureValid,
             bool vendorVerified,
-            string memory vendorName
+            string memory vendorName,
+            WithdrawalReason withdrawalReason,
+            KeyStatus keyStatus,
+            bool vendorVerifiedAtRegistration
         ) 
     {
-        SBOMRecord memory record = sbomRecords[_hash];
+        SBOMRecord storage record = sbomRecords[_hash];
         exists = record.timestamp != 0;
         
         if (!exists) {
-            return (false, false, false, "");
+            return (false, false, false, "", WithdrawalReason.None, KeyStatus.Unknown, false);
         }
         
-        // Verify signature
-        (signatureValid, ) = verifySignature(_hash);
+        // Verify signature, and how far its key could be trusted at the time
+        address signer;
+        (signatureValid, signer) = verifySignature(_hash);
+        keyStatus = _signerVendor(signer) == record.vendor
+            ? getKeyStatusAt(signer, record.timestamp)
+            : KeyStatus.Unknown;
         
-        // Check vendor verification
+        // Check vendor verification, now and when the SBOM was registered
         vendorVerified = vendors[record.vendor].verified;
         vendorName = vendors[record.vendor].name;
+        withdrawalReason = withdrawals[_hash].reason;
+        vendorVerifiedAtRegistration = wasVerifiedVendorAt(record.vendor, record.timestamp);
         
-        return (exists, signatureValid, vendorVerified, vendorName);
+        return (
+            exists, signatureValid, vendorVerified, vendorName, withdrawalReason, keyStatus, vendorVerifiedAtRegistration
+        );
     }
     
     // ═══════════════════════════════════════════════════════════
@@ -412,6 +1007,19 @@ contract SBOMRegistry {
         return versionHistory[root].length;
     }
     
+    /**
+     * @dev Get the latest version of the chain an SBOM belongs to
+     * @param _hash The hash of any version in the chain
+     * @return The hash of the latest version (zero if the SBOM is not registered)
+     */
+    function getLatestVersion(bytes32 _hash) public view returns (bytes32) {
+        bytes32[] storage history = versionHistory[rootHash[_hash]];
+        if (history.length == 0) {
+            return bytes32(0);
+        }
+        return history[history.length - 1];
+    }
+    
     /**
      * @dev Get the root hash (first version) for any hash in the chain
      * @param _hash The hash of any version
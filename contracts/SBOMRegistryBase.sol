@@ -0,0 +1,750 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title SBOMRegistryBase
+ * @dev Types, storage, events and shared helpers of the SBOM registry, common to
+ * SBOMRegistry and the SBOMRegistryExtension it delegates to (so both use one storage layout)
+ * @author SBOM Blockchain Verification Project
+ */
+abstract contract SBOMRegistryBase {
+    
+    // ═══════════════════════════════════════════════════════════
+    // STRUCTS
+    // ═══════════════════════════════════════════════════════════
+    
+    /**
+     * @dev Structure to store SBOM record information, keyed by the hash of the SBOM file
+     * (vendor and nonce share one slot)
+     */
+    struct SBOMRecord {
+        address vendor;         // Address of the vendor who registered it
+        uint64 nonce;           // Signer's nonce covered by the signature
+        uint256 timestamp;      // When it was registered
+        string metadata;        // JSON metadata (version, project name, etc.)
+        bytes32 previousHash;   // Hash of previous version (for version tracking)
+        bytes signature;        // Vendor's EIP-712 signature of the submission
+    }
+    
+    /**
+     * @dev Structure to store an additional, algorithm-tagged digest of an SBOM
+     */
+    struct Digest {
+        string algorithm;       // Algorithm name as used by CycloneDX (e.g. "SHA-256")
+        bytes digest;           // Raw digest bytes
+    }
+    
+    /**
+     * @dev Structure to store vendor information
+     */
+    struct VendorInfo {
+        string name;            // Company/Vendor name
+        string website;         // Official website
+        string contactEmail;    // Contact email
+        bool verified;          // Whether the vendor is verified
+        uint256 registeredAt;   // When the vendor was registered
+    }
+    
+    /**
+     * @dev Structure to store a change of a vendor's verification status
+     */
+    struct VendorStatusChange {
+        bool verified;          // Whether the vendor is verified from this time on
+        uint256 timestamp;      // When the status changed
+    }
+    
+    /**
+     * @dev Structure to store a vendor signing key
+     * (vendor, addedAt and retiredAt share one slot, read on every submission)
+     */
+    struct SigningKey {
+        address vendor;         // Vendor the key signs for (its registration address)
+        uint48 addedAt;         // When the key was authorized
+        uint48 retiredAt;       // When the key stopped signing (zero while active)
+        uint256 compromisedAt;  // Signatures from this time on are distrusted (zero if never)
+    }
+    
+    /**
+     * @dev Status of a signing key at a point in time
+     */
+    enum KeyStatus { Unknown, Active, Retired, Compromised }
+    
+    /**
+     * @dev Structure to store a vendor's delegation of signing rights (e.g. to a CI bot)
+     */
+    struct Delegation {
+        address vendor;         // Vendor the delegate signs for
+        uint48 createdAt;       // When the delegation was granted
+        uint48 expiresAt;       // When it lapses
+        uint256 revokedAt;      // When the vendor revoked it (zero if not)
+        bytes32[] scopes;       // keccak256 of product names it may register and update,
+                                // and root hashes of version chains it may update
+    }
+    
+    /**
+     * @dev Structure to store a signed VEX (Vulnerability Exploitability eXchange) document
+     */
+    struct VEXRecord {
+        bytes32 sbomHash;       // Hash of the SBOM the statements are about
+        bytes32 documentHash;   // Hash of the VEX document (keccak256)
+        address author;         // Vendor or VEX publisher it authorized
+        uint256 timestamp;      // When it was published
+        string statements;      // JSON summary of the statements (vulnerability, status, ...)
+        bytes signature;        // Author's EIP-712 signature of the SBOM, document and statements hashes
+    }
+    
+    /**
+     * @dev Registry roles: admins manage vendors, auditors flag SBOMs, pausers stop new submissions
+     */
+    enum Role { Admin, Auditor, Pauser }
+    
+    /**
+     * @dev Structure to store an auditor's flag on an SBOM
+     */
+    struct Flag {
+        address auditor;        // Auditor who raised it
+        bytes32 reasonHash;     // Hash of the auditor's findings (zero if none)
+        uint256 timestamp;      // When it was raised
+    }
+    
+    /**
+     * @dev Structure to store an auditor's endorsement (co-signature) of an SBOM
+     */
+    struct Endorsement {
+        address auditor;        // Auditor who reviewed the SBOM
+        bytes32 commentHash;    // Hash of the auditor's comments (zero if none)
+        uint256 timestamp;      // When it was endorsed
+        bytes signature;        // Auditor's EIP-712 signature of the SBOM and comment hashes
+    }
+    
+    /**
+     * @dev Why a vendor withdrew an SBOM (None: not withdrawn)
+     */
+    enum WithdrawalReason { None, Superseded, Inaccurate, KeyCompromise, Withdrawn }
+    
+    /**
+     * @dev Structure to store a vendor's withdrawal of an SBOM
+     */
+    struct Withdrawal {
+        WithdrawalReason reason;    // Why the SBOM was withdrawn
+        bytes32 replacementHash;    // SBOM to use instead (zero if none)
+        uint256 timestamp;          // When it was withdrawn
+    }
+    
+    // ═══════════════════════════════════════════════════════════
+    // STATE VARIABLES
+    // ═══════════════════════════════════════════════════════════
+    
+    // EIP-712 type of the registry's signing domain
+    bytes32 internal constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    
+    // EIP-712 type of a signed SBOM submission
+    bytes32 internal constant SBOM_TYPEHASH = keccak256(
+        "SBOM(bytes32 hash,bytes32 metadataHash,bytes32 previousHash,uint256 nonce)"
+    );
+    
+    // EIP-712 type of a new SBOM a delegate registers, naming the product its delegation must cover
+    bytes32 internal constant DELEGATED_SBOM_TYPEHASH = keccak256(
+        "DelegatedSBOM(bytes32 hash,bytes32 metadataHash,bytes32 productHash,uint256 nonce)"
+    );
+    
+    // EIP-712 type of an auditor's endorsement of an SBOM
+    bytes32 internal constant ENDORSEMENT_TYPEHASH = keccak256(
+        "Endorsement(bytes32 hash,bytes32 commentHash)"
+    );
+    
+    // EIP-712 type of a VEX document published for an SBOM
+    bytes32 internal constant VEX_TYPEHASH = keccak256(
+        "VEX(bytes32 sbomHash,bytes32 documentHash,bytes32 statementsHash)"
+    );
+    
+    // EIP-712 type of a registration request a vendor signs for a relayer to submit
+    bytes32 internal constant RELAYED_SBOM_TYPEHASH = keccak256(
+        "RelayedSBOM(bytes32 hash,bytes32 metadataHash,uint256 nonce,uint256 deadline)"
+    );
+    
+    // Largest 's' of a canonical (low-s) signature: half the secp256k1 curve order
+    uint256 internal constant MAX_SIGNATURE_S = 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
+    
+    // Mapping from SBOM hash to its record
+    mapping(bytes32 => SBOMRecord) public sbomRecords;
+    
+    // Mapping from root hash to array of all version hashes
+    mapping(bytes32 => bytes32[]) public versionHistory;
+    
+    // Mapping from any hash to its root hash (first version)
+    mapping(bytes32 => bytes32) public rootHash;
+    
+    // Mapping from vendor address to vendor information
+    mapping(address => VendorInfo) public vendors;
+    
+    // Mapping from vendor address to its verification status changes, oldest first
+    mapping(address => VendorStatusChange[]) internal vendorStatusHistory;
+    
+    // Mapping from signing key address to the key's vendor and status
+    mapping(address => SigningKey) internal signingKeys;
+    
+    // Mapping from vendor address to every key it has had, oldest first
+    mapping(address => address[]) internal vendorKeys;
+    
+    // Mapping from delegate address to its current delegation
+    mapping(address => Delegation) internal delegations;
+    
+    // Mapping from delegate address to the lapsed delegations its current one renewed, oldest first
+    mapping(address => Delegation[]) internal pastDelegations;
+    
+    // Mapping from vendor address to every delegate it has appointed, oldest first
+    mapping(address => address[]) internal vendorDelegates;
+    
+    // Mapping from SBOM hash to the delegate that signed it (zero if a vendor key did)
+    mapping(bytes32 => address) internal delegateSigners;
+    
+    // Mapping from root hash to keccak256 of the product a delegate registered it as
+    mapping(bytes32 => bytes32) internal chainProducts;
+    
+    // Mapping from key or delegate address to the nonce its next signed submission must cover
+    mapping(address => uint64) internal signerNonces;
+    
+    // Mapping from SBOM hash to the deadline of the relayed request it was registered with
+    // (zero if the vendor submitted it itself)
+    mapping(bytes32 => uint256) internal relayDeadlines;
+    
+    // Mapping from SBOM hash to the Merkle root of its components
+    mapping(bytes32 => bytes32) public componentRoots;
+    
+    // Mapping from SBOM hash to its additional digests (SHA-256, SHA-512, ...)
+    mapping(bytes32 => Digest[]) internal sbomDigests;
+    
+    // Reverse lookup, scoped per vendor: vendor => keccak256(algorithm) => keccak256(digest) => SBOM hash
+    // Digests are the vendor's own claim, so a digest only finds records of the vendor that claimed it
+    mapping(address => mapping(bytes32 => mapping(bytes32 => bytes32))) internal digestToHash;
+    
+    // Mapping from a converted SBOM's hash to the hash of the SBOM it was converted from
+    mapping(bytes32 => bytes32) internal sourceHashes;
+    
+    // Mapping from an SBOM hash to the hashes of the documents converted from it
+    mapping(bytes32 => bytes32[]) internal derivedHashes;
+    
+    // Mapping from VEX document hash to its record
+    mapping(bytes32 => VEXRecord) public vexRecords;
+    
+    // Mapping from SBOM hash to the hashes of the VEX documents published for it
+    mapping(bytes32 => bytes32[]) internal sbomVEX;
+    
+    // Addresses a vendor allows to publish VEX for its SBOMs: vendor => publisher => authorized
+    // (independent of Role.Auditor, which is granted by registry admins)
+    mapping(address => mapping(address => bool)) internal vexPublishers;
+    
+    // Mapping from SBOM hash to its withdrawal (zero timestamp if not withdrawn)
+    mapping(bytes32 => Withdrawal) internal withdrawals;
+    
+    // Role membership: role => account => granted
+    mapping(Role => mapping(address => bool)) internal roles;
+    
+    // Accounts holding each role
+    mapping(Role => address[]) internal roleMembers;
+    
+    // Mapping from SBOM hash to the flags auditors raised on it
+    mapping(bytes32 => Flag[]) internal sbomFlags;
+    
+    // Mapping from SBOM hash to the endorsements auditors gave it
+    mapping(bytes32 => Endorsement[]) internal sbomEndorsements;
+    
+    // Registry owner (grants and revokes roles)
+    address public registryOwner;
+    
+    // Owner proposed by the current owner, until it accepts
+    address public pendingOwner;
+    
+    // Whether new submissions are stopped
+    bool public paused;
+    
+    // ═══════════════════════════════════════════════════════════
+    // EVENTS
+    // ═══════════════════════════════════════════════════════════
+    
+    event SBOMRegistered(
+        bytes32 indexed hash,
+        address indexed vendor,
+        uint256 timestamp,
+        string metadata
+    );
+    
+    event SBOMRelayed(
+        bytes32 indexed hash,
+        address indexed vendor,
+        address indexed relayer,
+        uint256 timestamp
+    );
+    
+    event SBOMUpdated(
+        bytes32 indexed oldHash,
+        bytes32 indexed newHash,
+        address indexed vendor,
+        uint256 timestamp
+    );
+    
+    event ComponentRootAnchored(
+        bytes32 indexed hash,
+        bytes32 componentRoot,
+        uint256 timestamp
+    );
+    
+    event DigestAdded(
+        bytes32 indexed hash,
+        string algorithm,
+        bytes digest
+    );
+    
+    event SBOMDerived(
+        bytes32 indexed sourceHash,
+        bytes32 indexed derivedHash,
+        address indexed vendor,
+        uint256 timestamp
+    );
+    
+    event VEXPublished(
+        bytes32 indexed sbomHash,
+        bytes32 indexed documentHash,
+        address indexed author,
+        uint256 timestamp
+    );
+    
+    event VEXPublisherAuthorized(
+        address indexed vendor,
+        address indexed publisher,
+        uint256 timestamp
+    );
+    
+    event VEXPublisherRevoked(
+        address indexed vendor,
+        address indexed publisher,
+        uint256 timestamp
+    );
+    
+    event SBOMWithdrawn(
+        bytes32 indexed hash,
+        address indexed vendor,
+        WithdrawalReason reason,
+        bytes32 replacementHash,
+        uint256 timestamp
+    );
+    
+    event VendorRegistered(
+        address indexed vendor,
+        string name,
+        uint256 timestamp
+    );
+    
+    event VendorRevoked(
+        address indexed vendor,
+        uint256 timestamp
+    );
+    
+    event SigningKeyAdded(
+        address indexed vendor,
+        address indexed key,
+        uint256 timestamp
+    );
+    
+    event SigningKeyRetired(
+        address indexed vendor,
+        address indexed key,
+        uint256 timestamp
+    );
+    
+    event SigningKeyCompromised(
+        address indexed vendor,
+        address indexed key,
+        uint256 compromisedAt,
+        uint256 timestamp
+    );
+    
+    event DelegateAdded(
+        address indexed vendor,
+        address indexed delegate,
+        uint256 expiresAt,
+        uint256 timestamp
+    );
+    
+    event DelegateRevoked(
+        address indexed vendor,
+        address indexed delegate,
+        uint256 timestamp
+    );
+    
+    event SBOMSignedByDelegate(
+        bytes32 indexed hash,
+        address indexed vendor,
+        address indexed delegate,
+        uint256 timestamp
+    );
+    
+    event RoleGranted(
+        Role indexed role,
+        address indexed account,
+        address indexed sender,
+        uint256 timestamp
+    );
+    
+    event RoleRevoked(
+        Role indexed role,
+        address indexed account,
+        address indexed sender,
+        uint256 timestamp
+    );
+    
+    event OwnershipProposed(
+        address indexed currentOwner,
+        address indexed proposedOwner,
+        uint256 timestamp
+    );
+    
+    event OwnershipTransferred(
+        address indexed previousOwner,
+        address indexed newOwner,
+        uint256 timestamp
+    );
+    
+    event Paused(
+        address indexed account,
+        uint256 timestamp
+    );
+    
+    event Unpaused(
+        address indexed account,
+        uint256 timestamp
+    );
+    
+    event SBOMFlagged(
+        bytes32 indexed hash,
+        address indexed auditor,
+        bytes32 reasonHash,
+        uint256 timestamp
+    );
+    
+    event SBOMFlagCleared(
+        bytes32 indexed hash,
+        address indexed auditor,
+        uint256 timestamp
+    );
+    
+    event SBOMEndorsed(
+        bytes32 indexed hash,
+        address indexed auditor,
+        bytes32 commentHash,
+        uint256 timestamp
+    );
+    
+    // ═══════════════════════════════════════════════════════════
+    // MODIFIERS
+    // ═══════════════════════════════════════════════════════════
+    
+    modifier onlyRegistryOwner() {
+        require(msg.sender == registryOwner, "Only registry owner can perform this action");
+        _;
+    }
+    
+    modifier onlyRole(Role _role) {
+        require(roles[_role][msg.sender], "Caller does not have the required role");
+        _;
+    }
+    
+    modifier whenNotPaused() {
+        require(!paused, "Registry is paused");
+        _;
+    }
+    
+    // ═══════════════════════════════════════════════════════════
+    // SHARED FUNCTIONS
+    // ═══════════════════════════════════════════════════════════
+    
+    /**
+     * @dev Recover the signer's address from a plain (personal_sign) signature of a hash,
+     * as used by SBOMs signed before EIP-712 submissions
+     * @param _hash The hash that was signed
+     * @param _signature The signature bytes (65 bytes: r, s, v)
+     * @return The address that created the signature
+     */
+    function recoverSigner(bytes32 _hash, bytes memory _signature) 
+        public 
+        pure 
+        returns (address) 
+    {
+        require(_signature.length == 65, "Invalid signature length");
+        
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        
+        // Extract r, s, v from signature
+        assembly {
+            r := mload(add(_signature, 32))
+            s := mload(add(_signature, 64))
+            v := byte(0, mload(add(_signature, 96)))
+        }
+        
+        // Version of signature should be 27 or 28
+        if (v < 27) {
+            v += 27;
+        }
+        
+        require(v == 27 || v == 28, "Invalid signature version");
+        
+        // Ethereum signed message prefix
+        bytes32 ethSignedHash = keccak256(
+            abi.encodePacked("\x19Ethereum Signed Message:\n32", _hash)
+        );
+        
+        // Recover the signer address using ecrecover
+        return ecrecover(ethSignedHash, v, r, s);
+    }
+    
+    /**
+     * @dev Get the EIP-712 domain separator, binding signatures to this registry and chain
+     * @return The domain separator
+     */
+    function _domainSeparator() internal view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256("SBOMRegistry"),
+            keccak256("1"),
+            block.chainid,
+            address(this)
+        ));
+    }
+    
+    /**
+     * @dev Get the EIP-712 digest of a struct, under the registry's domain
+     * @param _structHash Hash of the typed struct
+     * @return The digest
+     */
+    function _typedDigest(bytes32 _structHash) internal view returns (bytes32) {
+        return keccak256(abi.encodePacked("\x19\x01", _domainSeparator(), _structHash));
+    }
+    
+    /**
+     * @dev Get the EIP-712 digest signed for an SBOM submission
+     * @param _hash The hash of the SBOM file (keccak256)
+     * @param _metadata JSON metadata submitted with it
+     * @param _previousHash Hash of the version it updates (zero for a first version)
+     * @param _nonce Signer's nonce
+     * @return The digest
+     */
+    function _sbomDigest(
+        bytes32 _hash,
+        string memory _metadata,
+        bytes32 _previousHash,
+        uint256 _nonce
+    ) internal view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            SBOM_TYPEHASH,
+            _hash,
+            keccak256(bytes(_metadata)),
+            _previousHash,
+            _nonce
+        ));
+        return _typedDigest(structHash);
+    }
+    
+    /**
+     * @dev Get the EIP-712 digest a delegate signs to register a new SBOM for a product
+     * @param _hash The hash of the SBOM file (keccak256)
+     * @param _metadata JSON metadata submitted with it
+     * @param _productHash keccak256 of the product name
+     * @param _nonce Delegate's nonce
+     * @return The digest
+     */
+    function _delegatedDigest(
+        bytes32 _hash,
+        string memory _metadata,
+        bytes32 _productHash,
+        uint256 _nonce
+    ) internal view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            DELEGATED_SBOM_TYPEHASH,
+            _hash,
+            keccak256(bytes(_metadata)),
+            _productHash,
+            _nonce
+        ));
+        return _typedDigest(structHash);
+    }
+    
+    /**
+     * @dev Get the EIP-712 digest signed for a relayed registration request
+     * @param _hash The hash of the SBOM file (keccak256)
+     * @param _metadata JSON metadata submitted with it
+     * @param _nonce Signer's nonce
+     * @param _deadline Time after which the request can no longer be submitted
+     * @return The digest
+     */
+    function _relayDigest(
+        bytes32 _hash,
+        string memory _metadata,
+        uint256 _nonce,
+        uint256 _deadline
+    ) internal view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            RELAYED_SBOM_TYPEHASH,
+            _hash,
+            keccak256(bytes(_metadata)),
+            _nonce,
+            _deadline
+        ));
+        return _typedDigest(structHash);
+    }
+    
+    /**
+     * @dev Get the EIP-712 digest a stored record's signature was made over
+     * @param _hash The hash of the SBOM
+     * @param _record The SBOM's record
+     * @return The digest of its submission, of its relayed request, or of its delegated registration
+     */
+    function _recordDigest(bytes32 _hash, SBOMRecord storage _record) internal view returns (bytes32) {
+        uint256 deadline = relayDeadlines[_hash];
+        if (deadline != 0) {
+            return _relayDigest(_hash, _record.metadata, _record.nonce, deadline);
+        }
+        // Only chains a delegate registered record a product, under their first version
+        bytes32 productHash = chainProducts[_hash];
+        if (productHash != bytes32(0)) {
+            return _delegatedDigest(_hash, _record.metadata, productHash, _record.nonce);
+        }
+        return _sbomDigest(_hash, _record.metadata, _record.previousHash, _record.nonce);
+    }
+    
+    /**
+     * @dev Recover the signer of an EIP-712 digest, accepting only canonical signatures
+     * (low 's', 'v' of 27 or 28), so a signature has exactly one valid encoding
+     * @param _digest The digest that was signed
+     * @param _signature The signature bytes (65 bytes: r, s, v)
+     * @return The address that created the signature (zero if the signature is malformed)
+     */
+    function _recoverTyped(bytes32 _digest, bytes memory _signature) internal pure returns (address) {
+        if (_signature.length != 65) {
+            return address(0);
+        }
+        
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(_signature, 32))
+            s := mload(add(_signature, 64))
+            v := byte(0, mload(add(_signature, 96)))
+        }
+        if (uint256(s) > MAX_SIGNATURE_S || (v != 27 && v != 28)) {
+            return address(0);
+        }
+        return ecrecover(_digest, v, r, s);
+    }
+    
+    /**
+     * @dev Check that the sender signed an SBOM submission for its current nonce, and use the nonce up
+     * @param _hash The hash of the SBOM file (keccak256)
+     * @param _metadata JSON metadata submitted with it
+     * @param _previousHash Hash of the version it updates (zero for a first version)
+     * @param _signature The sender's EIP-712 signature
+     * @return nonce The nonce the signature covers
+     */
+    function _useSignature(
+        bytes32 _hash,
+        string memory _metadata,
+        bytes32 _previousHash,
+        bytes memory _signature
+    ) internal returns (uint64 nonce) {
+        nonce = signerNonces[msg.sender];
+        require(
+            _recoverTyped(_sbomDigest(_hash, _metadata, _previousHash, nonce), _signature) == msg.sender,
+            "Invalid signature - signer does not match sender"
+        );
+        signerNonces[msg.sender] = nonce + 1;
+    }
+    
+    /**
+     * @dev Store the first version of a new SBOM
+     * @param _hash The hash of the SBOM file (keccak256)
+     * @param _vendor Address of the vendor it is registered under
+     * @param _nonce Signer's nonce covered by the signature
+     * @param _metadata JSON string containing additional info
+     * @param _signature EIP-712 signature of the key or delegate that submitted it
+     */
+    function _registerRecord(
+        bytes32 _hash,
+        address _vendor,
+        uint64 _nonce,
+        string memory _metadata,
+        bytes memory _signature
+    ) internal {
+        // Store the SBOM record under the vendor; the signature identifies the signer
+        sbomRecords[_hash] = SBOMRecord({
+            vendor: _vendor,
+            nonce: _nonce,
+            timestamp: block.timestamp,
+            metadata: _metadata,
+            previousHash: bytes32(0),
+            signature: _signature
+        });
+        
+        // Set this hash as its own root (first version)
+        rootHash[_hash] = _hash;
+        
+        // Initialize version history
+        versionHistory[_hash].push(_hash);
+        
+        emit SBOMRegistered(_hash, _vendor, block.timestamp, _metadata);
+    }
+    
+    /**
+     * @dev Get the vendor an active signing key signs for
+     * @param _key Address of the key
+     * @return The vendor address (zero if the key is unknown or retired)
+     */
+    function _vendorOf(address _key) internal view returns (address) {
+        SigningKey storage key = signingKeys[_key];
+        return key.retiredAt == 0 ? key.vendor : address(0);
+    }
+    
+    /**
+     * @dev Require the caller to be one of a vendor's active keys or a registry admin
+     * @param _vendor Address the vendor was registered with
+     */
+    function _requireKeyManager(address _vendor) internal view {
+        require(
+            _vendorOf(msg.sender) == _vendor || roles[Role.Admin][msg.sender],
+            "Only the vendor's active keys or a registry admin can manage its keys"
+        );
+    }
+    
+    /**
+     * @dev Get the verified vendor a delegate submits for, or revert unless its
+     * delegation is live and covers the product or version chain
+     * @param _delegate Address of the delegate
+     * @param _productHash keccak256 of the product name (zero if unknown)
+     * @param _root Root hash of the version chain (zero for a new chain)
+     * @return vendor The vendor address
+     */
+    function _requireDelegation(
+        address _delegate,
+        bytes32 _productHash,
+        bytes32 _root
+    ) internal view returns (address vendor) {
+        Delegation storage delegation = delegations[_delegate];
+        require(delegation.vendor != address(0), "Not a delegate");
+        require(delegation.revokedAt == 0, "Delegation revoked");
+        require(block.timestamp < delegation.expiresAt, "Delegation expired");
+        
+        bool covered = false;
+        for (uint256 i = 0; i < delegation.scopes.length && !covered; i++) {
+            bytes32 scope = delegation.scopes[i];
+            covered = scope != bytes32(0) && (scope == _productHash || scope == _root);
+        }
+        require(covered, "Not covered by the delegation");
+        
+        vendor = delegation.vendor;
+        require(vendors[vendor].verified, "Vendor not verified - please register as vendor first");
+    }
+}
@@ -0,0 +1,304 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./SBOMRegistryBase.sol";
+
+/**
+ * @title SBOMRegistryExtension
+ * @dev Functions of the SBOM registry that do not fit in SBOMRegistry's code size limit.
+ * SBOMRegistry deploys it and forwards calls it does not recognize to it with delegatecall,
+ * so they run against the registry's storage; call them at the registry's address
+ * @author SBOM Blockchain Verification Project
+ */
+contract SBOMRegistryExtension is SBOMRegistryBase {
+    
+    // ═══════════════════════════════════════════════════════════
+    // SUBMISSION SIGNING FUNCTIONS
+    // ═══════════════════════════════════════════════════════════
+    
+    /**
+     * @dev Get the EIP-712 domain separator SBOM submissions are signed under
+     * (name "SBOMRegistry", version "1", this chain and the registry's address)
+     * @return The domain separator
+     */
+    function getDomainSeparator() public view returns (bytes32) {
+        return _domainSeparator();
+    }
+    
+    /**
+     * @dev Get the nonce a key or delegate's next signed submission must cover
+     * @param _signer Address of the key or delegate
+     * @return The nonce (the number of SBOMs it has submitted)
+     */
+    function getNonce(address _signer) public view returns (uint256) {
+        return signerNonces[_signer];
+    }
+    
+    // ═══════════════════════════════════════════════════════════
+    // SIGNING KEY FUNCTIONS
+    // ═══════════════════════════════════════════════════════════
+    
+    /**
+     * @dev Mark a key compromised: it is retired, and SBOMs it signed from
+     * the given time on are distrusted while earlier ones stay valid.
+     * An active key can report itself; any other key only the vendor's primary
+     * (registration) address or a registry admin can report, so one leaked key
+     * cannot distrust the vendor's other keys
+     * @param _key Address of the key
+     * @param _compromisedAt Time from which the key can no longer be trusted
+     * (not before the key was added)
+     */
+    function reportKeyCompromise(address _key, uint256 _compromisedAt) public {
+        SigningKey storage key = signingKeys[_key];
+        require(key.vendor != address(0), "Key not found");
+        require(
+            (msg.sender == _key && key.retiredAt == 0) ||
+                (msg.sender == key.vendor && _vendorOf(msg.sender) == key.vendor) ||
+                roles[Role.Admin][msg.sender],
+            "Only the key itself, the vendor's primary address or a registry admin can report a compromise"
+        );
+        require(_compromisedAt >= key.addedAt && _compromisedAt <= block.timestamp, "Invalid compromise time");
+        require(key.compromisedAt == 0 || _compromisedAt < key.compromisedAt, "Key already reported compromised at or before this time");
+        
+        key.compromisedAt = _compromisedAt;
+        if (key.retiredAt == 0) {
+            key.retiredAt = uint48(block.timestamp);
+        }
+        
+        emit SigningKeyCompromised(key.vendor, _key, _compromisedAt, block.timestamp);
+    }
+    
+    // ═══════════════════════════════════════════════════════════
+    // RELAYED REGISTRATION FUNCTIONS
+    // ═══════════════════════════════════════════════════════════
+    
+    /**
+     * @dev Register a new SBOM from a request a vendor key signed offline, so the vendor
+     * needs no ETH; anyone (e.g. the platform's relayer) can submit it, once, before its deadline
+     * @param _signer Vendor key that signed the request
+     * @param _hash The hash of the SBOM file (keccak256)
+     * @param _metadata JSON string containing additional info (version, project, etc.)
+     * @param _deadline Time after which the request can no longer be submitted
+     * @param _signature Signer's EIP-712 signature of the hash, metadata, its nonce and the deadline
+     */
+    function registerSBOMFor(
+        address _signer,
+        bytes32 _hash,
+        string memory _metadata,
+        uint256 _deadline,
+        bytes memory _signature
+    ) public whenNotPaused {
+        require(sbomRecords[_hash].timestamp == 0, "SBOM already registered");
+        require(block.timestamp <= _deadline, "Request expired");
+        
+        // The request must be signed for the signer's current nonce, which it uses up
+        uint64 nonce = signerNonces[_signer];
+        require(
+            _recoverTyped(_relayDigest(_hash, _metadata, nonce, _deadline), _signature) == _signer,
+            "Invalid signature - signer does not match vendor"
+        );
+        signerNonces[_signer] = nonce + 1;
+        
+        // The signer must be an active key of a verified vendor
+        address vendor = _vendorOf(_signer);
+        require(vendors[vendor].verified, "Vendor not verified - please register as vendor first");
+        
+        _registerRecord(_hash, vendor, nonce, _metadata, _signature);
+        relayDeadlines[_hash] = _deadline;
+        
+        emit SBOMRelayed(_hash, vendor, msg.sender, block.timestamp);
+    }
+    
+    /**
+     * @dev Get the deadline of the relayed request an SBOM was registered with
+     * @param _hash The hash of the SBOM
+     * @return The deadline (zero if the vendor submitted the SBOM itself)
+     */
+    function getRelayDeadline(bytes32 _hash) public view returns (uint256) {
+        return relayDeadlines[_hash];
+    }
+    
+    // ═══════════════════════════════════════════════════════════
+    // DELEGATION FUNCTIONS
+    // ═══════════════════════════════════════════════════════════
+    
+    /**
+     * @dev Delegate signing rights to another address (e.g. a CI bot) for some
+     * products or version chains, until an expiry time; a delegate of the vendor
+     * whose delegation was revoked or expired can be appointed again
+     * @param _delegate Address of the delegate
+     * @param _scopes keccak256 of product names, and root hashes of the vendor's version chains
+     * @param _expiresAt When the delegation lapses
+     */
+    function addDelegate(address _delegate, bytes32[] memory _scopes, uint256 _expiresAt) public {
+        address vendor = _vendorOf(msg.sender);
+        require(vendors[vendor].verified, "Vendor not verified - please register as vendor first");
+        require(_delegate != address(0), "Invalid delegate address");
+        Delegation storage current = delegations[_delegate];
+        require(
+            signingKeys[_delegate].vendor == address(0) && (current.vendor == address(0) || current.vendor == vendor),
+            "Address already used as a key or delegate"
+        );
+        require(_expiresAt > block.timestamp && _expiresAt <= type(uint48).max, "Invalid expiry time");
+        require(_scopes.length > 0, "Delegation needs at least one product or root hash");
+        
+        if (current.vendor == address(0)) {
+            vendorDelegates[vendor].push(_delegate);
+        } else {
+            // Keep the lapsed delegation, which still dates what the delegate signed under it
+            require(current.revokedAt != 0 || block.timestamp >= current.expiresAt, "Delegation still active");
+            pastDelegations[_delegate].push(current);
+        }
+        delegations[_delegate] = Delegation({
+            vendor: vendor,
+            createdAt: uint48(block.timestamp),
+            expiresAt: uint48(_expiresAt),
+            revokedAt: 0,
+            scopes: _scopes
+        });
+        
+        emit DelegateAdded(vendor, _delegate, _expiresAt, block.timestamp);
+    }
+    
+    /**
+     * @dev Revoke a delegation; what the delegate signed so far stays valid
+     * @param _delegate Address of the delegate
+     */
+    function revokeDelegate(address _delegate) public {
+        Delegation storage delegation = delegations[_delegate];
+        require(delegation.vendor != address(0), "Delegate not found");
+        _requireKeyManager(delegation.vendor);
+        require(delegation.revokedAt == 0, "Delegation already revoked");
+        
+        delegation.revokedAt = block.timestamp;
+        
+        emit DelegateRevoked(delegation.vendor, _delegate, block.timestamp);
+    }
+    
+    /**
+     * @dev Get a delegation
+     * @param _delegate Address of the delegate
+     * @return The delegation (zero vendor if the address is not a delegate)
+     */
+    function getDelegation(address _delegate) public view returns (Delegation memory) {
+        return delegations[_delegate];
+    }
+    
+    /**
+     * @dev Get the lapsed delegations a delegate's current one renewed
+     * @param _delegate Address of the delegate
+     * @return Array of delegations, oldest first
+     */
+    function getPastDelegations(address _delegate) public view returns (Delegation[] memory) {
+        return pastDelegations[_delegate];
+    }
+    
+    /**
+     * @dev Get every delegate a vendor has appointed, including revoked and expired ones
+     * @param _vendor Address the vendor was registered with
+     * @return Array of delegate addresses, oldest first
+     */
+    function getVendorDelegates(address _vendor) public view returns (address[] memory) {
+        return vendorDelegates[_vendor];
+    }
+    
+    /**
+     * @dev Get the delegate that signed an SBOM
+     * @param _hash The hash of the SBOM
+     * @return The delegate address (zero if one of the vendor's keys signed it)
+     */
+    function getDelegateSigner(bytes32 _hash) public view returns (address) {
+        return delegateSigners[_hash];
+    }
+    
+    /**
+     * @dev Get the product a delegate registered an SBOM's version chain as
+     * @param _hash The hash of any version in the chain
+     * @return keccak256 of the product name (zero if a vendor key registered the chain)
+     */
+    function getChainProduct(bytes32 _hash) public view returns (bytes32) {
+        return chainProducts[rootHash[_hash]];
+    }
+    
+    /**
+     * @dev Register a new SBOM signed by a delegate, under the delegate's vendor
+     * @param _hash The hash of the SBOM file (keccak256)
+     * @param _product Product name, which the delegation must cover
+     * @param _metadata JSON string containing additional info (version, project, etc.)
+     * @param _signature Delegate's EIP-712 signature of the hash, metadata, product and its nonce
+     */
+    function registerDelegatedSBOM(
+        bytes32 _hash,
+        string memory _product,
+        string memory _metadata,
+        bytes memory _signature
+    ) public whenNotPaused {
+        require(sbomRecords[_hash].timestamp == 0, "SBOM already registered");
+        
+        // Verify the sender signed the submission for this product, and use up its nonce
+        bytes32 productHash = keccak256(bytes(_product));
+        uint64 nonce = signerNonces[msg.sender];
+        require(
+            _recoverTyped(_delegatedDigest(_hash, _metadata, productHash, nonce), _signature) == msg.sender,
+            "Invalid signature - signer does not match sender"
+        );
+        signerNonces[msg.sender] = nonce + 1;
+        
+        address vendor = _requireDelegation(msg.sender, productHash, bytes32(0));
+        
+        _registerRecord(_hash, vendor, nonce, _metadata, _signature);
+        
+        // Remember the product, so delegations for it can update the chain
+        chainProducts[_hash] = productHash;
+        delegateSigners[_hash] = msg.sender;
+        
+        emit SBOMSignedByDelegate(_hash, vendor, msg.sender, block.timestamp);
+    }
+    
+    // ═══════════════════════════════════════════════════════════
+    // ENDORSEMENT FUNCTIONS
+    // ═══════════════════════════════════════════════════════════
+    
+    /**
+     * @dev Endorse an SBOM after reviewing it, co-signing its hash
+     * @param _hash The hash of the SBOM
+     * @param _commentHash Hash of the auditor's comments (zero if none)
+     * @param _signature Auditor's EIP-712 signature of the SBOM and comment hashes
+     */
+    function endorseSBOM(
+        bytes32 _hash,
+        bytes32 _commentHash,
+        bytes memory _signature
+    ) public onlyRole(Role.Auditor) whenNotPaused {
+        require(sbomRecords[_hash].timestamp != 0, "SBOM not found");
+        require(withdrawals[_hash].timestamp == 0, "SBOM withdrawn");
+        Endorsement[] storage endorsements = sbomEndorsements[_hash];
+        for (uint256 i = 0; i < endorsements.length; i++) {
+            require(endorsements[i].auditor != msg.sender, "SBOM already endorsed by this auditor");
+        }
+        
+        // Verify the signature was created by the sender, for this registry and comment
+        require(
+            _recoverTyped(_typedDigest(keccak256(abi.encode(ENDORSEMENT_TYPEHASH, _hash, _commentHash))), _signature) == msg.sender,
+            "Invalid signature - signer does not match sender"
+        );
+        
+        endorsements.push(Endorsement({
+            auditor: msg.sender,
+            commentHash: _commentHash,
+            timestamp: block.timestamp,
+            signature: _signature
+        }));
+        
+        emit SBOMEndorsed(_hash, msg.sender, _commentHash, block.timestamp);
+    }
+    
+    /**
+     * @dev Get the endorsements of an SBOM
+     * @param _hash The hash of the SBOM
+     * @return Array of endorsements, oldest first (auditors may since have lost their role)
+     */
+    function getEndorsements(bytes32 _hash) public view returns (Endorsement[] memory) {
+        return sbomEndorsements[_hash];
+    }
+}
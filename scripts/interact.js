@@ -22,6 +22,31 @@ async function main() {
   console.log("✅ Deployed to:", contractAddress);
   console.log();
 
+  // SBOM submissions are signed as EIP-712 typed data, bound to this registry and chain
+  const extension = await hre.ethers.getContractAt("SBOMRegistryExtension", contractAddress);
+  const domain = {
+    name: "SBOMRegistry",
+    version: "1",
+    chainId: (await hre.ethers.provider.getNetwork()).chainId,
+    verifyingContract: contractAddress
+  };
+  const types = {
+    SBOM: [
+      { name: "hash", type: "bytes32" },
+      { name: "metadataHash", type: "bytes32" },
+      { name: "previousHash", type: "bytes32" },
+      { name: "nonce", type: "uint256" }
+    ]
+  };
+  async function signSBOM(signer, hash, metadata, previousHash = hre.ethers.ZeroHash) {
+    return signer.signTypedData(domain, types, {
+      hash,
+      metadataHash: hre.ethers.id(metadata),
+      previousHash,
+      nonce: await extension.getNonce(signer.address)
+    });
+  }
+
   // ==========================================
   // 1. REGISTER VENDORS
   // ==========================================
@@ -75,15 +100,15 @@ async function main() {
   const sbomHash = hre.ethers.keccak256(hre.ethers.toUtf8Bytes(sbomContent));
   console.log("🔐 SBOM Hash:", sbomHash);
 
-  // Sign the hash
+  // Sign the hash and metadata
   console.log("✍️  Signing with Vendor1...");
-  const signature = await vendor1.signMessage(hre.ethers.getBytes(sbomHash));
+  const metadata = JSON.stringify({ version: "1.0.0", project: "MyApp", timestamp: Date.now() });
+  const signature = await signSBOM(vendor1, sbomHash, metadata);
   console.log("📝 Signature:", signature.slice(0, 20) + "...");
   console.log();
 
   // Register SBOM
   console.log("📤 Registering SBOM on blockchain...");
-  const metadata = JSON.stringify({ version: "1.0.0", project: "MyApp", timestamp: Date.now() });
   const tx = await sbomRegistry.connect(vendor1).registerSBOM(sbomHash, metadata, signature);
   const receipt = await tx.wait();
   console.log("✅ SBOM registered! Gas used:", receipt.gasUsed.toString());
@@ -100,7 +125,7 @@ async function main() {
   console.log("🔍 SBOM Verification:");
   console.log("   Exists:", exists);
   console.log("   Vendor:", record.vendor);
-  console.log("   Timestamp:", new Date(Number(record.timestamp) * 1000).toISOString());
+  console.log("   Registered At:", new Date(Number(record.timestamp) * 1000).toISOString());
   console.log("   Metadata:", record.metadata);
   console.log();
 
@@ -131,8 +156,8 @@ async function main() {
   const sbomHashV2 = hre.ethers.keccak256(hre.ethers.toUtf8Bytes(sbomContentV2));
   console.log("🔐 New SBOM Hash:", sbomHashV2);
 
-  const signatureV2 = await vendor1.signMessage(hre.ethers.getBytes(sbomHashV2));
   const metadataV2 = JSON.stringify({ version: "2.0.0", project: "MyApp", timestamp: Date.now() });
+  const signatureV2 = await signSBOM(vendor1, sbomHashV2, metadataV2, sbomHash);
 
   console.log("📤 Updating SBOM...");
   const tx2 = await sbomRegistry.connect(vendor1).updateSBOM(sbomHash, sbomHashV2, metadataV2, signatureV2);
@@ -1,7 +1,7 @@
 const { ethers } = require('hardhat');
 
 /**
- * Register a vendor - Must be run by contract owner
+ * Register a vendor - Must be run by a registry admin (the deployer is one)
  * 
  * Usage:
  *   npx hardhat run scripts/register-vendor.js --network localhost
@@ -14,21 +14,21 @@ async function main() {
 
   // Get signers
   const [owner] = await ethers.getSigners();
-  console.log('📝 Contract Owner:', owner.address);
+  console.log('📝 Registry Admin:', owner.address);
 
   // Connect to contract
   const SBOMRegistry = await ethers.getContractAt('SBOMRegistry', CONTRACT_ADDRESS);
   
-  // Verify we're the owner
-  const registryOwner = await SBOMRegistry.registryOwner();
-  if (registryOwner.toLowerCase() !== owner.address.toLowerCase()) {
-    console.error('❌ Error: You are not the contract owner!');
-    console.log('   Contract owner:', registryOwner);
+  // Verify we're a registry admin (Role.Admin = 0)
+  const isAdmin = await SBOMRegistry.hasRole(0, owner.address);
+  if (!isAdmin) {
+    console.error('❌ Error: You are not a registry admin!');
+    console.log('   Registry owner:', await SBOMRegistry.registryOwner());
     console.log('   Your address:', owner.address);
     process.exit(1);
   }
 
-  console.log('✅ Confirmed: You are the contract owner\n');
+  console.log('✅ Confirmed: You are a registry admin\n');
 
   // Vendor details - CUSTOMIZE THESE
   const vendorAddress = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8"; // Account #1
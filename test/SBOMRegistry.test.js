@@ -17,6 +17,62 @@ describe("SBOMRegistry", function () {
     return await signer.signMessage(ethers.getBytes(hash));
   }
 
+  // EIP-712 signing domain of a registry
+  async function registryDomain(registry = sbomRegistry) {
+    return {
+      name: "SBOMRegistry",
+      version: "1",
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: await registry.getAddress()
+    };
+  }
+
+  // EIP-712 signature of an SBOM submission (by default for the signer's current nonce)
+  async function signSBOM(signer, hash, metadata, previousHash = ethers.ZeroHash, nonce, registry = sbomRegistry) {
+    const extension = await ethers.getContractAt("SBOMRegistryExtension", await registry.getAddress());
+    const types = {
+      SBOM: [
+        { name: "hash", type: "bytes32" },
+        { name: "metadataHash", type: "bytes32" },
+        { name: "previousHash", type: "bytes32" },
+        { name: "nonce", type: "uint256" }
+      ]
+    };
+    return await signer.signTypedData(await registryDomain(registry), types, {
+      hash,
+      metadataHash: ethers.id(metadata),
+      previousHash,
+      nonce: nonce ?? await extension.getNonce(signer.address)
+    });
+  }
+
+  // EIP-712 signature of an auditor's endorsement
+  async function signEndorsement(signer, hash, commentHash = ethers.ZeroHash, registry = sbomRegistry) {
+    const types = {
+      Endorsement: [
+        { name: "hash", type: "bytes32" },
+        { name: "commentHash", type: "bytes32" }
+      ]
+    };
+    return await signer.signTypedData(await registryDomain(registry), types, { hash, commentHash });
+  }
+
+  // EIP-712 signature of a published VEX document
+  async function signVEX(signer, sbomHash, documentHash, statements, registry = sbomRegistry) {
+    const types = {
+      VEX: [
+        { name: "sbomHash", type: "bytes32" },
+        { name: "documentHash", type: "bytes32" },
+        { name: "statementsHash", type: "bytes32" }
+      ]
+    };
+    return await signer.signTypedData(await registryDomain(registry), types, {
+      sbomHash,
+      documentHash,
+      statementsHash: ethers.id(statements)
+    });
+  }
+
   beforeEach(async function () {
     [owner, vendor1, vendor2, user1, attacker] = await ethers.getSigners();
     
@@ -73,7 +129,7 @@ describe("SBOMRegistry", function () {
             "https://test.com",
             "test@test.com"
           )
-        ).to.be.revertedWith("Only registry owner can perform this action");
+        ).to.be.revertedWith("Caller does not have the required role");
       });
 
       it("Should prevent duplicate vendor registration", async function () {
@@ -156,7 +212,7 @@ describe("SBOMRegistry", function () {
       it("Should not allow non-owner to revoke", async function () {
         await expect(
           sbomRegistry.connect(vendor1).revokeVendor(vendor1.address)
-        ).to.be.revertedWith("Only registry owner can perform this action");
+        ).to.be.revertedWith("Caller does not have the required role");
       });
 
       it("Should not allow revoking non-verified vendor", async function () {
@@ -164,28 +220,660 @@ describe("SBOMRegistry", function () {
           sbomRegistry.revokeVendor(vendor2.address)
         ).to.be.revertedWith("Vendor not verified");
       });
+
+      it("Should keep a history of status changes", async function () {
+        const registeredAt = (await ethers.provider.getBlock("latest")).timestamp;
+        await sbomRegistry.revokeVendor(vendor1.address);
+        const revokedAt = (await ethers.provider.getBlock("latest")).timestamp;
+
+        const history = await sbomRegistry.getVendorStatusHistory(vendor1.address);
+        expect(history.map((change) => change.verified)).to.deep.equal([true, false]);
+        expect(history[1].timestamp).to.equal(revokedAt);
+        expect(await sbomRegistry.wasVerifiedVendorAt(vendor1.address, registeredAt - 1)).to.be.false;
+        expect(await sbomRegistry.wasVerifiedVendorAt(vendor1.address, registeredAt)).to.be.true;
+        expect(await sbomRegistry.wasVerifiedVendorAt(vendor1.address, revokedAt)).to.be.false;
+      });
     });
 
-    describe("transferOwnership", function () {
-      it("Should transfer ownership", async function () {
-        await sbomRegistry.transferOwnership(vendor1.address);
+    describe("proposeOwnership / acceptOwnership", function () {
+      it("Should transfer ownership once the proposed owner accepts", async function () {
+        await expect(sbomRegistry.proposeOwnership(vendor1.address))
+          .to.emit(sbomRegistry, "OwnershipProposed");
+        expect(await sbomRegistry.registryOwner()).to.equal(owner.address);
+        expect(await sbomRegistry.pendingOwner()).to.equal(vendor1.address);
+
+        await expect(sbomRegistry.connect(vendor1).acceptOwnership())
+          .to.emit(sbomRegistry, "OwnershipTransferred");
         expect(await sbomRegistry.registryOwner()).to.equal(vendor1.address);
+        expect(await sbomRegistry.pendingOwner()).to.equal(ethers.ZeroAddress);
       });
 
-      it("Should not allow non-owner to transfer", async function () {
+      it("Should hand the previous owner's roles over to the new owner", async function () {
+        const ADMIN = 0;
+        const AUDITOR = 1;
+        const PAUSER = 2;
+        await sbomRegistry.grantRole(AUDITOR, user1.address);
+        await sbomRegistry.proposeOwnership(vendor1.address);
+        await expect(sbomRegistry.connect(vendor1).acceptOwnership())
+          .to.emit(sbomRegistry, "RoleRevoked")
+          .and.to.emit(sbomRegistry, "RoleGranted");
+
+        expect(await sbomRegistry.hasRole(ADMIN, owner.address)).to.be.false;
+        expect(await sbomRegistry.hasRole(PAUSER, owner.address)).to.be.false;
+        expect(await sbomRegistry.getRoleMembers(ADMIN)).to.deep.equal([vendor1.address]);
+        expect(await sbomRegistry.getRoleMembers(PAUSER)).to.deep.equal([vendor1.address]);
+        // Roles the owner granted to others stay
+        expect(await sbomRegistry.getRoleMembers(AUDITOR)).to.deep.equal([user1.address]);
+
+        await expect(
+          sbomRegistry.registerVendor(vendor2.address, "Beta Inc", "https://beta.com", "security@beta.com")
+        ).to.be.revertedWith("Caller does not have the required role");
+        await expect(sbomRegistry.pause()).to.be.revertedWith("Caller does not have the required role");
+        await sbomRegistry.connect(vendor1).registerVendor(vendor2.address, "Beta Inc", "https://beta.com", "security@beta.com");
+        await sbomRegistry.connect(vendor1).pause();
+      });
+
+      it("Should not grant the new owner a role it already holds twice", async function () {
+        const PAUSER = 2;
+        await sbomRegistry.grantRole(PAUSER, vendor1.address);
+        await sbomRegistry.proposeOwnership(vendor1.address);
+        await sbomRegistry.connect(vendor1).acceptOwnership();
+        expect(await sbomRegistry.getRoleMembers(PAUSER)).to.deep.equal([vendor1.address]);
+      });
+
+      it("Should not allow non-owner to propose", async function () {
         await expect(
-          sbomRegistry.connect(vendor1).transferOwnership(vendor2.address)
+          sbomRegistry.connect(vendor1).proposeOwnership(vendor2.address)
         ).to.be.revertedWith("Only registry owner can perform this action");
       });
 
+      it("Should only let the proposed owner accept", async function () {
+        await sbomRegistry.proposeOwnership(vendor1.address);
+        await expect(
+          sbomRegistry.connect(vendor2).acceptOwnership()
+        ).to.be.revertedWith("Only the proposed owner can accept ownership");
+      });
+
       it("Should reject zero address", async function () {
         await expect(
-          sbomRegistry.transferOwnership(ethers.ZeroAddress)
+          sbomRegistry.proposeOwnership(ethers.ZeroAddress)
         ).to.be.revertedWith("Invalid new owner address");
       });
     });
   });
 
+  // ==========================================
+  // ROLE TESTS
+  // ==========================================
+  describe("Roles", function () {
+    // Role enum values
+    const ADMIN = 0;
+    const AUDITOR = 1;
+    const PAUSER = 2;
+
+    it("Should give the deployer the admin and pauser roles", async function () {
+      expect(await sbomRegistry.hasRole(ADMIN, owner.address)).to.be.true;
+      expect(await sbomRegistry.hasRole(PAUSER, owner.address)).to.be.true;
+      expect(await sbomRegistry.hasRole(AUDITOR, owner.address)).to.be.false;
+      expect(await sbomRegistry.getRoleMembers(ADMIN)).to.deep.equal([owner.address]);
+    });
+
+    it("Should let a granted admin manage vendors until revoked", async function () {
+      await expect(sbomRegistry.grantRole(ADMIN, user1.address))
+        .to.emit(sbomRegistry, "RoleGranted");
+      await sbomRegistry.connect(user1).registerVendor(vendor1.address, "Acme Corp", "https://acme.com", "security@acme.com");
+      expect(await sbomRegistry.isVerifiedVendor(vendor1.address)).to.be.true;
+
+      await expect(sbomRegistry.revokeRole(ADMIN, user1.address))
+        .to.emit(sbomRegistry, "RoleRevoked");
+      expect(await sbomRegistry.getRoleMembers(ADMIN)).to.deep.equal([owner.address]);
+      await expect(
+        sbomRegistry.connect(user1).revokeVendor(vendor1.address)
+      ).to.be.revertedWith("Caller does not have the required role");
+    });
+
+    it("Should only let the owner grant and revoke roles", async function () {
+      await expect(
+        sbomRegistry.connect(user1).grantRole(ADMIN, user1.address)
+      ).to.be.revertedWith("Only registry owner can perform this action");
+      await expect(
+        sbomRegistry.grantRole(ADMIN, owner.address)
+      ).to.be.revertedWith("Account already has role");
+      await expect(
+        sbomRegistry.revokeRole(AUDITOR, user1.address)
+      ).to.be.revertedWith("Account does not have role");
+    });
+
+    it("Should stop new submissions while paused", async function () {
+      await sbomRegistry.registerVendor(vendor1.address, "Acme Corp", "https://acme.com", "security@acme.com");
+      const hash = createHash("sbom-v1");
+      const signature = await signSBOM(vendor1, hash, "v1.0");
+
+      await expect(sbomRegistry.connect(user1).pause())
+        .to.be.revertedWith("Caller does not have the required role");
+      await expect(sbomRegistry.pause()).to.emit(sbomRegistry, "Paused");
+      await expect(
+        sbomRegistry.connect(vendor1).registerSBOM(hash, "v1.0", signature)
+      ).to.be.revertedWith("Registry is paused");
+
+      await expect(sbomRegistry.unpause()).to.emit(sbomRegistry, "Unpaused");
+      await sbomRegistry.connect(vendor1).registerSBOM(hash, "v1.0", signature);
+    });
+
+    it("Should let auditors flag SBOMs and clear their own flags", async function () {
+      await sbomRegistry.registerVendor(vendor1.address, "Acme Corp", "https://acme.com", "security@acme.com");
+      const hash = createHash("sbom-v1");
+      await sbomRegistry.connect(vendor1).registerSBOM(hash, "v1.0", await signSBOM(vendor1, hash, "v1.0"));
+      const reasonHash = createHash("findings");
+
+      await expect(
+        sbomRegistry.connect(user1).flagSBOM(hash, reasonHash)
+      ).to.be.revertedWith("Caller does not have the required role");
+
+      await sbomRegistry.grantRole(AUDITOR, user1.address);
+      await expect(sbomRegistry.connect(user1).flagSBOM(hash, reasonHash))
+        .to.emit(sbomRegistry, "SBOMFlagged");
+      await expect(
+        sbomRegistry.connect(user1).flagSBOM(hash, reasonHash)
+      ).to.be.revertedWith("SBOM already flagged by this auditor");
+
+      const flags = await sbomRegistry.getFlags(hash);
+      expect(flags.length).to.equal(1);
+      expect(flags[0].auditor).to.equal(user1.address);
+      expect(flags[0].reasonHash).to.equal(reasonHash);
+
+      await expect(sbomRegistry.connect(user1).clearFlag(hash))
+        .to.emit(sbomRegistry, "SBOMFlagCleared");
+      expect((await sbomRegistry.getFlags(hash)).length).to.equal(0);
+    });
+  });
+
+  // ==========================================
+  // SIGNING KEY TESTS
+  // ==========================================
+  describe("Signing Keys", function () {
+    // KeyStatus enum values
+    const ACTIVE = 1;
+    const RETIRED = 2;
+    const COMPROMISED = 3;
+
+    // Compromise reports live in the extension, called at the registry's address
+    let keys;
+
+    // user1 acts as vendor1's second key
+    beforeEach(async function () {
+      keys = await ethers.getContractAt("SBOMRegistryExtension", await sbomRegistry.getAddress());
+      await sbomRegistry.registerVendor(vendor1.address, "Acme Corp", "https://acme.com", "security@acme.com");
+    });
+
+    it("Should make the registration address the vendor's first key", async function () {
+      expect(await sbomRegistry.getVendorKeys(vendor1.address)).to.deep.equal([vendor1.address]);
+      const key = await sbomRegistry.getSigningKey(vendor1.address);
+      expect(key.vendor).to.equal(vendor1.address);
+      expect(key.retiredAt).to.equal(0);
+    });
+
+    it("Should record SBOMs signed by an added key under the vendor", async function () {
+      await expect(sbomRegistry.connect(vendor1).addSigningKey(vendor1.address, user1.address))
+        .to.emit(sbomRegistry, "SigningKeyAdded");
+
+      const hash = createHash("sbom-v1");
+      await sbomRegistry.connect(user1).registerSBOM(hash, "v1.0", await signSBOM(user1, hash, "v1.0"));
+
+      const [, record] = await sbomRegistry.verifySBOM(hash);
+      expect(record.vendor).to.equal(vendor1.address);
+      const [isValid, signer] = await sbomRegistry.verifySignature(hash);
+      expect(isValid).to.be.true;
+      expect(signer).to.equal(user1.address);
+
+      // Any of the vendor's keys can publish the next version
+      const hash2 = createHash("sbom-v2");
+      await sbomRegistry.connect(vendor1).updateSBOM(hash, hash2, "v2.0", await signSBOM(vendor1, hash2, "v2.0", hash));
+      expect(await sbomRegistry.getLatestVersion(hash)).to.equal(hash2);
+    });
+
+    it("Should keep SBOMs signed before a key was retired valid", async function () {
+      await sbomRegistry.connect(vendor1).addSigningKey(vendor1.address, user1.address);
+      const hash = createHash("sbom-v1");
+      await sbomRegistry.connect(user1).registerSBOM(hash, "v1.0", await signSBOM(user1, hash, "v1.0"));
+
+      await expect(sbomRegistry.connect(vendor1).retireSigningKey(user1.address))
+        .to.emit(sbomRegistry, "SigningKeyRetired");
+
+      const hash2 = createHash("sbom-v2");
+      await expect(
+        sbomRegistry.connect(user1).registerSBOM(hash2, "v1.0", await signSBOM(user1, hash2, "v1.0"))
+      ).to.be.revertedWith("Signing key retired");
+
+      const [, sigValid, , , , keyStatus] = await sbomRegistry.verifyCompleteSBOM(hash);
+      expect(sigValid).to.be.true;
+      expect(keyStatus).to.equal(ACTIVE);
+      const key = await sbomRegistry.getSigningKey(user1.address);
+      expect(await sbomRegistry.getKeyStatusAt(user1.address, key.retiredAt)).to.equal(RETIRED);
+    });
+
+    it("Should distrust SBOMs signed from the compromise time on", async function () {
+      await sbomRegistry.connect(vendor1).addSigningKey(vendor1.address, user1.address);
+      const hash1 = createHash("sbom-before");
+      const hash2 = createHash("sbom-after");
+      await sbomRegistry.connect(user1).registerSBOM(hash1, "v1.0", await signSBOM(user1, hash1, "v1.0"));
+      await sbomRegistry.connect(user1).registerSBOM(hash2, "v1.0", await signSBOM(user1, hash2, "v1.0"));
+      const [, record2] = await sbomRegistry.verifySBOM(hash2);
+
+      await expect(keys.connect(vendor1).reportKeyCompromise(user1.address, record2.timestamp))
+        .to.emit(keys, "SigningKeyCompromised");
+
+      const [, valid1, , , , status1] = await sbomRegistry.verifyCompleteSBOM(hash1);
+      expect(valid1).to.be.true;
+      expect(status1).to.equal(ACTIVE);
+      const [, valid2, , , , status2] = await sbomRegistry.verifyCompleteSBOM(hash2);
+      expect(valid2).to.be.false;
+      expect(status2).to.equal(COMPROMISED);
+
+      // A compromised key is retired too
+      expect((await sbomRegistry.getSigningKey(user1.address)).retiredAt).to.be.greaterThan(0);
+      await expect(
+        sbomRegistry.connect(user1).addSigningKey(vendor1.address, attacker.address)
+      ).to.be.revertedWith("Only the vendor's active keys or a registry admin can manage its keys");
+    });
+
+    it("Should only let the vendor's keys or an admin manage keys", async function () {
+      await expect(
+        sbomRegistry.connect(attacker).addSigningKey(vendor1.address, attacker.address)
+      ).to.be.revertedWith("Only the vendor's active keys or a registry admin can manage its keys");
+      await expect(
+        sbomRegistry.connect(attacker).retireSigningKey(vendor1.address)
+      ).to.be.revertedWith("Only the vendor's active keys or a registry admin can manage its keys");
+
+      // An admin recovers a vendor that lost its only key
+      const { addedAt } = await sbomRegistry.getSigningKey(vendor1.address);
+      await keys.reportKeyCompromise(vendor1.address, addedAt);
+      await sbomRegistry.addSigningKey(vendor1.address, user1.address);
+      await expect(
+        sbomRegistry.connect(user1).addSigningKey(vendor1.address, user1.address)
+      ).to.be.revertedWith("Key already in use");
+      await expect(
+        keys.reportKeyCompromise(vendor1.address, addedAt)
+      ).to.be.revertedWith("Key already reported compromised at or before this time");
+      await expect(
+        keys.connect(user1).reportKeyCompromise(user1.address, 0)
+      ).to.be.revertedWith("Invalid compromise time");
+    });
+
+    it("Should not let a key report another of the vendor's keys compromised", async function () {
+      await sbomRegistry.connect(vendor1).addSigningKey(vendor1.address, user1.address);
+      await sbomRegistry.connect(vendor1).addSigningKey(vendor1.address, vendor2.address);
+      const hash = createHash("sbom-v1");
+      await sbomRegistry.connect(vendor2).registerSBOM(hash, "v1.0", await signSBOM(vendor2, hash, "v1.0"));
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+
+      // A leaked second key can neither distrust the primary address nor a sibling key
+      await expect(
+        keys.connect(user1).reportKeyCompromise(vendor1.address, now)
+      ).to.be.revertedWith("Only the key itself, the vendor's primary address or a registry admin can report a compromise");
+      await expect(
+        keys.connect(user1).reportKeyCompromise(vendor2.address, now)
+      ).to.be.revertedWith("Only the key itself, the vendor's primary address or a registry admin can report a compromise");
+      await expect(
+        keys.connect(attacker).reportKeyCompromise(vendor2.address, now)
+      ).to.be.revertedWith("Only the key itself, the vendor's primary address or a registry admin can report a compromise");
+      const [sigValid] = await sbomRegistry.verifySignature(hash);
+      expect(sigValid).to.be.true;
+      expect((await sbomRegistry.getSigningKey(vendor2.address)).compromisedAt).to.equal(0);
+
+      // The primary address can, while it is active
+      await keys.connect(vendor1).reportKeyCompromise(user1.address, now);
+      await keys.connect(vendor1).reportKeyCompromise(vendor1.address, now);
+      await expect(
+        keys.connect(vendor1).reportKeyCompromise(vendor2.address, now)
+      ).to.be.revertedWith("Only the key itself, the vendor's primary address or a registry admin can report a compromise");
+    });
+
+    it("Should let a key report itself, but not before it was added", async function () {
+      await sbomRegistry.connect(vendor1).addSigningKey(vendor1.address, user1.address);
+      const { addedAt } = await sbomRegistry.getSigningKey(user1.address);
+
+      await expect(
+        keys.connect(user1).reportKeyCompromise(user1.address, addedAt - 1n)
+      ).to.be.revertedWith("Invalid compromise time");
+      await expect(keys.connect(user1).reportKeyCompromise(user1.address, addedAt))
+        .to.emit(keys, "SigningKeyCompromised");
+      expect((await sbomRegistry.getSigningKey(user1.address)).compromisedAt).to.equal(addedAt);
+
+      // Once retired, a key can no longer report itself
+      await sbomRegistry.connect(vendor1).addSigningKey(vendor1.address, vendor2.address);
+      await sbomRegistry.connect(vendor1).retireSigningKey(vendor2.address);
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+      await expect(
+        keys.connect(vendor2).reportKeyCompromise(vendor2.address, now)
+      ).to.be.revertedWith("Only the key itself, the vendor's primary address or a registry admin can report a compromise");
+    });
+  });
+
+  // ==========================================
+  // DELEGATION TESTS
+  // ==========================================
+  describe("Delegation", function () {
+    // KeyStatus enum values
+    const ACTIVE = 1;
+    const RETIRED = 2;
+
+    // Delegation functions live in the extension, called at the registry's address
+    let delegation;
+    // user1 acts as vendor1's CI bot
+    let expiresAt;
+
+    // EIP-712 signature of a delegated registration, for the signer's current nonce
+    async function signDelegated(signer, hash, metadata, product) {
+      const types = {
+        DelegatedSBOM: [
+          { name: "hash", type: "bytes32" },
+          { name: "metadataHash", type: "bytes32" },
+          { name: "productHash", type: "bytes32" },
+          { name: "nonce", type: "uint256" }
+        ]
+      };
+      return await signer.signTypedData(await registryDomain(), types, {
+        hash,
+        metadataHash: ethers.id(metadata),
+        productHash: ethers.id(product),
+        nonce: await delegation.getNonce(signer.address)
+      });
+    }
+
+    beforeEach(async function () {
+      delegation = await ethers.getContractAt("SBOMRegistryExtension", await sbomRegistry.getAddress());
+      await sbomRegistry.registerVendor(vendor1.address, "Acme Corp", "https://acme.com", "security@acme.com");
+      expiresAt = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    });
+
+    it("Should record delegated SBOMs under the vendor and the delegate", async function () {
+      await expect(delegation.connect(vendor1).addDelegate(user1.address, [ethers.id("acme-app")], expiresAt))
+        .to.emit(delegation, "DelegateAdded");
+      expect(await delegation.getVendorDelegates(vendor1.address)).to.deep.equal([user1.address]);
+
+      const hash = createHash("sbom-v1");
+      await expect(
+        delegation.connect(user1).registerDelegatedSBOM(hash, "acme-app", "v1.0", await signDelegated(user1, hash, "v1.0", "acme-app"))
+      ).to.emit(delegation, "SBOMSignedByDelegate");
+
+      const [, record] = await sbomRegistry.verifySBOM(hash);
+      expect(record.vendor).to.equal(vendor1.address);
+      expect(await delegation.getDelegateSigner(hash)).to.equal(user1.address);
+      const [, sigValid, , , , keyStatus] = await sbomRegistry.verifyCompleteSBOM(hash);
+      expect(sigValid).to.be.true;
+      expect(keyStatus).to.equal(ACTIVE);
+
+      // The product's chain can be continued by the delegate and by the vendor
+      const hash2 = createHash("sbom-v2");
+      await sbomRegistry.connect(user1).updateSBOM(hash, hash2, "v2.0", await signSBOM(user1, hash2, "v2.0", hash));
+      expect(await delegation.getDelegateSigner(hash2)).to.equal(user1.address);
+      const hash3 = createHash("sbom-v3");
+      await sbomRegistry.connect(vendor1).updateSBOM(hash2, hash3, "v3.0", await signSBOM(vendor1, hash3, "v3.0", hash2));
+      expect(await delegation.getDelegateSigner(hash3)).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should limit delegates to their products and version chains", async function () {
+      const vendorHash = createHash("vendor-sbom");
+      const otherHash = createHash("other-sbom");
+      await sbomRegistry.connect(vendor1).registerSBOM(vendorHash, "v1.0", await signSBOM(vendor1, vendorHash, "v1.0"));
+      await sbomRegistry.connect(vendor1).registerSBOM(otherHash, "v1.0", await signSBOM(vendor1, otherHash, "v1.0"));
+      await delegation.connect(vendor1).addDelegate(user1.address, [ethers.id("acme-app"), vendorHash], expiresAt);
+
+      const hash = createHash("sbom-v1");
+      await expect(
+        delegation.connect(user1).registerDelegatedSBOM(hash, "other-app", "v1.0", await signDelegated(user1, hash, "v1.0", "other-app"))
+      ).to.be.revertedWith("Not covered by the delegation");
+      await expect(
+        sbomRegistry.connect(user1).registerSBOM(hash, "v1.0", await signSBOM(user1, hash, "v1.0"))
+      ).to.be.revertedWith("Delegates must register with registerDelegatedSBOM");
+
+      // The delegated chain can be updated, other chains cannot
+      await sbomRegistry.connect(user1).updateSBOM(vendorHash, hash, "v2.0", await signSBOM(user1, hash, "v2.0", vendorHash));
+      const hash2 = createHash("sbom-v2");
+      await expect(
+        sbomRegistry.connect(user1).updateSBOM(otherHash, hash2, "v2.0", await signSBOM(user1, hash2, "v2.0", otherHash))
+      ).to.be.revertedWith("Not covered by the delegation");
+    });
+
+    it("Should keep SBOMs signed before revocation or expiry valid", async function () {
+      await delegation.connect(vendor1).addDelegate(user1.address, [ethers.id("acme-app")], expiresAt);
+      const hash = createHash("sbom-v1");
+      await delegation.connect(user1).registerDelegatedSBOM(hash, "acme-app", "v1.0", await signDelegated(user1, hash, "v1.0", "acme-app"));
+
+      await ethers.provider.send("evm_increaseTime", [7200]);
+      await ethers.provider.send("evm_mine", []);
+      const hash2 = createHash("sbom-v2");
+      await expect(
+        delegation.connect(user1).registerDelegatedSBOM(hash2, "acme-app", "v1.0", await signDelegated(user1, hash2, "v1.0", "acme-app"))
+      ).to.be.revertedWith("Delegation expired");
+
+      await expect(delegation.connect(vendor1).revokeDelegate(user1.address))
+        .to.emit(delegation, "DelegateRevoked");
+      await expect(
+        delegation.connect(user1).registerDelegatedSBOM(hash2, "acme-app", "v1.0", await signDelegated(user1, hash2, "v1.0", "acme-app"))
+      ).to.be.revertedWith("Delegation revoked");
+
+      const [, sigValid, , , , keyStatus] = await sbomRegistry.verifyCompleteSBOM(hash);
+      expect(sigValid).to.be.true;
+      expect(keyStatus).to.equal(ACTIVE);
+      expect(await sbomRegistry.getKeyStatusAt(user1.address, expiresAt)).to.equal(RETIRED);
+    });
+
+    it("Should bind a delegated registration to the product the delegate signed", async function () {
+      await delegation.connect(vendor1).addDelegate(user1.address, [ethers.id("acme-app")], expiresAt);
+      const hash = createHash("other-app-sbom");
+
+      // A signature for another product cannot be passed off as one for the covered product
+      const signature = await signDelegated(user1, hash, "v1.0", "other-app");
+      await expect(
+        delegation.connect(user1).registerDelegatedSBOM(hash, "acme-app", "v1.0", signature)
+      ).to.be.revertedWith("Invalid signature - signer does not match sender");
+      await expect(
+        delegation.connect(user1).registerDelegatedSBOM(hash, "acme-app", "v1.0", await signSBOM(user1, hash, "v1.0"))
+      ).to.be.revertedWith("Invalid signature - signer does not match sender");
+
+      // The product the delegate signed is recorded with the chain and covered by verification
+      await delegation.connect(user1).registerDelegatedSBOM(hash, "acme-app", "v1.0", await signDelegated(user1, hash, "v1.0", "acme-app"));
+      expect(await delegation.getChainProduct(hash)).to.equal(ethers.id("acme-app"));
+      const [isValid, signer] = await sbomRegistry.verifySignature(hash);
+      expect(isValid).to.be.true;
+      expect(signer).to.equal(user1.address);
+      const hash2 = createHash("other-app-sbom-v2");
+      await sbomRegistry.connect(user1).updateSBOM(hash, hash2, "v2.0", await signSBOM(user1, hash2, "v2.0", hash));
+      expect(await delegation.getChainProduct(hash2)).to.equal(ethers.id("acme-app"));
+      expect((await sbomRegistry.verifySignature(hash2))[0]).to.be.true;
+    });
+
+    it("Should let a vendor appoint a revoked or expired delegate again", async function () {
+      await delegation.connect(vendor1).addDelegate(user1.address, [ethers.id("acme-app")], expiresAt);
+      await expect(
+        delegation.connect(vendor1).addDelegate(user1.address, [ethers.id("acme-app")], expiresAt + 60)
+      ).to.be.revertedWith("Delegation still active");
+      const hash = createHash("sbom-v1");
+      await delegation.connect(user1).registerDelegatedSBOM(hash, "acme-app", "v1.0", await signDelegated(user1, hash, "v1.0", "acme-app"));
+      await delegation.connect(vendor1).revokeDelegate(user1.address);
+      const { revokedAt } = await delegation.getDelegation(user1.address);
+
+      // Renewed after revocation
+      await ethers.provider.send("evm_increaseTime", [60]);
+      await ethers.provider.send("evm_mine", []);
+      const renewedUntil = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      await expect(delegation.connect(vendor1).addDelegate(user1.address, [ethers.id("acme-web")], renewedUntil))
+        .to.emit(delegation, "DelegateAdded");
+      expect(await delegation.getVendorDelegates(vendor1.address)).to.deep.equal([user1.address]);
+      const past = await delegation.getPastDelegations(user1.address);
+      expect(past.length).to.equal(1);
+      expect(past[0].revokedAt).to.equal(revokedAt);
+      const current = await delegation.getDelegation(user1.address);
+      expect(current.revokedAt).to.equal(0);
+      expect(current.scopes).to.deep.equal([ethers.id("acme-web")]);
+
+      // The renewed scope applies, and what was signed under the old delegation stays valid
+      const hash2 = createHash("sbom-web");
+      await delegation.connect(user1).registerDelegatedSBOM(hash2, "acme-web", "v1.0", await signDelegated(user1, hash2, "v1.0", "acme-web"));
+      const hash3 = createHash("sbom-v1-again");
+      await expect(
+        delegation.connect(user1).registerDelegatedSBOM(hash3, "acme-app", "v1.0", await signDelegated(user1, hash3, "v1.0", "acme-app"))
+      ).to.be.revertedWith("Not covered by the delegation");
+      const [, valid1, , , , status1] = await sbomRegistry.verifyCompleteSBOM(hash);
+      expect(valid1).to.be.true;
+      expect(status1).to.equal(ACTIVE);
+      expect((await sbomRegistry.verifySignature(hash2))[0]).to.be.true;
+      expect(await sbomRegistry.getKeyStatusAt(user1.address, revokedAt)).to.equal(RETIRED);
+
+      // Renewed after expiry
+      await ethers.provider.send("evm_increaseTime", [7200]);
+      await ethers.provider.send("evm_mine", []);
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+      await delegation.connect(vendor1).addDelegate(user1.address, [ethers.id("acme-web")], now + 3600);
+      expect((await delegation.getPastDelegations(user1.address)).length).to.equal(2);
+      expect(await sbomRegistry.getKeyStatusAt(user1.address, renewedUntil)).to.equal(RETIRED);
+      expect((await sbomRegistry.verifySignature(hash2))[0]).to.be.true;
+
+      // Another vendor cannot take the delegate over
+      await sbomRegistry.registerVendor(vendor2.address, "Beta Inc", "https://beta.com", "security@beta.com");
+      await delegation.connect(vendor1).revokeDelegate(user1.address);
+      await expect(
+        delegation.connect(vendor2).addDelegate(user1.address, [ethers.id("beta-app")], now + 3600)
+      ).to.be.revertedWith("Address already used as a key or delegate");
+    });
+
+    it("Should only let verified vendors delegate, with a scope and a future expiry", async function () {
+      await expect(
+        delegation.connect(attacker).addDelegate(user1.address, [ethers.id("acme-app")], expiresAt)
+      ).to.be.revertedWith("Vendor not verified - please register as vendor first");
+      await expect(
+        delegation.connect(vendor1).addDelegate(user1.address, [ethers.id("acme-app")], 1)
+      ).to.be.revertedWith("Invalid expiry time");
+      await expect(
+        delegation.connect(vendor1).addDelegate(user1.address, [], expiresAt)
+      ).to.be.revertedWith("Delegation needs at least one product or root hash");
+      await expect(
+        delegation.connect(vendor1).addDelegate(vendor1.address, [ethers.id("acme-app")], expiresAt)
+      ).to.be.revertedWith("Address already used as a key or delegate");
+
+      await delegation.connect(vendor1).addDelegate(user1.address, [ethers.id("acme-app")], expiresAt);
+      await expect(
+        delegation.connect(attacker).revokeDelegate(user1.address)
+      ).to.be.revertedWith("Only the vendor's active keys or a registry admin can manage its keys");
+      await expect(
+        delegation.connect(user1).addDelegate(attacker.address, [ethers.id("acme-app")], expiresAt)
+      ).to.be.revertedWith("Vendor not verified - please register as vendor first");
+    });
+  });
+
+  // ==========================================
+  // RELAYED REGISTRATION TESTS
+  // ==========================================
+  describe("Relayed Registration", function () {
+    // Relay functions live in the extension, called at the registry's address
+    let relay;
+    // user1 acts as the platform's relayer
+    let deadline;
+
+    // EIP-712 signature of a registration request, for the signer's current nonce
+    async function signRequest(signer, hash, metadata, requestDeadline = deadline) {
+      const types = {
+        RelayedSBOM: [
+          { name: "hash", type: "bytes32" },
+          { name: "metadataHash", type: "bytes32" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      };
+      return await signer.signTypedData(await registryDomain(), types, {
+        hash,
+        metadataHash: ethers.id(metadata),
+        nonce: await relay.getNonce(signer.address),
+        deadline: requestDeadline
+      });
+    }
+
+    beforeEach(async function () {
+      relay = await ethers.getContractAt("SBOMRegistryExtension", await sbomRegistry.getAddress());
+      await sbomRegistry.registerVendor(vendor1.address, "Acme Corp", "https://acme.com", "security@acme.com");
+      deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    });
+
+    it("Should register an SBOM a vendor signed offline", async function () {
+      const hash = createHash("sbom-v1");
+      const signature = await signRequest(vendor1, hash, "v1.0");
+
+      await expect(relay.connect(user1).registerSBOMFor(vendor1.address, hash, "v1.0", deadline, signature))
+        .to.emit(relay, "SBOMRelayed");
+
+      const [exists, record] = await sbomRegistry.verifySBOM(hash);
+      expect(exists).to.be.true;
+      expect(record.vendor).to.equal(vendor1.address);
+      expect(record.metadata).to.equal("v1.0");
+      expect(await relay.getRelayDeadline(hash)).to.equal(BigInt(deadline));
+      expect(await relay.getNonce(vendor1.address)).to.equal(1n);
+
+      const [isValid, signer] = await sbomRegistry.verifySignature(hash);
+      expect(isValid).to.be.true;
+      expect(signer).to.equal(vendor1.address);
+
+      // The vendor updates the chain as usual
+      const hash2 = createHash("sbom-v2");
+      await sbomRegistry.connect(vendor1).updateSBOM(hash, hash2, "v2.0", await signSBOM(vendor1, hash2, "v2.0", hash));
+      expect(await relay.getRelayDeadline(hash2)).to.equal(0n);
+    });
+
+    it("Should use each request once", async function () {
+      const hash = createHash("sbom-v1");
+      const hash2 = createHash("sbom-v2");
+      const signature = await signRequest(vendor1, hash, "v1.0");
+      const staleSignature = await signRequest(vendor1, hash2, "v1.0");
+
+      await relay.connect(user1).registerSBOMFor(vendor1.address, hash, "v1.0", deadline, signature);
+      await expect(
+        relay.connect(user1).registerSBOMFor(vendor1.address, hash, "v1.0", deadline, signature)
+      ).to.be.revertedWith("SBOM already registered");
+
+      // Signed for the nonce the first request used up
+      await expect(
+        relay.connect(user1).registerSBOMFor(vendor1.address, hash2, "v1.0", deadline, staleSignature)
+      ).to.be.revertedWith("Invalid signature - signer does not match vendor");
+    });
+
+    it("Should reject expired or altered requests", async function () {
+      const hash = createHash("sbom-v1");
+      const expired = (await ethers.provider.getBlock("latest")).timestamp;
+      await expect(
+        relay.connect(user1).registerSBOMFor(vendor1.address, hash, "v1.0", expired, await signRequest(vendor1, hash, "v1.0", expired))
+      ).to.be.revertedWith("Request expired");
+
+      const signature = await signRequest(vendor1, hash, "v1.0");
+      await expect(
+        relay.connect(user1).registerSBOMFor(vendor1.address, hash, "tampered", deadline, signature)
+      ).to.be.revertedWith("Invalid signature - signer does not match vendor");
+      await expect(
+        relay.connect(user1).registerSBOMFor(vendor1.address, hash, "v1.0", deadline + 1, signature)
+      ).to.be.revertedWith("Invalid signature - signer does not match vendor");
+      await expect(
+        relay.connect(user1).registerSBOMFor(vendor2.address, hash, "v1.0", deadline, signature)
+      ).to.be.revertedWith("Invalid signature - signer does not match vendor");
+
+      // A submission signature is not a request signature
+      await expect(
+        relay.connect(user1).registerSBOMFor(vendor1.address, hash, "v1.0", deadline, await signSBOM(vendor1, hash, "v1.0"))
+      ).to.be.revertedWith("Invalid signature - signer does not match vendor");
+    });
+
+    it("Should only register for verified vendors", async function () {
+      const hash = createHash("sbom-v1");
+      await expect(
+        relay.connect(user1).registerSBOMFor(vendor2.address, hash, "v1.0", deadline, await signRequest(vendor2, hash, "v1.0"))
+      ).to.be.revertedWith("Vendor not verified - please register as vendor first");
+
+      await sbomRegistry.pause();
+      await expect(
+        relay.connect(user1).registerSBOMFor(vendor1.address, hash, "v1.0", deadline, await signRequest(vendor1, hash, "v1.0"))
+      ).to.be.revertedWith("Registry is paused");
+    });
+  });
+
   // ==========================================
   // SBOM REGISTRATION TESTS
   // ==========================================
@@ -202,7 +890,7 @@ describe("SBOMRegistry", function () {
     describe("registerSBOM", function () {
       it("Should register new SBOM with valid signature", async function () {
         const hash = createHash("sbom-v1");
-        const signature = await signHash(hash, vendor1);
+        const signature = await signSBOM(vendor1, hash, "v1.0");
 
         await sbomRegistry.connect(vendor1).registerSBOM(hash, "v1.0", signature);
 
@@ -215,7 +903,7 @@ describe("SBOMRegistry", function () {
 
       it("Should emit SBOMRegistered event", async function () {
         const hash = createHash("sbom-v1");
-        const signature = await signHash(hash, vendor1);
+        const signature = await signSBOM(vendor1, hash, "v1.0");
 
         await expect(
           sbomRegistry.connect(vendor1).registerSBOM(hash, "v1.0", signature)
@@ -224,7 +912,7 @@ describe("SBOMRegistry", function () {
 
       it("Should initialize version history", async function () {
         const hash = createHash("sbom-v1");
-        const signature = await signHash(hash, vendor1);
+        const signature = await signSBOM(vendor1, hash, "v1.0");
 
         await sbomRegistry.connect(vendor1).registerSBOM(hash, "v1.0", signature);
 
@@ -235,7 +923,7 @@ describe("SBOMRegistry", function () {
 
       it("Should set root hash correctly", async function () {
         const hash = createHash("sbom-v1");
-        const signature = await signHash(hash, vendor1);
+        const signature = await signSBOM(vendor1, hash, "v1.0");
 
         await sbomRegistry.connect(vendor1).registerSBOM(hash, "v1.0", signature);
 
@@ -245,7 +933,7 @@ describe("SBOMRegistry", function () {
 
       it("Should reject mismatched signature", async function () {
         const hash = createHash("sbom-v1");
-        const signature = await signHash(hash, vendor2);
+        const signature = await signSBOM(vendor2, hash, "v1.0");
 
         await expect(
           sbomRegistry.connect(vendor1).registerSBOM(hash, "v1.0", signature)
@@ -254,7 +942,7 @@ describe("SBOMRegistry", function () {
 
       it("Should block unverified vendor", async function () {
         const hash = createHash("sbom-v1");
-        const signature = await signHash(hash, vendor2);
+        const signature = await signSBOM(vendor2, hash, "v1.0");
 
         await expect(
           sbomRegistry.connect(vendor2).registerSBOM(hash, "v1.0", signature)
@@ -263,7 +951,7 @@ describe("SBOMRegistry", function () {
 
       it("Should prevent duplicate registration", async function () {
         const hash = createHash("sbom-v1");
-        const signature = await signHash(hash, vendor1);
+        const signature = await signSBOM(vendor1, hash, "v1.0");
 
         await sbomRegistry.connect(vendor1).registerSBOM(hash, "v1.0", signature);
 
@@ -274,7 +962,7 @@ describe("SBOMRegistry", function () {
 
       it("Should store signature correctly", async function () {
         const hash = createHash("sbom-v1");
-        const signature = await signHash(hash, vendor1);
+        const signature = await signSBOM(vendor1, hash, "v1.0");
 
         await sbomRegistry.connect(vendor1).registerSBOM(hash, "v1.0", signature);
 
@@ -288,13 +976,13 @@ describe("SBOMRegistry", function () {
 
       beforeEach(async function () {
         hash1 = createHash("sbom-v1");
-        const sig1 = await signHash(hash1, vendor1);
+        const sig1 = await signSBOM(vendor1, hash1, "v1.0");
         await sbomRegistry.connect(vendor1).registerSBOM(hash1, "v1.0", sig1);
       });
 
       it("Should update SBOM version", async function () {
         const hash2 = createHash("sbom-v2");
-        const sig2 = await signHash(hash2, vendor1);
+        const sig2 = await signSBOM(vendor1, hash2, "v2.0", hash1);
 
         await sbomRegistry.connect(vendor1).updateSBOM(hash1, hash2, "v2.0", sig2);
 
@@ -302,11 +990,12 @@ describe("SBOMRegistry", function () {
         expect(exists).to.be.true;
         expect(record.previousHash).to.equal(hash1);
         expect(record.metadata).to.equal("v2.0");
+        expect(record.nonce).to.equal(1n);
       });
 
       it("Should emit SBOMUpdated event", async function () {
         const hash2 = createHash("sbom-v2");
-        const sig2 = await signHash(hash2, vendor1);
+        const sig2 = await signSBOM(vendor1, hash2, "v2.0", hash1);
 
         await expect(
           sbomRegistry.connect(vendor1).updateSBOM(hash1, hash2, "v2.0", sig2)
@@ -317,8 +1006,9 @@ describe("SBOMRegistry", function () {
         const hash2 = createHash("sbom-v2");
         const hash3 = createHash("sbom-v3");
 
-        const sig2 = await signHash(hash2, vendor1);
-        const sig3 = await signHash(hash3, vendor1);
+        // Signed ahead, for the nonces the updates will use
+        const sig2 = await signSBOM(vendor1, hash2, "v2.0", hash1);
+        const sig3 = await signSBOM(vendor1, hash3, "v3.0", hash2, 2n);
 
         await sbomRegistry.connect(vendor1).updateSBOM(hash1, hash2, "v2.0", sig2);
         await sbomRegistry.connect(vendor1).updateSBOM(hash2, hash3, "v3.0", sig3);
@@ -334,8 +1024,9 @@ describe("SBOMRegistry", function () {
         const hash2 = createHash("sbom-v2");
         const hash3 = createHash("sbom-v3");
 
-        const sig2 = await signHash(hash2, vendor1);
-        const sig3 = await signHash(hash3, vendor1);
+        // Signed ahead, for the nonces the updates will use
+        const sig2 = await signSBOM(vendor1, hash2, "v2.0", hash1);
+        const sig3 = await signSBOM(vendor1, hash3, "v3.0", hash2, 2n);
 
         await sbomRegistry.connect(vendor1).updateSBOM(hash1, hash2, "v2.0", sig2);
         await sbomRegistry.connect(vendor1).updateSBOM(hash2, hash3, "v3.0", sig3);
@@ -358,17 +1049,33 @@ describe("SBOMRegistry", function () {
         );
 
         const hash2 = createHash("sbom-v2");
-        const sig2 = await signHash(hash2, vendor2);
+        const sig2 = await signSBOM(vendor2, hash2, "v2.0", hash1);
 
         await expect(
           sbomRegistry.connect(vendor2).updateSBOM(hash1, hash2, "v2.0", sig2)
         ).to.be.revertedWith("Only original vendor can update");
       });
 
+      it("Should not allow updating a superseded version", async function () {
+        const hash2 = createHash("sbom-v2");
+        const fork = createHash("sbom-v2-fork");
+
+        const sig2 = await signSBOM(vendor1, hash2, "v2.0", hash1);
+        await sbomRegistry.connect(vendor1).updateSBOM(hash1, hash2, "v2.0", sig2);
+        const sigFork = await signSBOM(vendor1, fork, "v2.0-fork", hash1);
+
+        await expect(
+          sbomRegistry.connect(vendor1).updateSBOM(hash1, fork, "v2.0-fork", sigFork)
+        ).to.be.revertedWith("Only the latest version can be updated");
+
+        const history = await sbomRegistry.getVersionHistory(hash1);
+        expect(history).to.deep.equal([hash1, hash2]);
+      });
+
       it("Should not allow updating non-existent SBOM", async function () {
         const nonExistent = createHash("non-existent");
         const hash2 = createHash("sbom-v2");
-        const sig2 = await signHash(hash2, vendor1);
+        const sig2 = await signSBOM(vendor1, hash2, "v2.0", nonExistent);
 
         await expect(
           sbomRegistry.connect(vendor1).updateSBOM(nonExistent, hash2, "v2.0", sig2)
@@ -377,6 +1084,499 @@ describe("SBOMRegistry", function () {
     });
   });
 
+  // ==========================================
+  // COMPONENT MERKLE ROOT TESTS
+  // ==========================================
+  describe("Component Merkle Roots", function () {
+    let hash;
+
+    function hashPair(a, b) {
+      return a < b
+        ? ethers.keccak256(ethers.concat([a, b]))
+        : ethers.keccak256(ethers.concat([b, a]));
+    }
+
+    beforeEach(async function () {
+      await sbomRegistry.registerVendor(
+        vendor1.address,
+        "Acme Corp",
+        "https://acme.com",
+        "security@acme.com"
+      );
+
+      hash = createHash("sbom-v1");
+      const signature = await signSBOM(vendor1, hash, "v1.0");
+      await sbomRegistry.connect(vendor1).registerSBOM(hash, "v1.0", signature);
+    });
+
+    it("Should anchor component root for own SBOM", async function () {
+      const root = createHash("component-root");
+
+      await expect(sbomRegistry.connect(vendor1).anchorComponentRoot(hash, root))
+        .to.emit(sbomRegistry, "ComponentRootAnchored");
+
+      expect(await sbomRegistry.getComponentRoot(hash)).to.equal(root);
+    });
+
+    it("Should not allow other accounts to anchor", async function () {
+      await expect(
+        sbomRegistry.connect(attacker).anchorComponentRoot(hash, createHash("fake-root"))
+      ).to.be.revertedWith("Only original vendor can anchor components");
+    });
+
+    it("Should not allow re-anchoring", async function () {
+      await sbomRegistry.connect(vendor1).anchorComponentRoot(hash, createHash("root-1"));
+
+      await expect(
+        sbomRegistry.connect(vendor1).anchorComponentRoot(hash, createHash("root-2"))
+      ).to.be.revertedWith("Component root already anchored");
+    });
+
+    it("Should reject unknown SBOM and zero root", async function () {
+      await expect(
+        sbomRegistry.connect(vendor1).anchorComponentRoot(createHash("unknown"), createHash("root"))
+      ).to.be.revertedWith("SBOM not found");
+
+      await expect(
+        sbomRegistry.connect(vendor1).anchorComponentRoot(hash, ethers.ZeroHash)
+      ).to.be.revertedWith("Invalid component root");
+    });
+
+    it("Should verify inclusion proofs against anchored root", async function () {
+      const leaves = ["pkg:npm/a@1", "pkg:npm/b@1", "pkg:npm/c@1"].map(createHash);
+      const node = hashPair(leaves[0], leaves[1]);
+      const root = hashPair(node, leaves[2]);
+
+      await sbomRegistry.connect(vendor1).anchorComponentRoot(hash, root);
+
+      expect(await sbomRegistry.verifyComponentProof(hash, leaves[0], [leaves[1], leaves[2]])).to.be.true;
+      expect(await sbomRegistry.verifyComponentProof(hash, leaves[2], [node])).to.be.true;
+      expect(await sbomRegistry.verifyComponentProof(hash, createHash("pkg:npm/evil@1"), [node])).to.be.false;
+    });
+
+    it("Should not verify proofs when no root is anchored", async function () {
+      const leaf = createHash("pkg:npm/a@1");
+      expect(await sbomRegistry.verifyComponentProof(hash, leaf, [])).to.be.false;
+    });
+  });
+
+  // ==========================================
+  // MULTI-DIGEST TESTS
+  // ==========================================
+  describe("Multi-Digest Records", function () {
+    let hash;
+    const sha256 = ethers.sha256(ethers.toUtf8Bytes("sbom-v1"));
+    const sha512 = ethers.sha512(ethers.toUtf8Bytes("sbom-v1"));
+
+    beforeEach(async function () {
+      await sbomRegistry.registerVendor(
+        vendor1.address,
+        "Acme Corp",
+        "https://acme.com",
+        "security@acme.com"
+      );
+
+      hash = createHash("sbom-v1");
+      const signature = await signSBOM(vendor1, hash, "v1.0");
+      await sbomRegistry.connect(vendor1).registerSBOM(hash, "v1.0", signature);
+    });
+
+    it("Should store algorithm-tagged digests", async function () {
+      await expect(
+        sbomRegistry.connect(vendor1).addDigests(hash, ["SHA-256", "SHA-512"], [sha256, sha512])
+      ).to.emit(sbomRegistry, "DigestAdded");
+
+      const digests = await sbomRegistry.getDigests(hash);
+      expect(digests.length).to.equal(2);
+      expect(digests[0].algorithm).to.equal("SHA-256");
+      expect(digests[0].digest).to.equal(sha256);
+      expect(digests[1].algorithm).to.equal("SHA-512");
+      expect(digests[1].digest).to.equal(sha512);
+    });
+
+    it("Should look up the record by SHA-256 and other digests", async function () {
+      await sbomRegistry.connect(vendor1).addDigests(hash, ["SHA-256", "SHA-512"], [sha256, sha512]);
+
+      expect(await sbomRegistry.getHashBySHA256(vendor1.address, sha256)).to.equal(hash);
+      expect(await sbomRegistry.getHashByDigest(vendor1.address, "SHA-512", sha512)).to.equal(hash);
+      expect(await sbomRegistry.getHashBySHA256(vendor1.address, ethers.sha256("0x1234"))).to.equal(ethers.ZeroHash);
+    });
+
+    it("Should not let another vendor take over a vendor's digest", async function () {
+      await sbomRegistry.registerVendor(
+        vendor2.address,
+        "Evil Corp",
+        "https://evil.com",
+        "security@evil.com"
+      );
+      const otherHash = createHash("evil-sbom");
+      const otherSig = await signSBOM(vendor2, otherHash, "v1.0");
+      await sbomRegistry.connect(vendor2).registerSBOM(otherHash, "v1.0", otherSig);
+
+      // The other vendor claims the digest first; it only finds its own record
+      await sbomRegistry.connect(vendor2).addDigests(otherHash, ["SHA-256"], [sha256]);
+      await sbomRegistry.connect(vendor1).addDigests(hash, ["SHA-256"], [sha256]);
+
+      expect(await sbomRegistry.getHashBySHA256(vendor1.address, sha256)).to.equal(hash);
+      expect(await sbomRegistry.getHashBySHA256(vendor2.address, sha256)).to.equal(otherHash);
+    });
+
+    it("Should not allow other accounts to add digests", async function () {
+      await expect(
+        sbomRegistry.connect(attacker).addDigests(hash, ["SHA-256"], [sha256])
+      ).to.be.revertedWith("Only original vendor can add digests");
+    });
+
+    it("Should not map the same digest to two records", async function () {
+      const hash2 = createHash("sbom-v1-copy");
+      const sig2 = await signSBOM(vendor1, hash2, "v1.0");
+      await sbomRegistry.connect(vendor1).registerSBOM(hash2, "v1.0", sig2);
+
+      await sbomRegistry.connect(vendor1).addDigests(hash, ["SHA-256"], [sha256]);
+
+      await expect(
+        sbomRegistry.connect(vendor1).addDigests(hash2, ["SHA-256"], [sha256])
+      ).to.be.revertedWith("Digest already registered");
+    });
+
+    it("Should reject a second digest for the same algorithm", async function () {
+      await sbomRegistry.connect(vendor1).addDigests(hash, ["SHA-256"], [sha256]);
+
+      await expect(
+        sbomRegistry.connect(vendor1).addDigests(hash, ["SHA-256"], [ethers.sha256("0x1234")])
+      ).to.be.revertedWith("Algorithm already recorded for this SBOM");
+    });
+
+    it("Should reject mismatched arrays", async function () {
+      await expect(
+        sbomRegistry.connect(vendor1).addDigests(hash, ["SHA-256", "SHA-512"], [sha256])
+      ).to.be.revertedWith("Algorithm and digest count mismatch");
+    });
+  });
+
+  // ==========================================
+  // FORMAT CONVERSION TESTS
+  // ==========================================
+  describe("Converted SBOMs", function () {
+    let sourceHash;
+    let derivedHash;
+
+    beforeEach(async function () {
+      await sbomRegistry.registerVendor(
+        vendor1.address,
+        "Acme Corp",
+        "https://acme.com",
+        "security@acme.com"
+      );
+      await sbomRegistry.registerVendor(
+        vendor2.address,
+        "Beta Inc",
+        "https://beta.com",
+        "security@beta.com"
+      );
+
+      sourceHash = createHash("syft-sbom");
+      derivedHash = createHash("cyclonedx-sbom");
+      await sbomRegistry.connect(vendor1).registerSBOM(sourceHash, "syft", await signSBOM(vendor1, sourceHash, "syft"));
+      await sbomRegistry.connect(vendor1).registerSBOM(derivedHash, "cyclonedx", await signSBOM(vendor1, derivedHash, "cyclonedx"));
+    });
+
+    it("Should link a converted SBOM to its source", async function () {
+      await expect(
+        sbomRegistry.connect(vendor1).linkDerivedSBOM(sourceHash, derivedHash)
+      ).to.emit(sbomRegistry, "SBOMDerived");
+
+      expect(await sbomRegistry.getSourceSBOM(derivedHash)).to.equal(sourceHash);
+      expect(await sbomRegistry.getSourceSBOM(sourceHash)).to.equal(ethers.ZeroHash);
+      expect(await sbomRegistry.getDerivedSBOMs(sourceHash)).to.deep.equal([derivedHash]);
+    });
+
+    it("Should list every conversion of a source", async function () {
+      const spdxHash = createHash("spdx-sbom");
+      await sbomRegistry.connect(vendor1).registerSBOM(spdxHash, "spdx", await signSBOM(vendor1, spdxHash, "spdx"));
+
+      await sbomRegistry.connect(vendor1).linkDerivedSBOM(sourceHash, derivedHash);
+      await sbomRegistry.connect(vendor1).linkDerivedSBOM(sourceHash, spdxHash);
+
+      expect(await sbomRegistry.getDerivedSBOMs(sourceHash)).to.deep.equal([derivedHash, spdxHash]);
+    });
+
+    it("Should only let the vendor of both records link them", async function () {
+      await expect(
+        sbomRegistry.connect(attacker).linkDerivedSBOM(sourceHash, derivedHash)
+      ).to.be.revertedWith("Only original vendor can link conversions");
+
+      const otherHash = createHash("beta-sbom");
+      await sbomRegistry.connect(vendor2).registerSBOM(otherHash, "beta", await signSBOM(vendor2, otherHash, "beta"));
+
+      await expect(
+        sbomRegistry.connect(vendor1).linkDerivedSBOM(sourceHash, otherHash)
+      ).to.be.revertedWith("Derived SBOM must be registered by the same vendor");
+    });
+
+    it("Should reject unknown, self and repeated links", async function () {
+      await expect(
+        sbomRegistry.connect(vendor1).linkDerivedSBOM(createHash("missing"), derivedHash)
+      ).to.be.revertedWith("Source SBOM not found");
+      await expect(
+        sbomRegistry.connect(vendor1).linkDerivedSBOM(sourceHash, createHash("missing"))
+      ).to.be.revertedWith("Derived SBOM not found");
+      await expect(
+        sbomRegistry.connect(vendor1).linkDerivedSBOM(sourceHash, sourceHash)
+      ).to.be.revertedWith("Cannot link an SBOM to itself");
+
+      await sbomRegistry.connect(vendor1).linkDerivedSBOM(sourceHash, derivedHash);
+
+      await expect(
+        sbomRegistry.connect(vendor1).linkDerivedSBOM(sourceHash, derivedHash)
+      ).to.be.revertedWith("Derived SBOM already linked");
+      await expect(
+        sbomRegistry.connect(vendor1).linkDerivedSBOM(derivedHash, sourceHash)
+      ).to.be.revertedWith("Source SBOM is itself a conversion");
+    });
+  });
+
+  // ==========================================
+  // VEX TESTS
+  // ==========================================
+  describe("VEX Documents", function () {
+    let sbomHash;
+    let documentHash;
+    const statements = '[{"vulnerability":"CVE-2024-0001","status":"not_affected"}]';
+
+    beforeEach(async function () {
+      await sbomRegistry.registerVendor(
+        vendor1.address,
+        "Acme Corp",
+        "https://acme.com",
+        "security@acme.com"
+      );
+
+      sbomHash = createHash("sbom-v1");
+      documentHash = createHash("vex-document");
+      await sbomRegistry.connect(vendor1).registerSBOM(sbomHash, "v1.0", await signSBOM(vendor1, sbomHash, "v1.0"));
+    });
+
+    it("Should let the vendor publish VEX for its SBOM", async function () {
+      await expect(
+        sbomRegistry.connect(vendor1).publishVEX(sbomHash, documentHash, statements, await signVEX(vendor1, sbomHash, documentHash, statements))
+      ).to.emit(sbomRegistry, "VEXPublished");
+
+      const record = await sbomRegistry.getVEX(documentHash);
+      expect(record.sbomHash).to.equal(sbomHash);
+      expect(record.author).to.equal(vendor1.address);
+      expect(record.statements).to.equal(statements);
+      expect(await sbomRegistry.getVEXDocuments(sbomHash)).to.deep.equal([documentHash]);
+    });
+
+    it("Should let an authorized VEX publisher publish until revoked", async function () {
+      await expect(
+        sbomRegistry.connect(vendor1).authorizeVEXPublisher(user1.address)
+      ).to.emit(sbomRegistry, "VEXPublisherAuthorized");
+      expect(await sbomRegistry.isVEXPublisher(vendor1.address, user1.address)).to.be.true;
+
+      await sbomRegistry.connect(user1).publishVEX(sbomHash, documentHash, statements, await signVEX(user1, sbomHash, documentHash, statements));
+      expect((await sbomRegistry.getVEX(documentHash)).author).to.equal(user1.address);
+
+      await expect(
+        sbomRegistry.connect(vendor1).revokeVEXPublisher(user1.address)
+      ).to.emit(sbomRegistry, "VEXPublisherRevoked");
+
+      const secondHash = createHash("vex-document-2");
+      await expect(
+        sbomRegistry.connect(user1).publishVEX(sbomHash, secondHash, statements, await signVEX(user1, sbomHash, secondHash, statements))
+      ).to.be.revertedWith("Only the SBOM vendor or its VEX publishers can publish VEX");
+
+      // Documents published before the revocation stay on record
+      expect(await sbomRegistry.getVEXDocuments(sbomHash)).to.deep.equal([documentHash]);
+    });
+
+    it("Should reject VEX from anyone else", async function () {
+      await expect(
+        sbomRegistry.connect(attacker).publishVEX(sbomHash, documentHash, statements, await signVEX(attacker, sbomHash, documentHash, statements))
+      ).to.be.revertedWith("Only the SBOM vendor or its VEX publishers can publish VEX");
+      await expect(
+        sbomRegistry.connect(attacker).authorizeVEXPublisher(attacker.address)
+      ).to.be.revertedWith("Vendor not verified - please register as vendor first");
+    });
+
+    it("Should reject unknown SBOMs, bad signatures and republished documents", async function () {
+      const missing = createHash("missing");
+      await expect(
+        sbomRegistry.connect(vendor1).publishVEX(missing, documentHash, statements, await signVEX(vendor1, missing, documentHash, statements))
+      ).to.be.revertedWith("SBOM not found");
+      await expect(
+        sbomRegistry.connect(vendor1).publishVEX(sbomHash, documentHash, statements, await signVEX(vendor2, sbomHash, documentHash, statements))
+      ).to.be.revertedWith("Invalid signature - signer does not match sender");
+
+      await sbomRegistry.connect(vendor1).publishVEX(sbomHash, documentHash, statements, await signVEX(vendor1, sbomHash, documentHash, statements));
+
+      await expect(
+        sbomRegistry.connect(vendor1).publishVEX(sbomHash, documentHash, statements, await signVEX(vendor1, sbomHash, documentHash, statements))
+      ).to.be.revertedWith("VEX document already published");
+    });
+
+    it("Should bind VEX signatures to the SBOM, the statements and the registry", async function () {
+      const otherHash = createHash("sbom-other");
+      await sbomRegistry.connect(vendor1).registerSBOM(otherHash, "v1.0", await signSBOM(vendor1, otherHash, "v1.0"));
+      const OtherRegistry = await ethers.getContractFactory("SBOMRegistry");
+      const otherRegistry = await OtherRegistry.deploy();
+
+      const signatures = [
+        await signHash(documentHash, vendor1),
+        await signVEX(vendor1, otherHash, documentHash, statements),
+        await signVEX(vendor1, sbomHash, documentHash, '[{"vulnerability":"CVE-2024-0001","status":"affected"}]'),
+        await signVEX(vendor1, sbomHash, documentHash, statements, otherRegistry)
+      ];
+      for (const signature of signatures) {
+        await expect(
+          sbomRegistry.connect(vendor1).publishVEX(sbomHash, documentHash, statements, signature)
+        ).to.be.revertedWith("Invalid signature - signer does not match sender");
+      }
+    });
+  });
+
+  // ==========================================
+  // WITHDRAWAL TESTS
+  // ==========================================
+  describe("SBOM Withdrawal", function () {
+    // WithdrawalReason enum values
+    const SUPERSEDED = 1;
+    const INACCURATE = 2;
+
+    let hash1;
+    let hash2;
+
+    beforeEach(async function () {
+      await sbomRegistry.registerVendor(
+        vendor1.address,
+        "Acme Corp",
+        "https://acme.com",
+        "security@acme.com"
+      );
+
+      hash1 = createHash("sbom-v1");
+      hash2 = createHash("sbom-v1-fixed");
+      await sbomRegistry.connect(vendor1).registerSBOM(hash1, "v1.0", await signSBOM(vendor1, hash1, "v1.0"));
+      await sbomRegistry.connect(vendor1).registerSBOM(hash2, "v1.0", await signSBOM(vendor1, hash2, "v1.0"));
+    });
+
+    it("Should let the vendor withdraw an SBOM with a reason and replacement", async function () {
+      await expect(
+        sbomRegistry.connect(vendor1).withdrawSBOM(hash1, INACCURATE, hash2)
+      ).to.emit(sbomRegistry, "SBOMWithdrawn");
+
+      const withdrawal = await sbomRegistry.getWithdrawal(hash1);
+      expect(withdrawal.reason).to.equal(INACCURATE);
+      expect(withdrawal.replacementHash).to.equal(hash2);
+      expect(withdrawal.timestamp).to.be.greaterThan(0);
+
+      const [exists, sigValid, , , withdrawalReason] = await sbomRegistry.verifyCompleteSBOM(hash1);
+      expect(exists).to.be.true;
+      expect(sigValid).to.be.true;
+      expect(withdrawalReason).to.equal(INACCURATE);
+
+      const [, , , , replacementReason] = await sbomRegistry.verifyCompleteSBOM(hash2);
+      expect(replacementReason).to.equal(0);
+    });
+
+    it("Should only let the original vendor withdraw, once", async function () {
+      await expect(
+        sbomRegistry.connect(attacker).withdrawSBOM(hash1, INACCURATE, ethers.ZeroHash)
+      ).to.be.revertedWith("Only original vendor can withdraw");
+
+      await sbomRegistry.connect(vendor1).withdrawSBOM(hash1, INACCURATE, ethers.ZeroHash);
+      await expect(
+        sbomRegistry.connect(vendor1).withdrawSBOM(hash1, INACCURATE, ethers.ZeroHash)
+      ).to.be.revertedWith("SBOM already withdrawn");
+    });
+
+    it("Should reject invalid reasons and replacements", async function () {
+      await expect(
+        sbomRegistry.connect(vendor1).withdrawSBOM(hash1, 0, ethers.ZeroHash)
+      ).to.be.revertedWith("Invalid withdrawal reason");
+      await expect(
+        sbomRegistry.connect(vendor1).withdrawSBOM(hash1, SUPERSEDED, ethers.ZeroHash)
+      ).to.be.revertedWith("Superseded SBOM needs a replacement");
+      await expect(
+        sbomRegistry.connect(vendor1).withdrawSBOM(hash1, SUPERSEDED, hash1)
+      ).to.be.revertedWith("SBOM cannot replace itself");
+      await expect(
+        sbomRegistry.connect(vendor1).withdrawSBOM(hash1, SUPERSEDED, createHash("unknown"))
+      ).to.be.revertedWith("Replacement SBOM not found");
+    });
+  });
+
+  // ==========================================
+  // ENDORSEMENT TESTS
+  // ==========================================
+  describe("Endorsements", function () {
+    // Role enum value
+    const AUDITOR = 1;
+
+    // Endorsement functions live in the extension, called at the registry's address
+    let endorsements;
+    let hash;
+
+    beforeEach(async function () {
+      endorsements = await ethers.getContractAt("SBOMRegistryExtension", await sbomRegistry.getAddress());
+      await sbomRegistry.registerVendor(vendor1.address, "Acme Corp", "https://acme.com", "security@acme.com");
+      hash = createHash("sbom-v1");
+      await sbomRegistry.connect(vendor1).registerSBOM(hash, "v1.0", await signSBOM(vendor1, hash, "v1.0"));
+      await sbomRegistry.grantRole(AUDITOR, user1.address);
+    });
+
+    it("Should let auditors endorse an SBOM once, with a comment hash", async function () {
+      const commentHash = createHash("review notes");
+      await expect(endorsements.connect(user1).endorseSBOM(hash, commentHash, await signEndorsement(user1, hash, commentHash)))
+        .to.emit(endorsements, "SBOMEndorsed");
+      await expect(
+        endorsements.connect(user1).endorseSBOM(hash, ethers.ZeroHash, await signEndorsement(user1, hash))
+      ).to.be.revertedWith("SBOM already endorsed by this auditor");
+
+      const list = await endorsements.getEndorsements(hash);
+      expect(list.length).to.equal(1);
+      expect(list[0].auditor).to.equal(user1.address);
+      expect(list[0].commentHash).to.equal(commentHash);
+    });
+
+    it("Should only accept endorsements co-signed by registered auditors", async function () {
+      await expect(
+        endorsements.connect(attacker).endorseSBOM(hash, ethers.ZeroHash, await signEndorsement(attacker, hash))
+      ).to.be.revertedWith("Caller does not have the required role");
+      await expect(
+        endorsements.connect(user1).endorseSBOM(hash, ethers.ZeroHash, await signEndorsement(attacker, hash))
+      ).to.be.revertedWith("Invalid signature - signer does not match sender");
+      const unknown = createHash("unknown");
+      await expect(
+        endorsements.connect(user1).endorseSBOM(unknown, ethers.ZeroHash, await signEndorsement(user1, unknown))
+      ).to.be.revertedWith("SBOM not found");
+
+      await sbomRegistry.connect(vendor1).withdrawSBOM(hash, 2, ethers.ZeroHash);
+      await expect(
+        endorsements.connect(user1).endorseSBOM(hash, ethers.ZeroHash, await signEndorsement(user1, hash))
+      ).to.be.revertedWith("SBOM withdrawn");
+    });
+
+    it("Should bind endorsement signatures to the comment hash and the registry", async function () {
+      const commentHash = createHash("review notes");
+      const OtherRegistry = await ethers.getContractFactory("SBOMRegistry");
+      const otherRegistry = await OtherRegistry.deploy();
+
+      const signatures = [
+        await signHash(hash, user1),
+        await signEndorsement(user1, hash),
+        await signEndorsement(user1, hash, commentHash, otherRegistry)
+      ];
+      for (const signature of signatures) {
+        await expect(
+          endorsements.connect(user1).endorseSBOM(hash, commentHash, signature)
+        ).to.be.revertedWith("Invalid signature - signer does not match sender");
+      }
+      await endorsements.connect(user1).endorseSBOM(hash, commentHash, await signEndorsement(user1, hash, commentHash));
+    });
+  });
+
   // ==========================================
   // SIGNATURE VERIFICATION TESTS
   // ==========================================
@@ -403,7 +1603,7 @@ describe("SBOMRegistry", function () {
     describe("verifySignature", function () {
       it("Should return true for valid signature", async function () {
         const hash = createHash("test-sbom");
-        const signature = await signHash(hash, vendor1);
+        const signature = await signSBOM(vendor1, hash, "v1.0");
 
         await sbomRegistry.connect(vendor1).registerSBOM(hash, "v1.0", signature);
 
@@ -412,6 +1612,35 @@ describe("SBOMRegistry", function () {
         expect(signer).to.equal(vendor1.address);
       });
 
+      it("Should verify records signed with a plain signature of the hash", async function () {
+        const hash = createHash("test-sbom");
+        await sbomRegistry.connect(vendor1).registerSBOM(hash, "v1.0", await signSBOM(vendor1, hash, "v1.0"));
+
+        // Stand in for a record registered before EIP-712 submissions: overwrite the
+        // stored signature (sbomRecords is slot 0, signature the record's fifth slot;
+        // both signatures are 65 bytes, so only the data words change)
+        const storeLegacySignature = async (signature) => {
+          const signatureSlot = BigInt(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["bytes32", "uint256"], [hash, 0]))) + 4n;
+          const dataSlot = BigInt(ethers.keccak256(ethers.toBeHex(signatureSlot, 32)));
+          const data = ethers.zeroPadBytes(signature, 96);
+          for (let i = 0; i < 3; i++) {
+            await ethers.provider.send("hardhat_setStorageAt", [
+              await sbomRegistry.getAddress(),
+              ethers.toQuantity(dataSlot + BigInt(i)),
+              ethers.dataSlice(data, i * 32, i * 32 + 32)
+            ]);
+          }
+        };
+
+        await storeLegacySignature(await signHash(hash, vendor1));
+        const [isValid, signer] = await sbomRegistry.verifySignature(hash);
+        expect(isValid).to.be.true;
+        expect(signer).to.equal(vendor1.address);
+
+        await storeLegacySignature(await signHash(hash, attacker));
+        expect((await sbomRegistry.verifySignature(hash))[0]).to.be.false;
+      });
+
       it("Should return false for non-existent SBOM", async function () {
         const hash = createHash("non-existent");
 
@@ -424,7 +1653,7 @@ describe("SBOMRegistry", function () {
     describe("verifyCompleteSBOM", function () {
       it("Should return complete verification info", async function () {
         const hash = createHash("test-sbom");
-        const signature = await signHash(hash, vendor1);
+        const signature = await signSBOM(vendor1, hash, "v1.0");
 
         await sbomRegistry.connect(vendor1).registerSBOM(hash, "v1.0", signature);
 
@@ -451,18 +1680,32 @@ describe("SBOMRegistry", function () {
 
       it("Should show vendor not verified after revocation", async function () {
         const hash = createHash("test-sbom");
-        const signature = await signHash(hash, vendor1);
+        const signature = await signSBOM(vendor1, hash, "v1.0");
 
         await sbomRegistry.connect(vendor1).registerSBOM(hash, "v1.0", signature);
         await sbomRegistry.revokeVendor(vendor1.address);
 
-        const [exists, sigValid, vendorVerified, vendorName] =
+        const [exists, sigValid, vendorVerified, vendorName, , , verifiedAtRegistration] =
           await sbomRegistry.verifyCompleteSBOM(hash);
 
         expect(exists).to.be.true;
         expect(sigValid).to.be.true;
         expect(vendorVerified).to.be.false;
         expect(vendorName).to.equal("Acme Corp");
+        expect(verifiedAtRegistration).to.be.true;
+      });
+
+      it("Should judge a re-registered vendor by its status at registration", async function () {
+        await sbomRegistry.revokeVendor(vendor1.address);
+        await sbomRegistry.registerVendor(vendor1.address, "Acme Corp", "https://acme.com", "security@acme.com");
+        const hash = createHash("test-sbom");
+        await sbomRegistry.connect(vendor1).registerSBOM(hash, "v1.0", await signSBOM(vendor1, hash, "v1.0"));
+        await sbomRegistry.revokeVendor(vendor1.address);
+
+        const [, , vendorVerified, , , , verifiedAtRegistration] = await sbomRegistry.verifyCompleteSBOM(hash);
+        expect(vendorVerified).to.be.false;
+        expect(verifiedAtRegistration).to.be.true;
+        expect((await sbomRegistry.getVendorStatusHistory(vendor1.address)).length).to.equal(4);
       });
     });
   });
@@ -485,9 +1728,9 @@ describe("SBOMRegistry", function () {
       const hash2 = createHash("sbom-v2");
       const hash3 = createHash("sbom-v3");
 
-      const sig1 = await signHash(hash1, vendor1);
-      const sig2 = await signHash(hash2, vendor1);
-      const sig3 = await signHash(hash3, vendor1);
+      const sig1 = await signSBOM(vendor1, hash1, "v1.0");
+      const sig2 = await signSBOM(vendor1, hash2, "v2.0", hash1, 1n);
+      const sig3 = await signSBOM(vendor1, hash3, "v3.0", hash2, 2n);
 
       await sbomRegistry.connect(vendor1).registerSBOM(hash1, "v1.0", sig1);
       expect(await sbomRegistry.getVersionCount(hash1)).to.equal(1);
@@ -501,6 +1744,23 @@ describe("SBOMRegistry", function () {
       expect(await sbomRegistry.getVersionCount(hash2)).to.equal(3);
       expect(await sbomRegistry.getVersionCount(hash3)).to.equal(3);
     });
+
+    it("Should return the latest version for any version in the chain", async function () {
+      const hash1 = createHash("sbom-v1");
+      const hash2 = createHash("sbom-v2");
+
+      const sig1 = await signSBOM(vendor1, hash1, "v1.0");
+      const sig2 = await signSBOM(vendor1, hash2, "v2.0", hash1, 1n);
+
+      await sbomRegistry.connect(vendor1).registerSBOM(hash1, "v1.0", sig1);
+      expect(await sbomRegistry.getLatestVersion(hash1)).to.equal(hash1);
+
+      await sbomRegistry.connect(vendor1).updateSBOM(hash1, hash2, "v2.0", sig2);
+      expect(await sbomRegistry.getLatestVersion(hash1)).to.equal(hash2);
+      expect(await sbomRegistry.getLatestVersion(hash2)).to.equal(hash2);
+
+      expect(await sbomRegistry.getLatestVersion(createHash("unknown"))).to.equal(ethers.ZeroHash);
+    });
   });
 
   // ==========================================
@@ -518,7 +1778,7 @@ describe("SBOMRegistry", function () {
 
     it("Should prevent attacker from using stolen signature", async function () {
       const hash = createHash("test-sbom");
-      const signature = await signHash(hash, vendor1);
+      const signature = await signSBOM(vendor1, hash, "malicious");
 
       // Contract checks signature first, so it will fail with "Invalid signature"
       await expect(
@@ -530,7 +1790,7 @@ describe("SBOMRegistry", function () {
       const hash1 = createHash("sbom-v1");
       const hash2 = createHash("sbom-v2");
 
-      const signature1 = await signHash(hash1, vendor1);
+      const signature1 = await signSBOM(vendor1, hash1, "v1.0");
 
       await sbomRegistry.connect(vendor1).registerSBOM(hash1, "v1.0", signature1);
 
@@ -546,13 +1806,109 @@ describe("SBOMRegistry", function () {
       const originalHash = createHash(originalContent);
       const tamperedHash = createHash(tamperedContent);
 
-      const signature = await signHash(originalHash, vendor1);
+      const signature = await signSBOM(vendor1, originalHash, "v1.0");
 
       await sbomRegistry.connect(vendor1).registerSBOM(originalHash, "v1.0", signature);
 
       const [exists] = await sbomRegistry.verifySBOM(tamperedHash);
       expect(exists).to.be.false;
     });
+
+    it("Should bind signatures to the metadata and previous version", async function () {
+      const hash1 = createHash("sbom-v1");
+      const hash2 = createHash("sbom-v2");
+
+      await expect(
+        sbomRegistry.connect(vendor1).registerSBOM(hash1, "tampered", await signSBOM(vendor1, hash1, "v1.0"))
+      ).to.be.revertedWith("Invalid signature - signer does not match sender");
+      await sbomRegistry.connect(vendor1).registerSBOM(hash1, "v1.0", await signSBOM(vendor1, hash1, "v1.0"));
+
+      // A signature for a new chain cannot be used to extend an existing one
+      await expect(
+        sbomRegistry.connect(vendor1).updateSBOM(hash1, hash2, "v2.0", await signSBOM(vendor1, hash2, "v2.0"))
+      ).to.be.revertedWith("Invalid signature - signer does not match sender");
+    });
+
+    it("Should reject signatures for a used nonce", async function () {
+      const hash1 = createHash("sbom-v1");
+      const hash2 = createHash("sbom-v2");
+      const staleSignature = await signSBOM(vendor1, hash2, "v1.0");
+
+      await sbomRegistry.connect(vendor1).registerSBOM(hash1, "v1.0", await signSBOM(vendor1, hash1, "v1.0"));
+      const extension = await ethers.getContractAt("SBOMRegistryExtension", await sbomRegistry.getAddress());
+      expect(await extension.getNonce(vendor1.address)).to.equal(1n);
+
+      await expect(
+        sbomRegistry.connect(vendor1).registerSBOM(hash2, "v1.0", staleSignature)
+      ).to.be.revertedWith("Invalid signature - signer does not match sender");
+    });
+
+    it("Should not accept a signature made for another registry", async function () {
+      const SBOMRegistry = await ethers.getContractFactory("SBOMRegistry");
+      const otherRegistry = await SBOMRegistry.deploy();
+      await otherRegistry.registerVendor(vendor1.address, "Acme Corp", "https://acme.com", "security@acme.com");
+      const hash = createHash("sbom-v1");
+      const signature = await signSBOM(vendor1, hash, "v1.0", ethers.ZeroHash, 0n, otherRegistry);
+
+      await otherRegistry.connect(vendor1).registerSBOM(hash, "v1.0", signature);
+      await expect(
+        sbomRegistry.connect(vendor1).registerSBOM(hash, "v1.0", signature)
+      ).to.be.revertedWith("Invalid signature - signer does not match sender");
+
+      const extension = await ethers.getContractAt("SBOMRegistryExtension", await sbomRegistry.getAddress());
+      const otherExtension = await ethers.getContractAt("SBOMRegistryExtension", await otherRegistry.getAddress());
+      expect(await extension.getDomainSeparator()).to.not.equal(await otherExtension.getDomainSeparator());
+      expect(await extension.getDomainSeparator()).to.equal(ethers.TypedDataEncoder.hashDomain({
+        name: "SBOMRegistry",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await sbomRegistry.getAddress()
+      }));
+    });
+
+    it("Should reject malleable (high-s) signatures", async function () {
+      const hash = createHash("sbom-v1");
+      const signature = ethers.Signature.from(await signSBOM(vendor1, hash, "v1.0"));
+      const order = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+
+      // The same signature with s mirrored (and v flipped) recovers the same signer
+      const highS = ethers.concat([
+        signature.r,
+        ethers.toBeHex(order - BigInt(signature.s), 32),
+        ethers.toBeHex(signature.v === 27 ? 28 : 27, 1)
+      ]);
+      await expect(
+        sbomRegistry.connect(vendor1).registerSBOM(hash, "v1.0", highS)
+      ).to.be.revertedWith("Invalid signature - signer does not match sender");
+
+      await sbomRegistry.connect(vendor1).registerSBOM(hash, "v1.0", signature.serialized);
+    });
+
+    it("Should prevent a revoked vendor from updating its SBOMs", async function () {
+      const hash1 = createHash("sbom-v1");
+      const hash2 = createHash("sbom-v2");
+
+      await sbomRegistry.connect(vendor1).registerSBOM(hash1, "v1.0", await signSBOM(vendor1, hash1, "v1.0"));
+      await sbomRegistry.revokeVendor(vendor1.address);
+
+      await expect(
+        sbomRegistry.connect(vendor1).updateSBOM(hash1, hash2, "v2.0", await signSBOM(vendor1, hash2, "v2.0", hash1))
+      ).to.be.revertedWith("Vendor not verified - please register as vendor first");
+
+      expect(await sbomRegistry.getVersionCount(hash1)).to.equal(1);
+    });
+
+    it("Should let a re-registered vendor update again", async function () {
+      const hash1 = createHash("sbom-v1");
+      const hash2 = createHash("sbom-v2");
+
+      await sbomRegistry.connect(vendor1).registerSBOM(hash1, "v1.0", await signSBOM(vendor1, hash1, "v1.0"));
+      await sbomRegistry.revokeVendor(vendor1.address);
+      await sbomRegistry.registerVendor(vendor1.address, "Acme Corp", "https://acme.com", "security@acme.com");
+
+      await sbomRegistry.connect(vendor1).updateSBOM(hash1, hash2, "v2.0", await signSBOM(vendor1, hash2, "v2.0", hash1));
+      expect(await sbomRegistry.getLatestVersion(hash1)).to.equal(hash2);
+    });
   });
 
   // ==========================================
@@ -570,7 +1926,7 @@ describe("SBOMRegistry", function () {
 
     it("Should estimate gas for registerSBOM", async function () {
       const hash = createHash("test-sbom");
-      const signature = await signHash(hash, vendor1);
+      const signature = await signSBOM(vendor1, hash, "v1.0");
 
       const tx = await sbomRegistry.connect(vendor1).registerSBOM(hash, "v1.0", signature);
       const receipt = await tx.wait();
@@ -583,11 +1939,10 @@ describe("SBOMRegistry", function () {
       const hash1 = createHash("sbom-v1");
       const hash2 = createHash("sbom-v2");
 
-      const sig1 = await signHash(hash1, vendor1);
-      const sig2 = await signHash(hash2, vendor1);
-
+      const sig1 = await signSBOM(vendor1, hash1, "v1.0");
       await sbomRegistry.connect(vendor1).registerSBOM(hash1, "v1.0", sig1);
 
+      const sig2 = await signSBOM(vendor1, hash2, "v2.0", hash1);
       const tx = await sbomRegistry.connect(vendor1).updateSBOM(hash1, hash2, "v2.0", sig2);
       const receipt = await tx.wait();
 
@@ -0,0 +1,95 @@
+const { expect } = require("chai");
+const { canonicalize } = require("../../cli/utils/canonical");
+
+/**
+ * Unit tests for the JSON Canonicalization Scheme (RFC 8785), using the
+ * examples of the RFC
+ *
+ * Run with: npx hardhat test test/cli/canonical.test.js
+ */
+
+// Parse an IEEE 754 double given as 16 hex digits, as in RFC 8785 appendix B
+function double(hex) {
+  return Buffer.from(hex, "hex").readDoubleBE(0);
+}
+
+describe("canonicalize (RFC 8785)", function () {
+  it("Should serialize the sample document of section 3.2.3", function () {
+    const input = JSON.parse(`{
+      "numbers": [333333333.33333329, 1E30, 4.50, 2e-3, 0.000000000000000000000000001],
+      "string": "\\u20ac$\\u000F\\u000aA'\\u0042\\u0022\\u005c\\\\\\"\\/",
+      "literals": [null, true, false]
+    }`);
+
+    expect(canonicalize(input)).to.equal(
+      '{"literals":[null,true,false],"numbers":[333333333.3333333,1e+30,4.5,0.002,1e-27],' +
+      '"string":"€$\\u000f\\nA\'B\\"\\\\\\\\\\"/"}'
+    );
+  });
+
+  it("Should sort object members by their UTF-16 code units (section 3.2.3)", function () {
+    const input = JSON.parse(`{
+      "\\u20ac": "Euro Sign",
+      "\\r": "Carriage Return",
+      "\\ufb33": "Hebrew Letter Dalet With Dagesh",
+      "1": "One",
+      "\\ud83d\\ude00": "Emoji: Grinning Face",
+      "\\u0080": "Control",
+      "\\u00f6": "Latin Small Letter O With Diaeresis"
+    }`);
+
+    // Re-parsing would move "1" to the front, so compare the text
+    const order = ["\r", "1", "\u0080", "\u00f6", "\u20ac", "\ud83d\ude00", "\ufb33"];
+    expect(canonicalize(input)).to.equal(
+      "{" + order.map((key) => JSON.stringify(key) + ":" + JSON.stringify(input[key])).join(",") + "}"
+    );
+  });
+
+  it("Should serialize numbers as in appendix B", function () {
+    const samples = {
+      "0000000000000000": "0",
+      "8000000000000000": "0",
+      "0000000000000001": "5e-324",
+      "8000000000000001": "-5e-324",
+      "7fefffffffffffff": "1.7976931348623157e+308",
+      "ffefffffffffffff": "-1.7976931348623157e+308",
+      "4340000000000000": "9007199254740992",
+      "c340000000000000": "-9007199254740992",
+      "4430000000000000": "295147905179352830000",
+      "44b52d02c7e14af5": "9.999999999999997e+22",
+      "44b52d02c7e14af6": "1e+23",
+      "44b52d02c7e14af7": "1.0000000000000001e+23",
+      "444b1ae4d6e2ef4e": "999999999999999700000",
+      "444b1ae4d6e2ef4f": "999999999999999900000",
+      "444b1ae4d6e2ef50": "1e+21",
+      "3eb0c6f7a0b5ed8c": "9.999999999999997e-7",
+      "3eb0c6f7a0b5ed8d": "0.000001",
+      "41b3de4355555553": "333333333.3333332",
+      "41b3de4355555554": "333333333.33333325",
+      "41b3de4355555555": "333333333.3333333",
+      "41b3de4355555556": "333333333.3333334",
+      "41b3de4355555557": "333333333.33333343",
+      "becbf647612f3696": "-0.0000033333333333333333",
+      "43143ff3c1cb0959": "1424953923781206.2"
+    };
+
+    Object.entries(samples).forEach(([hex, expected]) => {
+      expect(canonicalize(double(hex)), hex).to.equal(expected);
+    });
+  });
+
+  it("Should reject values JSON cannot represent", function () {
+    expect(() => canonicalize(double("7fffffffffffffff"))).to.throw("non-finite");
+    expect(() => canonicalize(double("7ff0000000000000"))).to.throw("non-finite");
+    expect(() => canonicalize("\ud800")).to.throw("lone surrogate");
+    expect(() => canonicalize({ value: () => {} })).to.throw("type function");
+  });
+
+  it("Should give the same text whatever the formatting and key order", function () {
+    const a = JSON.parse('{ "b": [1, {"y": 2, "x": 1}], "a": "text" }');
+    const b = JSON.parse('{"a":"text","b":[1.0,{"x":1.00,"y":2}]}');
+
+    expect(canonicalize(a)).to.equal('{"a":"text","b":[1,{"x":1,"y":2}]}');
+    expect(canonicalize(b)).to.equal(canonicalize(a));
+  });
+});
@@ -0,0 +1,116 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { resolveSBOMRecord, CONTRACT_ABI } = require("../../cli/utils/contract");
+const { analyzeSBOM } = require("../../cli/utils/hash");
+const { canonicalize } = require("../../cli/utils/canonical");
+const { signSBOM } = require("../../cli/utils/sign");
+
+/**
+ * Unit tests for the CLI's registry helpers, against a local registry
+ *
+ * Run with: npx hardhat test test/cli/contract.test.js
+ */
+
+describe("resolveSBOMRecord", function () {
+  let contract;
+  let vendor;
+  let dir;
+
+  const document = {
+    bomFormat: "CycloneDX",
+    specVersion: "1.5",
+    serialNumber: "urn:uuid:3e671687-395b-41f5-a30f-a58921a69b79",
+    version: 1,
+    metadata: { timestamp: "2024-01-01T00:00:00Z", component: { type: "application", name: "app", version: "1.0.0" } },
+    components: [{ type: "library", name: "left-pad", version: "1.3.0" }]
+  };
+
+  // Write a file and return its path
+  function writeFile(name, content) {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  }
+
+  // Register a hash as the vendor, recording the hash mode it was computed in
+  async function register(hash, hashMode) {
+    const metadata = JSON.stringify({ name: "app", version: "1.0.0", hashMode });
+    const signature = await signSBOM(vendor, contract, { hash, metadata });
+    await (await contract.registerSBOM(hash, metadata, signature)).wait();
+  }
+
+  beforeEach(async function () {
+    let owner;
+    [owner, vendor] = await ethers.getSigners();
+
+    const SBOMRegistry = await ethers.getContractFactory("SBOMRegistry");
+    const registry = await SBOMRegistry.deploy();
+    await registry.waitForDeployment();
+    await registry.connect(owner).registerVendor(vendor.address, "Acme Corp", "https://acme.com", "security@acme.com");
+
+    // The CLI's own view of the registry
+    contract = new ethers.Contract(await registry.getAddress(), CONTRACT_ABI, vendor);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "sbom-contract-test-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should find the record of a file by its raw hash", async function () {
+    const file = writeFile("sbom.json", JSON.stringify(document, null, 2));
+    const { hashes } = await analyzeSBOM(file);
+    await register(hashes.raw, "raw");
+
+    const { hash, record } = await resolveSBOMRecord(contract, file);
+
+    expect(hash).to.equal(hashes.raw);
+    expect(record.vendor).to.equal(vendor.address);
+  });
+
+  it("Should take a record hash as given", async function () {
+    const hash = ethers.id("some sbom");
+    await register(hash, "raw");
+
+    expect((await resolveSBOMRecord(contract, hash)).record.vendor).to.equal(vendor.address);
+    expect(await resolveSBOMRecord(contract, ethers.id("unknown")))
+      .to.deep.equal({ hash: ethers.id("unknown"), hashMode: null, record: null, analysis: null });
+  });
+
+  it("Should find a regenerated file by its semantic hash in auto mode only", async function () {
+    const original = writeFile("v1.json", JSON.stringify(document));
+    await register((await analyzeSBOM(original, { hashModes: ["semantic"] })).hashes.semantic, "semantic");
+
+    // Same build, generated again later
+    const regenerated = writeFile("v1-again.json", JSON.stringify({
+      ...document,
+      serialNumber: "urn:uuid:9d1e7c1a-0f5e-4b8e-8a51-5d0b4b3c2a10",
+      metadata: { ...document.metadata, timestamp: "2024-02-01T00:00:00Z" }
+    }));
+    const analysis = await analyzeSBOM(regenerated, { hashModes: ["raw", "semantic"] });
+
+    const auto = await resolveSBOMRecord(contract, regenerated);
+    expect(auto.hash).to.equal(analysis.hashes.semantic);
+    expect(auto.hashMode).to.equal("semantic");
+    expect(auto.record).to.not.equal(null);
+
+    const raw = await resolveSBOMRecord(contract, regenerated, "raw");
+    expect(raw).to.include({ hash: analysis.hashes.raw, hashMode: "raw", record: null });
+  });
+
+  it("Should not match a record registered under another hash mode", async function () {
+    // A file holding exactly the canonical form of another document: its raw
+    // hash is the other document's canonical hash
+    const file = writeFile("sbom.json", JSON.stringify(document, null, 2));
+    const canonicalFile = writeFile("canonical.json", canonicalize(document));
+    const { hashes } = await analyzeSBOM(file, { hashModes: ["canonical"] });
+    await register(hashes.canonical, "raw");
+
+    expect((await resolveSBOMRecord(contract, canonicalFile, "raw")).record).to.not.equal(null);
+    expect((await resolveSBOMRecord(contract, file, "canonical")).record).to.equal(null);
+    expect((await resolveSBOMRecord(contract, file)).record).to.equal(null);
+  });
+});
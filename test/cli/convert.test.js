@@ -0,0 +1,109 @@
+const { expect } = require("chai");
+const { convertSyft } = require("../../cli/utils/convert");
+const { validateDocument } = require("../../cli/utils/validate");
+
+/**
+ * Unit tests for Syft JSON to CycloneDX / SPDX conversion
+ *
+ * Run with: npx hardhat test test/cli/convert.test.js
+ */
+
+describe("convertSyft", function () {
+  const sourceDigest = "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08";
+
+  const syft = {
+    artifacts: [
+      {
+        id: "a1",
+        name: "express",
+        version: "4.18.2",
+        type: "npm",
+        language: "javascript",
+        purl: "pkg:npm/express@4.18.2",
+        cpes: [{ cpe: "cpe:2.3:a:expressjs:express:4.18.2:*:*:*:*:*:*:*" }],
+        licenses: [{ value: "MIT", spdxExpression: "MIT", type: "declared" }]
+      },
+      {
+        id: "a2",
+        name: "body-parser",
+        version: "1.20.1",
+        type: "npm",
+        purl: "pkg:npm/body-parser@1.20.1",
+        licenses: [{ value: "MIT OR Apache-2.0", spdxExpression: "MIT OR Apache-2.0", type: "declared" }]
+      },
+      { id: "a3", name: "internal", version: "0.1.0", type: "npm", licenses: ["Proprietary License"] }
+    ],
+    artifactRelationships: [
+      { parent: "a2", child: "a1", type: "dependency-of" },
+      { parent: "a2", child: "a1", type: "dependency-of" },
+      { parent: "a3", child: "a1", type: "contains" }
+    ],
+    source: { id: "src", type: "directory", name: "app", version: "1.0.0" },
+    distro: {},
+    descriptor: { name: "syft", version: "1.0.0", timestamp: "2024-01-01T12:00:00.123+02:00" },
+    schema: { version: "16.0.0", url: "https://example.com/schema.json" }
+  };
+
+  it("Should convert to a valid CycloneDX 1.5 document", function () {
+    const bom = convertSyft(syft, "cyclonedx", { sourceDigest });
+
+    expect(validateDocument(bom)).to.include({ valid: true, schema: "CycloneDX 1.5" });
+    expect(bom.serialNumber).to.equal("urn:uuid:9f86d081-884c-5d65-9a2f-eaa0c55ad015");
+    expect(bom.metadata.timestamp).to.equal("2024-01-01T10:00:00Z");
+    expect(bom.metadata.component).to.deep.equal({ "bom-ref": "source:src", type: "application", name: "app", version: "1.0.0" });
+    expect(bom.components.map((component) => component.licenses)).to.deep.equal([
+      [{ license: { id: "MIT" } }],
+      [{ expression: "MIT OR Apache-2.0" }],
+      [{ license: { name: "Proprietary License" } }]
+    ]);
+    expect(bom.components[0].cpe).to.equal("cpe:2.3:a:expressjs:express:4.18.2:*:*:*:*:*:*:*");
+    expect(bom.dependencies).to.deep.equal([
+      { ref: "a1", dependsOn: ["a2"] },
+      { ref: "a2", dependsOn: [] },
+      { ref: "a3", dependsOn: [] }
+    ]);
+  });
+
+  it("Should convert to a valid SPDX 2.3 document", function () {
+    const document = convertSyft(syft, "spdx", { sourceDigest });
+
+    expect(validateDocument(document)).to.include({ valid: true, schema: "SPDX 2.3" });
+    expect(document.documentNamespace).to.equal("https://spdx.org/spdxdocs/app-9f86d081-884c-5d65-9a2f-eaa0c55ad015");
+    expect(document.creationInfo.created).to.equal("2024-01-01T10:00:00Z");
+    expect(document.packages.map((pkg) => pkg.licenseDeclared)).to.deep.equal([
+      "NOASSERTION", "MIT", "MIT OR Apache-2.0", "LicenseRef-Proprietary-License"
+    ]);
+    expect(document.hasExtractedLicensingInfos).to.deep.equal([
+      { licenseId: "LicenseRef-Proprietary-License", name: "Proprietary License", extractedText: "Proprietary License" }
+    ]);
+
+    const [root, express, bodyParser] = document.packages.map((pkg) => pkg.SPDXID);
+    expect(document.relationships).to.deep.include({ spdxElementId: "SPDXRef-DOCUMENT", relationshipType: "DESCRIBES", relatedSpdxElement: root });
+    expect(document.relationships).to.deep.include({ spdxElementId: express, relationshipType: "DEPENDS_ON", relatedSpdxElement: bodyParser });
+    expect(document.relationships.filter((rel) => rel.relationshipType === "CONTAINS")).to.have.length(3);
+  });
+
+  it("Should give the same document for the same source", function () {
+    ["cyclonedx", "spdx"].forEach((target) => {
+      const first = JSON.stringify(convertSyft(syft, target, { sourceDigest }));
+      const again = JSON.stringify(convertSyft(JSON.parse(JSON.stringify(syft)), target, { sourceDigest, created: 0 }));
+      expect(again, target).to.equal(first);
+    });
+  });
+
+  it("Should use the given creation time when the source has none", function () {
+    const { timestamp, ...descriptor } = syft.descriptor;
+    const bom = convertSyft({ ...syft, descriptor }, "cyclonedx", { sourceDigest, created: "2024-03-01T00:00:00Z" });
+
+    expect(bom.metadata.timestamp).to.equal("2024-03-01T00:00:00Z");
+    expect(() => convertSyft({ ...syft, descriptor }, "cyclonedx", { sourceDigest, created: "not a date" }))
+      .to.throw("Invalid timestamp: not a date");
+  });
+
+  it("Should only convert Syft documents to known targets", function () {
+    expect(() => convertSyft(syft, "swid", { sourceDigest }))
+      .to.throw("Unknown target format: swid (expected one of: cyclonedx, spdx)");
+    expect(() => convertSyft({ bomFormat: "CycloneDX", specVersion: "1.5" }, "spdx", { sourceDigest }))
+      .to.throw("Only Syft JSON SBOMs can be converted (detected: CycloneDX)");
+  });
+});
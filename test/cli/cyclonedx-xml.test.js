@@ -0,0 +1,99 @@
+const { expect } = require("chai");
+const { parseCycloneDXXML } = require("../../cli/utils/cyclonedx-xml");
+
+/**
+ * Unit tests for the CycloneDX XML to JSON document model mapping
+ *
+ * Run with: npx hardhat test test/cli/cyclonedx-xml.test.js
+ */
+
+describe("parseCycloneDXXML", function () {
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<bom xmlns="http://cyclonedx.org/schema/bom/1.5" serialNumber="urn:uuid:3e671687-395b-41f5-a30f-a58921a69b79" version="1">
+  <metadata>
+    <timestamp>2024-01-01T00:00:00Z</timestamp>
+    <tools>
+      <components>
+        <component type="application"><name>cdxgen</name></component>
+      </components>
+    </tools>
+    <component type="application" bom-ref="app">
+      <name>app</name>
+      <version>1.0.0</version>
+    </component>
+  </metadata>
+  <components>
+    <component type="library" bom-ref="pkg:npm/left-pad@1.3.0">
+      <name>left-pad</name>
+      <version>1.3.0</version>
+      <hashes>
+        <hash alg="SHA-256">abc123</hash>
+      </hashes>
+      <licenses>
+        <license><id>MIT</id></license>
+        <expression>MIT OR Apache-2.0</expression>
+      </licenses>
+      <purl>pkg:npm/left-pad@1.3.0</purl>
+      <properties>
+        <property name="cdx:npm:package:development">false</property>
+      </properties>
+    </component>
+  </components>
+  <dependencies>
+    <dependency ref="app">
+      <dependency ref="pkg:npm/left-pad@1.3.0"/>
+    </dependency>
+    <dependency ref="pkg:npm/left-pad@1.3.0"/>
+  </dependencies>
+</bom>`;
+
+  it("Should map a BOM onto the CycloneDX JSON document model", function () {
+    expect(parseCycloneDXXML(xml)).to.deep.equal({
+      bomFormat: "CycloneDX",
+      specVersion: "1.5",
+      serialNumber: "urn:uuid:3e671687-395b-41f5-a30f-a58921a69b79",
+      version: 1,
+      metadata: {
+        timestamp: "2024-01-01T00:00:00Z",
+        tools: { components: [{ type: "application", name: "cdxgen" }] },
+        component: { type: "application", "bom-ref": "app", name: "app", version: "1.0.0" }
+      },
+      components: [{
+        type: "library",
+        "bom-ref": "pkg:npm/left-pad@1.3.0",
+        name: "left-pad",
+        version: "1.3.0",
+        hashes: [{ alg: "SHA-256", content: "abc123" }],
+        licenses: [{ license: { id: "MIT" } }, { expression: "MIT OR Apache-2.0" }],
+        purl: "pkg:npm/left-pad@1.3.0",
+        properties: [{ name: "cdx:npm:package:development", value: "false" }]
+      }],
+      dependencies: [
+        { ref: "app", dependsOn: ["pkg:npm/left-pad@1.3.0"] },
+        { ref: "pkg:npm/left-pad@1.3.0" }
+      ]
+    });
+  });
+
+  it("Should map 1.4 tool lists to an array", function () {
+    const bom = parseCycloneDXXML(`<bom xmlns="http://cyclonedx.org/schema/bom/1.4">
+      <metadata><tools><tool><vendor>CycloneDX</vendor><name>cdxgen</name></tool></tools></metadata>
+    </bom>`);
+
+    expect(bom.specVersion).to.equal("1.4");
+    expect(bom.metadata.tools).to.deep.equal([{ vendor: "CycloneDX", name: "cdxgen" }]);
+  });
+
+  it("Should reject XML that is not a CycloneDX BOM", function () {
+    expect(() => parseCycloneDXXML('<Document xmlns="http://cyclonedx.org/schema/bom/1.5"/>'))
+      .to.throw("Not a CycloneDX XML BOM: root element is <Document>");
+    expect(() => parseCycloneDXXML('<bom xmlns="http://example.com/bom"/>'))
+      .to.throw('Not a CycloneDX XML BOM: unknown namespace "http://example.com/bom"');
+    expect(() => parseCycloneDXXML("<bom/>")).to.throw('unknown namespace ""');
+  });
+
+  it("Should pass on the errors of malformed XML", function () {
+    expect(() => parseCycloneDXXML('<bom xmlns="http://cyclonedx.org/schema/bom/1.5"><components>'))
+      .to.throw("Invalid XML (line 1): unclosed element <components>");
+  });
+});
@@ -0,0 +1,123 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const {
+  DIFF_SECTIONS, componentKey, compareVersions, diffSBOMs, summarizeDiff, formatDiffSummary
+} = require("../../cli/utils/diff");
+const { canonicalize } = require("../../cli/utils/canonical");
+
+/**
+ * Unit tests for the component-level SBOM diff
+ *
+ * Run with: npx hardhat test test/cli/diff.test.js
+ */
+
+// A normalized npm component
+function npm(id, name, version, license = "MIT") {
+  return { id, name, version, license, purl: `pkg:npm/${name}@${version}` };
+}
+
+describe("SBOM diff", function () {
+  describe("componentKey", function () {
+    it("Should match components by purl without version, qualifiers and subpath", function () {
+      expect(componentKey({ name: "x", purl: "pkg:npm/left-pad@1.3.0" })).to.equal("pkg:npm/left-pad");
+      expect(componentKey({ name: "x", purl: "pkg:npm/%40babel/core@7.0.0?arch=x64#lib" })).to.equal("pkg:npm/%40babel/core");
+      expect(componentKey({ name: "x", purl: "pkg:golang/github.com/a/b" })).to.equal("pkg:golang/github.com/a/b");
+      expect(componentKey({ name: "left-pad", version: "1.3.0" })).to.equal("left-pad");
+    });
+  });
+
+  describe("compareVersions", function () {
+    it("Should order versions numerically, with pre-releases first", function () {
+      const ordered = ["1.0.0-alpha", "1.0.0-beta", "1.0.0", "1.0.1", "1.2.0", "1.10.0", "2.0.0"];
+
+      for (let i = 0; i < ordered.length - 1; i++) {
+        expect(compareVersions(ordered[i], ordered[i + 1]), `${ordered[i]} < ${ordered[i + 1]}`).to.be.below(0);
+        expect(compareVersions(ordered[i + 1], ordered[i]), `${ordered[i + 1]} > ${ordered[i]}`).to.be.above(0);
+      }
+      expect(compareVersions("1.0", "1.0")).to.equal(0);
+      expect(compareVersions("1.0", "1.0.1")).to.be.below(0);
+    });
+  });
+
+  describe("diffSBOMs", function () {
+    const oldSide = {
+      components: [
+        npm("a", "express", "4.18.2"),
+        npm("b", "body-parser", "1.20.1"),
+        npm("c", "debug", "4.3.4"),
+        npm("d", "qs", "6.11.0", "BSD-3-Clause"),
+        npm("e", "lodash", "4.17.21")
+      ],
+      dependencies: [{ from: "a", to: "b" }, { from: "b", to: "c" }]
+    };
+
+    const newSide = {
+      components: [
+        npm("1", "express", "4.19.0"),
+        npm("2", "body-parser", "1.20.1"),
+        npm("3", "debug", "4.3.1"),
+        npm("4", "qs", "6.11.0", "MIT"),
+        npm("5", "ms", "2.1.3")
+      ],
+      dependencies: [{ from: "1", to: "2" }, { from: "3", to: "5" }]
+    };
+
+    it("Should find added, removed, upgraded, downgraded and relicensed components", function () {
+      const diff = diffSBOMs(oldSide, newSide);
+
+      expect(diff.added).to.deep.equal([{ name: "ms", version: "2.1.3", purl: "pkg:npm/ms@2.1.3" }]);
+      expect(diff.removed).to.deep.equal([{ name: "lodash", version: "4.17.21", purl: "pkg:npm/lodash@4.17.21" }]);
+      expect(diff.upgraded).to.deep.equal([{ name: "express", purl: "pkg:npm/express", from: "4.18.2", to: "4.19.0" }]);
+      expect(diff.downgraded).to.deep.equal([{ name: "debug", purl: "pkg:npm/debug", from: "4.3.4", to: "4.3.1" }]);
+      expect(diff.licenseChanged).to.deep.equal([{ name: "qs", version: "6.11.0", from: "BSD-3-Clause", to: "MIT" }]);
+    });
+
+    it("Should compare relationships by component identity, not id", function () {
+      const diff = diffSBOMs(oldSide, newSide);
+
+      expect(diff.relationshipsAdded).to.deep.equal([{ from: "pkg:npm/debug", to: "pkg:npm/ms" }]);
+      expect(diff.relationshipsRemoved).to.deep.equal([{ from: "pkg:npm/body-parser", to: "pkg:npm/debug" }]);
+    });
+
+    it("Should list both sides when several versions of a package change", function () {
+      const diff = diffSBOMs(
+        { components: [npm("a", "ms", "2.0.0"), npm("b", "ms", "2.1.2")], dependencies: [] },
+        { components: [npm("c", "ms", "2.1.3")], dependencies: [] }
+      );
+
+      expect(diff.removed.map((entry) => entry.version)).to.deep.equal(["2.0.0", "2.1.2"]);
+      expect(diff.added.map((entry) => entry.version)).to.deep.equal(["2.1.3"]);
+      expect(diff.upgraded).to.deep.equal([]);
+    });
+
+    it("Should find no changes between a document and itself", function () {
+      const diff = diffSBOMs(oldSide, oldSide);
+
+      DIFF_SECTIONS.forEach((section) => expect(diff[section], section).to.deep.equal([]));
+    });
+  });
+
+  describe("summarizeDiff", function () {
+    it("Should count each section and commit to the full diff", function () {
+      const diff = diffSBOMs(
+        { components: [npm("a", "ms", "2.1.2")], dependencies: [] },
+        { components: [npm("b", "ms", "2.1.3"), npm("c", "debug", "4.3.4")], dependencies: [] }
+      );
+      const summary = summarizeDiff(diff);
+
+      expect(summary).to.deep.equal({
+        added: 1,
+        removed: 0,
+        upgraded: 1,
+        downgraded: 0,
+        licenseChanged: 0,
+        relationshipsAdded: 0,
+        relationshipsRemoved: 0,
+        digest: ethers.keccak256(ethers.toUtf8Bytes(canonicalize(diff)))
+      });
+      expect(formatDiffSummary(summary)).to.equal(
+        "+1 added, -0 removed, 1 upgraded, 0 downgraded, 0 license change(s), relationships +0/-0"
+      );
+    });
+  });
+});
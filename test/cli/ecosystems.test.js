@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const { compareSemver, comparePep440, compareMaven, identifyPackage } = require("../../cli/utils/ecosystems");
+
+/**
+ * Unit tests for the per-ecosystem version ordering and package identities
+ *
+ * Run with: npx hardhat test test/cli/ecosystems.test.js
+ */
+
+/**
+ * Check that a comparator puts versions in the given order
+ * @param {function} compare - Version comparator
+ * @param {string[]} ordered - Versions, lowest first
+ */
+function expectOrder(compare, ordered) {
+  ordered.forEach((a, i) => {
+    ordered.forEach((b, j) => {
+      const result = Math.sign(compare(a, b));
+      expect(result, `${a} vs ${b}`).to.equal(Math.sign(i - j));
+    });
+  });
+}
+
+/**
+ * Check that a comparator treats versions as equal
+ * @param {function} compare - Version comparator
+ * @param {string[]} versions - Equal versions
+ */
+function expectEqual(compare, versions) {
+  versions.forEach((a) => {
+    versions.forEach((b) => expect(compare(a, b), `${a} vs ${b}`).to.equal(0));
+  });
+}
+
+describe("Ecosystem version ordering", function () {
+  describe("compareSemver (npm, Go)", function () {
+    it("Should order releases and pre-releases as Semantic Versioning 2.0.0 does", function () {
+      expectOrder(compareSemver, [
+        "0.0.0-20210101000000-abcdef123456",
+        "0.9.0",
+        "1.0.0-alpha",
+        "1.0.0-alpha.1",
+        "1.0.0-alpha.beta",
+        "1.0.0-beta",
+        "1.0.0-beta.2",
+        "1.0.0-beta.11",
+        "1.0.0-rc.1",
+        "1.0.0",
+        "1.0.1",
+        "1.10.0",
+        "2.0.0"
+      ]);
+    });
+
+    it("Should accept a leading \"v\" and ignore build metadata", function () {
+      expectEqual(compareSemver, ["1.2.3", "v1.2.3", "=1.2.3", "1.2.3+build.5"]);
+      expectEqual(compareSemver, ["1", "1.0", "1.0.0"]);
+    });
+
+    it("Should fall back to the generic ordering for other versions", function () {
+      expect(compareSemver("2024.01.15-final", "2024.02.01-final")).to.be.below(0);
+    });
+  });
+
+  describe("comparePep440 (PyPI)", function () {
+    it("Should order epochs, pre-, post- and development releases as PEP 440 does", function () {
+      expectOrder(comparePep440, [
+        "0.9",
+        "1.0.dev1",
+        "1.0a1.dev1",
+        "1.0a1",
+        "1.0a2",
+        "1.0b1",
+        "1.0rc1",
+        "1.0",
+        "1.0.post1.dev1",
+        "1.0.post1",
+        "1.0.1",
+        "1.10",
+        "1!0.1"
+      ]);
+    });
+
+    it("Should treat spellings of the same version as equal", function () {
+      expectEqual(comparePep440, ["1.0", "1.0.0", "v1.0", "1.0+local.7", "0!1.0"]);
+      expectEqual(comparePep440, ["1.0rc1", "1.0RC1", "1.0c1", "1.0-pre1", "1.0.preview.1"]);
+      expectEqual(comparePep440, ["1.0.post1", "1.0-1", "1.0-r1", "1.0rev1"]);
+      expectEqual(comparePep440, ["1.0a", "1.0alpha0", "1.0.a.0"]);
+    });
+  });
+
+  describe("compareMaven (Maven)", function () {
+    it("Should order qualifiers as Maven's ComparableVersion does", function () {
+      expectOrder(compareMaven, [
+        "1-alpha-1",
+        "1-alpha-2",
+        "1-beta",
+        "1-milestone-1",
+        "1-rc-1",
+        "1-SNAPSHOT",
+        "1",
+        "1-sp",
+        "1-xyz",
+        "1.0.1",
+        "1.1",
+        "1.10"
+      ]);
+    });
+
+    it("Should treat aliases and trailing zeros as the same version", function () {
+      expectEqual(compareMaven, ["1", "1.0", "1.0.0", "1-ga", "1.0-final", "1-RELEASE"]);
+      expectEqual(compareMaven, ["1-a1", "1-alpha-1", "1.0-ALPHA1"]);
+      expectEqual(compareMaven, ["2-cr1", "2-rc-1", "2.0.0-RC1"]);
+      expect(compareMaven("2.0-alpha1", "2-beta")).to.be.below(0);
+    });
+  });
+});
+
+describe("identifyPackage", function () {
+  it("Should give the OSV ecosystem and normalized package name of a purl", function () {
+    expect(identifyPackage("pkg:npm/%40babel/core@7.0.0"))
+      .to.deep.equal({ ecosystem: "npm", name: "@babel/core", version: "7.0.0" });
+    expect(identifyPackage("pkg:pypi/Django_REST.framework@3.0"))
+      .to.deep.equal({ ecosystem: "PyPI", name: "django-rest-framework", version: "3.0" });
+    expect(identifyPackage("pkg:maven/org.apache.logging.log4j/log4j-core@2.14.1"))
+      .to.deep.equal({ ecosystem: "Maven", name: "org.apache.logging.log4j:log4j-core", version: "2.14.1" });
+    expect(identifyPackage("pkg:golang/github.com/gin-gonic/gin@v1.9.0"))
+      .to.deep.equal({ ecosystem: "Go", name: "github.com/gin-gonic/gin", version: "v1.9.0" });
+  });
+
+  it("Should not identify purls of other ecosystems", function () {
+    expect(identifyPackage("pkg:gem/rails@7.0.0")).to.equal(null);
+    expect(identifyPackage("not a purl")).to.equal(null);
+    expect(identifyPackage(undefined)).to.equal(null);
+  });
+});
@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const {
+  buildGraph, nodeLabel, findRoots, findOrphans, nodeDepths, findPackages,
+  whyPaths, findCycles, pathGraph, toDOT, toMermaid
+} = require("../../cli/utils/graph");
+
+/**
+ * Unit tests for the SBOM dependency graph
+ *
+ * Run with: npx hardhat test test/cli/graph.test.js
+ */
+
+// A normalized npm component
+function npm(id, name, version) {
+  return { id, name, version, purl: `pkg:npm/${name.replace("@", "%40")}@${version}` };
+}
+
+describe("Dependency graph", function () {
+  const components = [
+    npm("app", "app", "1.0.0"),
+    npm("express", "express", "4.18.2"),
+    npm("body-parser", "body-parser", "1.20.1"),
+    npm("debug", "debug", "4.3.4"),
+    npm("ms", "ms", "2.1.3"),
+    npm("ms-old", "ms", "2.0.0"),
+    npm("types", "@types/node", "20.0.0"),
+    npm("lodash", "lodash", "4.17.21")
+  ];
+  const dependencies = [
+    { from: "app", to: "express" },
+    { from: "app", to: "debug" },
+    { from: "express", to: "body-parser" },
+    { from: "body-parser", to: "debug" },
+    { from: "debug", to: "ms" },
+    { from: "debug", to: "ms" },
+    { from: "build-tool", to: "ms-old" },
+    { from: "app", to: "types" }
+  ];
+
+  let graph;
+  const ids = (indexes) => indexes.map((i) => graph.nodes[i].id);
+
+  beforeEach(function () {
+    graph = buildGraph(components, dependencies);
+  });
+
+  it("Should add a node for edge ends that name no component and drop duplicate edges", function () {
+    expect(graph.nodes).to.have.length(9);
+    expect(graph.edges).to.equal(7);
+    expect(graph.nodes[graph.index.get("build-tool")].component)
+      .to.deep.equal({ id: "build-tool", name: "build-tool", version: "", purl: "" });
+    expect(nodeLabel(graph.nodes[graph.index.get("build-tool")])).to.equal("build-tool");
+    expect(nodeLabel(graph.nodes[0])).to.equal("app@1.0.0");
+  });
+
+  it("Should find roots, orphans and depths", function () {
+    expect(ids(findRoots(graph))).to.deep.equal(["app", "build-tool"]);
+    expect(ids(findOrphans(graph))).to.deep.equal(["lodash"]);
+
+    const depths = nodeDepths(graph);
+    const depth = (id) => depths[graph.index.get(id)];
+    expect(depth("app")).to.equal(0);
+    expect(depth("debug")).to.equal(1);
+    expect(depth("body-parser")).to.equal(2);
+    expect(depth("ms")).to.equal(2);
+    expect(depth("lodash")).to.equal(-1);
+  });
+
+  it("Should find packages by purl, name@version or name", function () {
+    expect(ids(findPackages(graph, "pkg:npm/ms"))).to.deep.equal(["ms", "ms-old"]);
+    expect(ids(findPackages(graph, "pkg:npm/ms@2.0.0?arch=x64"))).to.deep.equal(["ms-old"]);
+    expect(ids(findPackages(graph, "ms@2.1.3"))).to.deep.equal(["ms"]);
+    expect(ids(findPackages(graph, "ms"))).to.deep.equal(["ms", "ms-old"]);
+    expect(ids(findPackages(graph, "@types/node"))).to.deep.equal(["types"]);
+    expect(ids(findPackages(graph, "@types/node@20.0.0"))).to.deep.equal(["types"]);
+    expect(findPackages(graph, "left-pad")).to.deep.equal([]);
+  });
+
+  it("Should explain a node by the shortest path from each root", function () {
+    expect(whyPaths(graph, graph.index.get("ms")).map(ids)).to.deep.equal([["app", "debug", "ms"]]);
+    expect(whyPaths(graph, graph.index.get("body-parser")).map(ids)).to.deep.equal([["app", "express", "body-parser"]]);
+    expect(whyPaths(graph, graph.index.get("app")).map(ids)).to.deep.equal([["app"]]);
+    expect(whyPaths(graph, graph.index.get("lodash"))).to.deep.equal([]);
+  });
+
+  it("Should find cycles, including a node that depends on itself", function () {
+    const cyclic = buildGraph([], [
+      { from: "root", to: "a" },
+      { from: "a", to: "b" },
+      { from: "b", to: "c" },
+      { from: "c", to: "a" },
+      { from: "c", to: "d" },
+      { from: "d", to: "d" }
+    ]);
+    const cycleIds = findCycles(cyclic).map((cycle) => cycle.map((i) => cyclic.nodes[i].id).sort());
+
+    expect(cycleIds).to.have.deep.members([["a", "b", "c"], ["d"]]);
+    expect(findCycles(graph)).to.deep.equal([]);
+  });
+
+  it("Should find cycles in deep graphs without overflowing the stack", function () {
+    const chain = Array.from({ length: 20000 }, (_, i) => ({ from: `n${i}`, to: `n${i + 1}` }));
+    chain.push({ from: "n20000", to: "n0" });
+
+    const cycles = findCycles(buildGraph([], chain));
+
+    expect(cycles).to.have.length(1);
+    expect(cycles[0]).to.have.length(20001);
+  });
+
+  it("Should build the graph of a set of paths", function () {
+    const paths = whyPaths(graph, graph.index.get("ms"));
+    const subgraph = pathGraph(graph, paths);
+
+    expect(subgraph.nodes.map((node) => node.id)).to.deep.equal(["app", "debug", "ms"]);
+    expect(subgraph.edges).to.equal(2);
+  });
+
+  it("Should export DOT and Mermaid with escaped labels and highlights", function () {
+    const small = buildGraph([npm("a", "say \"hi\"", "1.0.0"), npm("b", "b", "2.0.0")], [{ from: "a", to: "b" }]);
+    const highlight = new Set(["b"]);
+
+    expect(toDOT(small, { highlight })).to.equal([
+      "digraph sbom {",
+      "  rankdir=LR;",
+      "  node [shape=box];",
+      '  "a" [label="say \\"hi\\"@1.0.0"];',
+      '  "b" [label="b@2.0.0" style=filled fillcolor="#ffcc99"];',
+      '  "a" -> "b";',
+      "}",
+      ""
+    ].join("\n"));
+    expect(toMermaid(small, { highlight })).to.equal([
+      "graph LR",
+      '  n0["say #quot;hi#quot;@1.0.0"]',
+      '  n1["b@2.0.0"]',
+      "  n0 --> n1",
+      "  style n1 fill:#ffcc99",
+      ""
+    ].join("\n"));
+  });
+});
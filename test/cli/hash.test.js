@@ -0,0 +1,143 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { analyzeSBOM, hashSBOMCanonical, hashSBOMSemantic } = require("../../cli/utils/hash");
+const { validateSBOM } = require("../../cli/utils/validate");
+
+/**
+ * Unit tests for analyzeSBOM, which hashes, extracts and validates an SBOM
+ * while streaming it
+ *
+ * Run with: npx hardhat test test/cli/hash.test.js
+ */
+
+const HASH_MODES = ["raw", "canonical", "semantic"];
+
+/**
+ * Write a Syft-like SBOM with the given number of packages, a line at a time
+ * @param {string} filePath - Where to write it
+ * @param {number} count - Number of packages
+ */
+function writeSyftSBOM(filePath, count) {
+  const fd = fs.openSync(filePath, "w");
+  const artifact = (i) => ({
+    id: `id-${i}`,
+    name: `package-${i}`,
+    version: `1.${i}.0`,
+    type: "npm",
+    foundBy: "javascript-package-cataloger",
+    locations: [{ path: `/app/node_modules/package-${i}/package.json` }],
+    licenses: [{ value: "MIT", spdxExpression: "MIT", type: "declared" }],
+    language: "javascript",
+    cpes: [{ cpe: `cpe:2.3:a:package-${i}:package-${i}:1.${i}.0:*:*:*:*:*:*:*`, source: "syft-generated" }],
+    purl: `pkg:npm/package-${i}@1.${i}.0`,
+    metadata: { description: `Package number ${i}, with a description long enough to look real` }
+  });
+
+  try {
+    fs.writeSync(fd, '{\n "artifacts": [\n');
+    for (let i = 0; i < count; i++) {
+      fs.writeSync(fd, "  " + JSON.stringify(artifact(i)) + (i < count - 1 ? ",\n" : "\n"));
+    }
+    fs.writeSync(fd, ' ],\n "artifactRelationships": [\n');
+    for (let i = 1; i < count; i++) {
+      fs.writeSync(fd, "  " + JSON.stringify({ parent: "id-0", child: `id-${i}`, type: "contains" }) + (i < count - 1 ? ",\n" : "\n"));
+    }
+    fs.writeSync(fd, ' ],\n "source": ' + JSON.stringify({
+      id: "abc", name: "app", version: "1.0.0", type: "directory", target: ".", metadata: { path: "." }
+    }));
+    fs.writeSync(fd, ',\n "distro": {},\n "descriptor": {"name": "syft", "version": "1.0.0", "configuration": {}},');
+    fs.writeSync(fd, '\n "schema": {"version": "16.0.0", "url": "https://example.com/schema.json"}\n}\n');
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Peak memory of a fresh process analyzing a file
+ * @param {string} filePath - SBOM file
+ * @param {string[]} hashModes - Hash modes to compute
+ * @param {boolean} validate - Also validate
+ * @returns {number} - Maximum resident set size, in bytes
+ */
+function measurePeakMemory(filePath, hashModes, validate) {
+  const script = `
+    const { analyzeSBOM } = require(${JSON.stringify(path.resolve(__dirname, "../../cli/utils/hash"))});
+    analyzeSBOM(${JSON.stringify(filePath)}, { hashModes: ${JSON.stringify(hashModes)}, validate: ${validate} })
+      .then(() => console.log(process.resourceUsage().maxRSS * 1024));
+  `;
+  return Number(execFileSync(process.execPath, ["-e", script], { encoding: "utf8" }).trim());
+}
+
+describe("analyzeSBOM", function () {
+  let dir;
+
+  before(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "sbom-hash-test-"));
+  });
+
+  after(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should stream the same canonical and semantic hashes as hashing the parsed document", async function () {
+    // Keys out of order, duplicate top-level keys, nested arrays and escapes
+    const file = path.join(dir, "cyclonedx.json");
+    fs.writeFileSync(file, `{
+      "version": 1, "components": [{"name": "ignored"}], "bomFormat": "CycloneDX",
+      "serialNumber": "urn:uuid:3e671687-395b-41f5-a30f-a58921a69b79", "specVersion": "1.5",
+      "metadata": {"timestamp": "2024-01-01T00:00:00Z", "tools": [{"name": "gen"}]},
+      "components": [{"type": "library", "version": "1.0", "name": "caf\\u00e9", "hashes": []},
+                     {"name": "b", "type": "library", "properties": [{"name": "n", "value": "1.50"}]}],
+      "dependencies": [{"ref": "b", "dependsOn": []}]
+    }`);
+
+    const analysis = await analyzeSBOM(file, { hashModes: HASH_MODES, validate: true });
+
+    expect(analysis.hashes.canonical).to.equal(hashSBOMCanonical(file));
+    expect(analysis.hashes.semantic).to.equal(hashSBOMSemantic(file));
+    expect(analysis.validation).to.deep.equal(validateSBOM(file));
+  });
+
+  it("Should report an invalid array element as invalid JSON", async function () {
+    const file = path.join(dir, "broken.json");
+    fs.writeFileSync(file, '{"bomFormat": "CycloneDX", "specVersion": "1.5", "components": [{"name": tru}]}');
+
+    const analysis = await analyzeSBOM(file, { hashModes: HASH_MODES, validate: true });
+
+    expect(analysis.hashes.canonical).to.be.undefined;
+    expect(analysis.hashErrors.canonical).to.equal("Invalid JSON file");
+    expect(analysis.hashErrors.semantic).to.equal("Invalid JSON file");
+    expect(analysis.validation.valid).to.equal(false);
+  });
+
+  it("Should report schema errors inside streamed arrays with their location", async function () {
+    const file = path.join(dir, "duplicates.json");
+    const component = { type: "library", name: "a" };
+    fs.writeFileSync(file, JSON.stringify({
+      bomFormat: "CycloneDX",
+      specVersion: "1.5",
+      components: [component, { type: "nope", name: "b" }, component]
+    }));
+
+    const { validation } = await analyzeSBOM(file, { validate: true });
+
+    expect(validation.valid).to.equal(false);
+    expect(validation.errors.map((error) => error.pointer)).to.include.members(["/components/1/type", "/components"]);
+  });
+
+  it("Should hash and validate a large SBOM in memory that does not grow with the file", async function () {
+    this.timeout(120000);
+    const file = path.join(dir, "large.json");
+    writeSyftSBOM(file, 12000);
+    const size = fs.statSync(file).size;
+
+    const raw = measurePeakMemory(file, ["raw"], false);
+    const everything = measurePeakMemory(file, HASH_MODES, true);
+
+    // Parsing the whole document takes well over ten times the file size
+    expect(everything - raw).to.be.below(5 * size);
+  });
+});
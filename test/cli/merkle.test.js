@@ -0,0 +1,70 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const {
+  componentLeaf, buildMerkleTree, getMerkleRoot, computeComponentRoot, getProof, verifyProof
+} = require("../../cli/utils/merkle");
+
+/**
+ * Unit tests for the component Merkle tree and its inclusion proofs
+ *
+ * Run with: npx hardhat test test/cli/merkle.test.js
+ */
+
+// n distinct components
+function makeComponents(n) {
+  return Array.from({ length: n }, (_, i) => ({
+    name: `package-${i}`,
+    version: `1.${i}.0`,
+    purl: `pkg:npm/package-${i}@1.${i}.0`
+  }));
+}
+
+describe("Component Merkle tree", function () {
+  it("Should prove every component of trees of every shape", function () {
+    for (let n = 1; n <= 17; n++) {
+      const components = makeComponents(n);
+      const levels = buildMerkleTree(components);
+      const root = getMerkleRoot(levels);
+
+      components.forEach((component) => {
+        const leaf = componentLeaf(component);
+        expect(verifyProof(leaf, getProof(levels, leaf), root), `${n} components`).to.equal(true);
+      });
+    }
+  });
+
+  it("Should give a single component's leaf as the root, and the zero hash for none", function () {
+    const [component] = makeComponents(1);
+
+    expect(computeComponentRoot([component])).to.equal(componentLeaf(component));
+    expect(computeComponentRoot([])).to.equal(ethers.ZeroHash);
+  });
+
+  it("Should not depend on component order, extra fields or duplicates", function () {
+    const components = makeComponents(5);
+    const reordered = [...components].reverse().map((component) => ({ ...component, licenses: ["MIT"] }));
+
+    expect(computeComponentRoot([...reordered, components[2]])).to.equal(computeComponentRoot(components));
+  });
+
+  it("Should reject proofs for other components, other roots or tampered siblings", function () {
+    const components = makeComponents(6);
+    const levels = buildMerkleTree(components);
+    const root = getMerkleRoot(levels);
+    const leaf = componentLeaf(components[0]);
+    const proof = getProof(levels, leaf);
+
+    const outsider = componentLeaf({ ...components[0], version: "9.9.9" });
+    expect(verifyProof(outsider, proof, root)).to.equal(false);
+    expect(verifyProof(leaf, proof, computeComponentRoot(makeComponents(7)))).to.equal(false);
+    expect(verifyProof(leaf, [ethers.id("forged"), ...proof.slice(1)], root)).to.equal(false);
+    expect(() => getProof(levels, outsider)).to.throw("Leaf is not part of this tree");
+  });
+
+  it("Should hash the canonical JSON of the disclosed fields twice", function () {
+    const component = { name: "left-pad", version: "1.3.0", purl: "pkg:npm/left-pad@1.3.0", type: "library" };
+    const encoded = ethers.toUtf8Bytes('{"name":"left-pad","purl":"pkg:npm/left-pad@1.3.0","version":"1.3.0"}');
+
+    expect(componentLeaf(component)).to.equal(ethers.keccak256(ethers.keccak256(encoded)));
+  });
+});
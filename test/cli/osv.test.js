@@ -0,0 +1,149 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseCPE, checkRange, checkAffected, auditComponents } = require("../../cli/utils/osv");
+const { compareSemver } = require("../../cli/utils/ecosystems");
+
+/**
+ * Unit tests for offline vulnerability matching against an OSV snapshot
+ *
+ * Run with: npx hardhat test test/cli/osv.test.js
+ */
+
+describe("OSV matching", function () {
+  describe("checkRange", function () {
+    const range = {
+      type: "SEMVER",
+      events: [{ fixed: "1.2.0" }, { introduced: "0" }, { introduced: "2.0.0" }, { last_affected: "2.1.0" }]
+    };
+
+    it("Should apply the events in version order", function () {
+      expect(checkRange(range, "1.0.0", compareSemver)).to.deep.equal({ affected: true, fixed: "1.2.0" });
+      expect(checkRange(range, "1.2.0-rc.1", compareSemver)).to.deep.equal({ affected: true, fixed: "1.2.0" });
+      expect(checkRange(range, "1.2.0", compareSemver)).to.deep.equal({ affected: false, fixed: null });
+      expect(checkRange(range, "2.0.0", compareSemver)).to.deep.equal({ affected: true, fixed: null });
+      expect(checkRange(range, "2.1.0", compareSemver)).to.deep.equal({ affected: true, fixed: null });
+      expect(checkRange(range, "2.1.1", compareSemver)).to.deep.equal({ affected: false, fixed: null });
+    });
+
+    it("Should never match GIT or malformed ranges", function () {
+      expect(checkRange({ type: "GIT", events: [{ introduced: "0" }] }, "1.0.0", compareSemver).affected).to.equal(false);
+      expect(checkRange({ type: "SEMVER" }, "1.0.0", compareSemver).affected).to.equal(false);
+      expect(checkRange(undefined, "1.0.0", compareSemver).affected).to.equal(false);
+    });
+  });
+
+  describe("checkAffected", function () {
+    it("Should match listed versions when no range applies", function () {
+      const affected = {
+        ranges: [{ type: "ECOSYSTEM", events: [{ introduced: "3.0.0" }, { fixed: "3.0.5" }] }],
+        versions: ["2.4.1", "v2.4.2"]
+      };
+
+      expect(checkAffected(affected, "3.0.1", compareSemver)).to.deep.equal({ affected: true, fixed: "3.0.5" });
+      expect(checkAffected(affected, "2.4.2", compareSemver)).to.deep.equal({ affected: true, fixed: null });
+      expect(checkAffected(affected, "2.4.3", compareSemver)).to.deep.equal({ affected: false, fixed: null });
+    });
+  });
+
+  describe("parseCPE", function () {
+    it("Should give the vendor and product key and the version", function () {
+      expect(parseCPE("cpe:2.3:a:Apache:Log4j:2.14.1:*:*:*:*:*:*:*")).to.deep.equal({ key: "apache:log4j", version: "2.14.1" });
+      expect(parseCPE("cpe:2.3:a:vendor\\:x:product:1.0:*:*:*:*:*:*:*").key).to.equal("vendor\\:x:product");
+      expect(parseCPE("cpe:/a:apache:log4j:2.14.1")).to.equal(null);
+      expect(parseCPE("cpe:2.3:a::log4j")).to.equal(null);
+      expect(parseCPE(undefined)).to.equal(null);
+    });
+  });
+
+  describe("auditComponents", function () {
+    let dir;
+
+    // Write an advisory file into the snapshot
+    function writeAdvisory(name, advisory) {
+      const filePath = path.join(dir, name);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, typeof advisory === "string" ? advisory : JSON.stringify(advisory));
+    }
+
+    before(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "sbom-osv-test-"));
+
+      writeAdvisory("npm/GHSA-0001.json", {
+        id: "GHSA-0001",
+        aliases: ["CVE-2024-0001"],
+        summary: "Prototype pollution",
+        severity: [{ type: "CVSS_V3", score: "CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H" }],
+        affected: [{
+          package: { ecosystem: "npm", name: "Left-Pad" },
+          ranges: [{ type: "SEMVER", events: [{ introduced: "0" }, { fixed: "1.3.1" }] }]
+        }]
+      });
+      writeAdvisory("PyPI/PYSEC-0002.json", {
+        id: "PYSEC-0002",
+        affected: [{
+          package: { ecosystem: "PyPI", name: "django" },
+          ranges: [{ type: "ECOSYSTEM", events: [{ introduced: "4.0" }, { fixed: "4.0.post1" }] }],
+          database_specific: { severity: "MODERATE" }
+        }]
+      });
+      writeAdvisory("Maven/GHSA-0003.json", {
+        id: "GHSA-0003",
+        affected: [{
+          package: { ecosystem: "Maven", name: "org.apache.logging.log4j:log4j-core" },
+          ranges: [{ type: "ECOSYSTEM", events: [{ introduced: "2.0-beta9" }, { fixed: "2.15.0" }] }]
+        }]
+      });
+      writeAdvisory("nvd/CVE-2024-0004.json", {
+        id: "CVE-2024-0004",
+        affected: [{ database_specific: { cpes: ["cpe:2.3:a:openssl:openssl:3.0.1:*:*:*:*:*:*:*"] } }]
+      });
+      writeAdvisory("npm/GHSA-0005.json", {
+        id: "GHSA-0005",
+        withdrawn: "2024-02-01T00:00:00Z",
+        affected: [{ package: { ecosystem: "npm", name: "left-pad" }, versions: ["1.3.0"] }]
+      });
+      writeAdvisory("broken.json", "{ not json");
+      writeAdvisory("not-an-advisory.json", { schema_version: "1.6.0" });
+      writeAdvisory("README.md", "# Not an advisory");
+    });
+
+    after(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should match components by purl and CPE with each ecosystem's ordering", function () {
+      const { findings, stats } = auditComponents([
+        { id: "1", name: "left-pad", version: "1.3.0", purl: "pkg:npm/left-pad@1.3.0" },
+        { id: "2", name: "Django", version: "4.0", purl: "pkg:pypi/Django@4.0" },
+        { id: "3", name: "django-post", version: "4.0.post1", purl: "pkg:pypi/django@4.0.post1" },
+        { id: "4", name: "log4j-core", version: "2.14.1", purl: "pkg:maven/org.apache.logging.log4j/log4j-core@2.14.1" },
+        { id: "5", name: "openssl", version: "3.0.1", cpe: "cpe:2.3:a:openssl:openssl:3.0.1:*:*:*:*:*:*:*" },
+        { id: "6", name: "openssl", version: "3.0.2", cpe: "cpe:2.3:a:openssl:openssl:3.0.2:*:*:*:*:*:*:*" },
+        { id: "7", name: "unknown" }
+      ], dir);
+
+      expect(findings.map((finding) => [finding.name, finding.id, finding.severity, finding.fixed, finding.matchedBy]))
+        .to.deep.equal([
+          ["left-pad", "GHSA-0001", "CRITICAL", "1.3.1", "purl"],
+          ["Django", "PYSEC-0002", "MEDIUM", "4.0.post1", "purl"],
+          ["log4j-core", "GHSA-0003", "UNKNOWN", "2.15.0", "purl"],
+          ["openssl", "CVE-2024-0004", "UNKNOWN", null, "cpe"]
+        ]);
+      expect(findings[0]).to.include({ score: 9.8, summary: "Prototype pollution" });
+      expect(findings[0].aliases).to.deep.equal(["CVE-2024-0001"]);
+      expect(stats).to.deep.equal({ files: 7, advisories: 5, skipped: 2, components: 7, matchable: 6 });
+    });
+
+    it("Should require a snapshot with advisories", function () {
+      const empty = fs.mkdtempSync(path.join(os.tmpdir(), "sbom-osv-empty-"));
+      try {
+        expect(() => auditComponents([], path.join(dir, "missing"))).to.throw("OSV database not found");
+        expect(() => auditComponents([], empty)).to.throw("No OSV advisories (*.json) found");
+      } finally {
+        fs.rmSync(empty, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { normalizePolicy, loadPolicy, evaluateExpression, evaluatePolicy } = require("../../cli/utils/policy");
+
+/**
+ * Unit tests for license policy evaluation
+ *
+ * Run with: npx hardhat test test/cli/policy.test.js
+ */
+
+describe("License policy", function () {
+  const policy = normalizePolicy({
+    name: "Distribution policy",
+    allow: ["MIT", "Apache-2.0", "BSD-*", "GPL-2.0-only WITH Classpath-exception-2.0"],
+    deny: ["GPL-*", "AGPL-*"]
+  });
+
+  describe("normalizePolicy", function () {
+    it("Should fill in the default verdicts", function () {
+      expect(policy).to.deep.equal({
+        name: "Distribution policy",
+        allow: ["MIT", "Apache-2.0", "BSD-*", "GPL-2.0-only WITH Classpath-exception-2.0"],
+        deny: ["GPL-*", "AGPL-*"],
+        unlisted: "deny",
+        missing: "warn"
+      });
+      expect(normalizePolicy({ deny: ["GPL-*"] }).unlisted).to.equal("allow");
+    });
+
+    it("Should reject malformed policies", function () {
+      expect(() => normalizePolicy([])).to.throw("Invalid policy: expected a JSON object");
+      expect(() => normalizePolicy({ allow: ["MIT"], block: [] })).to.throw("unknown field(s) block");
+      expect(() => normalizePolicy({ allow: "MIT" })).to.throw('"allow" must be a list of license identifiers');
+      expect(() => normalizePolicy({ deny: [" "] })).to.throw('"deny" must be a list of license identifiers');
+      expect(() => normalizePolicy({ allow: ["MIT"], unlisted: "ignore" })).to.throw('"unlisted" must be one of deny, warn, allow');
+      expect(() => normalizePolicy({})).to.throw('"allow" and "deny" are both empty');
+    });
+  });
+
+  describe("loadPolicy", function () {
+    let dir;
+
+    before(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "sbom-policy-test-"));
+    });
+
+    after(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should load a policy file and report unreadable ones", function () {
+      const file = path.join(dir, "policy.json");
+      fs.writeFileSync(file, JSON.stringify({ allow: ["MIT"] }));
+      const broken = path.join(dir, "broken.json");
+      fs.writeFileSync(broken, "{ allow");
+
+      expect(loadPolicy(file).allow).to.deep.equal(["MIT"]);
+      expect(() => loadPolicy(path.join(dir, "missing.json"))).to.throw("Policy file not found");
+      expect(() => loadPolicy(broken)).to.throw(`Invalid policy file ${broken}`);
+    });
+  });
+
+  describe("evaluateExpression", function () {
+    it("Should prefer the deny list and match patterns case-insensitively", function () {
+      expect(evaluateExpression(policy, "mit").verdict).to.equal("allow");
+      expect(evaluateExpression(policy, "BSD-3-Clause").verdict).to.equal("allow");
+      expect(evaluateExpression(policy, "GPL-3.0-only").verdict).to.equal("deny");
+      expect(evaluateExpression(policy, "ISC").verdict).to.equal("deny");
+    });
+
+    it("Should match an exception as written before the license alone", function () {
+      expect(evaluateExpression(policy, "GPL-2.0-only WITH Classpath-exception-2.0").verdict).to.equal("allow");
+      expect(evaluateExpression(policy, "GPL-2.0-only WITH GCC-exception-3.1").verdict).to.equal("deny");
+    });
+
+    it("Should take the best option of an OR and the worst part of an AND", function () {
+      expect(evaluateExpression(policy, "GPL-3.0-only OR MIT")).to.deep.equal({
+        verdict: "allow",
+        licenses: [{ license: "GPL-3.0-only", verdict: "deny" }, { license: "MIT", verdict: "allow" }]
+      });
+      expect(evaluateExpression(policy, "MIT AND GPL-3.0-only").verdict).to.equal("deny");
+      expect(evaluateExpression(policy, "(MIT OR GPL-3.0-only) AND Apache-2.0").verdict).to.equal("allow");
+    });
+
+    it("Should judge text that is not an expression as one license name", function () {
+      const warnUnlisted = normalizePolicy({ allow: ["BSD License"], unlisted: "warn" });
+
+      expect(evaluateExpression(warnUnlisted, "BSD License")).to.deep.equal({
+        verdict: "allow",
+        licenses: [{ license: "BSD License", verdict: "allow" }]
+      });
+      expect(evaluateExpression(warnUnlisted, "Some License").verdict).to.equal("warn");
+    });
+  });
+
+  describe("evaluatePolicy", function () {
+    it("Should judge each component by the worst of its licenses", function () {
+      const result = evaluatePolicy(policy, [
+        { name: "express", version: "4.18.2", declaredLicense: "MIT" },
+        { name: "readline", version: "8.2", declaredLicense: "MIT", concludedLicense: "GPL-3.0-only" },
+        { name: "mystery", version: "1.0.0" },
+        { id: "pkg-1", declaredLicense: "Apache-2.0 OR GPL-2.0-only" }
+      ]);
+
+      expect(result.policy).to.equal("Distribution policy");
+      expect(result.total).to.equal(4);
+      expect(result.allowed).to.equal(2);
+      expect(result.compliant).to.equal(false);
+      expect(result.warnings).to.deep.equal([{ name: "mystery", version: "1.0.0", verdict: "warn", findings: [] }]);
+      expect(result.violations).to.have.length(1);
+      expect(result.violations[0].name).to.equal("readline");
+      expect(result.violations[0].findings.map((finding) => [finding.field, finding.verdict])).to.deep.equal([
+        ["declared", "allow"], ["concluded", "deny"]
+      ]);
+    });
+
+    it("Should be compliant when nothing is denied", function () {
+      const result = evaluatePolicy(normalizePolicy({ allow: ["MIT"], missing: "allow" }), [
+        { name: "express", declaredLicense: "MIT" },
+        { name: "mystery" }
+      ]);
+
+      expect(result).to.include({ total: 2, allowed: 2, compliant: true });
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const { expect } = require("chai");
+const { stripVolatileFields, SEMANTIC_PROFILES } = require("../../cli/utils/semantic");
+
+/**
+ * Unit tests for the per-format volatile-field profiles of semantic hashing
+ *
+ * Run with: npx hardhat test test/cli/semantic.test.js
+ */
+
+describe("stripVolatileFields", function () {
+  it("Should strip the serial number, timestamp and tools of a CycloneDX document", function () {
+    const sbom = {
+      bomFormat: "CycloneDX",
+      specVersion: "1.5",
+      serialNumber: "urn:uuid:3e671687-395b-41f5-a30f-a58921a69b79",
+      metadata: { timestamp: "2024-01-01T00:00:00Z", tools: [{ name: "cdxgen" }], component: { name: "app" } },
+      components: [{ name: "left-pad", version: "1.3.0" }]
+    };
+
+    const { profile, document } = stripVolatileFields(sbom);
+
+    expect(profile).to.equal("cyclonedx");
+    expect(document).to.deep.equal({
+      bomFormat: "CycloneDX",
+      specVersion: "1.5",
+      metadata: { component: { name: "app" } },
+      components: [{ name: "left-pad", version: "1.3.0" }]
+    });
+  });
+
+  it("Should strip the namespace, creation time and creators of an SPDX document", function () {
+    const sbom = {
+      spdxVersion: "SPDX-2.3",
+      name: "app",
+      documentNamespace: "https://example.com/app-5c2d",
+      creationInfo: { created: "2024-01-01T00:00:00Z", creators: ["Tool: syft-1.0.0"], licenseListVersion: "3.22" },
+      packages: [{ name: "left-pad" }]
+    };
+
+    const { profile, document } = stripVolatileFields(sbom);
+
+    expect(profile).to.equal("spdx");
+    expect(document).to.deep.equal({
+      spdxVersion: "SPDX-2.3",
+      name: "app",
+      creationInfo: { licenseListVersion: "3.22" },
+      packages: [{ name: "left-pad" }]
+    });
+  });
+
+  it("Should strip the descriptor version, configuration and timestamp and the source id of a Syft document", function () {
+    const sbom = {
+      artifacts: [{ name: "left-pad" }],
+      source: { id: "sha256:abc", name: "app", type: "directory" },
+      descriptor: { name: "syft", version: "1.0.0", configuration: { catalogers: [] }, timestamp: "2024-01-01T00:00:00Z" }
+    };
+
+    const { profile, document } = stripVolatileFields(sbom);
+
+    expect(profile).to.equal("syft");
+    expect(document).to.deep.equal({
+      artifacts: [{ name: "left-pad" }],
+      source: { name: "app", type: "directory" },
+      descriptor: { name: "syft" }
+    });
+  });
+
+  it("Should leave documents of an unknown format as they are", function () {
+    const sbom = { name: "app", timestamp: "2024-01-01T00:00:00Z", serialNumber: "1" };
+
+    expect(stripVolatileFields(sbom)).to.deep.equal({ profile: "unknown", document: sbom });
+  });
+
+  it("Should not modify the document it is given", function () {
+    const sbom = { bomFormat: "CycloneDX", serialNumber: "urn:uuid:1", metadata: { timestamp: "now" } };
+
+    stripVolatileFields(sbom);
+
+    expect(sbom).to.deep.equal({ bomFormat: "CycloneDX", serialNumber: "urn:uuid:1", metadata: { timestamp: "now" } });
+  });
+
+  it("Should only list volatile fields, never the components", function () {
+    Object.values(SEMANTIC_PROFILES).flat().forEach((field) => {
+      expect(field.split(".")[0]).to.not.be.oneOf(["components", "packages", "artifacts", "relationships", "artifactRelationships"]);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const { expect } = require("chai");
+const { parseLicenseExpression, expressionLicenses, formatLicense } = require("../../cli/utils/spdx-expression");
+
+/**
+ * Unit tests for the SPDX license expression parser
+ *
+ * Run with: npx hardhat test test/cli/spdx-expression.test.js
+ */
+
+// A license node
+function license(id, exception = "") {
+  return { type: "license", id, exception };
+}
+
+describe("parseLicenseExpression", function () {
+  it("Should parse single licenses and exceptions", function () {
+    expect(parseLicenseExpression("MIT")).to.deep.equal(license("MIT"));
+    expect(parseLicenseExpression(" LicenseRef-acme ")).to.deep.equal(license("LicenseRef-acme"));
+    expect(parseLicenseExpression("GPL-2.0-only WITH Classpath-exception-2.0"))
+      .to.deep.equal(license("GPL-2.0-only", "Classpath-exception-2.0"));
+  });
+
+  it("Should bind WITH tighter than AND, and AND tighter than OR", function () {
+    expect(parseLicenseExpression("MIT OR Apache-2.0 AND GPL-2.0-only WITH Classpath-exception-2.0")).to.deep.equal({
+      type: "or",
+      args: [
+        license("MIT"),
+        { type: "and", args: [license("Apache-2.0"), license("GPL-2.0-only", "Classpath-exception-2.0")] }
+      ]
+    });
+  });
+
+  it("Should follow parentheses and flatten chains of one operator", function () {
+    expect(parseLicenseExpression("(MIT OR ISC) AND (Apache-2.0) AND BSD-3-Clause")).to.deep.equal({
+      type: "and",
+      args: [{ type: "or", args: [license("MIT"), license("ISC")] }, license("Apache-2.0"), license("BSD-3-Clause")]
+    });
+  });
+
+  it("Should match operators case-insensitively", function () {
+    expect(parseLicenseExpression("MIT or Apache-2.0")).to.deep.equal(parseLicenseExpression("MIT OR Apache-2.0"));
+    expect(parseLicenseExpression("GPL-2.0-only with Classpath-exception-2.0").exception).to.equal("Classpath-exception-2.0");
+  });
+
+  it("Should reject malformed expressions", function () {
+    expect(() => parseLicenseExpression("")).to.throw('Invalid license expression "": empty expression');
+    expect(() => parseLicenseExpression("MIT OR")).to.throw("unexpected end");
+    expect(() => parseLicenseExpression("AND MIT")).to.throw('unexpected "AND"');
+    expect(() => parseLicenseExpression("(MIT OR ISC")).to.throw('missing ")"');
+    expect(() => parseLicenseExpression("MIT ISC")).to.throw('unexpected "ISC"');
+    expect(() => parseLicenseExpression("MIT)")).to.throw('unexpected ")"');
+    expect(() => parseLicenseExpression("GPL-2.0-only WITH")).to.throw("WITH must be followed by an exception identifier");
+    expect(() => parseLicenseExpression("BSD License")).to.throw('unexpected "License"');
+  });
+
+  it("Should list and format the licenses of an expression", function () {
+    const tree = parseLicenseExpression("(MIT OR GPL-2.0-only WITH Classpath-exception-2.0) AND ISC");
+
+    expect(expressionLicenses(tree).map(formatLicense)).to.deep.equal([
+      "MIT", "GPL-2.0-only WITH Classpath-exception-2.0", "ISC"
+    ]);
+  });
+});
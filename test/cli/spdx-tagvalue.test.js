@@ -0,0 +1,114 @@
+const { expect } = require("chai");
+const { parseSPDXTagValue } = require("../../cli/utils/spdx-tagvalue");
+
+/**
+ * Unit tests for the SPDX tag-value to JSON document model mapping
+ *
+ * Run with: npx hardhat test test/cli/spdx-tagvalue.test.js
+ */
+
+describe("parseSPDXTagValue", function () {
+  const text = [
+    "SPDXVersion: SPDX-2.3",
+    "DataLicense: CC0-1.0",
+    "SPDXID: SPDXRef-DOCUMENT",
+    "DocumentName: app",
+    "DocumentNamespace: https://example.com/app-5c2d",
+    "# Creation info",
+    "Creator: Tool: syft-1.0.0",
+    "Creator: Organization: Acme Corp",
+    "Created: 2024-01-01T00:00:00Z",
+    "",
+    "PackageName: left-pad",
+    "SPDXID: SPDXRef-Package-left-pad",
+    "PackageVersion: 1.3.0",
+    "PackageDownloadLocation: NOASSERTION",
+    "FilesAnalyzed: false",
+    "PackageChecksum: SHA256: abc123",
+    "PackageVerificationCode: d6a770ba38583ed4bb4525bd96e50461655d2758 (excludes: ./package.spdx)",
+    "PackageLicenseConcluded: MIT",
+    "PackageLicenseInfoFromFiles: MIT",
+    "PackageLicenseInfoFromFiles: ISC",
+    "PackageCopyrightText: <text>Copyright (c) 2016",
+    "Left Pad Authors</text>",
+    "ExternalRef: PACKAGE-MANAGER purl pkg:npm/left-pad@1.3.0",
+    "ExternalRefComment: From package.json",
+    "",
+    "FileName: ./index.js",
+    "SPDXID: SPDXRef-File-index",
+    "FileChecksum: SHA1: def456",
+    "LicenseInfoInFile: MIT",
+    "",
+    "Relationship: SPDXRef-DOCUMENT DESCRIBES SPDXRef-Package-left-pad",
+    "RelationshipComment: The package",
+    "",
+    "LicenseID: LicenseRef-custom",
+    "ExtractedText: <text>Custom terms</text>"
+  ].join("\n");
+
+  it("Should map a document onto the SPDX JSON document model", function () {
+    expect(parseSPDXTagValue(text)).to.deep.equal({
+      spdxVersion: "SPDX-2.3",
+      dataLicense: "CC0-1.0",
+      SPDXID: "SPDXRef-DOCUMENT",
+      name: "app",
+      documentNamespace: "https://example.com/app-5c2d",
+      creationInfo: {
+        creators: ["Tool: syft-1.0.0", "Organization: Acme Corp"],
+        created: "2024-01-01T00:00:00Z"
+      },
+      packages: [{
+        name: "left-pad",
+        SPDXID: "SPDXRef-Package-left-pad",
+        versionInfo: "1.3.0",
+        downloadLocation: "NOASSERTION",
+        filesAnalyzed: false,
+        checksums: [{ algorithm: "SHA256", checksumValue: "abc123" }],
+        packageVerificationCode: {
+          packageVerificationCodeValue: "d6a770ba38583ed4bb4525bd96e50461655d2758",
+          packageVerificationCodeExcludedFiles: ["./package.spdx"]
+        },
+        licenseConcluded: "MIT",
+        licenseInfoFromFiles: ["MIT", "ISC"],
+        copyrightText: "Copyright (c) 2016\nLeft Pad Authors",
+        externalRefs: [{
+          referenceCategory: "PACKAGE-MANAGER",
+          referenceType: "purl",
+          referenceLocator: "pkg:npm/left-pad@1.3.0",
+          comment: "From package.json"
+        }]
+      }],
+      files: [{
+        fileName: "./index.js",
+        SPDXID: "SPDXRef-File-index",
+        checksums: [{ algorithm: "SHA1", checksumValue: "def456" }],
+        licenseInfoInFiles: ["MIT"]
+      }],
+      relationships: [{
+        spdxElementId: "SPDXRef-DOCUMENT",
+        relationshipType: "DESCRIBES",
+        relatedSpdxElement: "SPDXRef-Package-left-pad",
+        comment: "The package"
+      }],
+      hasExtractedLicensingInfos: [{ licenseId: "LicenseRef-custom", extractedText: "Custom terms" }]
+    });
+  });
+
+  it("Should accept CRLF line endings", function () {
+    expect(parseSPDXTagValue(text.replace(/\n/g, "\r\n"))).to.deep.equal(parseSPDXTagValue(text));
+  });
+
+  it("Should reject malformed documents with the line of the error", function () {
+    expect(() => parseSPDXTagValue("SPDXVersion: SPDX-2.3\nnot a tag"))
+      .to.throw('Invalid SPDX tag-value line 2: expected "Tag: value"');
+    expect(() => parseSPDXTagValue("SPDXVersion: SPDX-2.3\n: value"))
+      .to.throw("Invalid SPDX tag-value line 2");
+    expect(() => parseSPDXTagValue("SPDXVersion: SPDX-2.3\n\nPackageCopyrightText: <text>Copyright\nno end"))
+      .to.throw("Invalid SPDX tag-value line 3: unterminated <text> value");
+    expect(() => parseSPDXTagValue("SPDXVersion: SPDX-2.3\nRelationship: SPDXRef-DOCUMENT DESCRIBES"))
+      .to.throw('Invalid SPDX tag-value line 2: Relationship needs "A TYPE B"');
+    expect(() => parseSPDXTagValue("DocumentName: app"))
+      .to.throw("Invalid SPDX tag-value document: missing SPDXVersion");
+    expect(() => parseSPDXTagValue("")).to.throw("missing SPDXVersion");
+  });
+});
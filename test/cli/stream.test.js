@@ -0,0 +1,95 @@
+const { expect } = require("chai");
+const { createJSONScanner } = require("../../cli/utils/stream");
+
+/**
+ * Unit tests for the streaming JSON scanner
+ *
+ * Run with: npx hardhat test test/cli/stream.test.js
+ */
+
+/**
+ * Scan a text fed in chunks of the given size
+ * @param {string} text - JSON text
+ * @param {function} select - (path, first) => boolean
+ * @param {number} chunkSize - Characters per write
+ * @returns {array} - [path, value] pairs, in order
+ */
+function scan(text, select, chunkSize = text.length || 1) {
+  const values = [];
+  const scanner = createJSONScanner({ select, onValue: (path, value) => values.push([path, value]) });
+  for (let i = 0; i < text.length; i += chunkSize) {
+    scanner.write(text.slice(i, i + chunkSize));
+  }
+  scanner.end();
+  return values;
+}
+
+describe("createJSONScanner", function () {
+  const text = JSON.stringify({
+    name: "app",
+    "key with \"quotes\" and \\": { nested: [1, 2.5e3, -0.1] },
+    components: [
+      { name: "a", tags: ["x", "}", "]"], note: "comma, bracket ] and brace }" },
+      { name: "bé😀", empty: {}, list: [] }
+    ],
+    flags: [true, false, null]
+  }, null, 2);
+
+  it("Should materialize the selected values, in any chunking", function () {
+    const select = (path) => (path.length === 1 && path[0] !== "components") ||
+      (path.length === 2 && path[0] === "components");
+    const expected = [
+      [["name"], "app"],
+      [["key with \"quotes\" and \\"], { nested: [1, 2500, -0.1] }],
+      [["components", 0], { name: "a", tags: ["x", "}", "]"], note: "comma, bracket ] and brace }" }],
+      [["components", 1], { name: "bé😀", empty: {}, list: [] }],
+      [["flags"], [true, false, null]]
+    ];
+
+    [1, 2, 3, 7, 64, text.length].forEach((chunkSize) => {
+      expect(scan(text, select, chunkSize), `chunks of ${chunkSize}`).to.deep.equal(expected);
+    });
+  });
+
+  it("Should pass the path and first character of every value it reaches", function () {
+    const seen = [];
+    scan('{"a": [1, "x", {"b": null}], "c": true}', (path, first) => {
+      seen.push([path.join("."), first]);
+      return false;
+    });
+
+    expect(seen).to.deep.equal([
+      ["", "{"], ["a", "["], ["a.0", "1"], ["a.1", "\""], ["a.2", "{"], ["a.2.b", "n"], ["c", "t"]
+    ]);
+  });
+
+  it("Should not look inside a value it is materializing", function () {
+    const paths = [];
+    scan('{"a": {"b": {"c": 1}}}', (path) => {
+      paths.push(path.join("."));
+      return path.length === 1;
+    });
+
+    expect(paths).to.deep.equal(["", "a"]);
+  });
+
+  it("Should scan top-level scalars and empty containers", function () {
+    expect(scan(" 42 ", (path) => path.length === 0)).to.deep.equal([[[], 42]]);
+    expect(scan("[]", (path) => path.length === 0)).to.deep.equal([[[], []]]);
+    expect(scan('{"a": {}}', (path) => path.length === 1)).to.deep.equal([[["a"], {}]]);
+  });
+
+  it("Should reject malformed JSON with the path of the error", function () {
+    const select = () => false;
+
+    expect(() => scan('{"a": [1, 2}', select)).to.throw("Unexpected character '}' in JSON at path a.1");
+    expect(() => scan('{"a" 1}', select)).to.throw("Unexpected character '1'");
+    expect(() => scan('{"a": 1} x', select)).to.throw("Unexpected character 'x'");
+    expect(() => scan('{"a": [1, 2]', select)).to.throw("Unexpected end of JSON input");
+    expect(() => scan('{"a": @}', select)).to.throw("Unexpected character '@'");
+  });
+
+  it("Should leave invalid selected values to JSON.parse", function () {
+    expect(() => scan('{"a": tru}', (path) => path.length === 1)).to.throw(SyntaxError);
+  });
+});
@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const { validateSBOMText, validateDocument, createStreamValidation } = require("../../cli/utils/validate");
+
+/**
+ * Unit tests for offline SBOM schema validation
+ *
+ * Run with: npx hardhat test test/cli/validate.test.js
+ */
+
+describe("SBOM schema validation", function () {
+  const cyclonedx = {
+    bomFormat: "CycloneDX",
+    specVersion: "1.5",
+    serialNumber: "urn:uuid:3e671687-395b-41f5-a30f-a58921a69b79",
+    version: 1,
+    metadata: { component: { type: "application", name: "app", version: "1.0.0" } },
+    components: [{ type: "library", name: "left-pad", version: "1.3.0" }]
+  };
+
+  const spdx = {
+    spdxVersion: "SPDX-2.3",
+    dataLicense: "CC0-1.0",
+    SPDXID: "SPDXRef-DOCUMENT",
+    name: "app",
+    documentNamespace: "https://example.com/app-5c2d",
+    creationInfo: { created: "2024-01-01T00:00:00Z", creators: ["Tool: syft-1.0.0"] },
+    packages: [{ name: "left-pad", SPDXID: "SPDXRef-Package-left-pad", downloadLocation: "NOASSERTION" }]
+  };
+
+  it("Should accept a valid CycloneDX document against the official schema", function () {
+    expect(validateSBOMText(JSON.stringify(cyclonedx))).to.deep.equal({
+      syntax: "json",
+      valid: true,
+      schema: "CycloneDX 1.5",
+      partial: false,
+      errors: [],
+      reason: null
+    });
+  });
+
+  it("Should locate schema errors with JSON pointers", function () {
+    const result = validateDocument({
+      ...cyclonedx,
+      version: "1",
+      components: [{ type: "gadget", version: "1.3.0" }]
+    });
+
+    expect(result.valid).to.equal(false);
+    expect(result.schema).to.equal("CycloneDX 1.5");
+    expect(result.errors).to.deep.include({ pointer: "/version", message: "must be integer" });
+    expect(result.errors).to.deep.include({ pointer: "/components/0/name", message: "is required" });
+    expect(result.errors.find((error) => error.pointer === "/components/0/type").message)
+      .to.match(/^must be equal to one of the allowed values: "application"/);
+    expect(result.totalErrors).to.equal(result.errors.length);
+    expect(result.reason).to.equal(`${result.totalErrors} schema error(s)`);
+  });
+
+  it("Should mark results of the trimmed SPDX and Syft schemas as partial", function () {
+    expect(validateDocument(spdx)).to.include({ valid: true, schema: "SPDX 2.3", partial: true });
+
+    const { documentNamespace, ...missing } = spdx;
+    const result = validateDocument(missing);
+    expect(result).to.include({ valid: false, partial: true });
+    expect(result.errors).to.deep.equal([{ pointer: "/documentNamespace", message: "is required" }]);
+  });
+
+  it("Should not validate documents no bundled schema applies to", function () {
+    expect(validateDocument({ name: "app" })).to.deep.include({
+      valid: false,
+      schema: null,
+      reason: "Not a CycloneDX, SPDX or Syft SBOM"
+    });
+    expect(validateDocument({ ...cyclonedx, specVersion: "1.2" }).reason)
+      .to.equal("Unsupported version: CycloneDX 1.2 (supported: CycloneDX 1.4, CycloneDX 1.5, CycloneDX 1.6)");
+  });
+
+  it("Should report parse failures and skip non-JSON encodings", function () {
+    expect(validateSBOMText('{"bomFormat": "CycloneDX",')).to.deep.equal({
+      valid: false,
+      syntax: null,
+      schema: null,
+      errors: [{ pointer: "", message: "Invalid JSON file" }],
+      reason: "Invalid JSON file"
+    });
+
+    const xml = validateSBOMText('<bom xmlns="http://cyclonedx.org/schema/bom/1.5" version="1"/>');
+    expect(xml).to.include({ valid: null, syntax: "xml", reason: "Schema validation covers JSON SBOMs only" });
+  });
+
+  it("Should find the same errors when the top-level arrays are streamed", function () {
+    const document = {
+      ...cyclonedx,
+      components: [
+        { type: "library", name: "left-pad", version: "1.3.0" },
+        { type: "library" },
+        { type: "library", name: "left-pad", version: "1.3.0" }
+      ]
+    };
+
+    const streamed = createStreamValidation({ ...document, components: [] });
+    expect(streamed.covers("components")).to.equal(true);
+    expect(streamed.covers("metadata")).to.equal(false);
+    document.components.forEach((component, index) => streamed.checkElement("components", index, component));
+
+    const expected = validateDocument(document);
+    const result = streamed.finish();
+    expect(result.valid).to.equal(false);
+    expect(result.errors).to.have.deep.members(expected.errors);
+  });
+});
@@ -0,0 +1,68 @@
+const { expect } = require("chai");
+const { parseXML } = require("../../cli/utils/xml");
+
+/**
+ * Unit tests for the minimal XML reader
+ *
+ * Run with: npx hardhat test test/cli/xml.test.js
+ */
+
+describe("parseXML", function () {
+  it("Should parse elements, attributes and text into an element tree", function () {
+    const root = parseXML(`<?xml version="1.0" encoding="UTF-8"?>
+<!-- a comment -->
+<bom xmlns="http://cyclonedx.org/schema/bom/1.5" version='1'>
+  <name>app</name>
+  <empty attr="x"/>
+</bom>`);
+
+    expect(root.name).to.equal("bom");
+    expect(root.attributes).to.deep.equal({ xmlns: "http://cyclonedx.org/schema/bom/1.5", version: "1" });
+    expect(root.children.map((child) => child.name)).to.deep.equal(["name", "empty"]);
+    expect(root.children[0].text).to.equal("app");
+    expect(root.children[1]).to.deep.equal({ name: "empty", attributes: { attr: "x" }, children: [], text: "" });
+  });
+
+  it("Should drop namespace prefixes and prefixed namespace declarations", function () {
+    const root = parseXML('<bom:bom xmlns:bom="urn:x" xmlns:xsi="urn:y" xsi:schemaLocation="urn:z"><bom:a/></bom:bom>');
+
+    expect(root.name).to.equal("bom");
+    expect(root.attributes).to.deep.equal({ schemaLocation: "urn:z" });
+    expect(root.children[0].name).to.equal("a");
+  });
+
+  it("Should decode entities, character references and CDATA", function () {
+    const root = parseXML('<a title="&quot;x&quot; &amp; y">&lt;&#65;&#x42;&gt;<![CDATA[<raw & text>]]></a>');
+
+    expect(root.attributes.title).to.equal('"x" & y');
+    expect(root.text).to.equal("<AB><raw & text>");
+  });
+
+  it("Should keep '>' inside quoted attribute values", function () {
+    expect(parseXML('<a expr="x > y"/>').attributes.expr).to.equal("x > y");
+  });
+
+  it("Should skip a DOCTYPE without expanding its entities", function () {
+    const text = '<!DOCTYPE a [<!ENTITY xxe SYSTEM "file:///etc/passwd">]><a>&xxe;</a>';
+
+    expect(() => parseXML(text)).to.throw("Unknown XML entity: &xxe;");
+  });
+
+  it("Should reject malformed documents with the line of the error", function () {
+    expect(() => parseXML("<a>\n<b></a>")).to.throw("Invalid XML (line 2): unexpected </a>");
+    expect(() => parseXML("<a><b>")).to.throw("unclosed element <b>");
+    expect(() => parseXML("<a/><b/>")).to.throw("more than one root element");
+    expect(() => parseXML("text<a/>")).to.throw("text outside the root element");
+    expect(() => parseXML("<a/>text")).to.throw("text outside the root element");
+    expect(() => parseXML("</a>")).to.throw("unexpected </a>");
+    expect(() => parseXML("<a")).to.throw("unterminated start tag");
+    expect(() => parseXML('<a b=">')).to.throw("unterminated start tag");
+    expect(() => parseXML("<a><!-- x</a>")).to.throw("unterminated comment");
+    expect(() => parseXML("<a><![CDATA[x</a>")).to.throw("unterminated CDATA section");
+    expect(() => parseXML("<?xml version")).to.throw("unterminated processing instruction");
+    expect(() => parseXML("<!DOCTYPE a [")).to.throw("unterminated declaration");
+    expect(() => parseXML("<>")).to.throw("missing element name");
+    expect(() => parseXML("  ")).to.throw("no root element");
+    expect(() => parseXML("<a>&nbsp;</a>")).to.throw("Unknown XML entity: &nbsp;");
+  });
+});
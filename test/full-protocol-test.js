@@ -28,6 +28,32 @@ describe("🔬 Complete SBOM Protocol Test Suite", function() {
   let sbomV1Content, sbomV2Content;
   let sbomV1Hash, sbomV2Hash;
   
+  // EIP-712 signature of an SBOM submission, for the signer's current nonce
+  async function signSBOM(signer, hash, metadata, previousHash = ethers.ZeroHash) {
+    const registryAddress = await sbomRegistry.getAddress();
+    const extension = await ethers.getContractAt("SBOMRegistryExtension", registryAddress);
+    const domain = {
+      name: "SBOMRegistry",
+      version: "1",
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: registryAddress
+    };
+    const types = {
+      SBOM: [
+        { name: "hash", type: "bytes32" },
+        { name: "metadataHash", type: "bytes32" },
+        { name: "previousHash", type: "bytes32" },
+        { name: "nonce", type: "uint256" }
+      ]
+    };
+    return signer.signTypedData(domain, types, {
+      hash,
+      metadataHash: ethers.id(metadata),
+      previousHash,
+      nonce: await extension.getNonce(signer.address)
+    });
+  }
+  
   // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
   // SETUP
   // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -191,7 +217,7 @@ describe("🔬 Complete SBOM Protocol Test Suite", function() {
           "https://fake.com",
           "fake@fake.com"
         )
-      ).to.be.revertedWith("Only registry owner can perform this action");
+      ).to.be.revertedWith("Caller does not have the required role");
       
       console.log("  ✅ Non-owner registration blocked");
     });
@@ -202,16 +228,8 @@ describe("🔬 Complete SBOM Protocol Test Suite", function() {
   // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
   
   describe("📄 Protocol Step 3: SBOM Registration", function() {
-    let signature;
-    
-    before(async function() {
-      // Sign SBOM hash with vendor1's private key
-      signature = await vendor1.signMessage(ethers.getBytes(sbomV1Hash));
-      console.log("\n  Signature created:", signature.slice(0, 20) + "...");
-    });
-    
     it("Should allow verified vendor to register SBOM", async function() {
-      console.log("  Registering SBOM v1...");
+      console.log("\n  Registering SBOM v1...");
       
       const metadata = JSON.stringify({
         name: "test-app",
@@ -219,6 +237,10 @@ describe("🔬 Complete SBOM Protocol Test Suite", function() {
         timestamp: Date.now()
       });
       
+      // Sign SBOM hash and metadata with vendor1's private key
+      const signature = await signSBOM(vendor1, sbomV1Hash, metadata);
+      console.log("  Signature created:", signature.slice(0, 20) + "...");
+      
       const tx = await sbomRegistry.connect(vendor1).registerSBOM(
         sbomV1Hash,
         metadata,
@@ -236,7 +258,7 @@ describe("🔬 Complete SBOM Protocol Test Suite", function() {
     it("Should emit SBOMRegistered event", async function() {
       const metadata = JSON.stringify({ test: "event" });
       const testHash = ethers.keccak256(ethers.toUtf8Bytes("test-event-unique"));
-      const testSig = await vendor1.signMessage(ethers.getBytes(testHash));
+      const testSig = await signSBOM(vendor1, testHash, metadata);
       
       const tx = await sbomRegistry.connect(vendor1).registerSBOM(testHash, metadata, testSig);
       const receipt = await tx.wait();
@@ -257,7 +279,7 @@ describe("🔬 Complete SBOM Protocol Test Suite", function() {
     
     it("Should reject SBOM registration from unverified vendor", async function() {
       const fakeHash = ethers.keccak256(ethers.toUtf8Bytes("fake"));
-      const fakeSig = await vendor2.signMessage(ethers.getBytes(fakeHash));
+      const fakeSig = await signSBOM(vendor2, fakeHash, "{}");
       
       await expect(
         sbomRegistry.connect(vendor2).registerSBOM(
@@ -273,7 +295,7 @@ describe("🔬 Complete SBOM Protocol Test Suite", function() {
     it("Should reject SBOM with invalid signature", async function() {
       const uniqueHash = ethers.keccak256(ethers.toUtf8Bytes("unique-test-" + Date.now()));
       const wrongHash = ethers.keccak256(ethers.toUtf8Bytes("wrong-hash-" + Date.now()));
-      const wrongSig = await vendor1.signMessage(ethers.getBytes(wrongHash));
+      const wrongSig = await signSBOM(vendor1, wrongHash, "{}");
       
       await expect(
         sbomRegistry.connect(vendor1).registerSBOM(
@@ -344,12 +366,6 @@ describe("🔬 Complete SBOM Protocol Test Suite", function() {
   // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
   
   describe("🔄 Protocol Step 5: Version Updates", function() {
-    let v2Signature;
-    
-    before(async function() {
-      v2Signature = await vendor1.signMessage(ethers.getBytes(sbomV2Hash));
-    });
-    
     it("Should allow vendor to update their SBOM", async function() {
       console.log("\n  Updating to SBOM v2...");
       
@@ -358,6 +374,7 @@ describe("🔬 Complete SBOM Protocol Test Suite", function() {
         version: "2.0.0",
         timestamp: Date.now()
       });
+      const v2Signature = await signSBOM(vendor1, sbomV2Hash, metadata, sbomV1Hash);
       
       const tx = await sbomRegistry.connect(vendor1).updateSBOM(
         sbomV1Hash,  // Old version
@@ -399,7 +416,7 @@ describe("🔬 Complete SBOM Protocol Test Suite", function() {
     it("Should reject update of non-existent old SBOM", async function() {
       const fakeOldHash = ethers.keccak256(ethers.toUtf8Bytes("fake-old"));
       const newHash = ethers.keccak256(ethers.toUtf8Bytes("new"));
-      const sig = await vendor1.signMessage(ethers.getBytes(newHash));
+      const sig = await signSBOM(vendor1, newHash, "{}", fakeOldHash);
       
       await expect(
         sbomRegistry.connect(vendor1).updateSBOM(fakeOldHash, newHash, "{}", sig)
@@ -418,7 +435,7 @@ describe("🔬 Complete SBOM Protocol Test Suite", function() {
       );
       
       const newHash = ethers.keccak256(ethers.toUtf8Bytes("attacker-update"));
-      const sig = await vendor2.signMessage(ethers.getBytes(newHash));
+      const sig = await signSBOM(vendor2, newHash, "{}", sbomV1Hash);
       
       await expect(
         sbomRegistry.connect(vendor2).updateSBOM(
@@ -442,7 +459,7 @@ describe("🔬 Complete SBOM Protocol Test Suite", function() {
       console.log("\n  Testing signature replay attack...");
       
       const testHash = ethers.keccak256(ethers.toUtf8Bytes("replay-test-unique"));
-      const signature = await vendor1.signMessage(ethers.getBytes(testHash));
+      const signature = await signSBOM(vendor1, testHash, "{}");
       
       // Register once
       await sbomRegistry.connect(vendor1).registerSBOM(testHash, "{}", signature);
@@ -463,7 +480,7 @@ describe("🔬 Complete SBOM Protocol Test Suite", function() {
     
     it("Should prevent double registration", async function() {
       const hash = ethers.keccak256(ethers.toUtf8Bytes("double-test"));
-      const sig = await vendor1.signMessage(ethers.getBytes(hash));
+      const sig = await signSBOM(vendor1, hash, "{}");
       
       // Register once
       await sbomRegistry.connect(vendor1).registerSBOM(hash, "{}", sig);
@@ -478,7 +495,7 @@ describe("🔬 Complete SBOM Protocol Test Suite", function() {
     
     it("Should prevent ownership transfer attacks", async function() {
       // Attacker steals vendor1's signature
-      const stolenSig = await vendor1.signMessage(ethers.getBytes(sbomV1Hash));
+      const stolenSig = await signSBOM(vendor1, sbomV1Hash, "{}");
       
       // Attacker tries to use it
       await expect(